@@ -35,6 +35,8 @@ const OPTIONAL_VARS = {
   API_RATE_LIMIT_WINDOW_MS: '60000', // 1 minute
   ADMIN_RATE_LIMIT_MAX: '50',
   ADMIN_RATE_LIMIT_WINDOW_MS: '300000', // 5 minutes
+  LIFT_STALE_AFTER_MINUTES: '60',
+  SCRAPER_FAILURE_ALERT_THRESHOLD: '3',
 };
 
 /**
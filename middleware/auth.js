@@ -1,11 +1,14 @@
 /**
  * JWT Authentication Middleware
  *
- * Protects admin endpoints by verifying JWT tokens.
+ * Protects admin endpoints by verifying JWT tokens, and group/alert
+ * endpoints by verifying device tokens (services/deviceAuth.js).
  * Token should be sent in Authorization header: "Bearer <token>"
  */
 
 const jwt = require('jsonwebtoken');
+const { pool } = require('../db/pool');
+const deviceAuth = require('../services/deviceAuth');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -79,6 +82,52 @@ function authenticateAdmin(req, res, next) {
   }
 }
 
+/**
+ * Middleware for endpoints that scripts can call too
+ *
+ * Accepts an admin JWT (see authenticateAdmin) or an admin_users.api_key
+ * sent in the X-API-Key header.
+ *
+ * Usage: router.post('/scrape', authenticateAdminOrApiKey, (req, res) => {...})
+ */
+async function authenticateAdminOrApiKey(req, res, next) {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    return authenticateAdmin(req, res, next);
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, role, resort_access FROM admin_users WHERE api_key = $1 AND active = true',
+      [apiKey]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The provided API key is invalid'
+      });
+    }
+
+    const admin = result.rows[0];
+    req.admin = {
+      id: admin.id,
+      email: admin.email,
+      role: admin.role,
+      resortAccess: admin.resort_access
+    };
+
+    next();
+
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Authentication error',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Optional middleware to verify super admin role
  * Use after authenticateAdmin middleware
@@ -93,7 +142,172 @@ function requireSuperAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Check if an admin can manage a resort (super admins can manage every resort)
+ */
+function hasResortAccess(admin, resortId) {
+  return admin.role === 'super_admin' || (admin.resortAccess || []).includes(resortId);
+}
+
+/**
+ * Middleware to verify the admin can manage the resort in req.params.resortId
+ * Super admins can manage every resort.
+ * Use after authenticateAdmin middleware
+ */
+function requireResortAccess(req, res, next) {
+  if (!hasResortAccess(req.admin, parseInt(req.params.resortId))) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this resort'
+    });
+  }
+  next();
+}
+
+// Legacy devices already logged this process (log each one once)
+const legacyDevicesLogged = new Set();
+
+/**
+ * Work out the acting device for a request
+ *
+ * The device id the request acts as comes from :deviceId, body.deviceId
+ * or ?deviceId=. With a device token it must match the token. Without one
+ * it's only accepted for unregistered devices during the grace period.
+ *
+ * @returns {Promise<Object>} { device } or { status, error, message }
+ */
+async function resolveDevice(req) {
+  const claimedId = req.params.deviceId || req.body?.deviceId || req.query.deviceId;
+  const authHeader = req.headers.authorization;
+
+  if (authHeader) {
+    const parts = authHeader.split(' ');
+    if (parts.length !== 2 || parts[0] !== 'Bearer') {
+      return { status: 401, error: 'Invalid authorization header format', message: 'Format should be: Bearer <token>' };
+    }
+
+    let decoded;
+    try {
+      decoded = deviceAuth.verifyDeviceToken(parts[1]);
+    } catch (error) {
+      return { status: 401, error: 'Invalid device token', message: 'Register the device again to get a new token' };
+    }
+
+    if (claimedId && claimedId !== decoded.deviceId) {
+      return { status: 403, error: 'Forbidden', message: 'Device token does not match deviceId' };
+    }
+
+    if (!(await deviceAuth.touchDevice(decoded))) {
+      return { status: 401, error: 'Device token revoked', message: 'Register the device again to get a new token' };
+    }
+
+    return { device: { id: decoded.deviceId, legacy: false } };
+  }
+
+  // No token - legacy client
+  if (!claimedId) {
+    return { device: null };
+  }
+
+  if (await deviceAuth.isRegistered(claimedId)) {
+    return { status: 401, error: 'Device token required', message: 'This device is registered - send its device token' };
+  }
+
+  if (!deviceAuth.isGracePeriod()) {
+    return { status: 401, error: 'Device registration required', message: 'Register the device at POST /api/devices/register' };
+  }
+
+  if (!legacyDevicesLogged.has(claimedId)) {
+    legacyDevicesLogged.add(claimedId);
+    console.warn(`⚠️  Unregistered device ${claimedId} using ${req.method} ${req.path} without a device token (grace period)`);
+  }
+
+  return { device: { id: claimedId, legacy: true } };
+}
+
+/**
+ * Middleware to verify the acting device (req.device = { id, legacy })
+ *
+ * Handlers act as req.device.id - a token alone is enough, deviceId in
+ * the body is only needed by legacy clients during the grace period.
+ *
+ * Usage: app.post('/api/groups/:code/checkout', authenticateDevice, (req, res) => {...})
+ */
+async function authenticateDevice(req, res, next) {
+  try {
+    const result = await resolveDevice(req);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+
+    if (!result.device) {
+      return deviceAuth.isGracePeriod()
+        ? res.status(400).json({ error: 'Device ID required', message: 'Send a device token or deviceId' })
+        : res.status(401).json({ error: 'Device token required', message: 'Please provide a valid device token' });
+    }
+
+    req.device = result.device;
+    next();
+
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Authentication error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Middleware for a device's own data (export, erasure, location): only a
+ * verified device token will do - no deviceId-only access, even during
+ * the grace period, since device ids are visible to other group members
+ *
+ * Usage: router.delete('/:deviceId/data', requireDeviceToken, (req, res) => {...})
+ */
+async function requireDeviceToken(req, res, next) {
+  if (!req.headers.authorization) {
+    return res.status(401).json({
+      error: 'Device token required',
+      message: 'Register the device at POST /api/devices/register and send its token'
+    });
+  }
+
+  return authenticateDevice(req, res, next);
+}
+
+/**
+ * Middleware for reads that show extra detail to a verified device
+ * Sets req.device when the device checks out, otherwise carries on without it
+ * (invalid tokens are still rejected).
+ */
+async function optionalDeviceAuth(req, res, next) {
+  try {
+    const result = await resolveDevice(req);
+
+    if (result.error && req.headers.authorization) {
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+
+    req.device = result.device || null;
+    next();
+
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Authentication error',
+      message: error.message
+    });
+  }
+}
+
 module.exports = {
   authenticateAdmin,
-  requireSuperAdmin
+  authenticateAdminOrApiKey,
+  requireSuperAdmin,
+  requireResortAccess,
+  hasResortAccess,
+  resolveDevice,
+  authenticateDevice,
+  requireDeviceToken,
+  optionalDeviceAuth
 };
@@ -0,0 +1,97 @@
+/**
+ * Group Middleware
+ *
+ * Loads the group in req.params.code and enforces archived (read-only)
+ * groups and moderator roles. The acting device is req.device, set by
+ * authenticateDevice (middleware/auth.js).
+ *
+ * Usage: app.patch('/api/groups/:code', authenticateDevice, loadGroup, requireActiveGroup, requireGroupModerator, ...)
+ */
+
+const groupService = require('../services/groupService');
+
+/**
+ * Middleware to load the group into req.group (404 if it doesn't exist)
+ */
+async function loadGroup(req, res, next) {
+  try {
+    const group = await groupService.getGroup(req.params.code);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    req.group = group;
+    next();
+
+  } catch (error) {
+    console.error('Error loading group:', error);
+    return res.status(500).json({ error: 'Failed to load group' });
+  }
+}
+
+/**
+ * Middleware to reject changes to archived groups
+ * Use after loadGroup middleware
+ */
+function requireActiveGroup(req, res, next) {
+  if (req.group.archived_at) {
+    return res.status(410).json({
+      error: 'Group archived',
+      message: 'This group has expired and is read-only',
+      archivedAt: req.group.archived_at
+    });
+  }
+  next();
+}
+
+/**
+ * Middleware factory to require one of the given roles for the acting device
+ * Attaches the acting member as req.member
+ * Use after authenticateDevice and loadGroup middleware
+ */
+function requireGroupRole(...roles) {
+  return async (req, res, next) => {
+    const deviceId = req.device?.id;
+
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID required' });
+    }
+
+    try {
+      const member = await groupService.getMember(req.group.code, deviceId);
+
+      if (!member) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Not a member of this group'
+        });
+      }
+
+      if (!roles.includes(member.role)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Only the group ${roles.join(' or ')} can do this`
+        });
+      }
+
+      req.member = member;
+      next();
+
+    } catch (error) {
+      console.error('Error checking group role:', error);
+      return res.status(500).json({ error: 'Failed to check group role' });
+    }
+  };
+}
+
+const requireGroupModerator = requireGroupRole(...groupService.MODERATOR_ROLES);
+const requireGroupOwner = requireGroupRole('owner');
+
+module.exports = {
+  loadGroup,
+  requireActiveGroup,
+  requireGroupRole,
+  requireGroupModerator,
+  requireGroupOwner
+};
@@ -9,7 +9,7 @@
  */
 
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 // ============================================
 // RATE LIMITING
@@ -89,6 +89,53 @@ const adminLimiter = rateLimit({
   }
 });
 
+/**
+ * Failed group code / invite lookups (404s only)
+ * Successful lookups don't count, so normal use is never throttled, but
+ * guessing 6-digit codes quickly is. Applied per IP and per device.
+ */
+const lookupSucceeded = (req, res) => res.statusCode !== 404;
+
+const groupLookupIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 unknown codes per window per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true, // Only failed lookups count
+  requestWasSuccessful: lookupSucceeded,
+  handler: (req, res) => {
+    console.log(`Group lookup limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many failed lookups',
+      message: 'Too many unknown group codes. Please try again after 15 minutes',
+      retryAfter: '15 minutes'
+    });
+  }
+});
+
+/**
+ * Per-device version of groupLookupIpLimiter
+ * Use after authenticateDevice / optionalDeviceAuth (keyed on req.device)
+ */
+const groupLookupDeviceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 unknown codes per window per device
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: lookupSucceeded,
+  keyGenerator: (req) => `device:${req.device.id}`,
+  skip: (req) => !req.device?.id,
+  handler: (req, res) => {
+    console.log(`Group lookup limit exceeded for device: ${req.device.id}`);
+    res.status(429).json({
+      error: 'Too many failed lookups',
+      message: 'Too many unknown group codes. Please try again after 15 minutes',
+      retryAfter: '15 minutes'
+    });
+  }
+});
+
 // ============================================
 // CORS CONFIGURATION
 // ============================================
@@ -138,7 +185,7 @@ const getCorsOptions = () => {
       }
     },
     credentials: true, // Allow cookies
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
     maxAge: 86400 // Cache preflight requests for 24 hours
@@ -149,6 +196,16 @@ const getCorsOptions = () => {
 // INPUT VALIDATION
 // ============================================
 
+/**
+ * deviceId in the body - sent by legacy clients only. Handlers act as
+ * req.device.id (authenticateDevice), so token clients can leave it out.
+ */
+const legacyDeviceId = body('deviceId')
+  .optional()
+  .trim()
+  .isLength({ max: 255 })
+  .withMessage('Device ID too long');
+
 /**
  * Validation rules for login endpoint
  */
@@ -169,28 +226,115 @@ const validateLogin = [
  * Validation rules for creating groups
  */
 const validateGroupCreation = [
-  body('deviceId')
-    .trim()
-    .notEmpty()
-    .withMessage('Device ID is required')
-    .isLength({ max: 255 })
-    .withMessage('Device ID too long'),
+  legacyDeviceId,
   body('userName')
     .trim()
     .notEmpty()
     .withMessage('User name is required')
     .isLength({ min: 1, max: 100 })
     .withMessage('User name must be 1-100 characters'),
+  body('name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be 1-100 characters'),
+];
+
+/**
+ * Validation rules for group settings (owners/admins)
+ */
+const validateGroupUpdate = [
+  legacyDeviceId,
+  body('name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be 1-100 characters'),
+  body('joinLocked')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('joinLocked must be true or false'),
+];
+
+/**
+ * Validation rules for changing a member's role (owner only)
+ */
+const validateMemberRole = [
+  legacyDeviceId,
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('role must be admin or member'),
+];
+
+/**
+ * Validation rules for a numeric id in the URL (e.g. :inviteId) -
+ * converted to an integer for the handler (PostgreSQL integer range)
+ */
+function validateIdParam(name) {
+  return [
+    param(name)
+      .isInt({ min: 1, max: 2147483647 })
+      .withMessage(`${name} must be a positive integer`)
+      .toInt(),
+  ];
+}
+
+/**
+ * Validation rules for creating a group invite
+ */
+const validateInvite = [
+  legacyDeviceId,
+  body('expiresInHours')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 336 })
+    .withMessage('expiresInHours must be between 1 and 336 (14 days)')
+    .toInt(),
+  body('maxUses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('maxUses must be between 1 and 100')
+    .toInt(),
+];
+
+/**
+ * Validation rules for device registration
+ */
+const validateDeviceRegistration = [
+  body('platform')
+    .optional({ values: 'null' })
+    .isIn(['ios', 'android', 'web'])
+    .withMessage('platform must be ios, android or web'),
+  body('appVersion')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('appVersion too long'),
 ];
 
 /**
  * Validation rules for check-ins
  */
 const validateCheckin = [
-  body('deviceId')
+  legacyDeviceId,
+  body('userName')
+    .trim()
+    .notEmpty()
+    .withMessage('User name is required'),
+  body('placeId')
+    .trim()
+    .notEmpty()
+    .withMessage('Place ID is required'),
+  body('placeName')
     .trim()
     .notEmpty()
-    .withMessage('Device ID is required'),
+    .withMessage('Place name is required'),
+];
+
+/**
+ * Validation rules for planning a meetup
+ */
+const validateMeetup = [
+  legacyDeviceId,
   body('userName')
     .trim()
     .notEmpty()
@@ -203,6 +347,306 @@ const validateCheckin = [
     .trim()
     .notEmpty()
     .withMessage('Place name is required'),
+  body('scheduledFor')
+    .isISO8601()
+    .withMessage('scheduledFor must be an ISO 8601 timestamp'),
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must be under 200 characters'),
+];
+
+/**
+ * Validation rules for editing / rescheduling a meetup
+ */
+const validateMeetupUpdate = [
+  legacyDeviceId,
+  body('scheduledFor')
+    .optional()
+    .isISO8601()
+    .withMessage('scheduledFor must be an ISO 8601 timestamp'),
+  body(['placeId', 'placeName'])
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Place cannot be empty'),
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must be under 200 characters'),
+];
+
+/**
+ * Validation rules for meetup RSVPs
+ */
+const validateRsvp = [
+  legacyDeviceId,
+  body('status')
+    .isIn(['going', 'maybe', 'declined'])
+    .withMessage('status must be going, maybe or declined'),
+];
+
+/**
+ * Validation rules for default season dates
+ */
+const validateSeasonDefaults = [
+  body(['startMonth', 'endMonth'])
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12')
+    .toInt(),
+  body(['startDay', 'endDay'])
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day must be between 1 and 31')
+    .toInt(),
+];
+
+/**
+ * Validation rules for a resort's lift scrape windows (shape only -
+ * times and overlaps are checked by scrapeSchedule.validateWindows)
+ */
+const validateScrapeWindows = [
+  body('windows')
+    .isArray({ min: 1, max: 24 })
+    .withMessage('windows must be a list of 1-24 scrape windows'),
+  body('windows.*')
+    .isObject()
+    .withMessage('Each scrape window must be an object'),
+];
+
+/**
+ * Validation rules for the resort and season in a season override URL
+ */
+const validateSeasonYear = [
+  param('resortId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid resort id')
+    .toInt(),
+  param('seasonYear')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Use the year the season starts in, e.g. 2026')
+    .toInt(),
+];
+
+/**
+ * Validation rules for a season override (early opening / late closing)
+ */
+const validateSeasonOverride = [
+  ...validateSeasonYear,
+  body(['opensOn', 'closesOn'])
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be YYYY-MM-DD'),
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be under 500 characters'),
+];
+
+/**
+ * Validation rules for the lift timeline / season stats query
+ * (real calendar dates only - 2026-02-31 is rejected, not sent to PostgreSQL)
+ */
+const validateLiftHistoryQuery = [
+  query(['date', 'since'])
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be YYYY-MM-DD'),
+  query(['resort_id', 'lift_id'])
+    .optional()
+    .isInt({ min: 1, max: 2147483647 })
+    .withMessage('Must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for powder alert subscriptions
+ */
+const validateAlertSubscription = [
+  legacyDeviceId,
+  body('type')
+    .isIn(['snowfall_24h', 'snow_line_village'])
+    .withMessage('type must be snowfall_24h or snow_line_village'),
+  body('elevation')
+    .optional()
+    .isIn(['Village', 'Mid-Mountain', 'Summit'])
+    .withMessage('elevation must be Village, Mid-Mountain or Summit'),
+  body('thresholdCm')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 300 })
+    .withMessage('thresholdCm must be between 1 and 300')
+    .toFloat(),
+  body('delivery.method')
+    .trim()
+    .notEmpty()
+    .withMessage('delivery.method is required'),
+  body('delivery.target')
+    .trim()
+    .notEmpty()
+    .withMessage('delivery.target is required'),
+];
+
+/**
+ * Validation rules for geofencing location pings
+ */
+const validateLocationPing = [
+  body('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90')
+    .toFloat(),
+  body('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180')
+    .toFloat(),
+  body('accuracy')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('accuracy must be in meters (0-10000)')
+    .toFloat(),
+  body('timestamp')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('timestamp must be Unix milliseconds')
+    .toInt(),
+];
+
+/**
+ * Validation rules for turning automatic check-in on or off
+ */
+const validateAutoCheckin = [
+  body('enabled')
+    .isBoolean({ strict: true })
+    .withMessage('enabled must be true or false'),
+];
+
+/**
+ * Validation rules for group safety rules
+ */
+const validateSafetyRule = [
+  body('type')
+    .isIn(['overdue_after_last_lift'])
+    .withMessage('type must be overdue_after_last_lift'),
+  body('minutes')
+    .isInt({ min: 0, max: 360 })
+    .withMessage('minutes must be between 0 and 360')
+    .toInt(),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('enabled must be true or false'),
+];
+
+/**
+ * Validation rules for changing a group safety rule
+ */
+const validateSafetyRuleUpdate = [
+  body('minutes')
+    .optional()
+    .isInt({ min: 0, max: 360 })
+    .withMessage('minutes must be between 0 and 360')
+    .toInt(),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('enabled must be true or false'),
+];
+
+/**
+ * Validation rules for place search aliases
+ */
+const validatePlaceAlias = [
+  body('alias')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('alias must be 1-200 characters'),
+];
+
+/**
+ * Validation rules for translated local knowledge (fields left out are unchanged)
+ */
+const validateLocalKnowledge = [
+  body(['tips', 'warnings', 'navigation_tips'])
+    .optional({ values: 'null' })
+    .isArray({ max: 20 })
+    .withMessage('must be a list of up to 20 entries'),
+  body(['tips.*', 'warnings.*', 'navigation_tips.*'])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('entries must be 1-500 characters'),
+  body(['description_override', 'insider_notes'])
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('must be at most 2000 characters'),
+];
+
+/**
+ * Whether a value is a Google opening-hours point: { day: 0-6, time: "HHMM" }
+ */
+function isHoursPoint(point) {
+  return point !== null && typeof point === 'object' &&
+    Number.isInteger(point.day) && point.day >= 0 && point.day <= 6 &&
+    typeof point.time === 'string' && /^([01]\d|2[0-3])[0-5]\d$/.test(point.time);
+}
+
+/**
+ * Validation rules for onsen details (fields left out are unchanged)
+ */
+const validateOnsenDetails = [
+  body('temperature_band')
+    .optional({ values: 'null' })
+    .isIn(['mild', 'hot', 'very_hot'])
+    .withMessage('temperature_band must be mild, hot or very_hot'),
+  body(['temperature_min_c', 'temperature_max_c'])
+    .optional({ values: 'null' })
+    .isInt({ min: 20, max: 70 })
+    .withMessage('temperatures must be between 20 and 70 (°C)')
+    .toInt(),
+  body(['temperature_note', 'hours_note', 'fee_note'])
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('notes must be at most 200 characters'),
+  body('opening_hours')
+    .optional({ values: 'null' })
+    .custom(value => value && Array.isArray(value.periods) && value.periods.length <= 28)
+    .withMessage('opening_hours must be { periods: [...] } (Google format)'),
+  body('opening_hours.periods.*')
+    .custom(period => period && isHoursPoint(period.open) && (period.close === undefined || isHoursPoint(period.close)))
+    .withMessage('each period must be { open: { day: 0-6, time: "HHMM" }, close: { day, time } } (no close = open 24/7)'),
+  body('fee_yen')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('fee_yen must be 0 (free) or more')
+    .toInt(),
+  body('donation_box')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('donation_box must be true or false'),
+  body('facilities')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('facilities must be a list'),
+  body('facilities.*')
+    .isIn(['washing_area', 'soap', 'shampoo', 'lockers', 'changing_room', 'toilet', 'towel_rental', 'outdoor_bath', 'foot_bath', 'accessible', 'cooking'])
+    .withMessage('unknown facility'),
+  body('gender_arrangement')
+    .optional({ values: 'null' })
+    .isIn(['separate', 'alternating', 'mixed'])
+    .withMessage('gender_arrangement must be separate, alternating or mixed'),
+  body('gender_schedule')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('gender_schedule must be at most 500 characters'),
 ];
 
 /**
@@ -314,6 +758,8 @@ module.exports = {
   authLimiter,
   apiLimiter,
   adminLimiter,
+  groupLookupIpLimiter,
+  groupLookupDeviceLimiter,
 
   // CORS
   getCorsOptions,
@@ -321,7 +767,28 @@ module.exports = {
   // Validation
   validateLogin,
   validateGroupCreation,
+  validateGroupUpdate,
+  validateMemberRole,
+  validateDeviceRegistration,
+  validateIdParam,
+  validateInvite,
   validateCheckin,
+  validateMeetup,
+  validateMeetupUpdate,
+  validateRsvp,
+  validateSeasonDefaults,
+  validateScrapeWindows,
+  validateSeasonYear,
+  validateSeasonOverride,
+  validateLiftHistoryQuery,
+  validateAlertSubscription,
+  validateLocationPing,
+  validateAutoCheckin,
+  validateSafetyRule,
+  validateSafetyRuleUpdate,
+  validatePlaceAlias,
+  validateLocalKnowledge,
+  validateOnsenDetails,
   checkValidation,
   sanitizeString,
 
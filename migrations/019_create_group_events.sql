@@ -0,0 +1,27 @@
+-- ============================================
+-- GROUP_EVENTS TABLE (Real-time group activity log)
+-- ============================================
+-- Append-only log of group state changes (check-ins, check-outs,
+-- joins, leaves, accommodation updates). Pushed to clients over
+-- Server-Sent Events; the serial id doubles as the SSE event id so
+-- reconnecting clients can resume with Last-Event-ID.
+--
+-- Run: node migrations/run-single-migration.js 019_create_group_events.sql
+
+CREATE TABLE IF NOT EXISTS group_events (
+  id BIGSERIAL PRIMARY KEY,
+  group_code VARCHAR(10) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,    -- 'checkin.created', 'member.joined', etc.
+  device_id VARCHAR(100),             -- Device that caused the change (if any)
+  payload JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Replay lookups: "events for group X after id N"
+CREATE INDEX IF NOT EXISTS idx_group_events_group_id ON group_events(group_code, id);
+CREATE INDEX IF NOT EXISTS idx_group_events_created ON group_events(created_at);
+
+-- Comments
+COMMENT ON TABLE group_events IS 'Append-only group activity log used for SSE push and resume';
+COMMENT ON COLUMN group_events.id IS 'Monotonic event id, sent to clients as the SSE event id';
+COMMENT ON COLUMN group_events.payload IS 'Event data - only fields already visible to group members';
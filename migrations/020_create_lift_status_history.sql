@@ -0,0 +1,49 @@
+-- ============================================
+-- LIFT STATUS HISTORY (Append-only scrape log)
+-- ============================================
+-- lift_status_cache keeps only the latest scrape per resort.
+-- These tables keep every in-season scrape and every per-lift
+-- status transition (open -> closed, open -> hold, etc.) so we can
+-- show today's timeline per lift and season opening stats.
+--
+-- Run: node migrations/run-single-migration.js 020_create_lift_status_history.sql
+
+-- One row per successful scrape
+CREATE TABLE IF NOT EXISTS lift_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+
+  -- Same structure as lift_status_cache.lift_data
+  lift_data JSONB NOT NULL,
+  lift_count INTEGER DEFAULT 0,
+  open_count INTEGER DEFAULT 0,
+  is_off_season BOOLEAN DEFAULT false,
+
+  -- Scrape metadata
+  scraped_at TIMESTAMPTZ DEFAULT NOW(),
+  scraper_version VARCHAR(20),
+  source_url VARCHAR(500)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lift_history_resort_scraped ON lift_status_history(resort_id, scraped_at DESC);
+
+-- One row per lift status change
+CREATE TABLE IF NOT EXISTS lift_status_events (
+  id BIGSERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+  history_id BIGINT REFERENCES lift_status_history(id) ON DELETE SET NULL,
+
+  lift_id INTEGER NOT NULL,            -- Scraper lift id (see liftScraper liftMappings)
+  lift_name VARCHAR(255),
+  previous_status VARCHAR(20),         -- NULL = first time we saw this lift
+  new_status VARCHAR(20) NOT NULL,     -- 'open', 'closed', 'hold', 'off-season', 'unknown'
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lift_events_resort_lift ON lift_status_events(resort_id, lift_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lift_events_resort_changed ON lift_status_events(resort_id, changed_at);
+
+-- Comments
+COMMENT ON TABLE lift_status_history IS 'Append-only log of lift status scrapes';
+COMMENT ON TABLE lift_status_events IS 'Per-lift status transitions detected between scrapes';
+COMMENT ON COLUMN lift_status_events.changed_at IS 'Scrape time the new status was first seen';
@@ -0,0 +1,66 @@
+-- ============================================
+-- RESORT_LIFTS TABLE (Lift mappings per resort)
+-- ============================================
+-- Maps each resort's lifts to the identifiers used on that resort's
+-- official lift status page. Read by the scraper registry
+-- (services/liftScrapers) so adding or renaming a lift is a data
+-- change, not a code change.
+--
+-- The status page URL lives in resorts.settings->>'lift_status_url'.
+--
+-- Run: node migrations/run-single-migration.js 021_create_resort_lifts.sql
+
+CREATE TABLE IF NOT EXISTS resort_lifts (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+
+  lift_id INTEGER NOT NULL,           -- Public lift id returned by the API
+  name VARCHAR(255) NOT NULL,         -- Display name, also matched against status table text
+  source_key VARCHAR(100),            -- Identifier on the status page (e.g. image file name)
+  priority INTEGER DEFAULT 3,         -- 1 = main access lifts, higher = less important
+  active BOOLEAN DEFAULT true,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(resort_id, lift_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resort_lifts_resort ON resort_lifts(resort_id) WHERE active = true;
+
+-- Comments
+COMMENT ON TABLE resort_lifts IS 'Lift mappings used by the per-resort lift status scrapers';
+COMMENT ON COLUMN resort_lifts.source_key IS 'Identifier matched on the resort status page (Nozawa: lift image name)';
+
+-- Nozawa Onsen status page
+UPDATE resorts
+SET settings = COALESCE(settings, '{}'::jsonb) ||
+  '{"lift_status_url": "https://en.nozawaski.com/the-mountain/moutain-info/slopes-lifts/"}'::jsonb,
+  updated_at = NOW()
+WHERE slug = 'nozawa';
+
+-- Seed Nozawa Onsen lifts (previously hard-coded in services/liftScraper.js)
+INSERT INTO resort_lifts (resort_id, lift_id, name, source_key, priority)
+SELECT r.id, l.lift_id, l.name, l.source_key, l.priority
+FROM resorts r
+CROSS JOIN (VALUES
+  (1,  'Nagasaka Gondola',             'new_nagasaka_g', 1),
+  (2,  'Hikage Gondola',               '3_hikageG',      1),
+  (3,  'Yamabiko Quad',                '22_yamabikoF',   2),
+  (4,  'Yamabiko No 2 Quad',           '21_yamabiko02F', 2),
+  (5,  'Skyline Double',               '20_skyline',     2),
+  (6,  'Uenotaira Quad',               '17_uenotaira',   2),
+  (7,  'Paradise Quad',                '16_paradise',    2),
+  (10, 'Challenge Double',             '15_challenge',   3),
+  (11, 'Utopia Double',                '14_yutopia',     3),
+  (12, 'Kandahar Double',              '12_kandahar',    3),
+  (14, 'Hikage Triple',                '4_hikageT',      3),
+  (15, 'Yu road',                      '13_yuroad',      4),
+  (16, 'Hikage Quad',                  '5_hikageF',      3),
+  (17, 'Nagasaka Triple',              '7_nagasakaT',    3),
+  (18, 'Nagasaka Quad',                '23_nagasakaF',   2),
+  (19, 'Nagasaka gondola-link Double', '9_nagasakaG',    3),
+  (20, 'Karasawa Double',              '10_karasawa',    3)
+) AS l(lift_id, name, source_key, priority)
+WHERE r.slug = 'nozawa'
+ON CONFLICT (resort_id, lift_id) DO NOTHING;
@@ -0,0 +1,36 @@
+-- ============================================
+-- RESORT_SEASON_OVERRIDES TABLE (Per-season date changes)
+-- ============================================
+-- The default ski season comes from resorts.season_start_* /
+-- season_end_*. When a resort opens early (good snow) or extends
+-- the season, admins record the actual dates for that season here
+-- instead of changing the defaults. Read by services/seasonService.js.
+--
+-- season_year = calendar year the season starts in
+-- (e.g. 2026 = the 2026-27 season opening in December 2026)
+--
+-- Run: node migrations/run-single-migration.js 022_create_resort_season_overrides.sql
+
+CREATE TABLE IF NOT EXISTS resort_season_overrides (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+  season_year INTEGER NOT NULL,
+
+  -- NULL = use the resort default for that end of the season
+  opens_on DATE,                       -- Early/late opening date
+  closes_on DATE,                      -- Early/late closing date
+  note TEXT,                           -- e.g. 'Early opening - record November snowfall'
+
+  updated_by VARCHAR(255),             -- Admin email
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(resort_id, season_year),
+  CHECK (opens_on IS NULL OR closes_on IS NULL OR opens_on < closes_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_overrides_resort ON resort_season_overrides(resort_id);
+
+-- Comments
+COMMENT ON TABLE resort_season_overrides IS 'Early opening / late closing dates for a specific ski season';
+COMMENT ON COLUMN resort_season_overrides.season_year IS 'Year the season starts in (2026 = 2026-27 season)';
@@ -0,0 +1,51 @@
+-- ============================================
+-- RESORT_SCRAPE_WINDOWS TABLE (Lift scrape schedule per resort)
+-- ============================================
+-- Daily windows in which the lift scraper runs, in the resort's local
+-- time (resorts.timezone). Each window scrapes every interval_minutes
+-- from start_time up to and including end_time; a window with
+-- start_time = end_time runs once.
+--
+-- Read by services/scrapeSchedule.js. Edited through
+-- /api/admin/scheduler - the cron jobs are reloaded without a restart.
+-- Resorts with no windows fall back to the built-in default schedule.
+--
+-- Run: node migrations/run-single-migration.js 023_create_resort_scrape_windows.sql
+
+CREATE TABLE IF NOT EXISTS resort_scrape_windows (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+
+  label VARCHAR(100),                  -- e.g. 'Morning'
+  start_time TIME NOT NULL,            -- Resort local time
+  end_time TIME NOT NULL,              -- Resort local time (inclusive)
+  interval_minutes INTEGER NOT NULL DEFAULT 30,
+  sort_order INTEGER DEFAULT 0,
+  active BOOLEAN DEFAULT true,
+
+  updated_by VARCHAR(255),             -- Admin email
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CHECK (start_time <= end_time),
+  CHECK (interval_minutes >= 5)        -- Never more often than the scheduler's MIN_SCRAPE_INTERVAL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_windows_resort ON resort_scrape_windows(resort_id) WHERE active = true;
+
+-- Comments
+COMMENT ON TABLE resort_scrape_windows IS 'Daily lift scrape windows per resort (resort local time)';
+COMMENT ON COLUMN resort_scrape_windows.interval_minutes IS 'Minutes between scrapes inside the window';
+
+-- Nozawa Onsen: the schedule previously hard-coded in services/scheduler.js
+INSERT INTO resort_scrape_windows (resort_id, label, start_time, end_time, interval_minutes, sort_order)
+SELECT r.id, w.label, w.start_time::time, w.end_time::time, w.interval_minutes, w.sort_order
+FROM resorts r
+CROSS JOIN (VALUES
+  ('Morning',   '06:00', '09:45', 15, 1),
+  ('Midday',    '10:00', '14:30', 30, 2),
+  ('Afternoon', '15:00', '16:45', 15, 3),
+  ('Evening',   '17:00', '17:00', 15, 4)
+) AS w(label, start_time, end_time, interval_minutes, sort_order)
+WHERE r.slug = 'nozawa'
+  AND NOT EXISTS (SELECT 1 FROM resort_scrape_windows s WHERE s.resort_id = r.id);
@@ -0,0 +1,69 @@
+-- ============================================
+-- WEATHER HISTORY TABLES (Per-run log + hourly snowfall history)
+-- ============================================
+-- weather_cache only keeps the latest forecast per resort. These tables
+-- keep what each fetch said so we can total up snowfall over time and
+-- compare forecasts with what actually fell.
+--
+-- weather_runs:   one row per fresh fetch from WWO / Open-Meteo
+-- weather_hourly: one row per resort, elevation and hour
+--   - snowfall_cm etc. = latest value for that hour. Once the hour has
+--     passed (observed = true) this is the best estimate of what fell.
+--   - forecast_* = the day-ahead forecast for that hour (the run closest
+--     to 24h before it, at least 24h ahead)
+--
+-- Written by services/weatherHistory.js from both weather services'
+-- saveToPostgreSQL().
+--
+-- Run: node migrations/run-single-migration.js 024_create_weather_history.sql
+
+CREATE TABLE IF NOT EXISTS weather_runs (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL,          -- 'wwo' or 'open-meteo'
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  snow_line TEXT,
+
+  -- Forecast snowfall totals at fetch time (cm)
+  village_next_24h_snowfall DECIMAL(5,2),
+  mid_mountain_next_24h_snowfall DECIMAL(5,2),
+  summit_next_24h_snowfall DECIMAL(5,2),
+
+  hours_recorded INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_weather_runs_resort_time ON weather_runs(resort_id, fetched_at DESC);
+
+CREATE TABLE IF NOT EXISTS weather_hourly (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL REFERENCES resorts(id) ON DELETE CASCADE,
+  elevation_name VARCHAR(50) NOT NULL,  -- 'Village', 'Mid-Mountain', 'Summit'
+  elevation_m INTEGER,
+  valid_at TIMESTAMPTZ NOT NULL,        -- Hour the values apply to
+
+  -- Latest known values (observed once the hour has passed)
+  snowfall_cm DECIMAL(5,2),
+  precipitation_mm DECIMAL(6,2),
+  temperature_c DECIMAL(4,1),
+  weather_code INTEGER,
+  observed BOOLEAN DEFAULT false,
+  source VARCHAR(20),
+  run_id INTEGER REFERENCES weather_runs(id) ON DELETE SET NULL,
+
+  -- Day-ahead forecast for this hour
+  forecast_snowfall_cm DECIMAL(5,2),
+  forecast_lead_hours INTEGER,
+  forecast_run_id INTEGER REFERENCES weather_runs(id) ON DELETE SET NULL,
+
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(resort_id, elevation_name, valid_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_weather_hourly_resort_time ON weather_hourly(resort_id, valid_at DESC);
+
+-- Comments
+COMMENT ON TABLE weather_runs IS 'One row per fresh weather fetch (any source)';
+COMMENT ON TABLE weather_hourly IS 'Hourly weather history per elevation: latest values plus the day-ahead forecast';
+COMMENT ON COLUMN weather_hourly.observed IS 'true once the hour has passed - snowfall_cm is then what fell';
+COMMENT ON COLUMN weather_hourly.forecast_lead_hours IS 'How far ahead the stored forecast was made (>= 24)';
@@ -0,0 +1,66 @@
+-- ============================================
+-- ALERT SUBSCRIPTIONS (Powder alerts per device)
+-- ============================================
+-- Users subscribe by device id to weather alerts such as
+-- "20cm+ forecast at Summit in the next 24h" or "snow line at village".
+-- Evaluated by services/powderAlerts.js each time the weather data is
+-- refreshed.
+--
+-- Dedup:
+-- - alert_subscriptions.triggered: alert already sent for the current
+--   spell of the condition being true; reset once it's false again
+-- - alert_deliveries UNIQUE(subscription_id, storm_key): never more than
+--   one alert per subscription per storm
+--
+-- Run: node migrations/run-single-migration.js 025_create_alert_subscriptions.sql
+
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL DEFAULT 1 REFERENCES resorts(id) ON DELETE CASCADE,
+  device_id VARCHAR(255) NOT NULL,
+
+  alert_type VARCHAR(30) NOT NULL CHECK (alert_type IN ('snowfall_24h', 'snow_line_village')),
+  elevation VARCHAR(50) NOT NULL DEFAULT 'Summit'
+    CHECK (elevation IN ('Village', 'Mid-Mountain', 'Summit')),
+  threshold_cm DECIMAL(5,1),           -- snowfall_24h only
+
+  -- Delivery
+  delivery_method VARCHAR(20) NOT NULL CHECK (delivery_method IN ('push', 'webhook')),
+  delivery_target TEXT NOT NULL,       -- Expo push token or https webhook URL
+
+  -- Trigger state
+  triggered BOOLEAN DEFAULT false,
+  last_triggered_at TIMESTAMPTZ,
+  last_value DECIMAL(6,2),
+
+  active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(device_id, alert_type, elevation)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_active ON alert_subscriptions(resort_id) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_device ON alert_subscriptions(device_id);
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL REFERENCES alert_subscriptions(id) ON DELETE CASCADE,
+  storm_key VARCHAR(100) NOT NULL,     -- e.g. 'snowfall_24h:Summit:2026-12-14'
+  triggered_value DECIMAL(6,2),
+  title TEXT,
+  message TEXT,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ,
+
+  UNIQUE(subscription_id, storm_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_created ON alert_deliveries(created_at DESC);
+
+-- Comments
+COMMENT ON TABLE alert_subscriptions IS 'Powder alert subscriptions per device';
+COMMENT ON COLUMN alert_subscriptions.triggered IS 'Alert sent and condition still true - reset when the condition clears';
+COMMENT ON TABLE alert_deliveries IS 'Sent powder alerts - one per subscription per storm';
@@ -0,0 +1,71 @@
+-- ============================================
+-- GROUP OWNERSHIP, MODERATION & EXPIRY
+-- ============================================
+-- Groups get an owner (the creating device), an optional name, member
+-- roles (owner / admin / member), a join lock and an archived state.
+-- Groups expire at the end of the resort's ski season: once expires_at
+-- passes, services/groupService.js archives them and they become
+-- read-only.
+--
+-- Rotating a join code keeps the old code in group_code_history so
+-- existing members can find the new one.
+--
+-- Run: node migrations/run-single-migration.js 026_add_group_ownership.sql
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS name VARCHAR(100);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS owner_device_id VARCHAR(255);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS join_locked BOOLEAN DEFAULT false;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- expires_at was never set - make it timezone-aware (season end in resort time)
+ALTER TABLE groups ALTER COLUMN expires_at TYPE TIMESTAMPTZ USING expires_at AT TIME ZONE 'UTC';
+
+CREATE INDEX IF NOT EXISTS idx_groups_owner ON groups(owner_device_id);
+
+ALTER TABLE group_members ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'member';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'group_members_role_check'
+  ) THEN
+    ALTER TABLE group_members ADD CONSTRAINT group_members_role_check
+      CHECK (role IN ('owner', 'admin', 'member'));
+  END IF;
+END $$;
+
+-- Backfill: existing groups are owned by their longest-standing member
+UPDATE groups g
+SET owner_device_id = first_member.device_id
+FROM (
+  SELECT DISTINCT ON (group_code) group_code, device_id
+  FROM group_members
+  ORDER BY group_code, joined_at ASC, id ASC
+) first_member
+WHERE g.code = first_member.group_code
+  AND g.owner_device_id IS NULL;
+
+UPDATE group_members m
+SET role = 'owner'
+FROM groups g
+WHERE g.code = m.group_code
+  AND g.owner_device_id = m.device_id
+  AND m.role = 'member';
+
+CREATE TABLE IF NOT EXISTS group_code_history (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  code VARCHAR(6) NOT NULL,            -- Retired code
+  rotated_by VARCHAR(255),             -- Device that rotated it
+  rotated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_code_history_code ON group_code_history(code);
+
+-- Comments
+COMMENT ON COLUMN groups.owner_device_id IS 'Device that created the group (passed on if the owner leaves)';
+COMMENT ON COLUMN groups.join_locked IS 'true = no new members can join with the code';
+COMMENT ON COLUMN groups.archived_at IS 'Set when the group expires - archived groups are read-only';
+COMMENT ON COLUMN group_members.role IS 'owner, admin or member - owners and admins can moderate the group';
+COMMENT ON TABLE group_code_history IS 'Retired join codes, so existing members can find a rotated code';
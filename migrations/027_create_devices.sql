@@ -0,0 +1,34 @@
+-- ============================================
+-- DEVICES TABLE (Device registration for signed device tokens)
+-- ============================================
+-- Group endpoints used to trust any deviceId in the request body. Apps
+-- now register their device id once (POST /api/devices/register) and get
+-- a signed device token back, which group routes check against the
+-- acting device (middleware/auth.js authenticateDevice).
+--
+-- The first registration claims a device id. Once claimed, requests for
+-- that device must carry its token. Unregistered (legacy) devices are
+-- allowed without a token until DEVICE_AUTH_GRACE_UNTIL.
+--
+-- Run: node migrations/run-single-migration.js 027_create_devices.sql
+
+CREATE TABLE IF NOT EXISTS devices (
+  id SERIAL PRIMARY KEY,
+  device_id VARCHAR(255) NOT NULL UNIQUE,
+  platform VARCHAR(20),                -- 'ios', 'android', 'web'
+  app_version VARCHAR(50),
+
+  -- Bumped to invalidate every token issued so far
+  token_version INTEGER NOT NULL DEFAULT 1,
+
+  registered_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices(last_seen_at);
+
+-- Comments
+COMMENT ON TABLE devices IS 'Registered app installs - each one holds a signed device token';
+COMMENT ON COLUMN devices.token_version IS 'Must match the version in the device token (bump to revoke tokens)';
+COMMENT ON COLUMN devices.revoked_at IS 'Set by an admin reset - the device can register again';
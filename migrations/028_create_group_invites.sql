@@ -0,0 +1,33 @@
+-- ============================================
+-- GROUP INVITES (Expiring invite tokens)
+-- ============================================
+-- Members share an invite link / QR code instead of the 6-digit code.
+-- The token is long and random, so unlike the code it can't be guessed;
+-- accepting it grants membership (POST /api/invites/:token/accept).
+-- Numeric codes keep working for manual entry, but failed code lookups
+-- are throttled per IP and per device.
+--
+-- Invites made by the owner/admins also work while joining is locked.
+--
+-- Run: node migrations/run-single-migration.js 028_create_group_invites.sql
+
+CREATE TABLE IF NOT EXISTS group_invites (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  token VARCHAR(64) NOT NULL UNIQUE,   -- Random, URL-safe
+  created_by VARCHAR(255) NOT NULL,    -- Device that created the invite
+  created_by_moderator BOOLEAN DEFAULT false,
+
+  expires_at TIMESTAMPTZ NOT NULL,
+  max_uses INTEGER,                    -- NULL = unlimited until expiry
+  use_count INTEGER NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_invites_group ON group_invites(group_id);
+
+-- Comments
+COMMENT ON TABLE group_invites IS 'Expiring invite tokens for deep links / QR codes - grant group membership';
+COMMENT ON COLUMN group_invites.created_by_moderator IS 'Created by the owner or an admin - still valid while joining is locked';
@@ -0,0 +1,98 @@
+-- ============================================
+-- MEETUPS (RSVPs and change history)
+-- ============================================
+-- Meetups used to be checkin_new rows with scheduled_for set, which only
+-- supported create and cancel. They now have their own tables:
+--
+-- meetups:        one row per meetup (status scheduled / cancelled)
+-- meetup_rsvps:   going / maybe / declined per member
+-- meetup_changes: who changed the time, place or note, and from what
+--
+-- Legacy clients still create and cancel meetups through /checkin and
+-- /checkout, so each meetup keeps a linked checkin_new row
+-- (legacy_checkin_id) that services/meetupService.js keeps in sync.
+--
+-- Run: node migrations/run-single-migration.js 029_create_meetups.sql
+
+CREATE TABLE IF NOT EXISTS meetups (
+  id SERIAL PRIMARY KEY,
+  group_code VARCHAR(10) NOT NULL,
+  created_by VARCHAR(255) NOT NULL,    -- Device that created the meetup
+  creator_name VARCHAR(100),
+
+  place_id VARCHAR(255),
+  place_name VARCHAR(255),
+  scheduled_for TIMESTAMPTZ NOT NULL,
+  note VARCHAR(200),
+
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+  cancelled_at TIMESTAMPTZ,
+
+  legacy_checkin_id INTEGER UNIQUE,    -- Linked checkin_new row (legacy clients)
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meetups_group_time ON meetups(group_code, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_meetups_created_by ON meetups(created_by);
+
+CREATE TABLE IF NOT EXISTS meetup_rsvps (
+  id SERIAL PRIMARY KEY,
+  meetup_id INTEGER NOT NULL REFERENCES meetups(id) ON DELETE CASCADE,
+  device_id VARCHAR(255) NOT NULL,
+  user_name VARCHAR(100),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('going', 'maybe', 'declined')),
+  responded_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(meetup_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meetup_rsvps_device ON meetup_rsvps(device_id);
+
+CREATE TABLE IF NOT EXISTS meetup_changes (
+  id SERIAL PRIMARY KEY,
+  meetup_id INTEGER NOT NULL REFERENCES meetups(id) ON DELETE CASCADE,
+  changed_by VARCHAR(255),
+  change_type VARCHAR(20) NOT NULL,    -- 'edited', 'rescheduled', 'cancelled'
+  changes JSONB DEFAULT '{}'::jsonb,   -- { field: { from, to } }
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meetup_changes_meetup ON meetup_changes(meetup_id, created_at);
+
+-- Backfill existing meetups from checkin_new
+-- Checked out = cancelled; expired (inactive, never checked out) stay scheduled in the past
+INSERT INTO meetups (
+  group_code, created_by, creator_name, place_id, place_name, scheduled_for, note,
+  status, cancelled_at, legacy_checkin_id, created_at, updated_at
+)
+SELECT
+  c.group_code,
+  c.device_id,
+  c.user_name,
+  c.place_id,
+  c.place_name,
+  c.scheduled_for,
+  c.meetup_note,
+  CASE WHEN c.checked_out_at IS NOT NULL THEN 'cancelled' ELSE 'scheduled' END,
+  CASE WHEN c.checked_out_at IS NOT NULL THEN to_timestamp(c.checked_out_at / 1000.0) END,
+  c.id,
+  to_timestamp(c.checked_in_at / 1000.0),
+  to_timestamp(COALESCE(c.checked_out_at, c.checked_in_at) / 1000.0)
+FROM checkin_new c
+WHERE c.scheduled_for IS NOT NULL
+  AND c.group_code IS NOT NULL
+ON CONFLICT (legacy_checkin_id) DO NOTHING;
+
+-- Creators are going to their own meetups
+INSERT INTO meetup_rsvps (meetup_id, device_id, user_name, status, responded_at)
+SELECT id, created_by, creator_name, 'going', created_at
+FROM meetups
+ON CONFLICT (meetup_id, device_id) DO NOTHING;
+
+-- Comments
+COMMENT ON TABLE meetups IS 'Planned meetups within a group - replaces checkin_new rows with scheduled_for';
+COMMENT ON COLUMN meetups.legacy_checkin_id IS 'checkin_new row mirrored for legacy clients (kept in sync on edit/cancel)';
+COMMENT ON TABLE meetup_rsvps IS 'Member responses to a meetup (going / maybe / declined)';
+COMMENT ON TABLE meetup_changes IS 'Edit history for meetups';
@@ -0,0 +1,19 @@
+-- ============================================
+-- GROUP CALENDAR FEED TOKEN
+-- ============================================
+-- Each group gets an iCalendar (.ics) subscription URL listing its
+-- upcoming meetups: GET /api/calendar/:token.ics
+--
+-- The feed is fetched by calendar apps without a device token, so it is
+-- protected by a long random token instead of the 6-digit group code.
+-- Created on first request (GET /api/groups/:code/calendar); the owner or
+-- an admin can reset it if the link leaks.
+--
+-- Run: node migrations/run-single-migration.js 030_add_group_calendar_token.sql
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_groups_calendar_token ON groups(calendar_token);
+
+-- Comments
+COMMENT ON COLUMN groups.calendar_token IS 'Secret token for the group''s .ics meetup feed (NULL until first requested)';
@@ -0,0 +1,31 @@
+-- ============================================
+-- CHECK-IN EXPIRY (checkout_reason)
+-- ============================================
+-- Check-ins and meetups used to expire only as a side effect of
+-- GET /api/groups/:code/checkins, so /members could show stale
+-- "currently_at" data. They are now expired by a scheduled job
+-- (services/checkinExpiry.js) with per-category durations, and every
+-- deactivated row records why it ended:
+--
+--   checked_out - the user checked out (or left the group)
+--   replaced    - auto-checkout when checking in somewhere else
+--   expired     - expiry job (checked_out_at stays NULL, as before)
+--   cancelled   - meetup cancelled
+--   archived    - group archived at season end
+--
+-- Run: node migrations/run-single-migration.js 031_add_checkout_reason.sql
+
+ALTER TABLE checkin_new ADD COLUMN IF NOT EXISTS checkout_reason VARCHAR(20);
+
+-- Existing inactive rows: checked out if they have a checkout time, else expired
+UPDATE checkin_new
+SET checkout_reason = CASE WHEN checked_out_at IS NOT NULL THEN 'checked_out' ELSE 'expired' END
+WHERE is_active = false AND checkout_reason IS NULL;
+
+-- Expiry job scans active check-ins across all groups
+CREATE INDEX IF NOT EXISTS idx_checkin_active_expiry
+ON checkin_new(checked_in_at)
+WHERE is_active = true AND scheduled_for IS NULL;
+
+-- Comments
+COMMENT ON COLUMN checkin_new.checkout_reason IS 'Why the row became inactive: checked_out, replaced, expired, cancelled, archived (NULL while active)';
@@ -0,0 +1,214 @@
+-- ============================================
+-- GROUP CHECK-INS (Unified check-in model)
+-- ============================================
+-- Replaces the two check-in tables:
+--
+--   checkin_new - used by the app; keyed on group_code with a free-text
+--                 place_id / place_name, Unix-ms BIGINT timestamps and
+--                 accommodation coords as a JSON string
+--   checkins    - the original relational table (group_id / places FKs),
+--                 never written by the current app
+--
+-- group_checkins references groups(id) and places(id), stores TIMESTAMPTZ
+-- and JSONB coords. The id the client sent is kept in place_external_id
+-- (accommodations and custom spots aren't in places). Reads prefer the
+-- current places.name, so renames propagate. Group endpoints keep their
+-- response shapes (services/checkinService.js formatLegacyCheckin).
+--
+-- MIGRATION PATH
+-- 1. Run this migration (backfills both old tables)
+-- 2. Deploy the server that reads/writes group_checkins
+-- 3. Run this migration again - the backfill is idempotent
+--    (legacy_*_id) and picks up rows old instances wrote during the deploy
+-- 4. Once stable, drop checkin_new and checkins in a later migration
+--
+-- Run: node migrations/run-single-migration.js 032_create_group_checkins.sql
+
+CREATE TABLE IF NOT EXISTS group_checkins (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+
+  -- Place (place_id is NULL for places not in the database)
+  place_id INTEGER REFERENCES places(id) ON DELETE SET NULL,
+  place_external_id VARCHAR(255),      -- Id sent by the app (Google place_id / custom)
+  place_name VARCHAR(255),             -- Name at check-in time (fallback if not in places)
+
+  -- User identity (anonymous via device ID)
+  device_id VARCHAR(255) NOT NULL,
+  user_name VARCHAR(100),
+
+  -- Timing
+  checked_in_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  checked_out_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  checkout_reason VARCHAR(20),         -- checked_out, replaced, expired, cancelled, archived
+
+  -- Meetup mirror rows for legacy clients (see meetups.checkin_id)
+  scheduled_for TIMESTAMPTZ,
+  meetup_note VARCHAR(200),
+
+  -- Accommodation sharing (optional)
+  accommodation_place_id VARCHAR(255),
+  accommodation_coords JSONB,          -- [lng, lat]
+  accommodation_name VARCHAR(255),
+  display_accommodation_to_group BOOLEAN DEFAULT false,
+
+  -- Backfill source (idempotent re-runs)
+  legacy_checkin_new_id INTEGER UNIQUE,
+  legacy_checkins_id INTEGER UNIQUE,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_checkins_group_active ON group_checkins(group_id, is_active, device_id);
+CREATE INDEX IF NOT EXISTS idx_group_checkins_group_time ON group_checkins(group_id, checked_in_at DESC);
+CREATE INDEX IF NOT EXISTS idx_group_checkins_device ON group_checkins(device_id);
+CREATE INDEX IF NOT EXISTS idx_group_checkins_place ON group_checkins(place_id);
+CREATE INDEX IF NOT EXISTS idx_group_checkins_expiry ON group_checkins(checked_in_at)
+  WHERE is_active = true AND scheduled_for IS NULL;
+
+-- Coords in checkin_new are JSON strings - skip any that don't parse
+CREATE OR REPLACE FUNCTION pg_temp.try_jsonb(value TEXT) RETURNS JSONB AS $$
+BEGIN
+  RETURN value::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill from checkin_new (rows whose group still exists)
+INSERT INTO group_checkins (
+  group_id, place_id, place_external_id, place_name, device_id, user_name,
+  checked_in_at, checked_out_at, is_active, checkout_reason, scheduled_for, meetup_note,
+  accommodation_place_id, accommodation_coords, accommodation_name, display_accommodation_to_group,
+  legacy_checkin_new_id, created_at
+)
+SELECT
+  g.id,
+  p.id,
+  c.place_id,
+  c.place_name,
+  c.device_id,
+  c.user_name,
+  to_timestamp(c.checked_in_at / 1000.0),
+  to_timestamp(c.checked_out_at / 1000.0),
+  COALESCE(c.is_active, false),
+  c.checkout_reason,
+  c.scheduled_for,
+  c.meetup_note,
+  c.accommodation_place_id,
+  pg_temp.try_jsonb(c.accommodation_coords),
+  c.accommodation_name,
+  COALESCE(c.display_accommodation_to_group, false),
+  c.id,
+  to_timestamp(c.checked_in_at / 1000.0)
+FROM checkin_new c
+JOIN groups g ON g.code = c.group_code
+LEFT JOIN LATERAL (
+  SELECT id FROM places
+  WHERE resort_id = g.resort_id
+    AND (external_id = c.place_id OR google_place_id = c.place_id)
+  ORDER BY id
+  LIMIT 1
+) p ON true
+ON CONFLICT (legacy_checkin_new_id) DO NOTHING;
+
+-- Backfill from the original checkins table (if it has the relational layout)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'checkins' AND column_name = 'group_id'
+  ) THEN
+    INSERT INTO group_checkins (
+      group_id, place_id, place_external_id, place_name, device_id, user_name,
+      checked_in_at, checked_out_at, is_active, checkout_reason,
+      accommodation_place_id, accommodation_coords, accommodation_name, display_accommodation_to_group,
+      legacy_checkins_id, created_at
+    )
+    SELECT
+      c.group_id,
+      c.place_id,
+      COALESCE(c.place_external_id, p.external_id),
+      COALESCE(c.place_name, p.name),
+      c.device_id,
+      c.user_name,
+      to_timestamp(c.checked_in_at / 1000.0),
+      to_timestamp(c.checked_out_at / 1000.0),
+      COALESCE(c.is_active, false),
+      CASE
+        WHEN c.is_active THEN NULL
+        WHEN c.checked_out_at IS NOT NULL THEN 'checked_out'
+        ELSE 'expired'
+      END,
+      c.accommodation_place_id,
+      c.accommodation_coords,
+      c.accommodation_name,
+      COALESCE(c.display_accommodation_to_group, false),
+      c.id,
+      COALESCE(c.created_at, to_timestamp(c.checked_in_at / 1000.0))
+    FROM checkins c
+    LEFT JOIN places p ON p.id = c.place_id
+    ON CONFLICT (legacy_checkins_id) DO NOTHING;
+  END IF;
+END $$;
+
+-- Meetups link to their mirror row in group_checkins
+ALTER TABLE meetups ADD COLUMN IF NOT EXISTS checkin_id INTEGER REFERENCES group_checkins(id) ON DELETE SET NULL;
+
+UPDATE meetups m
+SET checkin_id = gc.id
+FROM group_checkins gc
+WHERE gc.legacy_checkin_new_id = m.legacy_checkin_id
+  AND m.checkin_id IS NULL;
+
+-- Views: join check-ins to places
+DROP VIEW IF EXISTS active_checkins;
+CREATE VIEW active_checkins AS
+SELECT
+  c.*,
+  g.resort_id,
+  g.code AS group_code,
+  COALESCE(p.name, c.place_name) AS current_place_name,
+  p.category AS current_place_category,
+  p.latitude AS current_place_lat,
+  p.longitude AS current_place_lng
+FROM group_checkins c
+JOIN groups g ON c.group_id = g.id
+LEFT JOIN places p ON c.place_id = p.id
+WHERE c.is_active = true
+  AND c.scheduled_for IS NULL;
+
+COMMENT ON VIEW active_checkins IS 'Only active check-ins (not expired, not checked out) - expiry runs in services/checkinExpiry.js';
+
+CREATE OR REPLACE VIEW resort_stats AS
+SELECT
+  r.id as resort_id,
+  r.slug,
+  r.name,
+  r.status,
+  COUNT(DISTINCT p.id) as total_places,
+  COUNT(DISTINCT p.id) FILTER (WHERE p.category = 'restaurant') as restaurant_count,
+  COUNT(DISTINCT p.id) FILTER (WHERE p.category = 'onsen') as onsen_count,
+  COUNT(DISTINCT p.id) FILTER (WHERE p.category = 'lift') as lift_count,
+  COUNT(DISTINCT p.id) FILTER (WHERE p.visible_in_app = false) as hidden_count,
+  COUNT(DISTINCT po.id) as places_with_overrides,
+  COUNT(DISTINCT lk.id) as places_with_local_knowledge,
+  MAX(gd.synced_at) as last_google_sync,
+  COUNT(DISTINCT g.id) as active_groups,
+  COUNT(DISTINCT c.id) FILTER (WHERE c.is_active = true) as active_checkins
+FROM resorts r
+LEFT JOIN places p ON r.id = p.resort_id
+LEFT JOIN place_overrides po ON p.id = po.place_id
+LEFT JOIN place_local_knowledge lk ON p.id = lk.place_id
+LEFT JOIN place_google_data gd ON p.id = gd.place_id
+LEFT JOIN groups g ON r.id = g.resort_id
+LEFT JOIN group_checkins c ON g.id = c.group_id
+GROUP BY r.id, r.slug, r.name, r.status;
+
+-- Comments
+COMMENT ON TABLE group_checkins IS 'Check-ins and legacy meetup rows per group - replaces checkin_new and checkins';
+COMMENT ON COLUMN group_checkins.place_id IS 'places.id when the app''s place id matches a known place (NULL for accommodations / custom spots)';
+COMMENT ON COLUMN group_checkins.place_external_id IS 'Place id as sent by the app - returned as place_id in legacy responses';
+COMMENT ON COLUMN meetups.checkin_id IS 'group_checkins row mirrored for legacy clients (replaces legacy_checkin_id)';
+COMMENT ON COLUMN meetups.legacy_checkin_id IS 'DEPRECATED: checkin_new row from before migration 032';
@@ -0,0 +1,57 @@
+-- ============================================
+-- GEOFENCING (Automatic check-in / check-out)
+-- ============================================
+-- Members who opt in (per group) post location pings to
+-- POST /api/devices/:deviceId/location. Pings are matched against place
+-- coordinates with per-category radii (services/geofenceService.js):
+--
+--   - Confident matches check the member in once they have stayed a few
+--     minutes (dwell), in every group they opted in for
+--   - Low-confidence matches (poor GPS accuracy, places close together)
+--     become "you appear to be at X, confirm?" suggestions instead
+--   - Automatic check-ins end after consecutive pings well outside the
+--     radius (checkout_reason = 'left_geofence'); manual check-ins are
+--     never closed by geofencing
+--
+-- Raw coordinates are not stored - only where each device currently is.
+--
+-- Run: node migrations/run-single-migration.js 033_add_geofencing.sql
+
+-- Opt-in per group membership
+ALTER TABLE group_members ADD COLUMN IF NOT EXISTS auto_checkin BOOLEAN NOT NULL DEFAULT false;
+
+-- Where a check-in came from
+ALTER TABLE group_checkins ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'manual';
+
+-- Current geofence state per device (hysteresis)
+CREATE TABLE IF NOT EXISTS geofence_presence (
+  device_id VARCHAR(255) PRIMARY KEY,
+  place_id INTEGER NOT NULL REFERENCES places(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'checked_in', 'suggested')),
+  entered_at TIMESTAMPTZ NOT NULL,     -- First ping inside the radius
+  last_ping_at TIMESTAMPTZ NOT NULL,
+  low_confidence BOOLEAN NOT NULL DEFAULT false,
+  outside_pings INTEGER NOT NULL DEFAULT 0
+);
+
+-- "You appear to be at X" suggestions for low-confidence matches
+CREATE TABLE IF NOT EXISTS geofence_suggestions (
+  id SERIAL PRIMARY KEY,
+  device_id VARCHAR(255) NOT NULL,
+  place_id INTEGER NOT NULL REFERENCES places(id) ON DELETE CASCADE,
+  distance_m INTEGER,
+  accuracy_m INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'dismissed', 'expired')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  responded_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_geofence_suggestions_device ON geofence_suggestions(device_id, status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_group_members_auto_checkin ON group_members(device_id) WHERE auto_checkin = true;
+
+-- Comments
+COMMENT ON COLUMN group_members.auto_checkin IS 'Member opted in to geofenced automatic check-in for this group';
+COMMENT ON COLUMN group_checkins.source IS 'manual (tapped check in) or geofence (automatic / confirmed suggestion)';
+COMMENT ON TABLE geofence_presence IS 'Place each opted-in device is currently at or approaching - no location history';
+COMMENT ON TABLE geofence_suggestions IS 'Low-confidence geofence matches waiting for the member to confirm';
@@ -0,0 +1,64 @@
+-- ============================================
+-- GROUP SAFETY CHECKS (Overdue-member alerts)
+-- ============================================
+-- Groups can add rules such as "alert if a member hasn't checked in or
+-- pinged within 60 minutes after the last lift closes". The last closing
+-- time comes from the scraped lift hours (lift_status_cache).
+--
+-- services/safetyService.js evaluates rules every few minutes. A member
+-- is overdue when they were seen today before the lifts closed but not
+-- since (group_members.last_seen_at - updated by check-ins, location
+-- pings and other group activity). Members not seen at all today are
+-- assumed not to be on the mountain.
+--
+-- The other members are notified (services/groupNotifier.js) and the
+-- overdue member can answer "I'm OK". Seeing the member again also
+-- resolves the alert.
+--
+-- Run: node migrations/run-single-migration.js 034_create_group_safety.sql
+
+CREATE TABLE IF NOT EXISTS group_safety_rules (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+
+  rule_type VARCHAR(30) NOT NULL,      -- see safetyService.RULE_TYPES
+  minutes INTEGER NOT NULL CHECK (minutes BETWEEN 0 AND 360),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_safety_rules_group ON group_safety_rules(group_id);
+
+CREATE TABLE IF NOT EXISTS group_safety_alerts (
+  id SERIAL PRIMARY KEY,
+  rule_id INTEGER REFERENCES group_safety_rules(id) ON DELETE SET NULL,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  device_id VARCHAR(255) NOT NULL,     -- The overdue member
+  user_name VARCHAR(100),
+
+  alert_date DATE NOT NULL,            -- Resort local date
+  deadline TIMESTAMPTZ NOT NULL,       -- Last lift close + rule minutes
+  last_seen_at TIMESTAMPTZ,            -- When the member was last seen
+
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  acknowledged_at TIMESTAMPTZ,         -- "I'm OK"
+  resolved_at TIMESTAMPTZ,             -- Seen again
+
+  UNIQUE(rule_id, device_id, alert_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_safety_alerts_group ON group_safety_alerts(group_id, status);
+CREATE INDEX IF NOT EXISTS idx_group_safety_alerts_device ON group_safety_alerts(device_id);
+
+-- Where a member wants safety alerts delivered (push token / webhook)
+ALTER TABLE group_members ADD COLUMN IF NOT EXISTS safety_delivery_method VARCHAR(20);
+ALTER TABLE group_members ADD COLUMN IF NOT EXISTS safety_delivery_target TEXT;
+
+-- Comments
+COMMENT ON TABLE group_safety_rules IS 'Per-group overdue-member rules evaluated by services/safetyService.js';
+COMMENT ON TABLE group_safety_alerts IS 'Overdue-member alerts - at most one per rule, member and day';
+COMMENT ON COLUMN group_members.safety_delivery_method IS 'alertDelivery method for safety alerts (push / webhook), NULL = in-app only';
@@ -0,0 +1,73 @@
+-- ============================================
+-- PLACE SEARCH (Trigram + full-text, kana/romaji aware)
+-- ============================================
+-- place_search_documents holds one row per place with everything search
+-- looks at, folded by services/transliteration.js so romaji, hiragana
+-- and katakana spellings meet ("kawahara" / "かわはら" / "カワハラ"):
+--   names   - name, name_local, aliases, plus their romaji / kana forms
+--   content - cuisine, category, editorial summary, description, tips
+-- Rows are rebuilt by services/searchService.js (after admin edits and
+-- nightly), not by triggers - folding happens in JavaScript.
+--
+-- place_aliases adds readings and nicknames the names don't carry
+-- (e.g. kanji-only names, "Ogama" for 麻釜).
+--
+-- search_misses counts queries that found nothing, for the content team
+-- (GET /api/admin/resorts/:resortId/search/misses).
+--
+-- Run: node migrations/run-single-migration.js 035_create_place_search.sql
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS place_aliases (
+  id SERIAL PRIMARY KEY,
+  place_id INTEGER NOT NULL REFERENCES places(id) ON DELETE CASCADE,
+  alias VARCHAR(200) NOT NULL,
+  created_by VARCHAR(255),             -- Admin email
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(place_id, alias)
+);
+
+CREATE INDEX IF NOT EXISTS idx_place_aliases_place ON place_aliases(place_id);
+
+CREATE TABLE IF NOT EXISTS place_search_documents (
+  place_id INTEGER PRIMARY KEY REFERENCES places(id) ON DELETE CASCADE,
+  resort_id INTEGER NOT NULL,
+
+  names TEXT NOT NULL,                 -- Folded name variants
+  content TEXT NOT NULL DEFAULT '',    -- As written (for snippets)
+  content_folded TEXT NOT NULL DEFAULT '',
+
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', names), 'A') ||
+    setweight(to_tsvector('simple', content), 'B')
+  ) STORED,
+
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_place_search_resort ON place_search_documents(resort_id);
+CREATE INDEX IF NOT EXISTS idx_place_search_names_trgm ON place_search_documents USING GIN (names gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_place_search_content_trgm ON place_search_documents USING GIN (content_folded gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_place_search_vector ON place_search_documents USING GIN (search_vector);
+
+CREATE TABLE IF NOT EXISTS search_misses (
+  id SERIAL PRIMARY KEY,
+  resort_id INTEGER NOT NULL,
+  query_folded VARCHAR(200) NOT NULL,  -- Grouping key
+  query VARCHAR(200) NOT NULL,         -- Latest spelling as typed
+  category VARCHAR(50),                -- Category filter of the latest miss
+  miss_count INTEGER NOT NULL DEFAULT 1,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(resort_id, query_folded)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_misses_recent ON search_misses(resort_id, last_seen_at DESC);
+
+-- Comments
+COMMENT ON TABLE place_aliases IS 'Extra names / readings for place search (admin-managed)';
+COMMENT ON TABLE place_search_documents IS 'Folded search text per place, rebuilt by services/searchService.js';
+COMMENT ON TABLE search_misses IS 'Search queries that returned no places, for the content team';
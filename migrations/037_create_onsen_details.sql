@@ -0,0 +1,59 @@
+-- ============================================
+-- ONSEN DETAILS (Structured onsen info)
+-- ============================================
+-- Water temperature, hours, entrance fee, facilities and gender
+-- arrangement per onsen. Replaces the local_info strings that were only
+-- kept in nozawa_places_unified.json (and place_overrides.custom_fields
+-- for admin edits, which the API never read).
+--
+-- opening_hours uses the Google "periods" format so services/openingHours.js
+-- can evaluate open_now; it applies when the place has no hours_override
+-- or Google hours. The *_note columns keep the text shown to visitors
+-- ("Hot (40-42°C)", "Free (donation box available)").
+--
+-- Temperature bands (services/onsenService.js):
+--   mild     - up to about 41°C, comfortable for most visitors
+--   hot      - about 41-44°C
+--   very_hot - above 44°C
+--
+-- Fill from the JSON file after running this:
+--   node scripts/migrateOnsenDetails.js [--dry-run]
+--
+-- Run: node migrations/run-single-migration.js 037_create_onsen_details.sql
+
+CREATE TABLE IF NOT EXISTS onsen_details (
+  place_id INTEGER PRIMARY KEY REFERENCES places(id) ON DELETE CASCADE,
+
+  -- Water temperature
+  temperature_band VARCHAR(10) CHECK (temperature_band IN ('mild', 'hot', 'very_hot')),
+  temperature_min_c SMALLINT,
+  temperature_max_c SMALLINT,
+  temperature_note VARCHAR(200),
+
+  -- Hours
+  opening_hours JSONB,                 -- Google periods format
+  hours_note VARCHAR(200),
+
+  -- Entrance fee
+  fee_yen INTEGER CHECK (fee_yen >= 0), -- 0 = free, NULL = unknown
+  donation_box BOOLEAN NOT NULL DEFAULT false,
+  fee_note VARCHAR(200),
+
+  -- Facilities, e.g. {washing_area, lockers} (see onsenService.FACILITIES)
+  facilities TEXT[] NOT NULL DEFAULT '{}',
+
+  -- Gender arrangement
+  gender_arrangement VARCHAR(20) CHECK (gender_arrangement IN ('separate', 'alternating', 'mixed')),
+  gender_schedule VARCHAR(500),        -- e.g. "Sides swap daily at 3pm"
+
+  updated_by VARCHAR(255),             -- Admin email (or 'migration')
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_onsen_details_temperature ON onsen_details(temperature_band);
+
+-- Comments
+COMMENT ON TABLE onsen_details IS 'Structured onsen info (temperature, hours, fee, facilities, gender arrangement) - admin-managed';
+COMMENT ON COLUMN onsen_details.opening_hours IS 'Google periods format, used when the place has no hours_override / Google hours';
+COMMENT ON COLUMN onsen_details.temperature_band IS 'mild (up to ~41°C), hot (~41-44°C), very_hot (above 44°C)';
@@ -0,0 +1,22 @@
+-- ============================================
+-- MEETUP EXPIRED STATUS
+-- ============================================
+-- services/checkinExpiry.js expires meetups past their grace period, but
+-- only closed the mirrored group_checkins row, so meetups.status stayed
+-- 'scheduled' forever. Expiry now marks the meetup 'expired' as well.
+--
+-- Meetups whose mirror row was already expired are backfilled.
+--
+-- Run: node migrations/run-single-migration.js 038_add_meetup_expired_status.sql
+
+ALTER TABLE meetups DROP CONSTRAINT IF EXISTS meetups_status_check;
+ALTER TABLE meetups ADD CONSTRAINT meetups_status_check
+  CHECK (status IN ('scheduled', 'cancelled', 'expired'));
+
+UPDATE meetups m
+SET status = 'expired', updated_at = NOW()
+FROM group_checkins c
+WHERE c.id = m.checkin_id
+  AND m.status = 'scheduled'
+  AND c.is_active = false
+  AND c.checkout_reason = 'expired';
@@ -0,0 +1,15 @@
+-- ============================================
+-- RETIRED DEVICE IDS
+-- ============================================
+-- Device ids used to be chosen by the app and claimed on first
+-- registration, and revoked ids could be claimed again. Legacy ids were
+-- shown to every group member, so anyone could claim someone else's id
+-- and get a token for it.
+--
+-- Registration now issues the device id (services/deviceAuth.js). Revoked
+-- and erased ids keep their devices row and are never usable again.
+--
+-- Run: node migrations/run-single-migration.js 039_retire_revoked_devices.sql
+
+COMMENT ON COLUMN devices.device_id IS 'Issued by POST /api/devices/register (dev_...), or a legacy app-generated id claimed before 039';
+COMMENT ON COLUMN devices.revoked_at IS 'Set by an admin reset or erasure - the id is retired and never works again';
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Single Migration Runner
+ *
+ * Runs one SQL migration file against the configured database.
+ * Use this for incremental migrations added after the initial schema.
+ *
+ * Usage: node migrations/run-single-migration.js 019_create_group_events.sql
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+async function runMigration(filename) {
+  const filePath = path.join(__dirname, filename);
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ Migration file not found: ${filename}`);
+    process.exit(1);
+  }
+
+  console.log(`📦 Running migration: ${filename}\n`);
+
+  try {
+    const sql = fs.readFileSync(filePath, 'utf8');
+    await pool.query(sql);
+    console.log(`✅ ${filename} completed\n`);
+  } catch (error) {
+    console.error(`❌ Migration failed: ${filename}`);
+    console.error(`Error: ${error.message}\n`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+const filename = process.argv[2];
+
+if (!filename) {
+  console.error('Usage: node migrations/run-single-migration.js <migration-file.sql>');
+  process.exit(1);
+}
+
+runMigration(filename);
@@ -0,0 +1,134 @@
+/**
+ * Powder Alert Routes
+ *
+ * Devices subscribe to weather alerts (e.g. "20cm+ at Summit in the next
+ * 24h"). Subscriptions are evaluated by services/powderAlerts.js whenever
+ * the weather data refreshes, and delivered by push or webhook.
+ *
+ * All endpoints are rate-limited. Subscription endpoints act for the
+ * verified device (authenticateDevice).
+ */
+
+const express = require('express');
+const router = express.Router();
+const powderAlerts = require('../services/powderAlerts');
+const alertDelivery = require('../services/alertDelivery');
+const { apiLimiter, validateAlertSubscription, checkValidation } = require('../middleware/security');
+const { authenticateDevice } = require('../middleware/auth');
+
+const formatSubscription = (row) => ({
+  id: row.id,
+  type: row.alert_type,
+  elevation: row.elevation,
+  thresholdCm: row.threshold_cm !== null ? parseFloat(row.threshold_cm) : null,
+  delivery: { method: row.delivery_method },
+  triggered: row.triggered,
+  lastTriggeredAt: row.last_triggered_at,
+  lastAlert: row.last_alert_at
+    ? { title: row.last_alert_title, status: row.last_alert_status, at: row.last_alert_at }
+    : null,
+  createdAt: row.created_at
+});
+
+/**
+ * GET /api/alerts/types
+ * Alert types, elevations and delivery methods a device can subscribe with
+ */
+router.get('/types', apiLimiter, (req, res) => {
+  res.json({
+    success: true,
+    types: powderAlerts.ALERT_TYPES,
+    elevations: powderAlerts.ELEVATIONS,
+    deliveryMethods: alertDelivery.getDeliveryMethods(),
+    defaultThresholdCm: powderAlerts.DEFAULT_THRESHOLD_CM
+  });
+});
+
+/**
+ * POST /api/alerts/subscriptions
+ * Subscribe a device (re-subscribing to the same type + elevation updates it)
+ *
+ * Body: { deviceId, type, elevation, thresholdCm, delivery: { method, target } }
+ */
+router.post('/subscriptions', apiLimiter, authenticateDevice, validateAlertSubscription, checkValidation, async (req, res) => {
+  try {
+    const { type, elevation = 'Summit', thresholdCm = null, delivery } = req.body;
+
+    const targetError = alertDelivery.validateTarget(delivery.method, delivery.target);
+    if (targetError) {
+      return res.status(400).json({ error: 'Validation failed', message: targetError });
+    }
+
+    const subscription = await powderAlerts.subscribe(req.device.id, {
+      alertType: type,
+      elevation,
+      thresholdCm,
+      deliveryMethod: delivery.method,
+      deliveryTarget: delivery.target
+    });
+
+    console.log(`🔔 Powder alert subscription: ${type} @ ${elevation} (${delivery.method})`);
+
+    res.status(201).json({
+      success: true,
+      subscription: formatSubscription(subscription)
+    });
+
+  } catch (error) {
+    console.error('Error creating alert subscription:', error);
+    res.status(500).json({
+      error: 'Failed to create alert subscription',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/subscriptions?deviceId=...
+ * A device's active subscriptions with the last alert sent for each
+ */
+router.get('/subscriptions', apiLimiter, authenticateDevice, async (req, res) => {
+  try {
+    const deviceId = req.device.id;
+
+    const subscriptions = await powderAlerts.getSubscriptions(deviceId);
+
+    res.json({
+      success: true,
+      subscriptions: subscriptions.map(formatSubscription)
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert subscriptions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert subscriptions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/alerts/subscriptions/:id?deviceId=...
+ * Cancel a subscription (only the subscribing device can)
+ */
+router.delete('/subscriptions/:id', apiLimiter, authenticateDevice, async (req, res) => {
+  try {
+    const deviceId = req.device.id;
+
+    const deleted = await powderAlerts.unsubscribe(deviceId, parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error deleting alert subscription:', error);
+    res.status(500).json({
+      error: 'Failed to delete alert subscription',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * Device Registration Routes
+ *
+ * Apps register once and get a device id and signed device token, sent
+ * as "Authorization: Bearer <token>" on group and alert endpoints.
+ * See services/deviceAuth.js.
+ *
+ * Devices can also export or erase everything stored for them
+ * (services/privacyService.js), and post location pings for automatic
+ * check-in (services/geofenceService.js). These need the device token -
+ * legacy device ids were visible to other group members, so deviceId
+ * alone is never enough here, even during the grace period.
+ *
+ * All endpoints are rate-limited.
+ */
+
+const express = require('express');
+const router = express.Router();
+const deviceAuth = require('../services/deviceAuth');
+const privacyService = require('../services/privacyService');
+const geofenceService = require('../services/geofenceService');
+const { requireDeviceToken } = require('../middleware/auth');
+const { apiLimiter, validateDeviceRegistration, validateLocationPing, checkValidation } = require('../middleware/security');
+
+/**
+ * POST /api/devices/register
+ * Register the app and get a device id and device token
+ *
+ * Body: { platform, appVersion }
+ * Without a token a new device id is issued (a deviceId in the body is
+ * ignored - ids can't be claimed). With the current token (Authorization
+ * header) the id is kept and the token rotated; the old token stops working.
+ */
+router.post('/register', apiLimiter, validateDeviceRegistration, checkValidation, async (req, res) => {
+  try {
+    const { platform, appVersion } = req.body;
+
+    let currentToken = null;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        currentToken = deviceAuth.verifyDeviceToken(authHeader.slice(7));
+      } catch (error) {
+        // Invalid token - treated as a new registration
+      }
+    }
+
+    const registration = await deviceAuth.registerDevice({ platform, appVersion }, currentToken);
+    if (!registration) {
+      return res.status(401).json({
+        error: 'Device token revoked',
+        message: 'Register without a token to get a new device id'
+      });
+    }
+
+    const { device, token } = registration;
+    console.log(`📱 Device registered: ${device.device_id} (${device.platform || 'unknown platform'}, token v${device.token_version})`);
+
+    res.status(201).json({
+      success: true,
+      deviceId: device.device_id,
+      token,
+      registeredAt: device.registered_at
+    });
+
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({
+      error: 'Failed to register device',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/data
+ * Export everything stored for the device: group memberships, check-in
+ * history, meetups, RSVPs, accommodation and alert subscriptions
+ */
+router.get('/:deviceId/data', apiLimiter, requireDeviceToken, async (req, res) => {
+  try {
+    const data = await privacyService.exportDeviceData(req.device.id);
+
+    res.set('Content-Disposition', `attachment; filename="nozawa-data-${req.device.id}.json"`);
+    res.json(data);
+
+  } catch (error) {
+    console.error('Error exporting device data:', error);
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/data/erasure-confirmation
+ * Get a confirmation token for erasing the device's data (valid 10 minutes)
+ *
+ * The app asks for it once the user has confirmed, right before erasing.
+ */
+router.post('/:deviceId/data/erasure-confirmation', apiLimiter, requireDeviceToken, (req, res) => {
+  const { token, expiresIn } = deviceAuth.signErasureToken(req.device.id);
+
+  res.json({ success: true, confirmationToken: token, expiresIn });
+});
+
+/**
+ * DELETE /api/devices/:deviceId/data
+ * Erase everything stored for the device across all groups
+ *
+ * Body: { confirmationToken } from POST .../data/erasure-confirmation
+ * The device token stops working and the id is retired; the app can
+ * register again for a new one.
+ */
+router.delete('/:deviceId/data', apiLimiter, requireDeviceToken, async (req, res) => {
+  if (!deviceAuth.checkErasureToken(req.body?.confirmationToken, req.device.id)) {
+    return res.status(403).json({
+      error: 'Confirmation required',
+      message: 'Get a confirmation token from POST /api/devices/:deviceId/data/erasure-confirmation and send it as confirmationToken'
+    });
+  }
+
+  try {
+    const erased = await privacyService.eraseDeviceData(req.device.id);
+
+    res.json({
+      success: true,
+      message: 'All data for this device has been erased',
+      erased
+    });
+
+  } catch (error) {
+    console.error('Error erasing device data:', error);
+    res.status(500).json({
+      error: 'Failed to erase data',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/location
+ * Location ping for automatic check-in / check-out
+ *
+ * Body: { lat, lng, accuracy (meters), timestamp (ms) }
+ * Only acts for groups the member opted in to
+ * (PUT /api/groups/:code/members/:deviceId/auto-checkin). Low-confidence
+ * matches come back as a suggestion to confirm instead of a check-in.
+ */
+router.post('/:deviceId/location', apiLimiter, requireDeviceToken, validateLocationPing, checkValidation, async (req, res) => {
+  try {
+    const { lat, lng, accuracy, timestamp } = req.body;
+    const result = await geofenceService.recordPing(req.device.id, { lat, lng, accuracy, timestamp });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error handling location ping:', error);
+    res.status(500).json({
+      error: 'Failed to handle location ping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/location/suggestions
+ * Pending "you appear to be at X, confirm?" suggestions
+ */
+router.get('/:deviceId/location/suggestions', apiLimiter, requireDeviceToken, async (req, res) => {
+  try {
+    const suggestions = await geofenceService.getSuggestions(req.device.id);
+
+    res.json({ success: true, suggestions, count: suggestions.length });
+
+  } catch (error) {
+    console.error('Error fetching check-in suggestions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch suggestions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/location/suggestions/:id/confirm
+ * POST /api/devices/:deviceId/location/suggestions/:id/dismiss
+ * Confirming checks the member in (in every opted-in group at that resort)
+ */
+router.post('/:deviceId/location/suggestions/:id/:response(confirm|dismiss)', apiLimiter, requireDeviceToken, async (req, res) => {
+  try {
+    const suggestionId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(suggestionId)) {
+      return res.status(400).json({ error: 'Invalid suggestion id' });
+    }
+
+    const result = await geofenceService.respondToSuggestion(req.device.id, suggestionId, req.params.response === 'confirm');
+    if (!result) {
+      return res.status(404).json({
+        error: 'Suggestion not found',
+        message: 'It may have expired or already been answered'
+      });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error responding to check-in suggestion:', error);
+    res.status(500).json({
+      error: 'Failed to respond to suggestion',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,74 +1,211 @@
 const express = require('express');
 const router = express.Router();
-const NozawaLiftScraper = require('../services/liftScraper');
 const scheduler = require('../services/scheduler');
-const { apiLimiter } = require('../middleware/security');
-const scraper = new NozawaLiftScraper();
-let cachedData = null;
-let cacheTime = null;
-
-// Helper to check cache freshness
-const isCacheFresh = (minutes = 10) => {
-  if (!cacheTime) return false;
-  const age = Date.now() - cacheTime;
-  return age < minutes * 60 * 1000;
+const liftHistory = require('../services/liftHistory');
+const seasonService = require('../services/seasonService');
+const { apiLimiter, adminLimiter, validateLiftHistoryQuery, checkValidation } = require('../middleware/security');
+const { authenticateAdminOrApiKey, hasResortAccess } = require('../middleware/auth');
+
+// Lift list from the resort's mappings when we have no scraped data.
+// Out of season every lift is off-season; otherwise the status is unknown.
+const buildPlaceholderStatus = (scraper) => {
+  const inSeason = scraper ? scraper.isInSeason() : true;
+
+  return {
+    lifts: (scraper ? scraper.lifts : []).map(lift => scraper.toLift(lift, inSeason ? 'unknown' : 'off-season')),
+    scrapedAt: null,
+    isOffSeason: !inSeason
+  };
 };
 
 // Get lift status (rate limited)
+// Query: resort=<slug> (default: nozawa)
+//
+// Every response includes freshness:
+// - live:    recent scrape (or last scrape still valid overnight / off-season)
+// - stale:   scraping is failing or data is older than expected
+// - unknown: no scraped data - lifts are listed with status 'unknown'
 router.get('/status', apiLimiter, async (req, res) => {
+  const scraper = req.query.resort
+    ? scheduler.getScraperBySlug(req.query.resort)
+    : scheduler.getScraper();
+
   try {
-    // 1. Check scheduler cache first (primary source)
-    const schedulerData = scheduler.getLatestScrapeResults();
-    if (schedulerData && schedulerData.lifts) {
-      return res.json({
-        ...schedulerData,
-        cached: true,
-        source: 'scheduler'
+    if (req.query.resort && !scraper) {
+      return res.status(404).json({
+        error: 'Resort not found',
+        message: `No lift scraper for resort: ${req.query.resort}`
       });
     }
-    
-    // 2. Check local route cache (backup)
-    if (cachedData && isCacheFresh(10)) {
+
+    const resortId = scraper ? scraper.resort.id : undefined;
+    const { freshness, health } = scheduler.getLiftDataHealth(resortId);
+    const healthSummary = {
+      consecutiveFailures: health.consecutiveFailures,
+      lastSuccessAt: health.lastSuccessAt,
+      lastAttemptAt: health.lastAttemptAt,
+      anomaly: health.anomaly ? health.anomaly.type : null
+    };
+
+    // 1. Scheduler cache (primary source)
+    const schedulerData = scheduler.getLatestScrapeResults(resortId);
+    if (schedulerData && schedulerData.lifts && freshness !== 'unknown') {
       return res.json({
-        ...cachedData,
+        ...schedulerData,
         cached: true,
-        source: 'route-cache'
+        source: 'scheduler',
+        freshness,
+        ageMinutes: health.lastSuccessAgeMinutes,
+        health: healthSummary
       });
     }
-    
-    // 3. NO CACHE AVAILABLE - Return test data (DO NOT SCRAPE!)
-    console.log('⚠️  No cached lift data available, returning test data');
-    const testData = scraper.generateTestData();
+
+    // 2. No real data - list lifts without inventing a status (DO NOT SCRAPE!)
+    // Out of season the calendar tells us every lift is closed for the season
+    const placeholder = buildPlaceholderStatus(scraper);
+    const seasonKnown = placeholder.isOffSeason;
+
+    console.log('⚠️  No scraped lift data available, returning lift list without status');
     return res.json({
-      ...testData,
+      ...placeholder,
       cached: false,
-      source: 'test-data',
-      message: 'No cached data available - showing test data'
+      source: seasonKnown ? 'season-calendar' : 'none',
+      freshness: seasonKnown ? 'live' : 'unknown',
+      ageMinutes: null,
+      health: healthSummary,
+      message: seasonKnown
+        ? 'Outside ski season - all lifts closed for the season'
+        : 'No lift data available yet'
     });
-    
+
   } catch (error) {
     console.error('Error in /status endpoint:', error);
-    const testData = scraper.generateTestData();
+    res.status(500).json({
+      error: 'Failed to fetch lift status',
+      message: error.message,
+      freshness: 'unknown'
+    });
+  }
+});
+
+// Get today's status timeline for each lift (rate limited)
+// Query: date=YYYY-MM-DD (resort local, default today), lift_id (optional),
+//        resort_id (default: 1)
+router.get('/timeline', apiLimiter, validateLiftHistoryQuery, checkValidation, async (req, res) => {
+  try {
+    const { date, lift_id } = req.query;
+    const resortId = req.query.resort_id || 1;
+
+    const timeline = await liftHistory.getDayTimeline(resortId, date || null, lift_id || null);
+
+    if (!timeline) {
+      return res.status(404).json({ error: 'Resort not found', message: `No resort with id ${resortId}` });
+    }
+
     res.json({
-      ...testData,
-      error: true,
-      source: 'test-data'
+      success: true,
+      ...timeline
+    });
+  } catch (error) {
+    console.error('Error in /timeline endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to fetch lift timeline',
+      message: error.message
     });
   }
 });
 
+// Get season opening stats per lift (rate limited)
+// Query: since=YYYY-MM-DD (default: start of current season), resort_id (default: 1)
+router.get('/season-stats', apiLimiter, validateLiftHistoryQuery, checkValidation, async (req, res) => {
+  try {
+    const resortId = req.query.resort_id || 1;
+
+    const stats = await liftHistory.getSeasonStats(resortId, req.query.since || null);
+
+    if (!stats) {
+      return res.status(404).json({ error: 'Resort not found', message: `No resort with id ${resortId}` });
+    }
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error in /season-stats endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to fetch season stats',
+      message: error.message
+    });
+  }
+});
+
+// Scrape a resort now (admin JWT or X-API-Key)
+// Query: resort=<slug> (default: nozawa)
+// Runs even out of season, but never more than once per MIN_SCRAPE_INTERVAL.
+router.post('/scrape', adminLimiter, authenticateAdminOrApiKey, async (req, res) => {
+  const scraper = req.query.resort
+    ? scheduler.getScraperBySlug(req.query.resort)
+    : scheduler.getScraper();
+
+  if (!scraper) {
+    return res.status(404).json({
+      error: 'Resort not found',
+      message: `No lift scraper for resort: ${req.query.resort || 'default'}`
+    });
+  }
+
+  if (!hasResortAccess(req.admin, scraper.resort.id)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this resort'
+    });
+  }
+
+  try {
+    console.log(`Manual lift scrape for ${scraper.resort.slug} requested by ${req.admin.email}`);
+    const outcome = await scheduler.scrapeNow(scraper.resort.id);
+
+    if (outcome.status === 'skipped') {
+      res.set('Retry-After', String(outcome.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too soon',
+        message: `Last scrape attempt was under 5 minutes ago. Retry in ${outcome.retryAfterSeconds} seconds.`,
+        ...outcome
+      });
+    }
+
+    const { freshness } = scheduler.getLiftDataHealth(scraper.resort.id);
+
+    res.status(outcome.status === 'success' ? 200 : 502).json({
+      success: outcome.status === 'success',
+      resort: scraper.resort.slug,
+      ...outcome,
+      freshness,
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error running manual lift scrape:', error);
+    res.status(500).json({
+      error: 'Failed to scrape lift status',
+      message: error.message
+    });
+  }
+});
 
 // Get scheduler and system status (rate limited)
 router.get('/status-info', apiLimiter, (req, res) => {
   const now = new Date();
   const jst = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Tokyo"}));
   
-  // Check if we're in ski season
-  const month = jst.getMonth();
-  const day = jst.getDate();
-  const isSkiSeason = (month === 11 && day >= 10) ||  // Dec 10-31
-                      (month >= 0 && month <= 2) ||   // Jan-March
-                      (month === 3 && day <= 30);     // April 1-30
+  // Season dates come from the resort config (incl. early opening / late closing)
+  const seasonInfo = seasonService.getSeasonInfo(1, now);
+  const isSkiSeason = seasonInfo ? seasonInfo.inSeason : false;
+  const upcoming = seasonInfo && (seasonInfo.current || seasonInfo.next);
+
+  const latestData = scheduler.getLatestScrapeResults();
+  const { freshness, health } = scheduler.getLiftDataHealth();
   
   res.json({
     system: {
@@ -79,19 +216,30 @@ router.get('/status-info', apiLimiter, (req, res) => {
     season: {
       isCurrentlySkiSeason: isSkiSeason,
       currentMonth: jst.toLocaleString('en-US', {month: 'long', timeZone: "Asia/Tokyo"}),
-      seasonDates: 'December 10 - April 30',
-      daysUntilSeason: !isSkiSeason ? 'Season ended or not started' : 'Currently in season'
+      seasonDates: seasonService.getSeasonLabel(1),
+      season: upcoming ? upcoming.label : null,
+      opensOn: upcoming ? upcoming.opensOn : null,
+      closesOn: upcoming ? upcoming.closesOn : null,
+      datesSource: upcoming ? upcoming.source : null,
+      note: upcoming ? upcoming.note : null,
+      daysUntilSeason: isSkiSeason
+        ? 'Currently in season'
+        : seasonInfo?.daysUntilOpen != null ? seasonInfo.daysUntilOpen : 'Season ended or not started',
+      daysUntilClose: seasonInfo ? seasonInfo.daysUntilClose : null
     },
     cache: {
-      hasCachedData: !!cachedData,
-      cacheAge: cacheTime ? Math.floor((Date.now() - cacheTime) / 1000) + ' seconds' : 'No cache',
-      cacheExpired: cacheTime ? !isCacheFresh(10) : true,
-      lastScrapeTime: cachedData?.scrapedAt || null
+      hasCachedData: !!latestData,
+      freshness,
+      lastScrapeTime: health.lastSuccessAt,
+      ageMinutes: health.lastSuccessAgeMinutes,
+      consecutiveFailures: health.consecutiveFailures,
+      anomaly: health.anomaly ? health.anomaly.type : null
     },
     endpoints: {
       liveStatus: '/api/lifts/status',
-      testData: '/api/lifts/test',
-      manualScrape: '/api/lifts/scrape (POST with apiKey)',
+      timeline: '/api/lifts/timeline',
+      seasonStats: '/api/lifts/season-stats',
+      manualScrape: '/api/lifts/scrape (POST with admin token or X-API-Key)',
       statusInfo: '/api/lifts/status-info'
     }
   });
@@ -0,0 +1,208 @@
+/**
+ * Meetup Routes
+ *
+ * Mounted at /api/groups/:code/meetups. Meetups have RSVPs per member and
+ * a change history; see services/meetupService.js. Legacy clients can
+ * still create/cancel meetups through /checkin and /checkout.
+ *
+ * Writes act for the verified device (authenticateDevice). The creator or
+ * the group owner/admins can edit and cancel a meetup.
+ *
+ * All endpoints are rate-limited.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const meetupService = require('../services/meetupService');
+const groupService = require('../services/groupService');
+const memberIds = require('../services/memberIds');
+const { authenticateDevice } = require('../middleware/auth');
+const { loadGroup, requireActiveGroup, requireGroupRole } = require('../middleware/groups');
+const {
+  apiLimiter,
+  validateMeetup,
+  validateMeetupUpdate,
+  validateRsvp,
+  validateIdParam,
+  checkValidation
+} = require('../middleware/security');
+
+const requireGroupMember = requireGroupRole(...groupService.ROLES);
+
+/**
+ * Middleware to load req.params.meetupId into req.meetup (404 if not in this group)
+ * Routes validate the id first (validateIdParam('meetupId'))
+ */
+async function loadMeetup(req, res, next) {
+  try {
+    const meetup = await meetupService.getMeetup(req.group.code, req.params.meetupId);
+    if (!meetup) {
+      return res.status(404).json({ error: 'Meetup not found' });
+    }
+
+    req.meetup = meetup;
+    next();
+
+  } catch (error) {
+    console.error('Error loading meetup:', error);
+    res.status(500).json({ error: 'Failed to load meetup', message: error.message });
+  }
+}
+
+/**
+ * Middleware to allow only the creator or a group owner/admin to change a meetup
+ */
+function requireMeetupOrganizer(req, res, next) {
+  const isCreator = req.meetup.created_by === req.member.device_id;
+  if (!isCreator && !groupService.MODERATOR_ROLES.includes(req.member.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the meetup creator or a group admin can change this meetup'
+    });
+  }
+
+  if (req.meetup.status !== 'scheduled') {
+    return res.status(409).json({ error: `Meetup already ${req.meetup.status}` });
+  }
+  next();
+}
+
+/**
+ * GET /api/groups/:code/meetups
+ * Upcoming meetups with attendees
+ *
+ * Query: includePast=true, includeCancelled=true
+ */
+router.get('/', apiLimiter, loadGroup, async (req, res) => {
+  try {
+    const meetups = await meetupService.getMeetups(req.group.code, {
+      includePast: req.query.includePast === 'true',
+      includeCancelled: req.query.includeCancelled === 'true'
+    });
+
+    res.json({
+      success: true,
+      group_code: req.group.code,
+      meetups: meetups.map(meetupService.formatMeetup),
+      count: meetups.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching meetups:', error);
+    res.status(500).json({ error: 'Failed to fetch meetups', message: error.message });
+  }
+});
+
+/**
+ * POST /api/groups/:code/meetups
+ * Plan a meetup (the creator is marked as going)
+ *
+ * Body: { deviceId, userName, placeId, placeName, scheduledFor, note }
+ */
+router.post('/', apiLimiter, authenticateDevice, validateMeetup, checkValidation, loadGroup, requireActiveGroup, requireGroupMember, async (req, res) => {
+  try {
+    const { userName, placeId, placeName, scheduledFor, note } = req.body;
+
+    const { meetup } = await meetupService.createMeetup(req.group.code, {
+      deviceId: req.device.id, userName, placeId, placeName, scheduledFor, note
+    });
+
+    res.status(201).json({ success: true, meetup: meetupService.formatMeetup(meetup) });
+
+  } catch (error) {
+    console.error('Error creating meetup:', error);
+    res.status(500).json({ error: 'Failed to create meetup', message: error.message });
+  }
+});
+
+/**
+ * GET /api/groups/:code/meetups/:meetupId
+ * One meetup with attendees and its change history
+ */
+router.get('/:meetupId', apiLimiter, validateIdParam('meetupId'), checkValidation, loadGroup, loadMeetup, async (req, res) => {
+  try {
+    const changes = await meetupService.getChanges(req.meetup.id);
+
+    res.json({
+      success: true,
+      meetup: meetupService.formatMeetup(req.meetup),
+      changes: changes.map(change => ({
+        type: change.change_type,
+        changedBy: memberIds.getMemberId(req.group.code, change.changed_by),
+        changes: change.changes,
+        at: change.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching meetup:', error);
+    res.status(500).json({ error: 'Failed to fetch meetup', message: error.message });
+  }
+});
+
+/**
+ * PATCH /api/groups/:code/meetups/:meetupId
+ * Edit or reschedule a meetup
+ *
+ * Body: { deviceId, scheduledFor, placeId, placeName, note } (any of the last four)
+ */
+router.patch('/:meetupId', apiLimiter, authenticateDevice, validateIdParam('meetupId'), validateMeetupUpdate, checkValidation, loadGroup, requireActiveGroup, requireGroupMember, loadMeetup, requireMeetupOrganizer, async (req, res) => {
+  try {
+    const { scheduledFor, placeId, placeName, note } = req.body;
+
+    const meetup = await meetupService.updateMeetup(req.meetup, req.device.id, {
+      scheduledFor, placeId, placeName, note
+    });
+
+    res.json({ success: true, meetup: meetupService.formatMeetup(meetup) });
+
+  } catch (error) {
+    console.error('Error updating meetup:', error);
+    res.status(500).json({ error: 'Failed to update meetup', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/groups/:code/meetups/:meetupId
+ * Cancel a meetup (kept in history as cancelled)
+ */
+router.delete('/:meetupId', apiLimiter, authenticateDevice, validateIdParam('meetupId'), checkValidation, loadGroup, requireActiveGroup, requireGroupMember, loadMeetup, requireMeetupOrganizer, async (req, res) => {
+  try {
+    await meetupService.cancelMeetup(req.meetup, req.device.id);
+
+    res.json({ success: true, message: 'Meetup cancelled' });
+
+  } catch (error) {
+    console.error('Error cancelling meetup:', error);
+    res.status(500).json({ error: 'Failed to cancel meetup', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/groups/:code/meetups/:meetupId/rsvp
+ * Respond to a meetup
+ *
+ * Body: { deviceId, status: going|maybe|declined, userName }
+ */
+router.put('/:meetupId/rsvp', apiLimiter, authenticateDevice, validateIdParam('meetupId'), validateRsvp, checkValidation, loadGroup, requireActiveGroup, requireGroupMember, loadMeetup, async (req, res) => {
+  try {
+    if (req.meetup.status !== 'scheduled') {
+      return res.status(409).json({ error: `Meetup already ${req.meetup.status}` });
+    }
+
+    const meetup = await meetupService.setRsvp(
+      req.meetup,
+      req.device.id,
+      req.body.userName || req.member.user_name,
+      req.body.status
+    );
+
+    res.json({ success: true, meetup: meetupService.formatMeetup(meetup) });
+
+  } catch (error) {
+    console.error('Error saving RSVP:', error);
+    res.status(500).json({ error: 'Failed to save RSVP', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,68 +4,79 @@
  * V2 API endpoints that read from PostgreSQL instead of JSON files.
  * Uses the places_with_merged_data view for efficient querying.
  *
+ * Place endpoints return local knowledge in the language from ?lang= or
+ * Accept-Language (en, ja, zh, ko), falling back to English per field
+ * (services/localization.js).
+ *
+ * Onsens carry onsen_details (temperature band, hours, fee, facilities,
+ * gender arrangement) and the local_info text built from it
+ * (services/onsenService.js).
+ *
  * Feature flag: ENABLE_POSTGRES_READ
  */
 
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/pool');
-const fs = require('fs');
-const path = require('path');
-
-// Load onsen local_info data from JSON (temporary until migrated to PostgreSQL)
-let onsenLocalInfo = {};
-try {
-  const jsonPath = path.join(__dirname, '..', 'nozawa_places_unified.json');
-  console.log(`[Onsen Enrichment] Attempting to load JSON from: ${jsonPath}`);
-
-  if (!fs.existsSync(jsonPath)) {
-    console.warn(`[Onsen Enrichment] JSON file not found at ${jsonPath}`);
-  } else {
-    const rawData = fs.readFileSync(jsonPath, 'utf8');
-    const data = JSON.parse(rawData);
-
-    // Build lookup map: external_id -> local_info
-    data.places.forEach(place => {
-      if (place.category === 'onsen' && place.local_info) {
-        // Use external_id or name as key
-        const key = place.external_id || place.name;
-        onsenLocalInfo[key] = {
-          description: place.description || null,
-          local_tips: place.local_tips || null,
-          local_info: place.local_info
-        };
-      }
-    });
-    console.log(`[Onsen Enrichment] ✅ Loaded local_info for ${Object.keys(onsenLocalInfo).length} onsens`);
-  }
-} catch (error) {
-  console.error(`[Onsen Enrichment] ❌ Failed to load onsen local_info:`, error.message);
+const openingHours = require('../services/openingHours');
+const geo = require('../services/geo');
+const searchService = require('../services/searchService');
+const localization = require('../services/localization');
+const onsenService = require('../services/onsenService');
+const { apiLimiter } = require('../middleware/security');
+
+/**
+ * Parse the temperature filter (comma-separated bands)
+ *
+ * @returns {string[]|null} Bands, [] if not given, null if invalid
+ */
+function parseTemperatureFilter(value) {
+  if (!value) return [];
+  const bands = String(value).split(',').map(band => band.trim().toLowerCase()).filter(Boolean);
+  return bands.every(band => onsenService.TEMPERATURE_BANDS.includes(band)) ? bands : null;
+}
+
+function invalidTemperature(res) {
+  return res.status(400).json({
+    error: 'Invalid temperature',
+    message: `temperature must be one or more of: ${onsenService.TEMPERATURE_BANDS.join(', ')}`
+  });
+}
+
+// Onsens whose water is in one of the given bands
+function temperatureCondition(paramIndex) {
+  return `id IN (SELECT place_id FROM onsen_details WHERE temperature_band = ANY($${paramIndex}::text[]))`;
 }
 
 /**
- * Enrich place data with onsen-specific fields
- * Priority: PostgreSQL data > JSON fallback
+ * Onsen fields for the app: description and first tip from local
+ * knowledge, local_info text from onsen_details (attached by
+ * onsenService.attachOnsenDetails)
  */
 function enrichOnsenData(place) {
   if (place.category !== 'onsen') return place;
 
-  // Try to find local_info by external_id or name (for temperature, hours, etc.)
-  const key = place.external_id || place.name;
-  const localData = onsenLocalInfo[key];
-
-  // PostgreSQL data takes priority for description and tips
-  const description = place.description_override || localData?.description || null;
   const local_tips = (Array.isArray(place.tips) && place.tips.length > 0)
-    ? place.tips[0]  // Use first tip from PostgreSQL
-    : localData?.local_tips || null;
+    ? place.tips[0]
+    : null;
 
   return {
     ...place,
-    description,
+    description: place.description_override || null,
     local_tips,
-    // Keep local_info from JSON for temperature, hours, etc.
-    local_info: localData?.local_info || null
+    local_info: place.onsen_details
+      ? onsenService.toLocalInfo(place.onsen_details, local_tips)
+      : null
+  };
+}
+
+/**
+ * Add JST open/closed status from opening_hours (hours_override already merged by the view)
+ */
+function withHoursStatus(place, now = new Date()) {
+  return {
+    ...place,
+    hours_status: openingHours.getHoursStatus(place, now)
   };
 }
 
@@ -82,6 +93,9 @@ function enrichOnsenData(place) {
  * - offset: Pagination offset (default: 0)
  * - sort: Sort field (name, rating, category) (default: name)
  * - order: Sort order (asc, desc) (default: asc)
+ * - open_now: Only places open right now in JST (true)
+ * - temperature: Onsen water temperature, comma-separated (mild, hot, very_hot)
+ * - lang: Local knowledge language (en, ja, zh, ko; default: Accept-Language)
  */
 router.get('/places', async (req, res) => {
   try {
@@ -103,6 +117,12 @@ router.get('/places', async (req, res) => {
     const offset = parseInt(req.query.offset) || 0;
     const sort = req.query.sort || 'name';
     const order = req.query.order === 'desc' ? 'DESC' : 'ASC';
+    const open_now = req.query.open_now === 'true';
+    const temperature = parseTemperatureFilter(req.query.temperature);
+
+    if (!temperature) {
+      return invalidTemperature(res);
+    }
 
     // Build WHERE clause dynamically
     const conditions = ['resort_id = $1'];
@@ -127,6 +147,12 @@ router.get('/places', async (req, res) => {
       paramIndex++;
     }
 
+    if (temperature.length > 0) {
+      conditions.push(temperatureCondition(paramIndex));
+      params.push(temperature);
+      paramIndex++;
+    }
+
     // Validate sort field (prevent SQL injection)
     const validSortFields = ['name', 'rating', 'category', 'created_at', 'updated_at'];
     const sortField = validSortFields.includes(sort) ? sort : 'name';
@@ -178,29 +204,48 @@ router.get('/places', async (req, res) => {
       FROM places_with_merged_data
       WHERE ${whereClause}
       ORDER BY ${sortField} ${order}
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
 
-    params.push(limit, offset);
-
-    // Execute query
-    const result = await pool.query(query, params);
+    const now = new Date();
+    let rows;
+    let total;
+
+    if (open_now) {
+      // Hours are evaluated in JS, so filter before paginating
+      const result = await pool.query(query, params);
+      const places = await onsenService.attachOnsenDetails(result.rows);
+      const openRows = places.filter(place => openingHours.isOpenNow(place, now) === true);
+      total = openRows.length;
+      rows = openRows.slice(offset, offset + limit);
+    } else {
+      // Execute query
+      const result = await pool.query(
+        `${query} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+      rows = await onsenService.attachOnsenDetails(result.rows);
+
+      // Get total count for pagination
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM places_with_merged_data
+        WHERE ${whereClause}
+      `;
+      const countResult = await pool.query(countQuery, params);
+      total = parseInt(countResult.rows[0].total);
+    }
 
-    // Get total count for pagination
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM places_with_merged_data
-      WHERE ${whereClause}
-    `;
-    const countResult = await pool.query(countQuery, params.slice(0, paramIndex - 1));
-    const total = parseInt(countResult.rows[0].total);
+    const language = localization.negotiateLanguage(req);
+    rows = await localization.localizePlaces(rows, language);
 
-    // Enrich onsen data with local_info from JSON
-    const enrichedData = result.rows.map(enrichOnsenData);
+    // Enrich onsen data with local_info
+    const enrichedData = rows.map(place => withHoursStatus(enrichOnsenData(place), now));
 
     // Return results with pagination metadata
+    localization.setLanguageHeaders(res, language);
     res.json({
       success: true,
+      language,
       data: enrichedData,
       pagination: {
         total,
@@ -214,7 +259,9 @@ router.get('/places', async (req, res) => {
         resort_id,
         category: category || 'all',
         visible: visible !== undefined ? visible === 'true' : 'all',
-        search: search || null
+        search: search || null,
+        open_now,
+        temperature: temperature.length > 0 ? temperature : 'all'
       },
       source: 'postgresql'
     });
@@ -229,6 +276,259 @@ router.get('/places', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v2/places/nearby
+ * Places within a radius of a point, nearest first
+ *
+ * Distance is computed in SQL (haversine on latitude/longitude, with a
+ * bounding box to use idx_places_location). Each result has distance_m
+ * (straight line) and walking_minutes (estimate, see services/geo.js).
+ *
+ * Query Parameters:
+ * - lat, lng: Point to search from (required)
+ * - radius: Meters (default: 1000, max: 5000)
+ * - resort_id: Filter by resort (default: 1)
+ * - category: Filter by category, comma-separated (restaurant, onsen, lift)
+ * - min_rating: Only places rated at least this (e.g. 4.0)
+ * - open_now: Only places open right now in JST (true)
+ * - temperature: Onsen water temperature, comma-separated (mild, hot, very_hot)
+ * - limit: Max results (default: 20, max: 100)
+ * - lang: Local knowledge language (en, ja, zh, ko; default: Accept-Language)
+ */
+router.get('/places/nearby', async (req, res) => {
+  try {
+    if (process.env.ENABLE_POSTGRES_READ !== 'true') {
+      return res.status(503).json({
+        error: 'PostgreSQL read not enabled',
+        message: 'This endpoint requires ENABLE_POSTGRES_READ=true'
+      });
+    }
+
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'lat (-90 to 90) and lng (-180 to 180) are required'
+      });
+    }
+
+    const radius = Math.min(Math.max(parseInt(req.query.radius) || 1000, 1), 5000);
+    const resort_id = parseInt(req.query.resort_id) || 1;
+    const categories = req.query.category
+      ? req.query.category.split(',').map(category => category.trim().toLowerCase()).filter(Boolean)
+      : [];
+    const min_rating = req.query.min_rating !== undefined ? parseFloat(req.query.min_rating) : null;
+    const open_now = req.query.open_now === 'true';
+    const temperature = parseTemperatureFilter(req.query.temperature);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!temperature) {
+      return invalidTemperature(res);
+    }
+
+    if (min_rating !== null && (isNaN(min_rating) || min_rating < 0 || min_rating > 5)) {
+      return res.status(400).json({
+        error: 'Invalid min_rating',
+        message: 'min_rating must be between 0 and 5'
+      });
+    }
+
+    const box = geo.boundingBox(lat, lng, radius);
+    const conditions = [
+      'resort_id = $1',
+      'visible_in_app = true',
+      'latitude BETWEEN $4 AND $5',
+      'longitude BETWEEN $6 AND $7'
+    ];
+    const params = [resort_id, lat, lng, box.minLat, box.maxLat, box.minLng, box.maxLng];
+    let paramIndex = 8;
+
+    if (categories.length > 0) {
+      conditions.push(`category = ANY($${paramIndex}::text[])`);
+      params.push(categories);
+      paramIndex++;
+    }
+
+    if (min_rating !== null) {
+      conditions.push(`rating >= $${paramIndex}`);
+      params.push(min_rating);
+      paramIndex++;
+    }
+
+    if (temperature.length > 0) {
+      conditions.push(temperatureCondition(paramIndex));
+      params.push(temperature);
+      paramIndex++;
+    }
+
+    const query = `
+      SELECT * FROM (
+        SELECT
+          id,
+          resort_id,
+          external_id,
+          category,
+          subcategory,
+          name,
+          name_local,
+          latitude,
+          longitude,
+          address,
+          rating,
+          review_count,
+          phone,
+          website,
+          price_range,
+          opening_hours,
+          photos,
+          manual_photos,
+          cuisine,
+          budget_range,
+          english_menu,
+          accepts_cards,
+          review_analysis,
+          tips,
+          description_override,
+          google_maps_url,
+          has_overrides,
+          has_local_knowledge,
+          ${geo.distanceSql('latitude', 'longitude', '$2', '$3')} AS distance_m
+        FROM places_with_merged_data
+        WHERE ${conditions.join(' AND ')}
+      ) nearby
+      WHERE distance_m <= $${paramIndex}
+      ORDER BY distance_m ASC, name ASC
+    `;
+    params.push(radius);
+    paramIndex++;
+
+    const now = new Date();
+    let rows;
+
+    if (open_now) {
+      // Hours are evaluated in JS, so filter before limiting
+      const result = await pool.query(query, params);
+      const places = await onsenService.attachOnsenDetails(result.rows);
+      rows = places.filter(place => openingHours.isOpenNow(place, now) === true).slice(0, limit);
+    } else {
+      const result = await pool.query(`${query} LIMIT $${paramIndex}`, [...params, limit]);
+      rows = await onsenService.attachOnsenDetails(result.rows);
+    }
+
+    const language = localization.negotiateLanguage(req);
+    rows = await localization.localizePlaces(rows, language);
+
+    const data = rows.map(place => {
+      const distance = Math.round(place.distance_m);
+      return {
+        ...withHoursStatus(enrichOnsenData(place), now),
+        distance_m: distance,
+        walking_minutes: geo.walkingMinutes(distance)
+      };
+    });
+
+    localization.setLanguageHeaders(res, language);
+    res.json({
+      success: true,
+      language,
+      count: data.length,
+      data,
+      filters: {
+        lat,
+        lng,
+        radius,
+        resort_id,
+        category: categories.length > 0 ? categories : 'all',
+        min_rating,
+        open_now,
+        temperature: temperature.length > 0 ? temperature : 'all'
+      },
+      source: 'postgresql'
+    });
+
+  } catch (error) {
+    console.error('Error fetching nearby places:', error);
+    res.status(500).json({
+      error: 'Database query failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v2/places/search
+ * Search names (any romanization, kana or kanji), aliases, cuisine,
+ * descriptions and local tips, best match first
+ *
+ * Each result has search_score, matched_on (name / content) and snippet
+ * (HTML-escaped text with <mark> around the matched words, or null).
+ * Queries with no results are counted for the content team. Rate-limited.
+ *
+ * Query Parameters:
+ * - q: Search text (required, max 100 characters)
+ * - resort_id: Filter by resort (default: 1)
+ * - category: Filter by category (restaurant, onsen, lift)
+ * - limit: Max results (default: 20, max: 50)
+ * - lang: Local knowledge language (en, ja, zh, ko; default: Accept-Language)
+ */
+router.get('/places/search', apiLimiter, async (req, res) => {
+  try {
+    if (process.env.ENABLE_POSTGRES_READ !== 'true') {
+      return res.status(503).json({
+        error: 'PostgreSQL read not enabled',
+        message: 'This endpoint requires ENABLE_POSTGRES_READ=true'
+      });
+    }
+
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q || q.length > searchService.MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: `q is required (max ${searchService.MAX_QUERY_LENGTH} characters)`
+      });
+    }
+
+    const resort_id = parseInt(req.query.resort_id) || 1;
+    const category = req.query.category ? req.query.category.toLowerCase() : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const results = await searchService.searchPlaces(q, { resortId: resort_id, category, limit });
+
+    if (results.length === 0) {
+      await searchService.logMiss(resort_id, q, category);
+    }
+
+    const language = localization.negotiateLanguage(req);
+    const localized = await localization.localizePlaces(
+      await onsenService.attachOnsenDetails(results),
+      language
+    );
+
+    const now = new Date();
+    localization.setLanguageHeaders(res, language);
+    res.json({
+      success: true,
+      language,
+      query: q,
+      count: results.length,
+      data: localized.map(place => withHoursStatus(enrichOnsenData(place), now)),
+      filters: {
+        resort_id,
+        category: category || 'all'
+      },
+      source: 'postgresql'
+    });
+
+  } catch (error) {
+    console.error('Error searching places:', error);
+    res.status(500).json({
+      error: 'Database query failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/v2/places/:id
  * Get a single place by ID with all merged data
@@ -238,6 +538,7 @@ router.get('/places', async (req, res) => {
  *
  * Query Parameters:
  * - resort_id: Resort ID for validation (default: 1)
+ * - lang: Local knowledge language (en, ja, zh, ko; default: Accept-Language)
  */
 router.get('/places/:id', async (req, res) => {
   try {
@@ -321,11 +622,19 @@ router.get('/places/:id', async (req, res) => {
       });
     }
 
+    const language = localization.negotiateLanguage(req);
+    const [place] = await localization.localizePlaces(
+      await onsenService.attachOnsenDetails(result.rows),
+      language
+    );
+
     // Enrich onsen data with local_info
-    const enrichedPlace = enrichOnsenData(result.rows[0]);
+    const enrichedPlace = withHoursStatus(enrichOnsenData(place));
 
+    localization.setLanguageHeaders(res, language);
     res.json({
       success: true,
+      language,
       data: enrichedPlace,
       source: 'postgresql'
     });
@@ -349,6 +658,9 @@ router.get('/places/:id', async (req, res) => {
  * Query Parameters:
  * - resort_id: Filter by resort (default: 1)
  * - visible: Filter by visibility (default: true)
+ * - open_now: Only places open right now in JST (true)
+ * - temperature: Onsen water temperature, comma-separated (mild, hot, very_hot)
+ * - lang: Local knowledge language (en, ja, zh, ko; default: Accept-Language)
  */
 router.get('/places/category/:category', async (req, res) => {
   try {
@@ -362,6 +674,8 @@ router.get('/places/category/:category', async (req, res) => {
     const category = req.params.category.toLowerCase();
     const resort_id = parseInt(req.query.resort_id) || 1;
     const visible = req.query.visible !== 'false'; // Default to true
+    const open_now = req.query.open_now === 'true';
+    const temperature = parseTemperatureFilter(req.query.temperature);
 
     // Validate category
     const validCategories = ['restaurant', 'onsen', 'lift'];
@@ -372,6 +686,18 @@ router.get('/places/category/:category', async (req, res) => {
       });
     }
 
+    if (!temperature) {
+      return invalidTemperature(res);
+    }
+
+    const conditions = ['resort_id = $1', 'category = $2', 'visible_in_app = $3'];
+    const params = [resort_id, category, visible];
+
+    if (temperature.length > 0) {
+      conditions.push(temperatureCondition(4));
+      params.push(temperature);
+    }
+
     const query = `
       SELECT
         id,
@@ -396,21 +722,35 @@ router.get('/places/category/:category', async (req, res) => {
         accepts_cards,
         review_analysis,
         tips,
+        description_override,
         google_maps_url,
         has_overrides,
         has_local_knowledge
       FROM places_with_merged_data
-      WHERE resort_id = $1 AND category = $2 AND visible_in_app = $3
+      WHERE ${conditions.join(' AND ')}
       ORDER BY rating DESC NULLS LAST, name ASC
     `;
 
-    const result = await pool.query(query, [resort_id, category, visible]);
+    const result = await pool.query(query, params);
+
+    const language = localization.negotiateLanguage(req);
+    const localized = await localization.localizePlaces(
+      await onsenService.attachOnsenDetails(result.rows),
+      language
+    );
 
     // Enrich onsen data with local_info
-    const enrichedData = result.rows.map(enrichOnsenData);
+    const now = new Date();
+    let enrichedData = localized.map(place => withHoursStatus(enrichOnsenData(place), now));
 
+    if (open_now) {
+      enrichedData = enrichedData.filter(place => place.hours_status?.is_open === true);
+    }
+
+    localization.setLanguageHeaders(res, language);
     res.json({
       success: true,
+      language,
       category,
       count: enrichedData.length,
       data: enrichedData,
@@ -532,6 +872,9 @@ router.get('/health', async (req, res) => {
  *
  * Returns the latest scraped lift status from the database.
  * Falls back to in-memory cache if PostgreSQL read is disabled.
+ *
+ * Query Parameters:
+ * - resort_id: Resort ID (default: 1)
  */
 router.get('/lifts', async (req, res) => {
   try {
@@ -544,6 +887,8 @@ router.get('/lifts', async (req, res) => {
       });
     }
 
+    const resort_id = parseInt(req.query.resort_id) || 1;
+
     // Query PostgreSQL for latest lift status
     const result = await pool.query(`
       SELECT
@@ -556,7 +901,7 @@ router.get('/lifts', async (req, res) => {
       WHERE resort_id = $1
       ORDER BY scraped_at DESC
       LIMIT 1
-    `, [1]);
+    `, [resort_id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
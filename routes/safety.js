@@ -0,0 +1,234 @@
+/**
+ * Safety Routes
+ *
+ * Mounted at /api/groups/:code/safety. Groups add rules such as "alert if
+ * a member hasn't been seen within 60 minutes after the last lift closes";
+ * the scheduler evaluates them and notifies the other members. See
+ * services/safetyService.js.
+ *
+ * Any member can read rules and alerts and choose where their own alerts
+ * are delivered. The group owner/admins manage rules. Only the overdue
+ * member can answer "I'm OK".
+ *
+ * All endpoints are rate-limited.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const safetyService = require('../services/safetyService');
+const groupService = require('../services/groupService');
+const alertDelivery = require('../services/alertDelivery');
+const { authenticateDevice } = require('../middleware/auth');
+const { loadGroup, requireActiveGroup, requireGroupRole, requireGroupModerator } = require('../middleware/groups');
+const {
+  apiLimiter,
+  validateSafetyRule,
+  validateSafetyRuleUpdate,
+  validateIdParam,
+  checkValidation
+} = require('../middleware/security');
+
+const requireGroupMember = requireGroupRole(...groupService.ROLES);
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Middleware to load req.params.ruleId into req.rule (404 if not in this group)
+ * Routes validate the id first (validateIdParam('ruleId'))
+ */
+async function loadRule(req, res, next) {
+  try {
+    const rule = await safetyService.getRule(req.group.id, req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Safety rule not found' });
+    }
+
+    req.rule = rule;
+    next();
+
+  } catch (error) {
+    console.error('Error loading safety rule:', error);
+    res.status(500).json({ error: 'Failed to load safety rule', message: error.message });
+  }
+}
+
+/**
+ * GET /api/groups/:code/safety
+ * Rules, open alerts and today's last lift closing time
+ */
+router.get('/', apiLimiter, authenticateDevice, loadGroup, requireGroupMember, async (req, res) => {
+  try {
+    const [rules, alerts, liftClose] = await Promise.all([
+      safetyService.getRules(req.group.id),
+      safetyService.getAlerts(req.group.id, { status: 'open' }),
+      safetyService.getResortLiftClose(req.group.resort_id)
+    ]);
+
+    res.json({
+      success: true,
+      group_code: req.group.code,
+      rules: rules.map(rule => safetyService.formatRule(rule, req.group.code)),
+      alerts: alerts.map(alert => safetyService.formatAlert(alert, req.group.code)),
+      ruleTypes: safetyService.RULE_TYPES,
+      lastLiftClose: liftClose,
+      delivery: req.member.safety_delivery_method
+        ? { method: req.member.safety_delivery_method }
+        : null
+    });
+
+  } catch (error) {
+    console.error('Error fetching safety settings:', error);
+    res.status(500).json({ error: 'Failed to fetch safety settings', message: error.message });
+  }
+});
+
+/**
+ * POST /api/groups/:code/safety/rules
+ * Add a rule (group owner/admins)
+ *
+ * Body: { type: 'overdue_after_last_lift', minutes: 0-360, enabled }
+ */
+router.post('/rules', apiLimiter, authenticateDevice, validateSafetyRule, checkValidation, loadGroup, requireActiveGroup, requireGroupModerator, async (req, res) => {
+  try {
+    const { type, minutes, enabled } = req.body;
+
+    const rule = await safetyService.createRule(req.group, { type, minutes, enabled }, req.device.id);
+
+    res.status(201).json({ success: true, rule: safetyService.formatRule(rule, req.group.code) });
+
+  } catch (error) {
+    console.error('Error creating safety rule:', error);
+    res.status(500).json({ error: 'Failed to create safety rule', message: error.message });
+  }
+});
+
+/**
+ * PATCH /api/groups/:code/safety/rules/:ruleId
+ * Change a rule's minutes or turn it on/off (group owner/admins)
+ *
+ * Body: { minutes, enabled } (either)
+ */
+router.patch('/rules/:ruleId', apiLimiter, authenticateDevice, validateIdParam('ruleId'), validateSafetyRuleUpdate, checkValidation, loadGroup, requireActiveGroup, requireGroupModerator, loadRule, async (req, res) => {
+  try {
+    const { minutes, enabled } = req.body;
+
+    const rule = await safetyService.updateRule(req.rule, { minutes, enabled });
+
+    res.json({ success: true, rule: safetyService.formatRule(rule, req.group.code) });
+
+  } catch (error) {
+    console.error('Error updating safety rule:', error);
+    res.status(500).json({ error: 'Failed to update safety rule', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/groups/:code/safety/rules/:ruleId
+ * Remove a rule (its past alerts are kept)
+ */
+router.delete('/rules/:ruleId', apiLimiter, authenticateDevice, validateIdParam('ruleId'), checkValidation, loadGroup, requireActiveGroup, requireGroupModerator, loadRule, async (req, res) => {
+  try {
+    await safetyService.deleteRule(req.rule);
+
+    res.json({ success: true, message: 'Safety rule removed' });
+
+  } catch (error) {
+    console.error('Error removing safety rule:', error);
+    res.status(500).json({ error: 'Failed to remove safety rule', message: error.message });
+  }
+});
+
+/**
+ * GET /api/groups/:code/safety/alerts
+ * Alert history, newest first
+ *
+ * Query: status=open|acknowledged|resolved
+ */
+router.get('/alerts', apiLimiter, authenticateDevice, loadGroup, requireGroupMember, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `status must be one of: ${ALERT_STATUSES.join(', ')}`
+      });
+    }
+
+    const alerts = await safetyService.getAlerts(req.group.id, { status });
+
+    res.json({
+      success: true,
+      group_code: req.group.code,
+      alerts: alerts.map(alert => safetyService.formatAlert(alert, req.group.code)),
+      count: alerts.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching safety alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch safety alerts', message: error.message });
+  }
+});
+
+/**
+ * POST /api/groups/:code/safety/alerts/:alertId/ok
+ * "I'm OK" - only the overdue member can answer
+ */
+router.post('/alerts/:alertId/ok', apiLimiter, authenticateDevice, validateIdParam('alertId'), checkValidation, loadGroup, requireGroupMember, async (req, res) => {
+  try {
+    const alert = await safetyService.getAlert(req.group.id, req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'Safety alert not found' });
+    }
+
+    if (alert.device_id !== req.device.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the member the alert is about can answer it'
+      });
+    }
+
+    const acknowledged = await safetyService.acknowledgeAlert(req.group, alert);
+    if (!acknowledged) {
+      return res.status(409).json({ error: `Safety alert already ${alert.status}` });
+    }
+
+    res.json({ success: true, alert: safetyService.formatAlert(acknowledged, req.group.code) });
+
+  } catch (error) {
+    console.error('Error acknowledging safety alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge safety alert', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/groups/:code/safety/notifications
+ * Where this member gets the group's safety alerts (push / webhook).
+ * In-app alerts on the group event stream are always sent.
+ *
+ * Body: { delivery: { method, target } } or { delivery: null } to stop
+ */
+router.put('/notifications', apiLimiter, authenticateDevice, loadGroup, requireGroupMember, async (req, res) => {
+  try {
+    const delivery = req.body.delivery ?? null;
+
+    if (delivery !== null) {
+      const targetError = alertDelivery.validateTarget(delivery.method, delivery.target);
+      if (targetError) {
+        return res.status(400).json({ error: 'Validation failed', message: targetError });
+      }
+    }
+
+    await safetyService.setDelivery(req.group.code, req.device.id, delivery);
+
+    res.json({
+      success: true,
+      delivery: delivery ? { method: delivery.method } : null
+    });
+
+  } catch (error) {
+    console.error('Error saving safety notifications:', error);
+    res.status(500).json({ error: 'Failed to save safety notifications', message: error.message });
+  }
+});
+
+module.exports = router;
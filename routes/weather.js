@@ -11,6 +11,7 @@
 const express = require('express');
 const router = express.Router();
 const weatherService = require('../services/unifiedWeatherService');
+const weatherHistory = require('../services/weatherHistory');
 const { apiLimiter } = require('../middleware/security');
 
 /**
@@ -82,6 +83,122 @@ router.get('/forecast', apiLimiter, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/weather/snowfall/season
+ * Season-to-date snowfall per elevation, from the hourly history
+ *
+ * Query: since=YYYY-MM-DD (default: opening day of the current/last season)
+ *
+ * Returns:
+ * - Total snowfall, snow days and biggest day per elevation
+ *
+ * Rate Limited: 100 requests per minute
+ */
+router.get('/snowfall/season', apiLimiter, async (req, res) => {
+  try {
+    const since = req.query.since || null;
+    if (since && !/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+      return res.status(400).json({ error: 'Invalid since', message: 'since must be YYYY-MM-DD' });
+    }
+
+    const snowfall = await weatherHistory.getSeasonSnowfall(1, since);
+
+    if (!snowfall) {
+      return res.status(404).json({ error: 'No snowfall history', message: 'Weather history is not recorded for this resort' });
+    }
+
+    res.json({
+      success: true,
+      ...snowfall,
+      units: { snowfall: 'cm' },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Season snowfall endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch season snowfall',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/weather/snowfall/recent
+ * Daily snowfall for the last N days per elevation (chart data)
+ *
+ * Query: days=1-30 (default 7)
+ *
+ * Returns:
+ * - Daily totals (today included, days without data are 0)
+ * - Last 24h and overnight (16:00-08:00) totals
+ *
+ * Rate Limited: 100 requests per minute
+ */
+router.get('/snowfall/recent', apiLimiter, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const snowfall = await weatherHistory.getRecentSnowfall(1, days);
+
+    if (!snowfall) {
+      return res.status(404).json({ error: 'No snowfall history', message: 'Weather history is not recorded for this resort' });
+    }
+
+    res.json({
+      success: true,
+      days,
+      ...snowfall,
+      units: { snowfall: 'cm' },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Recent snowfall endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recent snowfall',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/weather/snowfall/forecast-accuracy
+ * Day-ahead forecast vs. observed snowfall per elevation
+ *
+ * Query: days=1-30 (default 7)
+ *
+ * Returns:
+ * - Per-day forecast, actual and difference (positive = forecast too high)
+ * - Bias and mean absolute error per elevation
+ *
+ * Rate Limited: 100 requests per minute
+ */
+router.get('/snowfall/forecast-accuracy', apiLimiter, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const accuracy = await weatherHistory.getForecastAccuracy(1, days);
+
+    if (!accuracy) {
+      return res.status(404).json({ error: 'No snowfall history', message: 'Weather history is not recorded for this resort' });
+    }
+
+    res.json({
+      success: true,
+      days,
+      ...accuracy,
+      units: { snowfall: 'cm' },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Forecast accuracy endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch forecast accuracy',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/weather/cache-status
  * Get cache status for monitoring
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Capture a lift status page as a scraper test fixture
+ *
+ * Fetches the live Nozawa lift status page (or reads a page saved from a
+ * browser), trims what the parser never looks at - scripts, styles,
+ * iframes, inline SVG, comments, tracking attributes - and saves the rest
+ * of the real markup to test/fixtures/nozawa/<name>.html. The parsed lift
+ * list is printed so the capture can be checked before committing.
+ *
+ * Capture one page per situation the tests cover: in season, partial
+ * closure (wind hold), off-season, and whenever the resort changes its
+ * page layout.
+ *
+ * Usage:
+ *   node scripts/captureLiftFixture.js <name> [--from saved.html] [--url URL]
+ *
+ * Options:
+ *   --from FILE   Trim a page saved from a browser instead of fetching
+ *   --url URL     Status page to fetch (default: NozawaLiftScraper.DEFAULT_URL)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const NozawaLiftScraper = require('../services/liftScrapers/nozawa');
+
+const FIXTURES = path.join(__dirname, '..', 'test', 'fixtures', 'nozawa');
+
+function getOption(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+/**
+ * Strip everything the parser ignores, keeping the page structure
+ */
+function trimPage(html) {
+  const $ = cheerio.load(html, { decodeEntities: false });
+
+  $('script, style, noscript, iframe, svg, link, template, form').remove();
+  $('meta').not('[charset]').remove();
+  $('*').contents().filter((i, node) => node.type === 'comment').remove();
+
+  $('*').each((i, element) => {
+    for (const name of Object.keys(element.attribs || {})) {
+      if (name === 'style' || name.startsWith('on') || name.startsWith('data-') || name.startsWith('aria-') || name === 'srcset') {
+        $(element).removeAttr(name);
+      }
+    }
+  });
+
+  return $.html()
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() !== '')
+    .join('\n') + '\n';
+}
+
+async function main() {
+  const name = process.argv[2];
+  if (!name || name.startsWith('--')) {
+    console.error('Usage: node scripts/captureLiftFixture.js <name> [--from saved.html] [--url URL]');
+    process.exit(1);
+  }
+
+  const lifts = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'lifts.json'), 'utf8'));
+  const scraper = new NozawaLiftScraper({ id: 1, slug: 'nozawa', timezone: 'Asia/Tokyo', settings: {} }, lifts);
+  const from = getOption('--from');
+  const url = getOption('--url') || scraper.url;
+
+  if (!from) scraper.url = url;
+  const html = from ? fs.readFileSync(from, 'utf8') : await scraper.fetchPage();
+  const source = from ? `saved page (${path.basename(from)})` : url;
+
+  const trimmed = `<!-- Captured from ${source} on ${new Date().toISOString()} - trimmed by scripts/captureLiftFixture.js -->\n` +
+    trimPage(html);
+
+  const file = path.join(FIXTURES, `${name.replace(/\.html$/, '')}.html`);
+  fs.writeFileSync(file, trimmed);
+  console.log(`Saved ${path.relative(process.cwd(), file)} (${Math.round(html.length / 1024)}KB -> ${Math.round(trimmed.length / 1024)}KB)`);
+
+  const results = await scraper.scrape({ html: trimmed });
+  console.log(`\nOff-season: ${results.isOffSeason}, parser drift: ${results.parserDrift}`);
+  results.lifts.forEach(lift => console.log(`  ${lift.id}\t${lift.status}\t${lift.name}${lift.hours ? `\t${lift.hours}` : ''}`));
+  if (results.unmatchedLifts.length > 0) {
+    console.log(`Not found on page: ${results.unmatchedLifts.join(', ')}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Capture failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Migrate lift hours and restaurant review data from JSON
+ *
+ * The legacy /api/places and /api/restaurants endpoints return fields the
+ * JSON migration (migrateJsonToPostgres.js) left behind in
+ * nozawa_places_unified.json:
+ *
+ *   - lift "hours" ({ open, close, last_up, notes }), saved to
+ *     place_overrides.custom_fields.hours
+ *   - restaurant enhanced_data.review_analysis, saved to
+ *     places.review_analysis
+ *   - restaurant google_data.editorial_summary, saved to
+ *     place_google_data.editorial_summary
+ *
+ * services/legacyPlaces.js reads them from there. Values already set (by
+ * the admin panel or refreshGoogleDataPostgres.js) are kept unless --force.
+ *
+ * Usage:
+ *   node scripts/migrateLegacyFields.js [--dry-run] [--force]
+ *
+ * Options:
+ *   --dry-run     Preview what would be saved without saving
+ *   --force       Overwrite existing values
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../db/pool');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+
+function loadJsonPlaces() {
+  const jsonPath = path.join(__dirname, '..', 'nozawa_places_unified.json');
+  return JSON.parse(fs.readFileSync(jsonPath, 'utf8')).places;
+}
+
+async function getPlaces() {
+  const result = await pool.query(`
+    SELECT
+      p.id, p.external_id, p.google_place_id, p.name, p.category,
+      po.custom_fields ? 'hours' AS has_hours,
+      p.review_analysis IS NOT NULL AS has_review_analysis,
+      gd.editorial_summary IS NOT NULL AS has_editorial_summary
+    FROM places p
+    LEFT JOIN place_overrides po ON p.id = po.place_id
+    LEFT JOIN place_google_data gd ON p.id = gd.place_id
+    WHERE p.category IN ('lift', 'restaurant')
+    ORDER BY p.category, p.name
+  `);
+  return result.rows;
+}
+
+// JSON ids match places.external_id (restaurants: the Google place id)
+function findJsonPlace(jsonPlaces, place) {
+  return jsonPlaces.find(json => json.id === place.external_id)
+    || jsonPlaces.find(json => place.google_place_id && json.google_place_id === place.google_place_id)
+    || null;
+}
+
+const FIELDS = [
+  {
+    label: 'hours',
+    category: 'lift',
+    fromJson: json => json.hours,
+    exists: place => place.has_hours,
+    save: (client, placeId, hours) => client.query(`
+      INSERT INTO place_overrides (place_id, custom_fields, updated_by)
+      VALUES ($1, jsonb_build_object('hours', $2::jsonb), 'migration')
+      ON CONFLICT (place_id) DO UPDATE SET
+        custom_fields = COALESCE(place_overrides.custom_fields, '{}'::jsonb) || jsonb_build_object('hours', $2::jsonb),
+        updated_at = NOW()
+    `, [placeId, JSON.stringify(hours)])
+  },
+  {
+    label: 'review analysis',
+    category: 'restaurant',
+    fromJson: json => json.enhanced_data?.review_analysis,
+    exists: place => place.has_review_analysis,
+    save: (client, placeId, reviewAnalysis) => client.query(
+      'UPDATE places SET review_analysis = $2, updated_at = NOW() WHERE id = $1',
+      [placeId, JSON.stringify(reviewAnalysis)]
+    )
+  },
+  {
+    label: 'editorial summary',
+    category: 'restaurant',
+    fromJson: json => json.google_data?.editorial_summary,
+    exists: place => place.has_editorial_summary,
+    save: (client, placeId, summary) => client.query(
+      'UPDATE place_google_data SET editorial_summary = $2 WHERE place_id = $1',
+      [placeId, summary]
+    )
+  }
+];
+
+async function main() {
+  console.log('=== Migrate Legacy Place Fields ===\n');
+
+  if (DRY_RUN) {
+    console.log('DRY RUN MODE - No changes will be saved\n');
+  }
+
+  const jsonPlaces = loadJsonPlaces();
+  const places = await getPlaces();
+  console.log(`Found ${places.length} lifts and restaurants in database\n`);
+
+  const counts = Object.fromEntries(FIELDS.map(field => [field.label, { saved: 0, skipped: 0, notInJson: 0 }]));
+  let notFound = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const place of places) {
+      const jsonPlace = findJsonPlace(jsonPlaces, place);
+      if (!jsonPlace) {
+        console.log(`NOT FOUND: "${place.name}" is not in JSON`);
+        notFound++;
+        continue;
+      }
+
+      for (const field of FIELDS.filter(f => f.category === place.category)) {
+        const value = field.fromJson(jsonPlace);
+        const count = counts[field.label];
+
+        if (!value) {
+          count.notInJson++;
+          continue;
+        }
+        if (field.exists(place) && !FORCE) {
+          count.skipped++;
+          continue;
+        }
+
+        console.log(`[${place.name}] (ID: ${place.id}) ${field.label}`);
+        if (!DRY_RUN) {
+          await field.save(client, place.id, value);
+        }
+        count.saved++;
+      }
+    }
+
+    await client.query(DRY_RUN ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log('\n=== Summary ===');
+  for (const [label, count] of Object.entries(counts)) {
+    console.log(`${label}: ${count.saved} saved, ${count.skipped} skipped (already set), ${count.notInJson} not in JSON`);
+  }
+  console.log(`Places not in JSON: ${notFound}`);
+
+  if (DRY_RUN) {
+    console.log('\n(Dry run - no changes saved)');
+  }
+
+  await pool.end();
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  pool.end();
+  process.exit(1);
+});
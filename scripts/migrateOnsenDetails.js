@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Migrate Onsen local_info from JSON to onsen_details
+ *
+ * Reads local_info (temperature, hours, entrance fee) for each onsen from
+ * nozawa_places_unified.json and saves it as structured onsen_details
+ * (migrations/037_create_onsen_details.sql). Edits already made in the
+ * admin panel (place_overrides.custom_fields) win over the JSON file.
+ *
+ * The JSON description and local tips are copied into
+ * place_local_knowledge only where that is still empty.
+ *
+ * Onsens that already have onsen_details are skipped unless --force.
+ *
+ * Usage:
+ *   node scripts/migrateOnsenDetails.js [--dry-run] [--force]
+ *
+ * Options:
+ *   --dry-run     Preview what would be saved without saving
+ *   --force       Overwrite existing onsen_details
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../db/pool');
+const onsenService = require('../services/onsenService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+
+function loadJsonOnsens() {
+  const jsonPath = path.join(__dirname, '..', 'nozawa_places_unified.json');
+  const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  return data.places.filter(place => place.category === 'onsen');
+}
+
+async function getOnsenPlaces() {
+  const result = await pool.query(`
+    SELECT
+      p.id, p.external_id, p.name,
+      po.custom_fields,
+      lk.description_override, lk.tips,
+      od.place_id IS NOT NULL AS has_details
+    FROM places p
+    LEFT JOIN place_overrides po ON p.id = po.place_id
+    LEFT JOIN place_local_knowledge lk ON p.id = lk.place_id AND lk.language_code = 'en'
+    LEFT JOIN onsen_details od ON p.id = od.place_id
+    WHERE p.category = 'onsen'
+    ORDER BY p.name
+  `);
+  return result.rows;
+}
+
+// JSON ids match places.external_id; the JSON external_id and name are fallbacks
+function findJsonOnsen(jsonOnsens, place) {
+  return jsonOnsens.find(onsen => onsen.id === place.external_id)
+    || jsonOnsens.find(onsen => onsen.external_id === place.external_id)
+    || jsonOnsens.find(onsen => onsen.name === place.name)
+    || null;
+}
+
+async function fillLocalKnowledge(client, place, jsonOnsen) {
+  const description = !place.description_override ? jsonOnsen.description || null : null;
+  const tips = (!place.tips || place.tips.length === 0) && jsonOnsen.local_info?.local_tips
+    ? [jsonOnsen.local_info.local_tips]
+    : null;
+  if (!description && !tips) return false;
+
+  await client.query(`
+    INSERT INTO place_local_knowledge (place_id, language_code, description_override, tips, updated_by, updated_at)
+    VALUES ($1, 'en', $2, $3, 'migration', NOW())
+    ON CONFLICT (place_id, language_code)
+    DO UPDATE SET
+      description_override = COALESCE(place_local_knowledge.description_override, EXCLUDED.description_override),
+      tips = COALESCE(NULLIF(place_local_knowledge.tips, '{}'), EXCLUDED.tips),
+      updated_at = NOW()
+  `, [place.id, description, tips]);
+  return true;
+}
+
+async function main() {
+  console.log('=== Migrate Onsen Details ===\n');
+
+  if (DRY_RUN) {
+    console.log('DRY RUN MODE - No changes will be saved\n');
+  }
+
+  const jsonOnsens = loadJsonOnsens();
+  console.log(`Found ${jsonOnsens.length} onsens in JSON`);
+
+  const places = await getOnsenPlaces();
+  console.log(`Found ${places.length} onsens in database\n`);
+
+  let saved = 0;
+  let skipped = 0;
+  let notFound = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const place of places) {
+      const jsonOnsen = findJsonOnsen(jsonOnsens, place);
+      const adminInfo = place.custom_fields || {};
+
+      // Admin panel edits first, then the JSON file
+      const localInfo = {
+        temperature: adminInfo.temperature || jsonOnsen?.local_info?.temperature,
+        hours: adminInfo.hours || jsonOnsen?.local_info?.hours,
+        entrance_fee: adminInfo.entrance_fee || jsonOnsen?.local_info?.entrance_fee
+      };
+
+      if (!localInfo.temperature && !localInfo.hours && !localInfo.entrance_fee) {
+        console.log(`NOT FOUND: "${place.name}" has no local_info`);
+        notFound++;
+        continue;
+      }
+
+      if (place.has_details && !FORCE) {
+        console.log(`SKIP: "${place.name}" already has onsen details (use --force)`);
+        skipped++;
+        continue;
+      }
+
+      const details = onsenService.fromLocalInfo(localInfo);
+      console.log(`\n[${place.name}] (ID: ${place.id})`);
+      console.log(`  Temperature: ${details.temperature_band || '?'} (${details.temperature_note || '-'})`);
+      console.log(`  Hours: ${details.opening_hours ? 'parsed' : 'not parsed'} (${details.hours_note || '-'})`);
+      console.log(`  Fee: ${details.fee_yen ?? '?'} yen${details.donation_box ? ', donation box' : ''}`);
+
+      if (!DRY_RUN) {
+        await onsenService.saveDetails(place.id, details, 'migration', client);
+        if (jsonOnsen && await fillLocalKnowledge(client, place, jsonOnsen)) {
+          console.log('  ✓ Local knowledge filled from JSON');
+        }
+        console.log('  ✓ Saved');
+      }
+      saved++;
+    }
+
+    await client.query(DRY_RUN ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log('\n=== Summary ===');
+  console.log(`Saved: ${saved}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Not found: ${notFound}`);
+
+  if (DRY_RUN) {
+    console.log('\n(Dry run - no changes saved)');
+  }
+
+  await pool.end();
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  pool.end();
+  process.exit(1);
+});
@@ -1,7 +1,7 @@
 // Seed test lift data into PostgreSQL
 require('dotenv').config();
 const { Pool } = require('pg');
-const NozawaLiftScraper = require('./services/liftScraper');
+const { loadResortScraper } = require('./services/liftScrapers');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -12,7 +12,11 @@ async function seedTestData() {
   console.log('\n=== Seeding Test Lift Data ===\n');
 
   try {
-    const scraper = new NozawaLiftScraper();
+    // Lift mappings come from resort_lifts
+    const scraper = await loadResortScraper('nozawa');
+    if (!scraper) {
+      throw new Error('Nozawa resort or lift mappings not found - run migration 021 first');
+    }
     const testData = scraper.generateTestData();
 
     console.log('Generated test data:');
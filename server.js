@@ -5,21 +5,54 @@ const config = validateOrExit(); // Validates and exits if invalid
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const fs = require('fs');
 const path = require('path');
 const scheduler = require('./services/scheduler');
 const { pool, testConnection } = require('./db/pool');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { authenticateAdmin } = require('./middleware/auth');
+const { authenticateAdmin, requireSuperAdmin, requireResortAccess, hasResortAccess, authenticateDevice, requireDeviceToken, optionalDeviceAuth } = require('./middleware/auth');
+const groupEvents = require('./services/groupEvents');
+const groupService = require('./services/groupService');
+const meetupService = require('./services/meetupService');
+const checkinService = require('./services/checkinService');
+const icalendar = require('./services/icalendar');
+const privacyService = require('./services/privacyService');
+const geofenceService = require('./services/geofenceService');
+const deviceAuth = require('./services/deviceAuth');
+const memberIds = require('./services/memberIds');
+const { loadGroup, requireActiveGroup, requireGroupRole, requireGroupModerator, requireGroupOwner } = require('./middleware/groups');
+const openingHours = require('./services/openingHours');
+const seasonService = require('./services/seasonService');
+const scrapeSchedule = require('./services/scrapeSchedule');
+const { calculateDistance } = require('./services/geo');
+const searchService = require('./services/searchService');
+const localization = require('./services/localization');
+const onsenService = require('./services/onsenService');
+const legacyPlaces = require('./services/legacyPlaces');
+const liftHistory = require('./services/liftHistory');
+const notifier = require('./services/notifier');
 const {
   authLimiter,
   apiLimiter,
   adminLimiter,
+  groupLookupIpLimiter,
+  groupLookupDeviceLimiter,
   getCorsOptions,
   validateLogin,
   validateGroupCreation,
+  validateGroupUpdate,
+  validateMemberRole,
+  validateIdParam,
+  validateInvite,
   validateCheckin,
+  validateAutoCheckin,
+  validateSeasonDefaults,
+  validateSeasonYear,
+  validateSeasonOverride,
+  validateScrapeWindows,
+  validatePlaceAlias,
+  validateLocalKnowledge,
+  validateOnsenDetails,
   checkValidation,
   getHelmetOptions,
   ipBlocker,
@@ -62,37 +95,14 @@ app.use((err, req, res, next) => {
 // Trust proxy (for Railway deployment)
 app.set('trust proxy', 1);
 
-// Load restaurant data
-let restaurantsData = [];
-let lastDataLoad = null;
-
-function loadRestaurantData() {
-  try {
-    const dataPath = path.join(__dirname, 'nozawa_places_unified.json');
-    const rawData = fs.readFileSync(dataPath, 'utf8');
-    const data = JSON.parse(rawData);
-    // Filter to only get restaurants from the unified data
-    restaurantsData = (data.places || []).filter(p => p.category === 'restaurant');
-    lastDataLoad = new Date().toISOString();
-    console.log(`Loaded ${restaurantsData.length} restaurants at ${lastDataLoad}`);
-  } catch (error) {
-    console.error('Error loading restaurant data:', error);
-    restaurantsData = [];
-  }
-}
-
 // NEW: UNIFIED PLACES ENDPOINT (rate limited)
-app.get('/api/places', apiLimiter, (req, res) => {
+// Legacy JSON shape, served from PostgreSQL (services/legacyPlaces.js)
+app.get('/api/places', apiLimiter, async (req, res) => {
   try {
-    const placesData = JSON.parse(fs.readFileSync('./nozawa_places_unified.json', 'utf8'));
-    let places = placesData.places || [];
-    
     // Filter by category if requested
     const { category } = req.query;
-    if (category) {
-      places = places.filter(p => p.category === category);
-    }
-    
+    const places = await legacyPlaces.getPlaces({ category });
+
     res.json({
       places,
       total_count: places.length
@@ -229,34 +239,15 @@ app.get('/api/places/details', async (req, res) => {
 
 // ============= END GOOGLE PLACES API =============
 
-// Helper function to check if restaurant is open
-function isRestaurantOpen(restaurant) {
-  if (!restaurant.opening_hours || !restaurant.opening_hours.periods) {
-    return null;
-  }
-  
-  // Implementation continues...
-}
-
-// Helper function to calculate distance
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c * 1000;
-}
-
-// Generate 6-digit numeric code for groups
-function generateGroupCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// Helper function to check if restaurant is open (JST, see services/openingHours.js)
+// Returns true/false, or null when the restaurant has no hours data
+function isRestaurantOpen(restaurant, now = new Date()) {
+  return openingHours.isOpenNow(restaurant, now);
 }
 
 // MAIN RESTAURANTS/PLACES ENDPOINT (rate limited)
-app.get('/api/restaurants', apiLimiter, (req, res) => {
+// Legacy JSON shape, served from PostgreSQL (services/legacyPlaces.js)
+app.get('/api/restaurants', apiLimiter, async (req, res) => {
   const { 
     category,
     open_now, 
@@ -268,8 +259,6 @@ app.get('/api/restaurants', apiLimiter, (req, res) => {
     limit = 100
   } = req.query;
   
-  let filtered = [...restaurantsData];
-  
   // Category filter (for future use with onsens, services, etc)
   if (category && category !== 'restaurant') {
     return res.json({
@@ -277,10 +266,20 @@ app.get('/api/restaurants', apiLimiter, (req, res) => {
       restaurants: []
     });
   }
+
+  let filtered;
+  try {
+    filtered = await legacyPlaces.getPlaces({ category: 'restaurant' });
+  } catch (error) {
+    console.error('Error loading restaurants:', error);
+    return res.status(500).json({ error: 'Failed to load restaurants' });
+  }
   
+  const now = new Date();
+
   // Open now filter
   if (open_now === 'true') {
-    filtered = filtered.filter(r => isRestaurantOpen(r) === true);
+    filtered = filtered.filter(r => isRestaurantOpen(r, now) === true);
   }
   
   // Cuisine filter
@@ -318,6 +317,9 @@ app.get('/api/restaurants', apiLimiter, (req, res) => {
   
   // Apply limit
   filtered = filtered.slice(0, parseInt(limit));
+
+  // Open / closing soon / next change, evaluated in JST
+  filtered = filtered.map(r => legacyPlaces.toListedRestaurant(r, now));
   
   res.json({
     count: filtered.length,
@@ -334,68 +336,60 @@ app.get('/api/restaurants', apiLimiter, (req, res) => {
 });
 
 // Get restaurant statistics
-app.get('/api/restaurants/stats', (req, res) => {
-  const stats = {
-    total_count: restaurantsData.length,
-    by_cuisine: {},
-    by_price: {},
-    with_photos: 0,
-    with_english_mentions: 0,
-    average_rating: 0,
-    data_updated: lastDataLoad
-  };
-  
-  let totalRating = 0;
-  let ratedCount = 0;
-  
-  restaurantsData.forEach(r => {
-    const cuisine = r.cuisine || r.type || 'Other';
-    stats.by_cuisine[cuisine] = (stats.by_cuisine[cuisine] || 0) + 1;
-    
-    const price = r.price_range || 'Unknown';
-    stats.by_price[price] = (stats.by_price[price] || 0) + 1;
-    
-    if (r.photos && r.photos.length > 0) stats.with_photos++;
-    if (r.review_analysis?.insights?.mentions_english) stats.with_english_mentions++;
-    
-    if (r.rating) {
-      totalRating += r.rating;
-      ratedCount++;
-    }
-  });
-  
-  stats.average_rating = ratedCount > 0 ? (totalRating / ratedCount).toFixed(2) : null;
-  
-  res.json(stats);
+app.get('/api/restaurants/stats', apiLimiter, async (req, res) => {
+  try {
+    const [restaurants, summary] = await Promise.all([
+      legacyPlaces.getPlaces({ category: 'restaurant' }),
+      legacyPlaces.getRestaurantSummary()
+    ]);
+
+    res.json(legacyPlaces.getRestaurantStats(restaurants, summary.updatedAt));
+  } catch (error) {
+    console.error('Error loading restaurant stats:', error);
+    res.status(500).json({ error: 'Failed to load restaurants' });
+  }
 });
 
 // Get currently open restaurants
-app.get('/api/restaurants/status/open', (req, res) => {
-  const openRestaurants = restaurantsData.filter(r => isRestaurantOpen(r) === true);
+app.get('/api/restaurants/status/open', apiLimiter, async (req, res) => {
+  let restaurants;
+  try {
+    restaurants = await legacyPlaces.getPlaces({ category: 'restaurant' });
+  } catch (error) {
+    console.error('Error loading restaurants:', error);
+    return res.status(500).json({ error: 'Failed to load restaurants' });
+  }
+
+  const now = new Date();
+  const openRestaurants = restaurants
+    .filter(r => isRestaurantOpen(r, now) === true)
+    .map(r => legacyPlaces.toListedRestaurant(r, now));
   
   res.json({
     count: openRestaurants.length,
-    current_time: new Date().toLocaleTimeString('en-US', { timeZone: 'Asia/Tokyo' }),
+    closing_soon_count: openRestaurants.filter(r => r.hours_status.closing_soon).length,
+    current_time: now.toLocaleTimeString('en-US', { timeZone: 'Asia/Tokyo' }),
     restaurants: openRestaurants
   });
 });
 
 // Get single restaurant by ID
-app.get('/api/restaurants/:id', (req, res) => {
+app.get('/api/restaurants/:id', apiLimiter, async (req, res) => {
   const { id } = req.params;
-  
-  const restaurant = restaurantsData.find(r => 
-    r.id === id || r.google_place_id === id
-  );
+
+  let restaurant;
+  try {
+    restaurant = await legacyPlaces.getRestaurant(id);
+  } catch (error) {
+    console.error('Error loading restaurant:', error);
+    return res.status(500).json({ error: 'Failed to load restaurant' });
+  }
   
   if (!restaurant) {
     return res.status(404).json({ error: 'Restaurant not found' });
   }
   
-  res.json({
-    ...restaurant,
-    is_open_now: isRestaurantOpen(restaurant)
-  });
+  res.json(legacyPlaces.toRestaurantDetail(restaurant));
 });
 
 // ============================================
@@ -417,51 +411,44 @@ function getTimeAgo(timestamp) {
 }
 
 // Create a new group (rate limited + validated)
-app.post('/api/groups/create', apiLimiter, validateGroupCreation, checkValidation, async (req, res) => {
-  const { deviceId, userName } = req.body;
-  
-  let code;
-  let attempts = 0;
-  
-  do {
-    code = generateGroupCode();
-    try {
-      await pool.query(
-        'INSERT INTO groups (resort_id, code) VALUES ($1, $2)',
-        [1, code]  // resort_id = 1 (Nozawa Onsen)
-      );
-      break;
-    } catch (e) {
-      if (e.code === '23505') { // Duplicate key error
-        attempts++;
-        if (attempts >= 10) {
-          return res.status(500).json({ error: 'Could not generate unique code' });
-        }
-      } else {
-        console.error('Database error:', e.message);
-        return res.status(500).json({ error: 'Database error' });
-      }
-    }
-  } while (attempts < 10);
-  
-  console.log(`Group created: ${code} by ${userName}`);
-  res.json({ code });
+// The creating device becomes the owner; the group expires at season end
+app.post('/api/groups/create', apiLimiter, authenticateDevice, validateGroupCreation, checkValidation, async (req, res) => {
+  const { userName, name } = req.body;
+  const deviceId = req.device.id;
+
+  try {
+    const group = await groupService.createGroup({ deviceId, userName, name, resortId: 1 }); // Nozawa Onsen
+
+    console.log(`Group created: ${group.code} by ${userName}`);
+    res.json({ code: group.code, name: group.name, expiresAt: group.expires_at, memberId: memberIds.getMemberId(group.code, deviceId) });
+  } catch (error) {
+    console.error('Database error:', error.message);
+    res.status(500).json({ error: error.message === 'Could not generate unique code' ? error.message : 'Database error' });
+  }
 });
 
 // Check if a group exists
-app.get('/api/groups/:code', async (req, res) => {
+// For a verified device (?deviceId= / device token) the response includes
+// its role and member id, and members asking for a rotated code are told the new one
+// Unknown codes are throttled per IP and per device (groupLookup*Limiter)
+app.get('/api/groups/:code', groupLookupIpLimiter, optionalDeviceAuth, groupLookupDeviceLimiter, async (req, res) => {
   const { code } = req.params;
-  
+  const deviceId = req.device?.id;
+
   try {
-    const result = await pool.query(
-      'SELECT * FROM groups WHERE code = $1',
-      [code]
-    );
-    
-    if (result.rows.length > 0) {
-      res.json({ exists: true, group: result.rows[0] });
+    const group = await groupService.getGroup(code);
+
+    if (group) {
+      const member = await groupService.getMember(code, deviceId);
+      res.json({
+        exists: true,
+        group: groupService.toPublicGroup(group),
+        role: member ? member.role : null,
+        memberId: member ? memberIds.getMemberId(code, deviceId) : null
+      });
     } else {
-      res.status(404).json({ exists: false });
+      const newCode = await groupService.findRotatedCode(code, deviceId);
+      res.status(404).json(newCode ? { exists: false, rotated: true, newCode } : { exists: false });
     }
   } catch (error) {
     console.error('Error checking group:', error);
@@ -470,10 +457,10 @@ app.get('/api/groups/:code', async (req, res) => {
 });
 
 // Check-in to a place (rate limited + validated)
-app.post('/api/groups/:code/checkin', apiLimiter, validateCheckin, checkValidation, async (req, res) => {
+app.post('/api/groups/:code/checkin', apiLimiter, authenticateDevice, validateCheckin, checkValidation, loadGroup, requireActiveGroup, async (req, res) => {
   const { code } = req.params;
+  const deviceId = req.device.id;
   const {
-    deviceId,
     userName,
     placeId,
     placeName,
@@ -481,85 +468,78 @@ app.post('/api/groups/:code/checkin', apiLimiter, validateCheckin, checkValidati
     accommodationCoords,
     accommodationName,
     displayAccommodationToGroup,
-    scheduledFor,  // NEW: Optional timestamp for future meetup
-    meetupNote     // NEW: Optional note for meetup
+    scheduledFor,  // Legacy: future meetup (see /api/groups/:code/meetups)
+    meetupNote     // Legacy: note for meetup
   } = req.body;
   
   try {
-    // Verify group exists
-    const groupCheck = await pool.query('SELECT * FROM groups WHERE code = $1', [code]);
-    if (groupCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Group not found' });
+    // Legacy meetup creation - stored in meetups (with a mirrored check-in row)
+    // Creating a meetup does NOT check out the current location
+    if (scheduledFor) {
+      const { meetup, checkin } = await meetupService.createMeetup(code, {
+        deviceId,
+        userName,
+        placeId,
+        placeName,
+        scheduledFor,
+        note: meetupNote,
+        checkedInAt: req.body.timestamp || Date.now()
+      });
+
+      await pool.query(
+        `UPDATE group_members SET last_seen_at = NOW(), user_name = COALESCE($3, user_name)
+         WHERE group_code = $1 AND device_id = $2`,
+        [code, deviceId, userName]
+      );
+
+      return res.json({
+        success: true,
+        checkin: checkinService.formatLegacyCheckin(checkin),
+        meetup: meetupService.formatMeetup(meetup)
+      });
     }
 
     // Check if user is already checked in to the same place
     // ONLY check for regular check-ins (scheduled_for IS NULL), ignore meetups
-    const existingCheckin = await pool.query(
-      'SELECT * FROM checkin_new WHERE group_code = $1 AND device_id = $2 AND place_id = $3 AND is_active = true AND scheduled_for IS NULL',
-      [code, deviceId, placeId]
-    );
+    const existingCheckin = await checkinService.findActiveCheckin(code, deviceId, placeId);
 
     // If already checked in to the same place, just update the timestamp and return
-    if (existingCheckin.rows.length > 0) {
+    if (existingCheckin) {
       const updatedTimestamp = req.body.timestamp || Date.now();
-      const result = await pool.query(
-        'UPDATE checkin_new SET checked_in_at = $1 WHERE id = $2 RETURNING *',
-        [updatedTimestamp, existingCheckin.rows[0].id]
-      );
+      const refreshed = await checkinService.refreshCheckin(existingCheckin.id, updatedTimestamp);
+      const checkin = checkinService.formatLegacyCheckin(refreshed);
 
       console.log(`Check-in refreshed: ${userName} at ${placeName} in group ${code}`);
-      return res.json({ success: true, checkin: result.rows[0], refreshed: true });
+      await groupEvents.publishGroupEvent(code, 'checkin.refreshed', {
+        deviceId,
+        payload: { userName, placeId, placeName, checkedInAt: parseInt(checkin.checked_in_at) }
+      });
+      return res.json({ success: true, checkin, refreshed: true });
     }
 
-    // Auto-checkout logic: Only auto-checkout when creating a REGULAR check-in
-    // When creating a MEETUP (scheduledFor is set), do NOT checkout current location
-    // This allows users to remain checked in while scheduling future meetups
-    if (!scheduledFor) {
-      // Regular check-in: auto-checkout any existing active check-ins (different place)
-      await pool.query(
-        'UPDATE checkin_new SET is_active = false, checked_out_at = $1 WHERE group_code = $2 AND device_id = $3 AND is_active = true AND scheduled_for IS NULL',
-        [Date.now(), code, deviceId]
-      );
-    }
+    // Auto-checkout any existing active check-ins (different place)
+    // Meetups are left alone so users stay signed up for future meetups
+    await checkinService.checkOut(code, { deviceId, reason: 'replaced' });
 
     // Create new check-in (use provided timestamp or current time)
     const checkedInAt = req.body.timestamp || Date.now();
 
     // Prepare accommodation data (store as null if not sharing or not provided)
     const shouldShareAccommodation = displayAccommodationToGroup === true;
-    const accommodationCoordsStr = (shouldShareAccommodation && accommodationCoords)
-      ? JSON.stringify(accommodationCoords)
-      : null;
-
-    // Prepare meetup data (NULL = check-in now, timestamp = future meetup)
-    // IMPORTANT: Send ISO string directly to avoid timezone conversion by PostgreSQL
-    const scheduledTime = scheduledFor || null;
-    const truncatedNote = meetupNote ? meetupNote.substring(0, 200) : null;
-
-    // DEBUG: Log what we received
-    if (scheduledFor) {
-      console.log(`[DEBUG] Received scheduledFor from frontend: "${scheduledFor}" (type: ${typeof scheduledFor})`);
-      console.log(`[DEBUG] Will store in DB: "${scheduledTime}" (type: ${typeof scheduledTime})`);
-    }
 
-    const result = await pool.query(
-      'INSERT INTO checkin_new (group_code, user_name, device_id, place_id, place_name, checked_in_at, is_active, accommodation_place_id, accommodation_coords, accommodation_name, display_accommodation_to_group, scheduled_for, meetup_note) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *',
-      [
-        code,
-        userName,
-        deviceId,
-        placeId,
-        placeName,
-        checkedInAt,
-        true,
-        shouldShareAccommodation ? accommodationPlaceId : null,
-        accommodationCoordsStr,
-        shouldShareAccommodation ? accommodationName : null,
-        shouldShareAccommodation,
-        scheduledTime,  // NEW: Future meetup time or NULL
-        truncatedNote   // NEW: Meetup note (max 200 chars)
-      ]
-    );
+    const created = checkinService.formatLegacyCheckin(await checkinService.createCheckin(code, {
+      deviceId,
+      userName,
+      placeId,
+      placeName,
+      checkedInAt,
+      accommodation: shouldShareAccommodation ? {
+        placeId: accommodationPlaceId,
+        coords: accommodationCoords,
+        name: accommodationName,
+        share: true
+      } : {}
+    }));
     
     // Update group_members.last_seen_at (dual-write)
     await pool.query(
@@ -568,15 +548,22 @@ app.post('/api/groups/:code/checkin', apiLimiter, validateCheckin, checkValidati
       [code, deviceId, userName]
     );
 
-    // Log different message for meetups vs regular check-ins
-    if (scheduledTime) {
-      const timeStr = new Date(scheduledTime).toLocaleString('en-US', { timeZone: 'Asia/Tokyo', dateStyle: 'short', timeStyle: 'short' });
-      console.log(`Meetup created: ${userName} at ${placeName} scheduled for ${timeStr} in group ${code}`);
-    } else {
-      console.log(`Check-in: ${userName} at ${placeName} in group ${code}`);
-    }
+    console.log(`Check-in: ${userName} at ${placeName} in group ${code}`);
 
-    res.json({ success: true, checkin: result.rows[0] });
+    await groupEvents.publishGroupEvent(code, 'checkin.created', {
+      deviceId,
+      payload: {
+        id: created.id,
+        userName,
+        placeId,
+        placeName,
+        checkedInAt: parseInt(created.checked_in_at),
+        scheduledFor: null,
+        note: null
+      }
+    });
+
+    res.json({ success: true, checkin: created });
   } catch (error) {
     console.error('Check-in error:', error);
     res.status(500).json({ error: 'Failed to save check-in' });
@@ -584,53 +571,57 @@ app.post('/api/groups/:code/checkin', apiLimiter, validateCheckin, checkValidati
 });
 
 // Check-out from a place
-app.post('/api/groups/:code/checkout', async (req, res) => {
+app.post('/api/groups/:code/checkout', apiLimiter, authenticateDevice, loadGroup, requireActiveGroup, async (req, res) => {
   const { code } = req.params;
-  const { deviceId, placeId, cancelMeetup } = req.body;
-
-  // Validate deviceId is provided
-  if (!deviceId) {
-    return res.status(400).json({ error: 'Device ID required' });
-  }
+  const { placeId, cancelMeetup } = req.body;
+  const deviceId = req.device.id;
 
   try {
     // Use provided timestamp or current time
     const checkedOutAt = req.body.timestamp || Date.now();
     let result;
+    let cancelledMeetups = [];
 
     if (placeId) {
       if (cancelMeetup) {
-        // Scenario 1a: Cancel a specific meetup (scheduled_for IS NOT NULL)
-        result = await pool.query(
-          'UPDATE checkin_new SET is_active = false, checked_out_at = $1 WHERE group_code = $2 AND device_id = $3 AND place_id = $4 AND is_active = true AND scheduled_for IS NOT NULL RETURNING *',
-          [checkedOutAt, code, deviceId, placeId]
-        );
-        console.log(`Meetup canceled: Device ${deviceId} canceled meetup at ${placeId} in group ${code}`);
+        // Scenario 1a: Legacy meetup cancel - the device's meetups at this place
+        // (new clients use DELETE /api/groups/:code/meetups/:meetupId)
+        cancelledMeetups = await meetupService.getCreatedMeetups(code, deviceId, placeId);
+        await meetupService.cancelMeetups(cancelledMeetups, deviceId, checkedOutAt, { publish: false });
+        result = { rows: cancelledMeetups, rowCount: cancelledMeetups.length };
       } else {
         // Scenario 1b: Regular check-out from a location
         // ONLY checkout regular check-ins (scheduled_for IS NULL), NOT future meetups
-        result = await pool.query(
-          'UPDATE checkin_new SET is_active = false, checked_out_at = $1 WHERE group_code = $2 AND device_id = $3 AND place_id = $4 AND is_active = true AND scheduled_for IS NULL RETURNING *',
-          [checkedOutAt, code, deviceId, placeId]
-        );
+        const rows = await checkinService.checkOut(code, { deviceId, placeId, checkedOutAt });
+        result = { rows, rowCount: rows.length };
         console.log(`Check-out: Device ${deviceId} from ${placeId} in group ${code} (regular check-in only, preserving future meetups)`);
       }
     } else {
       // Scenario 2: Full group leave - deactivate ALL check-ins for this device in this group
       // Including both regular check-ins AND future meetups
-      result = await pool.query(
-        'UPDATE checkin_new SET is_active = false, checked_out_at = $1 WHERE group_code = $2 AND device_id = $3 AND is_active = true RETURNING *',
-        [checkedOutAt, code, deviceId]
-      );
+      const rows = await checkinService.checkOut(code, { deviceId, includeMeetups: true, checkedOutAt });
+      result = { rows, rowCount: rows.length };
+      cancelledMeetups = await meetupService.getCreatedMeetups(code, deviceId);
+      await meetupService.cancelMeetups(cancelledMeetups, deviceId, checkedOutAt);
       console.log(`Full group leave: Device ${deviceId} checked out from ALL locations in group ${code} (${result.rowCount} records updated)`);
     }
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 && cancelledMeetups.length === 0) {
       return res.status(404).json({
         error: cancelMeetup ? 'No active meetup found' : 'No active check-in found'
       });
     }
 
+    const checkoutEvent = cancelMeetup ? 'meetup.cancelled' : (placeId ? 'checkin.checked_out' : 'member.checked_out_all');
+    await groupEvents.publishGroupEvent(code, checkoutEvent, {
+      deviceId,
+      payload: {
+        placeId: placeId || null,
+        checkedOutAt: parseInt(checkedOutAt),
+        ids: result.rows.map(row => row.id)
+      }
+    });
+
     res.json({
       success: true,
       message: cancelMeetup ? 'Meetup cancelled' : (placeId ? 'Checked out from location' : 'Checked out from group'),
@@ -643,7 +634,7 @@ app.post('/api/groups/:code/checkout', async (req, res) => {
 });
 
 // Update user's accommodation sharing status
-app.put('/api/groups/:code/members/:deviceId/accommodation', async (req, res) => {
+app.put('/api/groups/:code/members/:deviceId/accommodation', authenticateDevice, loadGroup, requireActiveGroup, async (req, res) => {
   const { code, deviceId } = req.params;
   const {
     share,
@@ -653,12 +644,6 @@ app.put('/api/groups/:code/members/:deviceId/accommodation', async (req, res) =>
   } = req.body;
 
   try {
-    // Verify group exists
-    const groupCheck = await pool.query('SELECT * FROM groups WHERE code = $1', [code]);
-    if (groupCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Group not found' });
-    }
-
     const shouldShare = share === true;
 
     // Prepare accommodation coords for PostgreSQL array format
@@ -685,30 +670,25 @@ app.put('/api/groups/:code/members/:deviceId/accommodation', async (req, res) =>
     }
 
     // SECONDARY: Also update the most recent active check-in if exists (for backward compatibility)
-    const accommodationCoordsStr = accommodationCoords ? JSON.stringify(accommodationCoords) : null;
-    const currentCheckIn = await pool.query(
-      `SELECT id FROM checkin_new
-       WHERE group_code = $1
-         AND device_id = $2
-         AND is_active = true
-       ORDER BY checked_in_at DESC
-       LIMIT 1`,
-      [code, deviceId]
-    );
-
-    if (currentCheckIn.rows.length > 0) {
-      await pool.query(
-        `UPDATE checkin_new
-         SET accommodation_place_id = $1,
-             accommodation_coords = $2,
-             accommodation_name = $3,
-             display_accommodation_to_group = $4
-         WHERE id = $5`,
-        [accommodationPlaceId, accommodationCoordsStr, accommodationName, shouldShare, currentCheckIn.rows[0].id]
-      );
-    }
+    await checkinService.updateAccommodation(code, deviceId, {
+      placeId: accommodationPlaceId,
+      coords: accommodationCoords,
+      name: accommodationName,
+      share: shouldShare
+    });
 
     console.log(`Accommodation updated: ${deviceId} in group ${code} - ${accommodationName || 'none'} (sharing: ${shouldShare})`);
+
+    // Only broadcast accommodation details the member chose to share
+    await groupEvents.publishGroupEvent(code, 'member.accommodation_updated', {
+      deviceId,
+      payload: {
+        sharing: shouldShare,
+        accommodationPlaceId: shouldShare ? accommodationPlaceId : null,
+        accommodationCoords: shouldShare ? coordsArray : null,
+        accommodationName: shouldShare ? accommodationName : null
+      }
+    });
     res.json({ success: true, updated: memberResult.rows[0] });
 
   } catch (error) {
@@ -717,50 +697,39 @@ app.put('/api/groups/:code/members/:deviceId/accommodation', async (req, res) =>
   }
 });
 
-// Get group check-ins (with auto-expire)
-app.get('/api/groups/:code/checkins', async (req, res) => {
-  const { code } = req.params;
+// Opt in / out of automatic check-in (location pings: POST /api/devices/:deviceId/location)
+// Device token only, like the pings themselves - not deviceId alone
+app.put('/api/groups/:code/members/:deviceId/auto-checkin', apiLimiter, requireDeviceToken, validateAutoCheckin, checkValidation, loadGroup, requireActiveGroup, async (req, res) => {
+  const { code, deviceId } = req.params;
+  const { enabled } = req.body;
 
   try {
-    // Auto-expire check-ins older than 1 hour that haven't been manually checked out
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    await pool.query(
-      'UPDATE checkin_new SET is_active = false WHERE group_code = $1 AND checked_in_at < $2 AND is_active = true AND checked_out_at IS NULL AND scheduled_for IS NULL',
-      [code, oneHourAgo]
-    );
+    const member = await geofenceService.setAutoCheckin(code, deviceId, enabled);
+    if (!member) {
+      return res.status(404).json({ error: 'Not a member of this group' });
+    }
 
-    // Auto-expire meetups past their scheduled time + 2 hour grace period
-    // Calculate expiry threshold (2 hours ago in milliseconds)
-    const twoHoursAgo = Date.now() - (2 * 60 * 60 * 1000);
-    const expiryThresholdDate = new Date(twoHoursAgo);
+    console.log(`Auto check-in ${enabled ? 'enabled' : 'disabled'}: ${deviceId} in group ${code}`);
+    res.json({ success: true, autoCheckin: member.auto_checkin });
 
-    const expireResult = await pool.query(
-      `UPDATE checkin_new
-       SET is_active = false
-       WHERE group_code = $1
-         AND is_active = true
-         AND scheduled_for IS NOT NULL
-         AND scheduled_for < $2
-       RETURNING id, place_name, scheduled_for`,
-      [code, expiryThresholdDate]
-    );
+  } catch (error) {
+    console.error('Update auto check-in error:', error);
+    res.status(500).json({ error: 'Failed to update automatic check-in' });
+  }
+});
 
-    if (expireResult.rowCount > 0) {
-      console.log(`[MEETUP EXPIRY] Expired ${expireResult.rowCount} meetup(s) in group ${code}:`);
-      expireResult.rows.forEach(row => {
-        console.log(`  - ID ${row.id}: ${row.place_name} (was scheduled for ${row.scheduled_for})`);
-      });
-    }
+// Get group check-ins (with auto-expire)
+app.get('/api/groups/:code/checkins', groupLookupIpLimiter, loadGroup, async (req, res) => {
+  const { code } = req.params;
 
+  try {
+    // Expiry runs in the background (services/checkinExpiry.js)
     // Get all check-ins for this group (last 24 hours)
     const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    const result = await pool.query(
-      'SELECT * FROM checkin_new WHERE group_code = $1 AND checked_in_at > $2 ORDER BY checked_in_at DESC',
-      [code, oneDayAgo]
-    );
-    
+    const rows = await checkinService.getRecentCheckins(code, oneDayAgo);
+
     // Format the timestamps for frontend
-    const formattedCheckins = result.rows.map(row => ({
+    const formattedCheckins = rows.map(checkinService.formatLegacyCheckin).map(row => ({
       ...row,
       checked_in_at: parseInt(row.checked_in_at),
       checked_out_at: row.checked_out_at ? parseInt(row.checked_out_at) : null,
@@ -782,48 +751,25 @@ app.get('/api/groups/:code/checkins', async (req, res) => {
 });
 
 // Join a group (explicit membership)
-app.post('/api/groups/:code/join', apiLimiter, async (req, res) => {
+app.post('/api/groups/:code/join', apiLimiter, groupLookupIpLimiter, authenticateDevice, groupLookupDeviceLimiter, loadGroup, requireActiveGroup, async (req, res) => {
   const { code } = req.params;
-  const { deviceId, userName, accommodationPlaceId, accommodationCoords, accommodationName, displayAccommodationToGroup } = req.body;
-
-  if (!deviceId) {
-    return res.status(400).json({ error: 'Device ID required' });
-  }
+  const deviceId = req.device.id;
 
   try {
-    // Verify group exists
-    const groupCheck = await pool.query('SELECT * FROM groups WHERE code = $1', [code]);
-    if (groupCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Group not found' });
-    }
-
-    // Prepare accommodation coords for PostgreSQL array format
-    let coordsArray = null;
-    if (accommodationCoords && Array.isArray(accommodationCoords) && accommodationCoords.length === 2) {
-      coordsArray = accommodationCoords;
+    // Locked groups only let existing members back in
+    if (req.group.join_locked && !(await groupService.getMember(code, deviceId))) {
+      return res.status(403).json({
+        error: 'Group locked',
+        message: 'This group is not accepting new members'
+      });
     }
 
-    // Upsert into group_members
-    const result = await pool.query(
-      `INSERT INTO group_members (group_code, device_id, user_name, joined_at, last_seen_at,
-        accommodation_place_id, accommodation_name, accommodation_coords, display_accommodation_to_group)
-       VALUES ($1, $2, $3, NOW(), NOW(), $4, $5, $6, $7)
-       ON CONFLICT (group_code, device_id)
-       DO UPDATE SET
-         user_name = COALESCE(EXCLUDED.user_name, group_members.user_name),
-         last_seen_at = NOW(),
-         accommodation_place_id = COALESCE(EXCLUDED.accommodation_place_id, group_members.accommodation_place_id),
-         accommodation_name = COALESCE(EXCLUDED.accommodation_name, group_members.accommodation_name),
-         accommodation_coords = COALESCE(EXCLUDED.accommodation_coords, group_members.accommodation_coords),
-         display_accommodation_to_group = COALESCE(EXCLUDED.display_accommodation_to_group, group_members.display_accommodation_to_group)
-       RETURNING *`,
-      [code, deviceId, userName, accommodationPlaceId, accommodationName, coordsArray, displayAccommodationToGroup || false]
-    );
+    const member = await groupService.addMember(code, deviceId, req.body);
 
-    console.log(`Group join: ${userName || deviceId} joined group ${code}`);
     res.json({
       success: true,
-      member: result.rows[0],
+      member,
+      memberId: memberIds.getMemberId(code, deviceId),
       message: 'Successfully joined group'
     });
 
@@ -833,8 +779,9 @@ app.post('/api/groups/:code/join', apiLimiter, async (req, res) => {
   }
 });
 
-// Get member list for a group (reads from group_members + fallback to checkin_new)
-app.get('/api/groups/:code/members', async (req, res) => {
+// Get member list for a group (reads from group_members + fallback to check-ins)
+// Members are listed by member id - device ids are never shown to other members
+app.get('/api/groups/:code/members', groupLookupIpLimiter, loadGroup, async (req, res) => {
   const { code } = req.params;
 
   try {
@@ -845,6 +792,7 @@ app.get('/api/groups/:code/members', async (req, res) => {
         user_name,
         joined_at,
         last_seen_at,
+        role,
         accommodation_place_id,
         accommodation_name,
         accommodation_coords,
@@ -858,54 +806,15 @@ app.get('/api/groups/:code/members', async (req, res) => {
     // Track device_ids already in group_members
     const knownDeviceIds = new Set(result.rows.map(r => r.device_id));
 
-    // FALLBACK: Get members from checkin_new who aren't in group_members
+    // FALLBACK: Get members from check-ins who aren't in group_members
     // This supports older app versions that don't call /join
-    const fallbackResult = await pool.query(
-      `SELECT DISTINCT ON (device_id)
-        device_id,
-        user_name,
-        checked_in_at,
-        accommodation_place_id,
-        accommodation_name,
-        accommodation_coords,
-        display_accommodation_to_group
-       FROM checkin_new
-       WHERE group_code = $1
-         AND is_active = true
-       ORDER BY device_id, checked_in_at DESC`,
-      [code]
-    );
+    const checkedInDevices = await checkinService.getCheckedInDevices(code);
 
     // Get currently active check-ins for each member (scheduled_for IS NULL = check-in now)
-    const activeResult = await pool.query(
-      'SELECT device_id, place_name FROM checkin_new WHERE group_code = $1 AND is_active = true AND scheduled_for IS NULL',
-      [code]
-    );
-
-    const activeMap = {};
-    activeResult.rows.forEach(row => {
-      activeMap[row.device_id] = row.place_name;
-    });
+    const activeMap = await checkinService.getCurrentPlaces(code);
 
-    // Get future meetups (scheduled_for IS NOT NULL and in future)
-    const meetupsResult = await pool.query(
-      `SELECT
-        id,
-        device_id,
-        user_name,
-        place_id,
-        place_name,
-        scheduled_for,
-        meetup_note,
-        checked_in_at as created_at
-       FROM checkin_new
-       WHERE group_code = $1
-         AND is_active = true
-         AND scheduled_for IS NOT NULL
-         AND scheduled_for > NOW()
-       ORDER BY scheduled_for ASC`,
-      [code]
-    );
+    // Get future meetups with attendees
+    const upcomingMeetups = await meetupService.getMeetups(code);
 
     // Combine member info with active status and accommodation data
     const membersWithStatus = result.rows.map(member => {
@@ -916,8 +825,9 @@ app.get('/api/groups/:code/members', async (req, res) => {
       }
 
       return {
-        device_id: member.device_id,
+        member_id: memberIds.getMemberId(code, member.device_id),
         user_name: member.user_name,
+        role: member.role || 'member',
         joined_at: member.joined_at,
         last_checkin: member.last_seen_at ? new Date(member.last_seen_at).getTime() : null,
         currently_at: activeMap[member.device_id] || null,
@@ -929,25 +839,18 @@ app.get('/api/groups/:code/members', async (req, res) => {
       };
     });
 
-    // Add fallback members from checkin_new (those not in group_members)
-    fallbackResult.rows.forEach(checkin => {
+    // Add fallback members from check-ins (those not in group_members)
+    checkedInDevices.forEach(checkin => {
       if (!knownDeviceIds.has(checkin.device_id)) {
-        // Parse accommodation_coords from JSON string if present
-        let accommodationCoords = null;
-        if (checkin.accommodation_coords) {
-          try {
-            accommodationCoords = JSON.parse(checkin.accommodation_coords);
-          } catch (e) {
-            // Already an array or invalid
-            accommodationCoords = checkin.accommodation_coords;
-          }
-        }
+        // accommodation_coords is JSONB - already a JS array
+        const accommodationCoords = checkin.accommodation_coords || null;
 
         membersWithStatus.push({
-          device_id: checkin.device_id,
+          member_id: memberIds.getMemberId(code, checkin.device_id),
           user_name: checkin.user_name,
-          joined_at: new Date(parseInt(checkin.checked_in_at)),
-          last_checkin: parseInt(checkin.checked_in_at),
+          role: 'member',
+          joined_at: new Date(checkin.checked_in_at),
+          last_checkin: new Date(checkin.checked_in_at).getTime(),
           currently_at: activeMap[checkin.device_id] || null,
           is_checked_in: !!activeMap[checkin.device_id],
           // Accommodation fields (only include if sharing)
@@ -961,19 +864,8 @@ app.get('/api/groups/:code/members', async (req, res) => {
       }
     });
 
-    // Format meetups for frontend
-    const meetups = meetupsResult.rows.map(meetup => ({
-      id: meetup.id,
-      deviceId: meetup.device_id,
-      username: meetup.user_name,
-      place: {
-        id: meetup.place_id,
-        name: meetup.place_name
-      },
-      scheduledFor: meetup.scheduled_for.toISOString(),
-      note: meetup.meetup_note,
-      createdAt: new Date(parseInt(meetup.created_at)).toISOString()
-    }));
+    // Format meetups for frontend (legacy fields plus status and attendees)
+    const meetups = upcomingMeetups.map(meetupService.formatMeetup);
 
     res.json({
       group_code: code,
@@ -988,14 +880,86 @@ app.get('/api/groups/:code/members', async (req, res) => {
   }
 });
 
-// Leave a group (removes from group_members and deletes all check-ins)
-app.delete('/api/groups/:code/leave', async (req, res) => {
+// Live group updates over Server-Sent Events (replaces polling /members and /checkins)
+// Clients resume after reconnecting via the Last-Event-ID header (or ?lastEventId=)
+app.get('/api/groups/:code/events', apiLimiter, groupLookupIpLimiter, async (req, res) => {
   const { code } = req.params;
-  const { deviceId } = req.body;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
 
-  if (!deviceId) {
-    return res.status(400).json({ error: 'Device ID required' });
+  try {
+    // Verify group exists
+    const groupCheck = await pool.query('SELECT id FROM groups WHERE code = $1', [code]);
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Tell EventSource how long to wait before reconnecting
+    res.write('retry: 5000\n\n');
+
+    // Buffer live events until the replay has been sent, so nothing is
+    // lost or delivered out of order while we query the backlog
+    let replaying = true;
+    const buffered = [];
+    const unsubscribe = groupEvents.subscribe(code, (event) => {
+      if (replaying) {
+        buffered.push(event);
+      } else {
+        sendEvent(event);
+      }
+    });
+
+    // Keep the connection alive through proxies (Railway closes idle connections)
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    let lastSentId = 0;
+    if (lastEventId) {
+      const { events, truncated } = await groupEvents.getEventsSince(code, lastEventId);
+      if (truncated) {
+        // Too much was missed - client should refetch /members and /checkins
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'history_unavailable' })}\n\n`);
+      }
+      events.forEach(event => {
+        sendEvent(event);
+        lastSentId = parseInt(event.id);
+      });
+    }
+
+    replaying = false;
+    buffered
+      .filter(event => parseInt(event.id) > lastSentId)
+      .forEach(sendEvent);
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ groupCode: code, subscribers: groupEvents.getSubscriberCount(code) })}\n\n`);
+  } catch (error) {
+    console.error('Group events stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to open event stream' });
+    }
+    res.end();
   }
+});
+
+// Leave a group (removes from group_members and deletes all check-ins)
+app.delete('/api/groups/:code/leave', apiLimiter, authenticateDevice, loadGroup, requireActiveGroup, async (req, res) => {
+  const { code } = req.params;
+  const deviceId = req.device.id;
 
   try {
     // Delete from group_members first
@@ -1005,23 +969,36 @@ app.delete('/api/groups/:code/leave', async (req, res) => {
     );
 
     // Delete all check-ins for this device in this group
-    const checkinResult = await pool.query(
-      'DELETE FROM checkin_new WHERE group_code = $1 AND device_id = $2 RETURNING *',
-      [code, deviceId]
-    );
+    const deletedCheckins = await checkinService.deleteDeviceCheckins(code, deviceId);
 
-    if (memberResult.rows.length === 0 && checkinResult.rows.length === 0) {
+    if (memberResult.rows.length === 0 && deletedCheckins === 0) {
       return res.status(404).json({
         error: 'Not a member',
         message: 'User is not a member of this group'
       });
     }
 
-    console.log(`Leave group: Device ${deviceId} left group ${code} (member removed, ${checkinResult.rows.length} check-ins deleted)`);
+    // Cancel the meetups they planned and drop their RSVPs
+    await meetupService.removeDevice(code, deviceId);
+
+    console.log(`Leave group: Device ${deviceId} left group ${code} (member removed, ${deletedCheckins} check-ins deleted)`);
+
+    // Owner left - pass the group on
+    const group = await groupService.getGroup(code);
+    let newOwner = null;
+    if (group && group.owner_device_id === deviceId) {
+      newOwner = await groupService.transferOwnership(group);
+      console.log(`Group ${code} ownership passed to ${newOwner || 'nobody (group empty)'}`);
+    }
+
+    await groupEvents.publishGroupEvent(code, 'member.left', {
+      deviceId,
+      payload: { deletedCheckins: deletedCheckins, newOwner }
+    });
     res.json({
       success: true,
       message: 'Successfully left group',
-      deleted_checkins: checkinResult.rows.length
+      deleted_checkins: deletedCheckins
     });
   } catch (error) {
     console.error('Leave group error:', error);
@@ -1029,35 +1006,323 @@ app.delete('/api/groups/:code/leave', async (req, res) => {
   }
 });
 
-// ============= END GROUP MANAGEMENT =============
-
-// ============================================
-// ADMIN AUTHENTICATION & ENDPOINTS
-// ============================================
+// ============= GROUP MODERATION (owner / admins) =============
+// The acting device is req.device (authenticateDevice); see middleware/groups.js
 
-// Admin login endpoint - returns JWT token (rate limited + validated)
-app.post('/api/admin/login', authLimiter, validateLogin, checkValidation, async (req, res) => {
-  const { email, password } = req.body;
+// Rename the group / lock or unlock joining
+app.patch('/api/groups/:code', apiLimiter, authenticateDevice, validateGroupUpdate, checkValidation, loadGroup, requireActiveGroup, requireGroupModerator, async (req, res) => {
+  const { code } = req.params;
+  const { name, joinLocked } = req.body;
+  const deviceId = req.device.id;
 
   try {
-    // Query admin user from database
-    const result = await pool.query(
-      'SELECT id, email, password_hash, name, role, resort_access, active FROM admin_users WHERE email = $1',
-      [email.toLowerCase()]
-    );
+    const group = await groupService.updateGroup(req.group, { name, joinLocked });
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect'
-      });
-    }
+    console.log(`Group updated: ${code} by ${deviceId} (name: ${group.name || 'none'}, locked: ${group.join_locked})`);
 
-    const admin = result.rows[0];
+    await groupEvents.publishGroupEvent(code, 'group.updated', {
+      deviceId,
+      payload: { name: group.name, joinLocked: group.join_locked }
+    });
+    res.json({ success: true, group: groupService.toPublicGroup(group) });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({ error: 'Failed to update group' });
+  }
+});
 
-    // Check if admin is active
-    if (!admin.active) {
-      return res.status(403).json({
+// Make a member an admin (or back to member) - owner only
+app.put('/api/groups/:code/members/:memberId/role', apiLimiter, authenticateDevice, validateMemberRole, checkValidation, loadGroup, requireActiveGroup, requireGroupOwner, async (req, res) => {
+  const { code, memberId } = req.params;
+  const { role } = req.body;
+  const deviceId = req.device.id;
+
+  try {
+    const target = await groupService.findMemberById(code, memberId);
+    const member = target && await groupService.setMemberRole(code, target.device_id, role);
+    if (!member) {
+      return res.status(404).json({ error: 'Not a member of this group' });
+    }
+
+    console.log(`Group role: ${member.device_id} is now ${role} in group ${code}`);
+
+    await groupEvents.publishGroupEvent(code, 'member.role_changed', {
+      deviceId,
+      payload: { memberId, role }
+    });
+    res.json({ success: true, member: { member_id: memberId, user_name: member.user_name, role: member.role } });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ error: 'Failed to update member role' });
+  }
+});
+
+// Remove a member (admins can only remove regular members)
+app.delete('/api/groups/:code/members/:memberId', apiLimiter, authenticateDevice, loadGroup, requireActiveGroup, requireGroupModerator, async (req, res) => {
+  const { code, memberId } = req.params;
+  const deviceId = req.device.id;
+
+  try {
+    const target = await groupService.findMemberById(code, memberId);
+    if (!target) {
+      return res.status(404).json({ error: 'Not a member of this group' });
+    }
+    if (target.device_id === deviceId) {
+      return res.status(400).json({ error: 'Use /leave to leave the group' });
+    }
+    if (target.role === 'owner' || (target.role === 'admin' && req.member.role !== 'owner')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `You can't remove the group ${target.role}`
+      });
+    }
+
+    const deletedCheckins = await groupService.removeMember(code, target.device_id);
+
+    console.log(`Member removed: ${target.device_id} from group ${code} by ${deviceId} (${deletedCheckins} check-ins deleted)`);
+
+    await groupEvents.publishGroupEvent(code, 'member.removed', {
+      deviceId,
+      payload: { memberId, deletedCheckins }
+    });
+    res.json({
+      success: true,
+      message: 'Member removed',
+      deleted_checkins: deletedCheckins
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Replace the join code (members move with the group; the old code stops working)
+app.post('/api/groups/:code/rotate-code', apiLimiter, authenticateDevice, loadGroup, requireActiveGroup, requireGroupModerator, async (req, res) => {
+  const deviceId = req.device.id;
+
+  try {
+    const code = await groupService.rotateCode(req.group, deviceId);
+    res.json({ success: true, code, previousCode: req.group.code });
+  } catch (error) {
+    console.error('Rotate group code error:', error);
+    res.status(500).json({ error: 'Failed to rotate group code' });
+  }
+});
+
+// ============= GROUP INVITES =============
+// Expiring invite tokens for deep links / QR codes. Unlike 6-digit codes
+// they can't be guessed, and owner/admin invites work while joining is locked.
+
+const formatInvite = (invite, code) => ({
+  id: invite.id,
+  token: invite.token,
+  url: groupService.getInviteUrl(invite.token),
+  qrPayload: groupService.getInviteUrl(invite.token),
+  expiresAt: invite.expires_at,
+  maxUses: invite.max_uses,
+  useCount: invite.use_count,
+  createdBy: memberIds.getMemberId(code, invite.created_by),
+  createdAt: invite.created_at
+});
+
+// Create an invite (any member; only the owner/admins while joining is locked)
+app.post('/api/groups/:code/invites', apiLimiter, authenticateDevice, validateInvite, checkValidation, loadGroup, requireActiveGroup, requireGroupRole(...groupService.ROLES), async (req, res) => {
+  const { code } = req.params;
+  const { expiresInHours, maxUses } = req.body;
+
+  if (req.group.join_locked && !groupService.MODERATOR_ROLES.includes(req.member.role)) {
+    return res.status(403).json({
+      error: 'Group locked',
+      message: 'Only the group owner or admin can invite while joining is locked'
+    });
+  }
+
+  try {
+    const invite = await groupService.createInvite(req.group, req.member, { expiresInHours, maxUses });
+
+    console.log(`Group invite created: group ${code} by ${req.member.device_id} (expires ${invite.expires_at.toISOString()})`);
+
+    res.status(201).json({ success: true, invite: formatInvite(invite, code) });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// List a group's usable invites (owner / admins)
+app.get('/api/groups/:code/invites', apiLimiter, authenticateDevice, loadGroup, requireGroupModerator, async (req, res) => {
+  try {
+    const invites = await groupService.getInvites(req.group);
+    res.json({ success: true, invites: invites.map(invite => formatInvite(invite, req.group.code)), count: invites.length });
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Revoke an invite (owner / admins, or whoever created it)
+app.delete('/api/groups/:code/invites/:inviteId', apiLimiter, authenticateDevice, validateIdParam('inviteId'), checkValidation, loadGroup, requireGroupRole(...groupService.ROLES), async (req, res) => {
+  try {
+    const revoked = await groupService.revokeInvite(req.group, req.params.inviteId, req.member);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ success: true, message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Preview an invite before accepting (group name and size - not the code)
+app.get('/api/invites/:token', groupLookupIpLimiter, async (req, res) => {
+  try {
+    const invite = await groupService.getInvite(req.params.token);
+    if (!invite || invite.archived_at) {
+      return res.status(404).json({ valid: false, error: 'Invite not found or expired' });
+    }
+
+    res.json({
+      valid: true,
+      group: { name: invite.group_name, memberCount: invite.member_count },
+      expiresAt: invite.expires_at
+    });
+  } catch (error) {
+    console.error('Preview invite error:', error);
+    res.status(500).json({ error: 'Failed to check invite' });
+  }
+});
+
+// Accept an invite - joins the group like /join and returns its code
+app.post('/api/invites/:token/accept', apiLimiter, groupLookupIpLimiter, authenticateDevice, groupLookupDeviceLimiter, async (req, res) => {
+  const deviceId = req.device.id;
+
+  try {
+    const invite = await groupService.getInvite(req.params.token);
+    if (!invite || invite.archived_at) {
+      return res.status(404).json({ error: 'Invite not found or expired' });
+    }
+
+    const code = invite.group_code;
+
+    // Already a member - nothing to use up
+    let member = await groupService.getMember(code, deviceId);
+    if (!member) {
+      if (invite.join_locked && !invite.created_by_moderator) {
+        return res.status(403).json({
+          error: 'Group locked',
+          message: 'This group is not accepting new members'
+        });
+      }
+
+      if (!(await groupService.consumeInvite(invite.id))) {
+        return res.status(404).json({ error: 'Invite not found or expired' });
+      }
+    }
+
+    member = await groupService.addMember(code, deviceId, req.body, 'invite');
+
+    res.json({
+      success: true,
+      code,
+      groupName: invite.group_name,
+      member,
+      memberId: memberIds.getMemberId(code, deviceId),
+      message: 'Successfully joined group'
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// ============= GROUP CALENDAR FEED =============
+// .ics subscription of a group's meetups. Calendar apps can't send device
+// tokens, so the feed URL carries its own unguessable token.
+
+const calendarFeedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+// Get the subscription URL (any member)
+app.get('/api/groups/:code/calendar', apiLimiter, authenticateDevice, loadGroup, requireGroupRole(...groupService.ROLES), async (req, res) => {
+  try {
+    const token = await groupService.getCalendarToken(req.group);
+    res.json({ success: true, ...calendarFeedUrls(req, token) });
+  } catch (error) {
+    console.error('Calendar link error:', error);
+    res.status(500).json({ error: 'Failed to get calendar link' });
+  }
+});
+
+// Replace the subscription URL if it leaked (owner / admins)
+app.post('/api/groups/:code/calendar/reset', apiLimiter, authenticateDevice, loadGroup, requireGroupModerator, async (req, res) => {
+  try {
+    const token = await groupService.resetCalendarToken(req.group);
+    console.log(`Group ${req.group.code} calendar link reset by ${req.device.id}`);
+    res.json({ success: true, ...calendarFeedUrls(req, token) });
+  } catch (error) {
+    console.error('Calendar link reset error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar link' });
+  }
+});
+
+// The feed itself - upcoming meetups (cancelled ones as CANCELLED events)
+app.get('/api/calendar/:token.ics', groupLookupIpLimiter, async (req, res) => {
+  try {
+    const group = await groupService.getGroupByCalendarToken(req.params.token);
+    if (!group) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const events = await meetupService.getCalendarEvents(group);
+    const ics = icalendar.buildCalendar({
+      name: group.name ? `${group.name} meetups` : `Group ${group.code} meetups`,
+      description: 'Meetups planned in the Nozawa Onsen app',
+      events
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="meetups.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+// ============= END GROUP MANAGEMENT =============
+
+// ============================================
+// ADMIN AUTHENTICATION & ENDPOINTS
+// ============================================
+
+// Admin login endpoint - returns JWT token (rate limited + validated)
+app.post('/api/admin/login', authLimiter, validateLogin, checkValidation, async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    // Query admin user from database
+    const result = await pool.query(
+      'SELECT id, email, password_hash, name, role, resort_access, active FROM admin_users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Email or password is incorrect'
+      });
+    }
+
+    const admin = result.rows[0];
+
+    // Check if admin is active
+    if (!admin.active) {
+      return res.status(403).json({
         error: 'Account disabled',
         message: 'This admin account has been deactivated'
       });
@@ -1110,15 +1375,25 @@ app.post('/api/admin/login', authLimiter, validateLogin, checkValidation, async
 });
 
 // Reload restaurant data (JWT protected + rate limited)
+// Kept for older admin panels - restaurants are read from PostgreSQL on
+// every request now, so there is nothing to reload
 app.post('/api/admin/reload-data', adminLimiter, authenticateAdmin, async (req, res) => {
-  await loadRestaurantData();
+  try {
+    const summary = await legacyPlaces.getRestaurantSummary({ fresh: true });
 
-  res.json({
-    success: true,
-    restaurants_loaded: restaurantsData.length,
-    timestamp: lastDataLoad,
-    admin: req.admin.email
-  });
+    res.json({
+      success: true,
+      restaurants_loaded: summary.count,
+      timestamp: summary.updatedAt,
+      admin: req.admin.email
+    });
+  } catch (error) {
+    console.error('Error counting restaurants:', error);
+    res.status(500).json({
+      error: 'Failed to count restaurants',
+      message: error.message
+    });
+  }
 });
 
 // Get current places data for admin editing (JWT protected + rate limited)
@@ -1167,6 +1442,11 @@ app.post('/api/admin/save-places', adminLimiter, authenticateAdmin, async (req,
     // Save directly to PostgreSQL
     const result = await savePlacesToPostgreSQL(data.places, req.admin.id);
 
+    // Keep search in step with the edits (never throws)
+    if (result.updated > 0) {
+      await searchService.rebuildSearchIndex();
+    }
+
     console.log('='.repeat(50));
     console.log(`SAVE RESULT:`);
     console.log(`✓ PostgreSQL: ${result.success ? 'Success' : 'Failed'}`);
@@ -1336,36 +1616,22 @@ app.get('/api/admin/lift-scrapes', adminLimiter, authenticateAdmin, async (req,
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 200); // Max 200
 
-    // Get scrape history from PostgreSQL
-    const result = await pool.query(`
-      SELECT
-        id,
-        scraped_at,
-        is_off_season,
-        scraper_version,
-        source_url,
-        (lift_data->>'lifts')::jsonb as lifts_summary,
-        jsonb_array_length((lift_data->>'lifts')::jsonb) as lift_count
-      FROM lift_status_cache
-      WHERE resort_id = $1
-      ORDER BY scraped_at DESC
-      LIMIT $2
-    `, [1, limit]);
+    // Get scrape history from the append-only history log
+    const rows = await liftHistory.getScrapeHistory(1, limit);
 
     // Calculate scrape statistics
     const stats = {
-      totalScrapes: result.rows.length,
-      latestScrape: result.rows[0]?.scraped_at || null,
-      oldestScrape: result.rows[result.rows.length - 1]?.scraped_at || null,
-      offSeasonScrapes: result.rows.filter(r => r.is_off_season).length,
-      inSeasonScrapes: result.rows.filter(r => !r.is_off_season).length,
-      averageLiftCount: result.rows.length > 0
-        ? Math.round(result.rows.reduce((sum, r) => sum + parseInt(r.lift_count || 0), 0) / result.rows.length)
+      totalScrapes: rows.length,
+      latestScrape: rows[0]?.scraped_at || null,
+      oldestScrape: rows[rows.length - 1]?.scraped_at || null,
+      offSeasonScrapes: rows.filter(r => r.is_off_season).length,
+      inSeasonScrapes: rows.filter(r => !r.is_off_season).length,
+      averageLiftCount: rows.length > 0
+        ? Math.round(rows.reduce((sum, r) => sum + parseInt(r.lift_count || 0), 0) / rows.length)
         : 0
     };
 
     // Get current scheduler status
-    const scheduler = require('./services/scheduler');
     const currentData = scheduler.getLatestScrapeResults();
     const hasCurrentData = !!currentData;
     const dataAge = currentData && currentData.scrapedAt
@@ -1382,17 +1648,19 @@ app.get('/api/admin/lift-scrapes', adminLimiter, authenticateAdmin, async (req,
         isOffSeason: currentData?.isOffSeason || false,
         scrapedAt: currentData?.scrapedAt || null
       },
-      history: result.rows.map(row => ({
+      history: rows.map(row => ({
         id: row.id,
         scrapedAt: row.scraped_at,
         isOffSeason: row.is_off_season,
         version: row.scraper_version,
         sourceUrl: row.source_url,
-        liftCount: parseInt(row.lift_count || 0)
+        liftCount: parseInt(row.lift_count || 0),
+        openCount: parseInt(row.open_count || 0),
+        statusChanges: parseInt(row.change_count || 0)
       })),
       pagination: {
         limit,
-        returned: result.rows.length
+        returned: rows.length
       },
       admin: req.admin.email
     });
@@ -1406,91 +1674,776 @@ app.get('/api/admin/lift-scrapes', adminLimiter, authenticateAdmin, async (req,
   }
 });
 
-// ADMIN INTERFACE (serve static HTML)
-app.get('/admin', (req, res) => {
-  res.sendFile(path.join(__dirname, 'admin.html'));
+// Get lift scraper health per resort (JWT protected)
+app.get('/api/admin/scraper-health', adminLimiter, authenticateAdmin, (req, res) => {
+  try {
+    const resortId = parseInt(req.query.resort_id) || 1;
+    const scraper = scheduler.getScraper(resortId);
+    const { freshness, health } = scheduler.getLiftDataHealth(resortId);
+
+    res.json({
+      success: true,
+      resort: scraper ? { id: scraper.resort.id, slug: scraper.resort.slug } : null,
+      scraperLoaded: !!scraper,
+      inSeason: scraper ? scraper.isInSeason() : null,
+      freshness,
+      health,
+      alertChannels: notifier.getChannels(),
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error fetching scraper health:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scraper health',
+      message: error.message
+    });
+  }
 });
 
-// DEBUG TIMEZONE ENDPOINT
-app.get('/api/debug/timezone', async (req, res) => {
+// Get a resort's season dates and overrides (JWT protected)
+app.get('/api/admin/resorts/:resortId/season', adminLimiter, authenticateAdmin, requireResortAccess, (req, res) => {
+  const resortId = parseInt(req.params.resortId);
+  const config = seasonService.getSeasonConfig(resortId);
+
+  if (!config) {
+    return res.status(404).json({ error: 'Resort not found' });
+  }
+
+  const { resort, overrides } = config;
+
+  res.json({
+    success: true,
+    resort: { id: resort.id, slug: resort.slug, name: resort.name, timezone: resort.timezone },
+    defaults: {
+      startMonth: resort.season_start_month,
+      startDay: resort.season_start_day,
+      endMonth: resort.season_end_month,
+      endDay: resort.season_end_day,
+      label: seasonService.getSeasonLabel(resortId)
+    },
+    status: seasonService.getSeasonInfo(resortId),
+    overrides: overrides.map(o => ({
+      seasonYear: o.season_year,
+      opensOn: o.opens_on,
+      closesOn: o.closes_on,
+      note: o.note,
+      updatedBy: o.updated_by,
+      updatedAt: o.updated_at
+    })),
+    admin: req.admin.email
+  });
+});
+
+// Update a resort's default season dates (JWT protected)
+app.put('/api/admin/resorts/:resortId/season', adminLimiter, authenticateAdmin, requireResortAccess, validateSeasonDefaults, checkValidation, async (req, res) => {
   try {
-    const tests = await pool.query(`
-      SELECT
-        current_setting('TIMEZONE') as session_timezone,
-        NOW() as now_with_tz,
-        NOW()::timestamp as now_without_tz,
-        '2025-12-03T09:00:00.000Z'::timestamp as test_input,
-        '2025-12-03T09:00:00.000Z'::timestamptz as test_input_with_tz
-    `);
+    const resortId = parseInt(req.params.resortId);
+    const { startMonth, startDay, endMonth, endDay } = req.body;
+
+    const updated = await seasonService.updateDefaultSeason(resortId, { startMonth, startDay, endMonth, endDay });
+    if (!updated) {
+      return res.status(404).json({ error: 'Resort not found' });
+    }
+
+    console.log(`📅 Season defaults for resort ${resortId} set to ${seasonService.getSeasonLabel(resortId)} by ${req.admin.email}`);
 
     res.json({
-      session_timezone: tests.rows[0].session_timezone,
-      now_with_tz: tests.rows[0].now_with_tz,
-      now_without_tz: tests.rows[0].now_without_tz,
-      test_input: tests.rows[0].test_input,
-      test_input_with_tz: tests.rows[0].test_input_with_tz,
-      nodejs_timezone: process.env.TZ || 'not set',
-      nodejs_date: new Date().toString()
+      success: true,
+      label: seasonService.getSeasonLabel(resortId),
+      status: seasonService.getSeasonInfo(resortId),
+      admin: req.admin.email
     });
+
   } catch (error) {
-    res.status(500).json({ error: error.message, stack: error.stack });
+    console.error('Error updating season defaults:', error);
+    res.status(500).json({
+      error: 'Failed to update season defaults',
+      message: error.message
+    });
   }
 });
 
-// HEALTH CHECK
-app.get('/api/health', async (req, res) => {
+// Set early opening / late closing for one season (JWT protected)
+app.put('/api/admin/resorts/:resortId/season/overrides/:seasonYear', adminLimiter, authenticateAdmin, requireResortAccess, validateSeasonOverride, checkValidation, async (req, res) => {
   try {
-    const tzResult = await pool.query('SHOW TIMEZONE');
-    const typeResult = await pool.query(`
-      SELECT column_name, data_type, udt_name
-      FROM information_schema.columns
-      WHERE table_name = 'checkin_new'
-      AND column_name = 'scheduled_for'
-    `);
+    const resortId = parseInt(req.params.resortId);
+    const seasonYear = parseInt(req.params.seasonYear);
+    const { opensOn = null, closesOn = null, note = null } = req.body;
+
+    if (!opensOn && !closesOn) {
+      return res.status(400).json({ error: 'Validation failed', message: 'Provide opensOn and/or closesOn' });
+    }
+    if (!seasonService.getSeasonConfig(resortId)) {
+      return res.status(404).json({ error: 'Resort not found' });
+    }
+
+    // Check against the default for whichever end isn't overridden
+    const { resort } = seasonService.getSeasonConfig(resortId);
+    const defaults = seasonService.getSeasonDates(resort, new Map(), seasonYear);
+    if ((opensOn || defaults.opensOn) >= (closesOn || defaults.closesOn)) {
+      return res.status(400).json({ error: 'Validation failed', message: 'Season must open before it closes' });
+    }
+
+    const override = await seasonService.setSeasonOverride(resortId, seasonYear, { opensOn, closesOn, note }, req.admin.email);
+
+    console.log(`📅 Season ${seasonYear} override for resort ${resortId}: ${opensOn || 'default'} → ${closesOn || 'default'} by ${req.admin.email}`);
 
     res.json({
-      status: 'healthy',
-      restaurants_loaded: restaurantsData.length,
-      data_loaded_at: lastDataLoad,
-      server_time: new Date().toISOString(),
-      timezone: 'Asia/Tokyo',
-      database: {
-        session_timezone: tzResult.rows[0], // Return full row to see field names
-        scheduled_for_column: typeResult.rows[0]
-      }
+      success: true,
+      override: {
+        seasonYear: override.season_year,
+        opensOn: override.opens_on,
+        closesOn: override.closes_on,
+        note: override.note,
+        updatedBy: override.updated_by,
+        updatedAt: override.updated_at
+      },
+      status: seasonService.getSeasonInfo(resortId),
+      admin: req.admin.email
     });
+
   } catch (error) {
-    res.json({
-      status: 'healthy',
-      restaurants_loaded: restaurantsData.length,
-      data_loaded_at: lastDataLoad,
-      server_time: new Date().toISOString(),
-      timezone: 'Asia/Tokyo',
-      database_error: error.message
+    console.error('Error saving season override:', error);
+    res.status(500).json({
+      error: 'Failed to save season override',
+      message: error.message
     });
   }
 });
 
-// LIFT STATUS
-const liftRoutes = require('./routes/lifts');
-app.use('/api/lifts', liftRoutes);
+// Remove a season override - back to default dates (JWT protected)
+app.delete('/api/admin/resorts/:resortId/season/overrides/:seasonYear', adminLimiter, authenticateAdmin, requireResortAccess, validateSeasonYear, checkValidation, async (req, res) => {
+  try {
+    const resortId = parseInt(req.params.resortId);
+    const seasonYear = parseInt(req.params.seasonYear);
 
-// WEATHER
-const weatherRoutes = require('./routes/weather');
-app.use('/api/weather', weatherRoutes);
+    const deleted = await seasonService.deleteSeasonOverride(resortId, seasonYear);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
 
-// POSTGRESQL-BACKED API (V2)
-const placesRoutes = require('./routes/places');
-app.use('/api/v2', placesRoutes);
+    console.log(`📅 Season ${seasonYear} override for resort ${resortId} removed by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      status: seasonService.getSeasonInfo(resortId),
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error deleting season override:', error);
+    res.status(500).json({
+      error: 'Failed to delete season override',
+      message: error.message
+    });
+  }
+});
+
+// Get the lift scrape schedule and state for every resort (JWT protected)
+app.get('/api/admin/scheduler', adminLimiter, authenticateAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      resorts: scheduler.getScheduleStatus(),
+      defaultWindows: scrapeSchedule.DEFAULT_WINDOWS,
+      scrapeNow: 'POST /api/lifts/scrape?resort=<slug>',
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error fetching scrape schedule:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scrape schedule',
+      message: error.message
+    });
+  }
+});
+
+// Replace a resort's scrape windows and reschedule (JWT protected)
+// Body: { windows: [{ label, startTime: 'HH:MM', endTime: 'HH:MM', intervalMinutes }] }
+app.put('/api/admin/scheduler/:resortId/windows', adminLimiter, authenticateAdmin, requireResortAccess, validateScrapeWindows, checkValidation, async (req, res) => {
+  try {
+    const resortId = parseInt(req.params.resortId);
+    const windows = req.body.windows.map(w => ({
+      label: w.label ? String(w.label).trim().slice(0, 100) : null,
+      startTime: w.startTime,
+      endTime: w.endTime,
+      intervalMinutes: Number(w.intervalMinutes)
+    }));
+
+    const validationError = scrapeSchedule.validateWindows(windows);
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation failed', message: validationError });
+    }
+
+    if (!scheduler.getScraper(resortId)) {
+      return res.status(404).json({ error: 'Resort not found', message: `No lift scraper loaded for resort ${resortId}` });
+    }
+
+    await scrapeSchedule.replaceWindows(resortId, windows, req.admin.email);
+    await scheduler.reloadSchedule(resortId);
+
+    console.log(`⏰ Scrape schedule for resort ${resortId} updated by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      schedule: scheduler.getScheduleStatus().find(s => s.resortId === resortId),
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error updating scrape schedule:', error);
+    res.status(500).json({
+      error: 'Failed to update scrape schedule',
+      message: error.message
+    });
+  }
+});
+
+// Reload every resort's scrape windows from the database (JWT protected, super admin)
+app.post('/api/admin/scheduler/reload', adminLimiter, authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    await scheduler.reloadSchedule();
+
+    res.json({
+      success: true,
+      resorts: scheduler.getScheduleStatus(),
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error reloading scrape schedule:', error);
+    res.status(500).json({
+      error: 'Failed to reload scrape schedule',
+      message: error.message
+    });
+  }
+});
+
+// Load req.params.placeId into req.place for admins who can manage its resort
+// (routes validate the id first with validateIdParam('placeId'))
+async function loadAdminPlace(req, res, next) {
+  try {
+    const result = await pool.query(
+      'SELECT id, resort_id, external_id, name, name_local, category FROM places WHERE id = $1',
+      [req.params.placeId]
+    );
+    const place = result.rows[0];
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+    if (!hasResortAccess(req.admin, place.resort_id)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You do not have access to this resort' });
+    }
+
+    req.place = place;
+    next();
+
+  } catch (error) {
+    console.error('Error loading place:', error);
+    res.status(500).json({ error: 'Failed to load place', message: error.message });
+  }
+}
+
+// Search queries that found nothing, most frequent first (JWT protected)
+// Query: days (default 30), limit (default 100)
+app.get('/api/admin/resorts/:resortId/search/misses', adminLimiter, authenticateAdmin, requireResortAccess, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const misses = await searchService.getMisses({ resortId: parseInt(req.params.resortId), days, limit });
+
+    res.json({
+      success: true,
+      days,
+      count: misses.length,
+      misses: misses.map(miss => ({
+        id: miss.id,
+        query: miss.query,
+        category: miss.category,
+        count: miss.miss_count,
+        firstSeenAt: miss.first_seen_at,
+        lastSeenAt: miss.last_seen_at
+      })),
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error fetching search misses:', error);
+    res.status(500).json({
+      error: 'Failed to fetch search misses',
+      message: error.message
+    });
+  }
+});
+
+// Dismiss a search miss (e.g. after adding an alias for it) (JWT protected)
+app.delete('/api/admin/resorts/:resortId/search/misses/:missId', adminLimiter, authenticateAdmin, validateIdParam('missId'), checkValidation, requireResortAccess, async (req, res) => {
+  try {
+    const deleted = await searchService.deleteMiss(parseInt(req.params.resortId), req.params.missId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Search miss not found' });
+    }
+
+    res.json({ success: true, admin: req.admin.email });
+
+  } catch (error) {
+    console.error('Error deleting search miss:', error);
+    res.status(500).json({
+      error: 'Failed to delete search miss',
+      message: error.message
+    });
+  }
+});
+
+// A place's search aliases (JWT protected)
+app.get('/api/admin/places/:placeId/aliases', adminLimiter, authenticateAdmin, validateIdParam('placeId'), checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    const aliases = await searchService.getAliases(req.place.id);
+
+    res.json({
+      success: true,
+      place: req.place,
+      aliases: aliases.map(alias => ({
+        id: alias.id,
+        alias: alias.alias,
+        createdBy: alias.created_by,
+        createdAt: alias.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching place aliases:', error);
+    res.status(500).json({
+      error: 'Failed to fetch place aliases',
+      message: error.message
+    });
+  }
+});
+
+// Add a search alias - another name, reading or spelling (JWT protected)
+// Body: { alias }
+app.post('/api/admin/places/:placeId/aliases', adminLimiter, authenticateAdmin, validateIdParam('placeId'), validatePlaceAlias, checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    const alias = await searchService.addAlias(req.place.id, req.body.alias, req.admin.email);
+    if (!alias) {
+      return res.status(409).json({ error: 'Alias already exists' });
+    }
+
+    console.log(`🔎 Search alias "${alias.alias}" added to ${req.place.name} by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      alias: { id: alias.id, alias: alias.alias, createdBy: alias.created_by, createdAt: alias.created_at },
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error adding place alias:', error);
+    res.status(500).json({
+      error: 'Failed to add place alias',
+      message: error.message
+    });
+  }
+});
+
+// Remove a search alias (JWT protected)
+app.delete('/api/admin/places/:placeId/aliases/:aliasId', adminLimiter, authenticateAdmin, validateIdParam('placeId'), validateIdParam('aliasId'), checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    const deleted = await searchService.deleteAlias(req.place.id, req.params.aliasId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json({ success: true, admin: req.admin.email });
+
+  } catch (error) {
+    console.error('Error removing place alias:', error);
+    res.status(500).json({
+      error: 'Failed to remove place alias',
+      message: error.message
+    });
+  }
+});
+
+// A place's local knowledge in every language, side by side (JWT protected)
+app.get('/api/admin/places/:placeId/local-knowledge', adminLimiter, authenticateAdmin, validateIdParam('placeId'), checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    const translations = await localization.getTranslations(req.place.id);
+
+    res.json({
+      success: true,
+      place: req.place,
+      languages: localization.SUPPORTED_LANGUAGES,
+      fields: localization.LOCALIZED_FIELDS,
+      translations
+    });
+
+  } catch (error) {
+    console.error('Error fetching local knowledge:', error);
+    res.status(500).json({
+      error: 'Failed to fetch local knowledge',
+      message: error.message
+    });
+  }
+});
+
+// Save a place's local knowledge in one language (JWT protected)
+// Body: any of { tips, warnings, navigation_tips, description_override, insider_notes }
+// Fields left out are unchanged; null clears a field (English is then shown)
+app.put('/api/admin/places/:placeId/local-knowledge/:lang', adminLimiter, authenticateAdmin, validateIdParam('placeId'), validateLocalKnowledge, checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    const language = req.params.lang;
+    if (!localization.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `lang must be one of: ${localization.SUPPORTED_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const fields = Object.fromEntries(
+      localization.LOCALIZED_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])
+    );
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Provide at least one of: ${localization.LOCALIZED_FIELDS.join(', ')}`
+      });
+    }
+
+    await localization.saveTranslation(req.place.id, language, fields, req.admin.email);
+
+    // English tips are part of the search text
+    if (language === localization.DEFAULT_LANGUAGE) {
+      await searchService.refreshSearchIndex([req.place.id]);
+    }
+
+    console.log(`🌐 Local knowledge (${language}) for ${req.place.name} updated by ${req.admin.email}`);
+
+    const translations = await localization.getTranslations(req.place.id);
+
+    res.json({
+      success: true,
+      language,
+      translation: translations[language],
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error saving local knowledge:', error);
+    res.status(500).json({
+      error: 'Failed to save local knowledge',
+      message: error.message
+    });
+  }
+});
+
+// Remove a translation - the place falls back to English (JWT protected)
+app.delete('/api/admin/places/:placeId/local-knowledge/:lang', adminLimiter, authenticateAdmin, validateIdParam('placeId'), checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    const language = req.params.lang;
+    if (language === localization.DEFAULT_LANGUAGE || !localization.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `lang must be one of: ${localization.SUPPORTED_LANGUAGES.filter(l => l !== localization.DEFAULT_LANGUAGE).join(', ')}`
+      });
+    }
+
+    const deleted = await localization.deleteTranslation(req.place.id, language);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Translation not found' });
+    }
+
+    res.json({ success: true, admin: req.admin.email });
+
+  } catch (error) {
+    console.error('Error removing local knowledge:', error);
+    res.status(500).json({
+      error: 'Failed to remove local knowledge',
+      message: error.message
+    });
+  }
+});
+
+// A place's onsen details (JWT protected)
+app.get('/api/admin/places/:placeId/onsen', adminLimiter, authenticateAdmin, validateIdParam('placeId'), checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    if (req.place.category !== 'onsen') {
+      return res.status(400).json({ error: 'Place is not an onsen' });
+    }
+
+    const details = await onsenService.getDetails([req.place.id]);
+
+    res.json({
+      success: true,
+      place: req.place,
+      details: onsenService.formatDetails(details.get(req.place.id)),
+      options: {
+        temperatureBands: onsenService.TEMPERATURE_BANDS,
+        genderArrangements: onsenService.GENDER_ARRANGEMENTS,
+        facilities: onsenService.FACILITIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching onsen details:', error);
+    res.status(500).json({
+      error: 'Failed to fetch onsen details',
+      message: error.message
+    });
+  }
+});
+
+// Save a place's onsen details (JWT protected)
+// Body: any of temperature_band, temperature_min_c, temperature_max_c, temperature_note,
+//   opening_hours, hours_note, fee_yen, donation_box, fee_note, facilities,
+//   gender_arrangement, gender_schedule (fields left out are unchanged)
+app.put('/api/admin/places/:placeId/onsen', adminLimiter, authenticateAdmin, validateIdParam('placeId'), validateOnsenDetails, checkValidation, loadAdminPlace, async (req, res) => {
+  try {
+    if (req.place.category !== 'onsen') {
+      return res.status(400).json({ error: 'Place is not an onsen' });
+    }
+
+    const fields = Object.fromEntries(
+      onsenService.EDITABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])
+    );
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Provide at least one of: ${onsenService.EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    // Compare against the stored value when only one end of the range changes
+    let stored = {};
+    if ((fields.temperature_min_c === undefined) !== (fields.temperature_max_c === undefined)) {
+      stored = (await onsenService.getDetails([req.place.id])).get(req.place.id) || {};
+    }
+    const min = fields.temperature_min_c !== undefined ? fields.temperature_min_c : stored.temperature_min_c;
+    const max = fields.temperature_max_c !== undefined ? fields.temperature_max_c : stored.temperature_max_c;
+    if (min != null && max != null && min > max) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'temperature_min_c must not be above temperature_max_c'
+      });
+    }
+
+    const details = await onsenService.saveDetails(req.place.id, fields, req.admin.email);
+
+    console.log(`♨️ Onsen details for ${req.place.name} updated by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      details: onsenService.formatDetails(details),
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error saving onsen details:', error);
+    res.status(500).json({
+      error: 'Failed to save onsen details',
+      message: error.message
+    });
+  }
+});
+
+// Rebuild the place search index now (JWT protected, super admin)
+app.post('/api/admin/search/reindex', adminLimiter, authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  const result = await searchService.rebuildSearchIndex();
+
+  if (result.error) {
+    return res.status(500).json({
+      error: 'Failed to rebuild search index',
+      message: result.error
+    });
+  }
 
-// ROOT ENDPOINT
-app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    places: result.places,
+    admin: req.admin.email
+  });
+});
+
+// Retire a device id: its tokens stop working and the id can't be used
+// again (e.g. an id claimed by someone else) - the app registers for a new one
+app.post('/api/admin/devices/:deviceId/revoke', adminLimiter, authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    await deviceAuth.revokeDevice(deviceId);
+
+    console.log(`📱 Device tokens revoked: ${deviceId} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      deviceId,
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(500).json({
+      error: 'Failed to revoke device',
+      message: error.message
+    });
+  }
+});
+
+// Personal data requests sent to support (device id from the app's settings screen)
+app.get('/api/admin/devices/:deviceId/data', adminLimiter, authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const data = await privacyService.exportDeviceData(req.params.deviceId);
+
+    res.json({
+      success: true,
+      data,
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error exporting device data:', error);
+    res.status(500).json({
+      error: 'Failed to export device data',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/devices/:deviceId/data', adminLimiter, authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const erased = await privacyService.eraseDeviceData(deviceId);
+    console.log(`🗑️  Device data erased: ${deviceId} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      deviceId,
+      erased,
+      admin: req.admin.email
+    });
+
+  } catch (error) {
+    console.error('Error erasing device data:', error);
+    res.status(500).json({
+      error: 'Failed to erase device data',
+      message: error.message
+    });
+  }
+});
+
+// ADMIN INTERFACE (serve static HTML)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// DEBUG TIMEZONE ENDPOINT
+app.get('/api/debug/timezone', async (req, res) => {
+  try {
+    const tests = await pool.query(`
+      SELECT
+        current_setting('TIMEZONE') as session_timezone,
+        NOW() as now_with_tz,
+        NOW()::timestamp as now_without_tz,
+        '2025-12-03T09:00:00.000Z'::timestamp as test_input,
+        '2025-12-03T09:00:00.000Z'::timestamptz as test_input_with_tz
+    `);
+
+    res.json({
+      session_timezone: tests.rows[0].session_timezone,
+      now_with_tz: tests.rows[0].now_with_tz,
+      now_without_tz: tests.rows[0].now_without_tz,
+      test_input: tests.rows[0].test_input,
+      test_input_with_tz: tests.rows[0].test_input_with_tz,
+      nodejs_timezone: process.env.TZ || 'not set',
+      nodejs_date: new Date().toString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message, stack: error.stack });
+  }
+});
+
+// HEALTH CHECK
+app.get('/api/health', async (req, res) => {
+  try {
+    const tzResult = await pool.query('SHOW TIMEZONE');
+    const summary = await legacyPlaces.getRestaurantSummary();
+    const typeResult = await pool.query(`
+      SELECT column_name, data_type, udt_name
+      FROM information_schema.columns
+      WHERE table_name = 'group_checkins'
+      AND column_name = 'scheduled_for'
+    `);
+
+    res.json({
+      status: 'healthy',
+      restaurants_loaded: summary.count,
+      data_loaded_at: summary.updatedAt,
+      server_time: new Date().toISOString(),
+      timezone: 'Asia/Tokyo',
+      database: {
+        session_timezone: tzResult.rows[0], // Return full row to see field names
+        scheduled_for_column: typeResult.rows[0]
+      }
+    });
+  } catch (error) {
+    res.json({
+      status: 'healthy',
+      restaurants_loaded: null,
+      data_loaded_at: null,
+      server_time: new Date().toISOString(),
+      timezone: 'Asia/Tokyo',
+      database_error: error.message
+    });
+  }
+});
+
+// LIFT STATUS
+const liftRoutes = require('./routes/lifts');
+app.use('/api/lifts', liftRoutes);
+
+// WEATHER
+const weatherRoutes = require('./routes/weather');
+app.use('/api/weather', weatherRoutes);
+
+// POWDER ALERTS
+const alertRoutes = require('./routes/alerts');
+app.use('/api/alerts', alertRoutes);
+
+// Device registration (device tokens for group/alert endpoints)
+const deviceRoutes = require('./routes/devices');
+app.use('/api/devices', deviceRoutes);
+
+// GROUP MEETUPS (RSVPs, edit / reschedule)
+const meetupRoutes = require('./routes/meetups');
+app.use('/api/groups/:code/meetups', meetupRoutes);
+
+// Group safety checks (overdue-member alerts after lifts close)
+const safetyRoutes = require('./routes/safety');
+app.use('/api/groups/:code/safety', safetyRoutes);
+
+// POSTGRESQL-BACKED API (V2)
+const placesRoutes = require('./routes/places');
+app.use('/api/v2', placesRoutes);
+
+// ROOT ENDPOINT
+app.get('/', (req, res) => {
   res.json({
     name: 'Nozawa Onsen API',
     version: '2.0.0',
     endpoints: {
       v2: {
         'GET /api/v2/places': 'List all places (PostgreSQL)',
+        'GET /api/v2/places/nearby': 'Places near lat/lng with distance and walking minutes (PostgreSQL)',
+        'GET /api/v2/places/search': 'Search places, aliases and local tips (?q=, romaji / kana / kanji)',
         'GET /api/v2/places/:id': 'Get single place (PostgreSQL)',
         'GET /api/v2/places/category/:category': 'Get places by category (PostgreSQL)',
         'GET /api/v2/stats': 'Database statistics (PostgreSQL)',
@@ -1509,17 +2462,65 @@ app.get('/', (req, res) => {
       weather: {
         'GET /api/weather/current': 'Current conditions (with caching)',
         'GET /api/weather/forecast': '7-day forecast (with caching)',
+        'GET /api/weather/snowfall/season': 'Season-to-date snowfall per elevation',
+        'GET /api/weather/snowfall/recent': 'Daily snowfall for the last 7 days, last 24h and overnight',
+        'GET /api/weather/snowfall/forecast-accuracy': 'Forecast vs. actual snowfall per elevation',
         'GET /api/weather/cache-status': 'Cache status for monitoring'
       },
+      devices: {
+        'POST /api/devices/register': 'Register a device and get a device token (send as Authorization: Bearer on group/alert endpoints)',
+        'GET /api/devices/:deviceId/data': 'Export everything stored for this device (JSON)',
+        'POST /api/devices/:deviceId/data/erasure-confirmation': 'Get a 10-minute confirmation token for erasing this device\'s data',
+        'DELETE /api/devices/:deviceId/data': 'Erase everything stored for this device (needs a confirmation token)',
+        'POST /api/devices/:deviceId/location': 'Location ping for automatic check-in / check-out (opted-in groups)',
+        'GET /api/devices/:deviceId/location/suggestions': '"You appear to be at X" check-in suggestions',
+        'POST /api/devices/:deviceId/location/suggestions/:id/confirm': 'Confirm a suggestion (checks in)',
+        'POST /api/devices/:deviceId/location/suggestions/:id/dismiss': 'Dismiss a suggestion'
+      },
+      alerts: {
+        'GET /api/alerts/types': 'Available powder alert types and delivery methods',
+        'POST /api/alerts/subscriptions': 'Subscribe a device to a powder alert',
+        'GET /api/alerts/subscriptions': 'List a device\'s alert subscriptions',
+        'DELETE /api/alerts/subscriptions/:id': 'Cancel an alert subscription'
+      },
       lifts: {
-        'GET /api/lifts/status': 'Current lift status'
+        'GET /api/lifts/status': 'Current lift status',
+        'GET /api/lifts/timeline': 'Today\'s status timeline per lift',
+        'GET /api/lifts/season-stats': 'Season opening stats per lift'
       },
       groups: {
         'POST /api/groups/create': 'Create new group',
-        'GET /api/groups/:code': 'Check if group exists',
+        'GET /api/groups/:code': 'Check if group exists (?deviceId= for your role / a rotated code)',
+        'PATCH /api/groups/:code': 'Rename group / lock joining (owner or admin)',
+        'PUT /api/groups/:code/members/:memberId/role': 'Make a member admin or member (owner)',
+        'DELETE /api/groups/:code/members/:memberId': 'Remove a member (owner or admin)',
+        'POST /api/groups/:code/rotate-code': 'Replace the join code (owner or admin)',
+        'POST /api/groups/:code/invites': 'Create an expiring invite link / QR payload',
+        'GET /api/groups/:code/invites': 'List active invites (owner or admin)',
+        'DELETE /api/groups/:code/invites/:inviteId': 'Revoke an invite',
+        'GET /api/invites/:token': 'Preview an invite',
+        'POST /api/invites/:token/accept': 'Join a group with an invite',
+        'GET /api/groups/:code/meetups': 'Upcoming meetups with attendees',
+        'POST /api/groups/:code/meetups': 'Plan a meetup',
+        'GET /api/groups/:code/meetups/:meetupId': 'Meetup with change history',
+        'PATCH /api/groups/:code/meetups/:meetupId': 'Edit or reschedule a meetup (creator or admin)',
+        'DELETE /api/groups/:code/meetups/:meetupId': 'Cancel a meetup (creator or admin)',
+        'PUT /api/groups/:code/meetups/:meetupId/rsvp': 'RSVP going / maybe / declined',
+        'GET /api/groups/:code/calendar': 'Meetup calendar (.ics) subscription link',
+        'POST /api/groups/:code/calendar/reset': 'Replace the calendar link (owner or admin)',
+        'GET /api/calendar/:token.ics': 'Meetup calendar feed (iCalendar)',
+        'GET /api/groups/:code/safety': 'Safety rules, open alerts and last lift close',
+        'POST /api/groups/:code/safety/rules': 'Add an overdue-after-last-lift rule (owner or admin)',
+        'PATCH /api/groups/:code/safety/rules/:ruleId': 'Change or turn off a safety rule (owner or admin)',
+        'DELETE /api/groups/:code/safety/rules/:ruleId': 'Remove a safety rule (owner or admin)',
+        'GET /api/groups/:code/safety/alerts': 'Safety alert history (?status=)',
+        'POST /api/groups/:code/safety/alerts/:alertId/ok': '"I\'m OK" from the overdue member',
+        'PUT /api/groups/:code/safety/notifications': 'Push / webhook delivery for safety alerts',
         'POST /api/groups/:code/checkin': 'Check-in to a place',
+        'PUT /api/groups/:code/members/:deviceId/auto-checkin': 'Turn automatic (geofenced) check-in on or off',
         'GET /api/groups/:code/checkins': 'Get group check-ins',
-        'GET /api/groups/:code/members': 'Get group members'
+        'GET /api/groups/:code/members': 'Get group members',
+        'GET /api/groups/:code/events': 'Live group updates (Server-Sent Events, resumable via Last-Event-ID)'
       }
     }
   });
@@ -1570,6 +2571,8 @@ app.get('/privacy-policy', (req, res) => {
     <li><strong>Device Identifier:</strong> A unique device ID is used to maintain your session and identify you within groups.</li>
     <li><strong>Check-ins & Meetups:</strong> When you check in to a location or create a meetup, this information is visible to your group members.</li>
     <li><strong>Accommodation (optional):</strong> If you choose to share your accommodation with your group, this location is visible to group members only.</li>
+    <li><strong>Automatic Check-in (optional):</strong> If you turn on automatic check-in for a group, the app sends your location periodically so you can be checked in and out of places. We only keep which place you are currently at, not your location history.</li>
+    <li><strong>Safety Checks (optional):</strong> If your group turns on safety checks, group members are alerted when you haven't been seen in the app for a while after the lifts close, along with the time you were last seen.</li>
   </ul>
 
   <h2>How We Use Your Data</h2>
@@ -1589,8 +2592,9 @@ app.get('/privacy-policy', (req, res) => {
 
   <h2>Data Retention</h2>
   <ul>
-    <li>Check-ins automatically expire after 1 hour</li>
+    <li>Check-ins automatically expire after 30-90 minutes, depending on the place</li>
     <li>Meetups expire 2 hours after their scheduled time</li>
+    <li>Check-in and meetup history is deleted after 90 days</li>
     <li>Group membership data is retained until you leave the group</li>
     <li>You can leave a group at any time, which removes all your data from that group</li>
   </ul>
@@ -1603,6 +2607,8 @@ app.get('/privacy-policy', (req, res) => {
     <li>You can leave any group at any time, removing your data from that group</li>
     <li>You can choose not to share your location or accommodation</li>
     <li>You can check out from locations at any time</li>
+    <li>You can download everything stored for your device (group memberships, check-ins, meetups and accommodation) from the app settings</li>
+    <li>You can delete all data stored for your device, across every group, from the app settings or by contacting us with your device ID</li>
   </ul>
 
   <h2>Children's Privacy</h2>
@@ -1626,14 +2632,12 @@ async function startServer() {
   // Test database connection first
   await testConnection();
 
-  await loadRestaurantData();
   await scheduler.initializeScheduler();  // Now async - loads from PostgreSQL
 
   app.listen(PORT, () => {
     console.log('\n🚀 Nozawa Onsen Backend Server');
     console.log('='.repeat(40));
     console.log(`📡 Server running on port ${PORT}`);
-    console.log(`🍴 Loaded ${restaurantsData.length} restaurants`);
     console.log(`🌡️  Weather service ready (cached)`);
     console.log(`🎿 Lift status monitoring active`);
     console.log(`👥 Group management ready`);
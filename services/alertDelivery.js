@@ -0,0 +1,225 @@
+/**
+ * Alert Delivery Service
+ *
+ * Delivers user-facing alerts (powder alerts etc.) to a device or endpoint.
+ * Unlike services/notifier.js (operational alerts to the team), each
+ * delivery goes to one subscriber-provided target.
+ *
+ * Built-in methods:
+ * - push:    Expo push token (ExponentPushToken[...]) via the Expo push API.
+ *            EXPO_ACCESS_TOKEN is sent if set (required when push security is enabled).
+ * - webhook: POSTs JSON to a public https URL. The host is checked when the
+ *            target is saved and again on every send, against the address
+ *            actually connected to (so DNS names pointing at private
+ *            addresses are refused). Redirects are not followed.
+ *
+ * Other methods can be added with registerDeliveryMethod(name, { validate, send }).
+ */
+
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+// Addresses webhooks may not reach: this host, private networks, link-local,
+// carrier-grade NAT, multicast/reserved and NAT64. IPv4-mapped IPv6
+// (::ffff:a.b.c.d) is checked against the IPv4 ranges by BlockList itself.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const methods = new Map();
+
+/**
+ * Register a delivery method
+ *
+ * @param {string} name - Method name stored on subscriptions
+ * @param {Object} handler
+ * @param {Function} handler.validate - (target) => error message or null
+ * @param {Function} handler.send - async (target, alert) => void, throws on failure
+ */
+function registerDeliveryMethod(name, handler) {
+  methods.set(name, handler);
+}
+
+/**
+ * Names of available delivery methods
+ */
+function getDeliveryMethods() {
+  return [...methods.keys()];
+}
+
+/**
+ * Check a delivery target before saving it
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTarget(method, target) {
+  const handler = methods.get(method);
+  if (!handler) return `Unknown delivery method: ${method}`;
+  if (!target || typeof target !== 'string') return 'Delivery target is required';
+  return handler.validate(target);
+}
+
+/**
+ * Deliver an alert
+ *
+ * @param {string} method - Delivery method
+ * @param {string} target - Push token / URL
+ * @param {Object} alert - { title, message, data }
+ * @throws if the method is unknown or delivery fails
+ */
+async function deliver(method, target, alert) {
+  const handler = methods.get(method);
+  if (!handler) {
+    throw new Error(`Unknown delivery method: ${method}`);
+  }
+
+  await handler.send(target, alert);
+}
+
+// Push - Expo push service
+registerDeliveryMethod('push', {
+  validate: (target) => /^Expo(nent)?PushToken\[.+\]$/.test(target)
+    ? null
+    : 'Push target must be an Expo push token',
+
+  send: async (target, alert) => {
+    const fetch = (await import('node-fetch')).default;
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (process.env.EXPO_ACCESS_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+    }
+
+    const response = await fetch(EXPO_PUSH_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        to: target,
+        title: alert.title,
+        body: alert.message,
+        data: alert.data || {},
+        sound: 'default'
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Expo push returned ${response.status}`);
+    }
+
+    // Expo reports per-message errors (e.g. DeviceNotRegistered) in the body
+    const result = await response.json();
+    if (result.data?.status === 'error') {
+      throw new Error(result.data.details?.error || result.data.message || 'Expo push error');
+    }
+  }
+});
+
+/**
+ * Whether an IP address is publicly routable (webhooks may only reach these)
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for webhook connections - fails if the host resolves to any
+ * non-public address, so the connection can't be pointed inside
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+
+// Webhook - JSON POST to a public https endpoint
+registerDeliveryMethod('webhook', {
+  validate: (target) => {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (error) {
+      return 'Webhook target must be a valid URL';
+    }
+
+    if (url.protocol !== 'https:') return 'Webhook URL must use https';
+
+    // URL parsing normalizes decimal/octal/hex IPv4 forms to dotted quads
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+      return 'Webhook URL must be publicly reachable';
+    }
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      return 'Webhook URL must be publicly reachable';
+    }
+    return null;
+  },
+
+  send: async (target, alert) => {
+    // Targets saved before a rule changed are checked again (IP literals
+    // never reach publicLookup)
+    const targetError = methods.get('webhook').validate(target);
+    if (targetError) {
+      throw new Error(targetError);
+    }
+
+    const fetch = (await import('node-fetch')).default;
+
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: `${alert.title}\n${alert.message}`,
+        ...alert,
+        sentAt: new Date().toISOString()
+      }),
+      agent: webhookAgent,
+      redirect: 'manual'
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook returned ${response.status}`);
+    }
+  }
+});
+
+module.exports = {
+  registerDeliveryMethod,
+  getDeliveryMethods,
+  validateTarget,
+  deliver,
+  isPublicAddress,
+  publicLookup
+};
@@ -0,0 +1,181 @@
+/**
+ * Check-in Expiry
+ *
+ * Scheduled job (services/scheduler.js) that deactivates check-ins people
+ * forgot to check out of, and meetups past their grace period. Check-in
+ * lifetimes depend on the place category - a lift ride is shorter than
+ * dinner - and can be tuned with env vars:
+ *
+ *   CHECKIN_EXPIRY_MINUTES=onsen:60,restaurant:90,lift:30,default:60
+ *   MEETUP_EXPIRY_GRACE_MINUTES=120
+ *
+ * Expired rows get checkout_reason = 'expired' (checked_out_at stays NULL),
+ * expired meetups get status 'expired', and each gets a 'checkin.expired' /
+ * 'meetup.expired' group event, so clients can tell an expiry from a
+ * check-out.
+ */
+
+const { pool } = require('../db/pool');
+const groupEvents = require('./groupEvents');
+
+// Minutes a check-in stays active, by places.category
+// 'default' covers other categories and places not in the database
+const DEFAULT_EXPIRY_MINUTES = {
+  lift: 30,
+  onsen: 60,
+  restaurant: 90,
+  default: 60
+};
+
+const DEFAULT_MEETUP_GRACE_MINUTES = 120;
+
+/**
+ * Parse "category:minutes,..." over the defaults (invalid entries are ignored)
+ *
+ * @param {string} value - e.g. 'onsen:45,lift:20'
+ * @returns {Object} category -> minutes
+ */
+function parseExpiryRules(value) {
+  const rules = { ...DEFAULT_EXPIRY_MINUTES };
+  if (!value) return rules;
+
+  value.split(',').forEach(entry => {
+    const [category, minutes] = entry.split(':').map(part => part && part.trim());
+    const parsed = parseInt(minutes, 10);
+    if (category && Number.isInteger(parsed) && parsed > 0) {
+      rules[category.toLowerCase()] = parsed;
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Current expiry rules (check-ins by category, meetup grace)
+ */
+function getExpiryRules() {
+  const grace = parseInt(process.env.MEETUP_EXPIRY_GRACE_MINUTES, 10);
+
+  return {
+    checkinMinutes: parseExpiryRules(process.env.CHECKIN_EXPIRY_MINUTES),
+    meetupGraceMinutes: grace > 0 ? grace : DEFAULT_MEETUP_GRACE_MINUTES
+  };
+}
+
+/**
+ * Expire check-ins past their category's lifetime
+ *
+ * @returns {Promise<Array>} Expired group_checkins rows (with group_code, category)
+ */
+async function expireCheckins(rules, now = Date.now()) {
+  const { default: defaultMinutes, ...byCategory } = rules.checkinMinutes;
+
+  const result = await pool.query(`
+    WITH expired AS (
+      SELECT c.id, g.code AS group_code, p.category
+      FROM group_checkins c
+      JOIN groups g ON g.id = c.group_id
+      LEFT JOIN places p ON p.id = c.place_id
+      WHERE c.is_active = true
+        AND c.scheduled_for IS NULL
+        AND c.checked_out_at IS NULL
+        AND c.checked_in_at < to_timestamp($1::bigint / 1000.0)
+          - make_interval(mins => COALESCE(($2::jsonb ->> p.category)::int, $3))
+    )
+    UPDATE group_checkins c
+    SET is_active = false, checkout_reason = 'expired'
+    FROM expired
+    WHERE c.id = expired.id
+    RETURNING c.*, expired.group_code, expired.category
+  `, [now, JSON.stringify(byCategory), defaultMinutes]);
+
+  for (const row of result.rows) {
+    await groupEvents.publishGroupEvent(row.group_code, 'checkin.expired', {
+      deviceId: row.device_id,
+      payload: {
+        placeId: row.place_external_id,
+        category: row.category || null,
+        checkedInAt: new Date(row.checked_in_at).getTime(),
+        expiredAt: now,
+        ids: [row.id]
+      }
+    });
+  }
+
+  return result.rows;
+}
+
+/**
+ * Expire meetups past scheduled time + grace (the meetups row and its
+ * mirrored group_checkins row, in one statement)
+ *
+ * @returns {Promise<Array>} Expired group_checkins rows (with group_code, meetup_id)
+ */
+async function expireMeetups(rules, now = Date.now()) {
+  const result = await pool.query(`
+    WITH expired AS (
+      UPDATE group_checkins c
+      SET is_active = false, checkout_reason = 'expired'
+      FROM groups g
+      WHERE g.id = c.group_id
+        AND c.is_active = true
+        AND c.scheduled_for IS NOT NULL
+        AND c.scheduled_for < to_timestamp($1::bigint / 1000.0) - make_interval(mins => $2::int)
+      RETURNING c.*, g.code AS group_code
+    ), expired_meetups AS (
+      UPDATE meetups m
+      SET status = 'expired', updated_at = NOW()
+      FROM expired e
+      WHERE m.checkin_id = e.id AND m.status = 'scheduled'
+    )
+    SELECT e.*, m.id AS meetup_id
+    FROM expired e
+    LEFT JOIN meetups m ON m.checkin_id = e.id
+  `, [now, rules.meetupGraceMinutes]);
+
+  for (const row of result.rows) {
+    await groupEvents.publishGroupEvent(row.group_code, 'meetup.expired', {
+      deviceId: row.device_id,
+      payload: {
+        id: row.meetup_id,
+        placeId: row.place_external_id,
+        scheduledFor: row.scheduled_for,
+        expiredAt: now,
+        ids: [row.id]
+      }
+    });
+  }
+
+  return result.rows;
+}
+
+/**
+ * Run both expiries (scheduler entry point) - never throws
+ *
+ * @returns {Promise<Object>} { checkins, meetups } counts
+ */
+async function runExpiry() {
+  try {
+    const rules = getExpiryRules();
+    const now = Date.now();
+    const checkins = await expireCheckins(rules, now);
+    const meetups = await expireMeetups(rules, now);
+
+    if (checkins.length > 0 || meetups.length > 0) {
+      console.log(`[EXPIRY] Expired ${checkins.length} check-in(s) and ${meetups.length} meetup(s)`);
+    }
+    return { checkins: checkins.length, meetups: meetups.length };
+  } catch (error) {
+    console.error('[EXPIRY] Check-in expiry failed:', error.message);
+    return { checkins: 0, meetups: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_MINUTES,
+  parseExpiryRules,
+  getExpiryRules,
+  expireCheckins,
+  expireMeetups,
+  runExpiry
+};
@@ -0,0 +1,341 @@
+/**
+ * Check-in Service
+ *
+ * Group check-ins live in group_checkins (migration 032), which links
+ * each row to groups(id) and - when the app's place id matches a known
+ * place - places(id). Reads prefer the current places.name, so renames
+ * show up in old check-ins too.
+ *
+ * Group endpoints still return the old checkin_new row shape (Unix-ms
+ * timestamps as strings, coords as a JSON string, the app's place id as
+ * place_id); formatLegacyCheckin builds it. The device is shown as its
+ * member id (member_id, services/memberIds.js), not the device id.
+ * The new columns (checkout_reason, source) aren't part of that shape -
+ * they only appear in the device data export.
+ *
+ * Functions take the group code (like groupService); rows returned
+ * include group_code, current_place_name and place_category.
+ */
+
+const { pool } = require('../db/pool');
+const memberIds = require('./memberIds');
+
+// Select check-ins (from a table or CTE aliased as c) with group and place details
+const detailsFrom = source => `
+  SELECT c.*, g.code AS group_code,
+    COALESCE(p.name, c.place_name) AS current_place_name,
+    p.category AS place_category
+  FROM ${source} c
+  JOIN groups g ON g.id = c.group_id
+  LEFT JOIN places p ON p.id = c.place_id
+`;
+
+// places.id for the app's place id ($placeParam) within the group's resort (g)
+const resolvePlace = placeParam => `(
+  SELECT id FROM places
+  WHERE resort_id = g.resort_id
+    AND (external_id = ${placeParam} OR google_place_id = ${placeParam})
+  ORDER BY id
+  LIMIT 1
+)`;
+
+const toMs = value => (value ? new Date(value).getTime() : null);
+
+/**
+ * Format a check-in like the old checkin_new row (group endpoint responses)
+ */
+function formatLegacyCheckin(row) {
+  return {
+    id: row.id,
+    group_code: row.group_code,
+    user_name: row.user_name,
+    member_id: memberIds.getMemberId(row.group_code, row.device_id),
+    place_id: row.place_external_id,
+    place_name: row.current_place_name || row.place_name,
+    checked_in_at: String(toMs(row.checked_in_at)),
+    checked_out_at: row.checked_out_at ? String(toMs(row.checked_out_at)) : null,
+    is_active: row.is_active,
+    accommodation_place_id: row.accommodation_place_id,
+    accommodation_coords: row.accommodation_coords ? JSON.stringify(row.accommodation_coords) : null,
+    accommodation_name: row.accommodation_name,
+    display_accommodation_to_group: row.display_accommodation_to_group,
+    scheduled_for: row.scheduled_for,
+    meetup_note: row.meetup_note
+  };
+}
+
+/**
+ * Get one check-in (with details)
+ */
+async function getCheckin(id, client = pool) {
+  const result = await client.query(`${detailsFrom('group_checkins')} WHERE c.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a check-in (or a meetup mirror row when scheduledFor is set)
+ *
+ * @param {string} code - Group code
+ * @param {Object} details - { deviceId, userName, placeId, placeName, checkedInAt (ms),
+ *   scheduledFor, meetupNote, source ('manual' / 'geofence'),
+ *   accommodation: { placeId, coords, name, share } }
+ * @param {Object} client - pool or transaction client
+ * @returns {Promise<Object>} The new check-in (with details)
+ */
+async function createCheckin(code, details, client = pool) {
+  const {
+    deviceId,
+    userName,
+    placeId,
+    placeName,
+    checkedInAt = Date.now(),
+    scheduledFor = null,
+    meetupNote = null,
+    source = 'manual',
+    accommodation = {}
+  } = details;
+
+  const result = await client.query(`
+    WITH inserted AS (
+      INSERT INTO group_checkins (
+        group_id, place_id, place_external_id, place_name, device_id, user_name, checked_in_at,
+        scheduled_for, meetup_note, source,
+        accommodation_place_id, accommodation_coords, accommodation_name, display_accommodation_to_group
+      )
+      SELECT g.id, ${resolvePlace('$2')}, $2, $3, $4, $5, to_timestamp($6::bigint / 1000.0),
+        $7, $8, $13, $9, $10, $11, $12
+      FROM groups g
+      WHERE g.code = $1
+      RETURNING *
+    )
+    ${detailsFrom('inserted')}
+  `, [
+    code,
+    placeId,
+    placeName,
+    deviceId,
+    userName,
+    checkedInAt,
+    scheduledFor,
+    meetupNote,
+    accommodation.placeId || null,
+    accommodation.coords ? JSON.stringify(accommodation.coords) : null,
+    accommodation.name || null,
+    accommodation.share === true,
+    source
+  ]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Group ${code} not found`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * A device's active check-in at a place (meetup rows excluded)
+ */
+async function findActiveCheckin(code, deviceId, placeId) {
+  const result = await pool.query(`
+    ${detailsFrom('group_checkins')}
+    WHERE g.code = $1 AND c.device_id = $2 AND c.place_external_id = $3
+      AND c.is_active = true AND c.scheduled_for IS NULL
+    ORDER BY c.checked_in_at DESC
+    LIMIT 1
+  `, [code, deviceId, placeId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Move a check-in's time forward (checking in again at the same place)
+ */
+async function refreshCheckin(id, checkedInAt = Date.now()) {
+  await pool.query(
+    'UPDATE group_checkins SET checked_in_at = to_timestamp($2::bigint / 1000.0) WHERE id = $1',
+    [id, checkedInAt]
+  );
+  return getCheckin(id);
+}
+
+/**
+ * Edit a meetup mirror row (any of { placeId, placeName, scheduledFor, meetupNote })
+ */
+async function updateCheckin(id, changes, client = pool) {
+  const sets = [];
+  const params = [id];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (changes.placeId !== undefined) {
+    const placeParam = param(changes.placeId);
+    sets.push(`place_external_id = ${placeParam}`, `place_id = ${resolvePlace(placeParam)}`);
+  }
+  if (changes.placeName !== undefined) sets.push(`place_name = ${param(changes.placeName)}`);
+  if (changes.scheduledFor !== undefined) sets.push(`scheduled_for = ${param(changes.scheduledFor)}`);
+  if (changes.meetupNote !== undefined) sets.push(`meetup_note = ${param(changes.meetupNote)}`);
+
+  if (sets.length === 0) return;
+
+  await client.query(`
+    UPDATE group_checkins c SET ${sets.join(', ')}
+    FROM groups g
+    WHERE c.id = $1 AND g.id = c.group_id
+  `, params);
+}
+
+/**
+ * Check a device (or a whole group) out
+ *
+ * @param {string} code - Group code
+ * @param {Object} options
+ *   - deviceId: only this device (default: everyone in the group)
+ *   - placeId: only check-ins at this place
+ *   - includeMeetups: also close meetup mirror rows (default: check-ins only)
+ *   - source: only check-ins from this source (e.g. 'geofence')
+ *   - reason: checkout_reason
+ *   - checkedOutAt: Unix ms
+ * @returns {Promise<Array>} Rows that were checked out (with details)
+ */
+async function checkOut(code, { deviceId = null, placeId = null, includeMeetups = false, source = null, reason = 'checked_out', checkedOutAt = Date.now() } = {}) {
+  const result = await pool.query(`
+    WITH closed AS (
+      UPDATE group_checkins c
+      SET is_active = false,
+          checked_out_at = COALESCE(c.checked_out_at, to_timestamp($5::bigint / 1000.0)),
+          checkout_reason = $6
+      FROM groups g
+      WHERE g.id = c.group_id
+        AND g.code = $1
+        AND c.is_active = true
+        AND ($2::text IS NULL OR c.device_id = $2)
+        AND ($3::text IS NULL OR c.place_external_id = $3)
+        AND ($4 OR c.scheduled_for IS NULL)
+        AND ($7::text IS NULL OR c.source = $7)
+      RETURNING c.*
+    )
+    ${detailsFrom('closed')}
+  `, [code, deviceId, placeId, includeMeetups, checkedOutAt, reason, source]);
+
+  return result.rows;
+}
+
+/**
+ * Close one check-in (e.g. a cancelled meetup's mirror row)
+ *
+ * @returns {Promise<Object|null>} The row, or null if it was already inactive
+ */
+async function closeCheckin(id, reason, checkedOutAt = Date.now(), client = pool) {
+  const result = await client.query(`
+    WITH closed AS (
+      UPDATE group_checkins
+      SET is_active = false, checked_out_at = to_timestamp($2::bigint / 1000.0), checkout_reason = $3
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    )
+    ${detailsFrom('closed')}
+  `, [id, checkedOutAt, reason]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * A group's check-ins since a time, newest first
+ */
+async function getRecentCheckins(code, sinceMs) {
+  const result = await pool.query(`
+    ${detailsFrom('group_checkins')}
+    WHERE g.code = $1 AND c.checked_in_at > to_timestamp($2::bigint / 1000.0)
+    ORDER BY c.checked_in_at DESC
+  `, [code, sinceMs]);
+
+  return result.rows;
+}
+
+/**
+ * Where each member currently is (active check-ins, meetups excluded)
+ *
+ * @returns {Promise<Object>} deviceId -> place name
+ */
+async function getCurrentPlaces(code) {
+  const result = await pool.query(`
+    ${detailsFrom('group_checkins')}
+    WHERE g.code = $1 AND c.is_active = true AND c.scheduled_for IS NULL
+    ORDER BY c.checked_in_at ASC
+  `, [code]);
+
+  const places = {};
+  result.rows.forEach(row => {
+    places[row.device_id] = row.current_place_name;
+  });
+  return places;
+}
+
+/**
+ * Latest active check-in per device - members of older app versions
+ * that never called /join only show up here
+ */
+async function getCheckedInDevices(code) {
+  const result = await pool.query(`
+    SELECT DISTINCT ON (c.device_id) c.*
+    FROM group_checkins c
+    JOIN groups g ON g.id = c.group_id
+    WHERE g.code = $1 AND c.is_active = true
+    ORDER BY c.device_id, c.checked_in_at DESC
+  `, [code]);
+
+  return result.rows;
+}
+
+/**
+ * Copy accommodation onto the device's latest active check-in
+ * (older app versions read it from /checkins)
+ */
+async function updateAccommodation(code, deviceId, { placeId = null, coords = null, name = null, share = false }) {
+  await pool.query(`
+    UPDATE group_checkins
+    SET accommodation_place_id = $3,
+        accommodation_coords = $4,
+        accommodation_name = $5,
+        display_accommodation_to_group = $6
+    WHERE id = (
+      SELECT c.id FROM group_checkins c
+      JOIN groups g ON g.id = c.group_id
+      WHERE g.code = $1 AND c.device_id = $2 AND c.is_active = true
+      ORDER BY c.checked_in_at DESC
+      LIMIT 1
+    )
+  `, [code, deviceId, placeId, coords ? JSON.stringify(coords) : null, name, share]);
+}
+
+/**
+ * Delete a device's check-ins in a group (leaving / removed)
+ *
+ * @returns {Promise<number>} Rows deleted
+ */
+async function deleteDeviceCheckins(code, deviceId) {
+  const result = await pool.query(`
+    DELETE FROM group_checkins c
+    USING groups g
+    WHERE g.id = c.group_id AND g.code = $1 AND c.device_id = $2
+  `, [code, deviceId]);
+
+  return result.rowCount;
+}
+
+module.exports = {
+  formatLegacyCheckin,
+  getCheckin,
+  createCheckin,
+  findActiveCheckin,
+  refreshCheckin,
+  updateCheckin,
+  checkOut,
+  closeCheckin,
+  getRecentCheckins,
+  getCurrentPlaces,
+  getCheckedInDevices,
+  updateAccommodation,
+  deleteDeviceCheckins
+};
@@ -0,0 +1,199 @@
+/**
+ * Device Auth Service
+ *
+ * Issues and checks signed device tokens. An app registers once and sends
+ * the token as "Authorization: Bearer <token>" on group and alert
+ * endpoints (see authenticateDevice in middleware/auth.js).
+ *
+ * - Registration issues a new device id generated here. Ids picked by the
+ *   app can't be claimed: they were shown to other group members, so
+ *   knowing one proves nothing.
+ * - Registering again with the current token keeps the id and rotates the
+ *   token (older ones stop working).
+ * - Tokens don't expire; bumping devices.token_version revokes them.
+ *   Revoked and erased ids are kept (retired) and never work again - the
+ *   app registers for a new id.
+ * - Until DEVICE_AUTH_GRACE_UNTIL (YYYY-MM-DD, default: end of the
+ *   2026/27 season), devices that never registered may still act by
+ *   deviceId alone (legacy app versions). A past date closes the grace
+ *   period early; an invalid one closes it too.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db/pool');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Last day of the grace period when DEVICE_AUTH_GRACE_UNTIL is unset
+const DEFAULT_GRACE_UNTIL = '2027-05-31';
+
+// Keeps device tokens and admin tokens from being used for each other
+const DEVICE_TOKEN_AUDIENCE = 'device';
+
+// Erasure confirmations (DELETE /api/devices/:deviceId/data) - short-lived
+const ERASURE_TOKEN_AUDIENCE = 'device-erasure';
+const ERASURE_TOKEN_EXPIRY_SECONDS = 10 * 60;
+
+/**
+ * Sign a token for a devices row
+ */
+function signDeviceToken(device) {
+  return jwt.sign(
+    { deviceId: device.device_id, ver: device.token_version },
+    JWT_SECRET,
+    { audience: DEVICE_TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * Verify a device token's signature
+ *
+ * @returns {Object} { deviceId, ver }
+ * @throws JsonWebTokenError if invalid
+ */
+function verifyDeviceToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: DEVICE_TOKEN_AUDIENCE });
+}
+
+/**
+ * Sign a confirmation for erasing a device's data. The app asks for one
+ * right before erasing, so a leaked or stolen device token alone can't
+ * wipe the device.
+ *
+ * @returns {Object} { token, expiresIn (seconds) }
+ */
+function signErasureToken(deviceId) {
+  const token = jwt.sign(
+    { deviceId },
+    JWT_SECRET,
+    { audience: ERASURE_TOKEN_AUDIENCE, expiresIn: ERASURE_TOKEN_EXPIRY_SECONDS }
+  );
+  return { token, expiresIn: ERASURE_TOKEN_EXPIRY_SECONDS };
+}
+
+/**
+ * Whether an erasure confirmation is valid, unexpired and for this device
+ */
+function checkErasureToken(token, deviceId) {
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: ERASURE_TOKEN_AUDIENCE }).deviceId === deviceId;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * New device id - random, prefixed to tell it apart from the ids legacy
+ * app versions generated for themselves
+ */
+function generateDeviceId() {
+  return `dev_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Register a device and issue a token
+ *
+ * Without a token a new device id is issued. With the device's current
+ * token the id is kept and the token rotated.
+ *
+ * @param {Object} options - { platform, appVersion }
+ * @param {Object|null} currentToken - Verified token of the registering device
+ * @returns {Promise<Object|null>} { device, token }, or null if currentToken is revoked or superseded
+ */
+async function registerDevice({ platform = null, appVersion = null }, currentToken = null) {
+  if (currentToken) {
+    const result = await pool.query(`
+      UPDATE devices SET
+        platform = COALESCE($3, platform),
+        app_version = COALESCE($4, app_version),
+        token_version = token_version + 1,
+        last_seen_at = NOW()
+      WHERE device_id = $1 AND token_version = $2 AND revoked_at IS NULL
+      RETURNING *
+    `, [currentToken.deviceId, currentToken.ver, platform, appVersion]);
+
+    if (result.rows.length === 0) return null;
+
+    const device = result.rows[0];
+    return { device, token: signDeviceToken(device) };
+  }
+
+  const result = await pool.query(`
+    INSERT INTO devices (device_id, platform, app_version)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [generateDeviceId(), platform, appVersion]);
+
+  const device = result.rows[0];
+  return { device, token: signDeviceToken(device) };
+}
+
+/**
+ * Check a verified token is still current and mark the device as seen
+ *
+ * @returns {Promise<boolean>} false if revoked or superseded
+ */
+async function touchDevice(decoded) {
+  const result = await pool.query(`
+    UPDATE devices SET last_seen_at = NOW()
+    WHERE device_id = $1 AND token_version = $2 AND revoked_at IS NULL
+    RETURNING id
+  `, [decoded.deviceId, decoded.ver]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether a device id is registered - or was, and has been revoked or
+ * erased. Either way deviceId alone is never enough for it.
+ */
+async function isRegistered(deviceId) {
+  const result = await pool.query(
+    'SELECT 1 FROM devices WHERE device_id = $1',
+    [deviceId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether unregistered devices may still act without a token
+ */
+function isGracePeriod(now = new Date()) {
+  const graceUntil = process.env.DEVICE_AUTH_GRACE_UNTIL || DEFAULT_GRACE_UNTIL;
+
+  // Invalid dates compare false - closed
+  return now < new Date(`${graceUntil}T23:59:59Z`);
+}
+
+/**
+ * Retire a device id: its tokens stop working and it can't be used or
+ * registered again, with or without a token (admin reset, erasure).
+ * Unregistered (legacy) ids are retired too.
+ *
+ * @param {string} deviceId - Device id
+ * @param {Object} client - pool or a transaction client
+ */
+async function revokeDevice(deviceId, client = pool) {
+  await client.query(`
+    INSERT INTO devices (device_id, token_version, last_seen_at, revoked_at)
+    VALUES ($1, 0, NULL, NOW())
+    ON CONFLICT (device_id) DO UPDATE SET
+      platform = NULL,
+      app_version = NULL,
+      token_version = devices.token_version + 1,
+      revoked_at = NOW()
+  `, [deviceId]);
+}
+
+module.exports = {
+  signDeviceToken,
+  verifyDeviceToken,
+  signErasureToken,
+  checkErasureToken,
+  registerDevice,
+  touchDevice,
+  isRegistered,
+  isGracePeriod,
+  revokeDevice
+};
@@ -0,0 +1,83 @@
+/**
+ * Geo helpers
+ *
+ * Shared by the legacy places endpoints (distance sorting), the v2
+ * nearby search (routes/places.js) and geofencing
+ * (services/geofenceService.js).
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Walking estimates: ~4.5 km/h, and streets are longer than the straight
+// line (the village is steep and winding)
+const WALKING_METERS_PER_MINUTE = 75;
+const WALKING_DETOUR_FACTOR = 1.3;
+
+/**
+ * Great-circle distance between two points (haversine)
+ *
+ * @returns {number} Distance in meters
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS_METERS * c;
+}
+
+/**
+ * Latitude / longitude box around a point (cheap SQL pre-filter)
+ *
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function boundingBox(lat, lng, meters) {
+  const dLat = (meters / EARTH_RADIUS_METERS) * 180 / Math.PI;
+  const dLng = dLat / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+
+  return {
+    minLat: lat - dLat,
+    maxLat: lat + dLat,
+    minLng: lng - dLng,
+    maxLng: lng + dLng
+  };
+}
+
+/**
+ * SQL expression for the distance in meters from a point (haversine,
+ * same formula as calculateDistance)
+ *
+ * @param {string} lat - Latitude column, e.g. 'latitude'
+ * @param {string} lng - Longitude column
+ * @param {string} pointLat - Parameter placeholder for the point, e.g. '$2'
+ * @param {string} pointLng - Parameter placeholder
+ * @returns {string} SQL expression
+ */
+function distanceSql(lat, lng, pointLat, pointLng) {
+  return `(2 * ${EARTH_RADIUS_METERS} * asin(least(1, sqrt(
+    power(sin(radians(${lat} - ${pointLat}::float8) / 2), 2) +
+    cos(radians(${pointLat}::float8)) * cos(radians(${lat})) *
+    power(sin(radians(${lng} - ${pointLng}::float8) / 2), 2)
+  ))))`;
+}
+
+/**
+ * Estimated walking time for a straight-line distance
+ *
+ * @param {number} meters - Straight-line distance
+ * @returns {number} Whole minutes (at least 1)
+ */
+function walkingMinutes(meters) {
+  return Math.max(1, Math.round(meters * WALKING_DETOUR_FACTOR / WALKING_METERS_PER_MINUTE));
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  WALKING_METERS_PER_MINUTE,
+  calculateDistance,
+  boundingBox,
+  distanceSql,
+  walkingMinutes
+};
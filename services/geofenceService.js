@@ -0,0 +1,569 @@
+/**
+ * Geofence Service
+ *
+ * Automatic check-in / check-out from location pings, for members who
+ * opted in (group_members.auto_checkin). Each ping is matched against
+ * place coordinates with per-category radii, tunable with env vars:
+ *
+ *   GEOFENCE_RADIUS_METERS=onsen:40,restaurant:30,lift:60,default:40
+ *   GEOFENCE_DWELL_MINUTES=3
+ *
+ * Hysteresis keeps GPS jitter from flapping check-ins:
+ *   - Entering: pings must stay inside the radius for the dwell time
+ *   - Leaving: EXIT_PINGS consecutive pings beyond radius * EXIT_RADIUS_FACTOR
+ *
+ * Matches are low-confidence when the GPS accuracy is unknown or worse
+ * than the radius, the ping is only inside the radius given its
+ * accuracy, or another place is about as close. Those become
+ * suggestions the member confirms instead of automatic check-ins.
+ *
+ * Only the device's current state is stored (geofence_presence), never
+ * the pings themselves.
+ */
+
+const { pool } = require('../db/pool');
+const groupEvents = require('./groupEvents');
+const checkinService = require('./checkinService');
+const { calculateDistance, boundingBox } = require('./geo');
+
+// Geofence radius in meters, by places.category
+// 'default' covers other categories
+const DEFAULT_RADIUS_METERS = {
+  onsen: 40,
+  restaurant: 30,
+  lift: 60,
+  default: 40
+};
+
+const DEFAULT_DWELL_MINUTES = 3;
+const EXIT_RADIUS_FACTOR = 1.5;
+const EXIT_PINGS = 2;
+const MAX_ACCURACY_METERS = 100;    // Worse pings are ignored
+const STALE_MINUTES = 30;           // State older than this starts over
+const SUGGESTION_TTL_MINUTES = 30;
+
+/**
+ * Parse "category:meters,..." over the defaults (invalid entries are ignored)
+ *
+ * @param {string} value - e.g. 'onsen:50,lift:80'
+ * @returns {Object} category -> meters
+ */
+function parseRadiusRules(value) {
+  const rules = { ...DEFAULT_RADIUS_METERS };
+  if (!value) return rules;
+
+  value.split(',').forEach(entry => {
+    const [category, meters] = entry.split(':').map(part => part && part.trim());
+    const parsed = parseInt(meters, 10);
+    if (category && Number.isInteger(parsed) && parsed > 0) {
+      rules[category.toLowerCase()] = parsed;
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Current geofence settings
+ */
+function getGeofenceSettings() {
+  const dwell = parseInt(process.env.GEOFENCE_DWELL_MINUTES, 10);
+
+  return {
+    radii: parseRadiusRules(process.env.GEOFENCE_RADIUS_METERS),
+    dwellMs: (dwell >= 0 ? dwell : DEFAULT_DWELL_MINUTES) * 60 * 1000,
+    exitFactor: EXIT_RADIUS_FACTOR,
+    exitPings: EXIT_PINGS,
+    staleMs: STALE_MINUTES * 60 * 1000
+  };
+}
+
+function radiusFor(place, radii) {
+  return radii[place.category] || radii.default;
+}
+
+/**
+ * Match a ping against places
+ *
+ * @param {Object} ping - { lat, lng, accuracy }
+ * @param {Array<Object>} places - { id, latitude, longitude, category, ... }
+ * @param {Object} radii - category -> meters
+ * @returns {Object|null} { place, distance, radius, confident, alternatives } for the closest place
+ */
+function matchPlaces(ping, places, radii) {
+  const knownAccuracy = typeof ping.accuracy === 'number';
+  const accuracy = knownAccuracy ? ping.accuracy : 0;
+
+  const candidates = places
+    .map(place => ({
+      place,
+      distance: calculateDistance(ping.lat, ping.lng, parseFloat(place.latitude), parseFloat(place.longitude)),
+      radius: radiusFor(place, radii)
+    }))
+    .filter(candidate => candidate.distance <= candidate.radius + accuracy)
+    .sort((a, b) => a.distance - b.distance);
+
+  if (candidates.length === 0) return null;
+
+  const [best, runnerUp] = candidates;
+  const confident = knownAccuracy &&
+    best.distance <= best.radius &&
+    accuracy <= best.radius &&
+    !(runnerUp && runnerUp.distance - best.distance <= Math.max(accuracy, 10));
+
+  return { ...best, confident, alternatives: candidates.slice(1, 3) };
+}
+
+/**
+ * Next geofence state for a device after a ping
+ *
+ * @param {Object|null} presence - { placeId, status, enteredAt, lastPingAt, lowConfidence, outsidePings } (ms)
+ * @param {Object} observation - { match (from matchPlaces), distanceToCurrent (meters to presence place), currentRadius }
+ * @param {number} now - Ping time (Unix ms)
+ * @param {Object} settings - { dwellMs, exitFactor, exitPings, staleMs }
+ * @returns {Object} { presence, action ('checkin' / 'suggest' / 'checkout' / null), previous }
+ */
+function advancePresence(presence, observation, now, settings) {
+  const { match, distanceToCurrent, currentRadius } = observation;
+
+  const enter = () => (match ? {
+    placeId: match.place.id,
+    status: 'pending',
+    enteredAt: now,
+    lastPingAt: now,
+    lowConfidence: !match.confident,
+    outsidePings: 0
+  } : null);
+
+  // No pings for a while - start over (the expiry job ends old check-ins)
+  if (presence && now - presence.lastPingAt > settings.staleMs) {
+    return { presence: enter(), action: null, previous: presence };
+  }
+
+  if (!presence) {
+    return { presence: enter(), action: null, previous: null };
+  }
+
+  // Still at the same place
+  if (match && match.place.id === presence.placeId) {
+    const next = {
+      ...presence,
+      lastPingAt: now,
+      outsidePings: 0,
+      lowConfidence: presence.lowConfidence || !match.confident
+    };
+
+    if (next.status === 'pending' && now - next.enteredAt >= settings.dwellMs) {
+      next.status = next.lowConfidence ? 'suggested' : 'checked_in';
+      return { presence: next, action: next.lowConfidence ? 'suggest' : 'checkin', previous: presence };
+    }
+    return { presence: next, action: null, previous: presence };
+  }
+
+  // Between the radius and the exit radius - hold
+  const outside = distanceToCurrent === null || distanceToCurrent === undefined ||
+    distanceToCurrent > currentRadius * settings.exitFactor;
+  if (!outside) {
+    return { presence: { ...presence, lastPingAt: now }, action: null, previous: presence };
+  }
+
+  // Checked in: wait for consecutive pings outside before checking out
+  const outsidePings = presence.outsidePings + 1;
+  if (presence.status === 'checked_in' && outsidePings < settings.exitPings) {
+    return { presence: { ...presence, lastPingAt: now, outsidePings }, action: null, previous: presence };
+  }
+
+  return {
+    presence: enter(),
+    action: presence.status === 'checked_in' ? 'checkout' : null,
+    previous: presence
+  };
+}
+
+// ============================================
+// DATABASE
+// ============================================
+
+/**
+ * Groups the device opted in to automatic check-in for (active groups only)
+ */
+async function getAutoCheckinGroups(deviceId) {
+  const result = await pool.query(`
+    SELECT m.group_code, m.user_name, g.resort_id
+    FROM group_members m
+    JOIN groups g ON g.code = m.group_code
+    WHERE m.device_id = $1 AND m.auto_checkin = true AND g.archived_at IS NULL
+    ORDER BY m.group_code
+  `, [deviceId]);
+
+  return result.rows;
+}
+
+/**
+ * Turn automatic check-in on or off for a member
+ *
+ * @returns {Promise<Object|null>} Updated group_members row, or null if not a member
+ */
+async function setAutoCheckin(code, deviceId, enabled) {
+  const result = await pool.query(
+    'UPDATE group_members SET auto_checkin = $3, last_seen_at = NOW() WHERE group_code = $1 AND device_id = $2 RETURNING *',
+    [code, deviceId, enabled]
+  );
+  if (result.rows.length === 0) return null;
+
+  // Opted out everywhere - forget where the device is
+  if (!enabled && (await getAutoCheckinGroups(deviceId)).length === 0) {
+    await clearDeviceState(deviceId);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Visible, open places near a point in the given resorts
+ */
+async function findNearbyPlaces(resortIds, lat, lng, meters) {
+  const box = boundingBox(lat, lng, meters);
+
+  const result = await pool.query(`
+    SELECT id, resort_id, external_id, name, category, latitude, longitude
+    FROM places
+    WHERE resort_id = ANY($1::int[])
+      AND visible_in_app = true
+      AND status = 'active'
+      AND latitude BETWEEN $2 AND $3
+      AND longitude BETWEEN $4 AND $5
+  `, [resortIds, box.minLat, box.maxLat, box.minLng, box.maxLng]);
+
+  return result.rows;
+}
+
+async function getPlace(placeId) {
+  const result = await pool.query(
+    'SELECT id, resort_id, external_id, name, category, latitude, longitude FROM places WHERE id = $1',
+    [placeId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getPresence(deviceId) {
+  const result = await pool.query('SELECT * FROM geofence_presence WHERE device_id = $1', [deviceId]);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    placeId: row.place_id,
+    status: row.status,
+    enteredAt: new Date(row.entered_at).getTime(),
+    lastPingAt: new Date(row.last_ping_at).getTime(),
+    lowConfidence: row.low_confidence,
+    outsidePings: row.outside_pings
+  };
+}
+
+async function savePresence(deviceId, presence) {
+  if (!presence) {
+    await pool.query('DELETE FROM geofence_presence WHERE device_id = $1', [deviceId]);
+    return;
+  }
+
+  await pool.query(`
+    INSERT INTO geofence_presence (device_id, place_id, status, entered_at, last_ping_at, low_confidence, outside_pings)
+    VALUES ($1, $2, $3, to_timestamp($4::bigint / 1000.0), to_timestamp($5::bigint / 1000.0), $6, $7)
+    ON CONFLICT (device_id) DO UPDATE SET
+      place_id = EXCLUDED.place_id,
+      status = EXCLUDED.status,
+      entered_at = EXCLUDED.entered_at,
+      last_ping_at = EXCLUDED.last_ping_at,
+      low_confidence = EXCLUDED.low_confidence,
+      outside_pings = EXCLUDED.outside_pings
+  `, [
+    deviceId,
+    presence.placeId,
+    presence.status,
+    presence.enteredAt,
+    presence.lastPingAt,
+    presence.lowConfidence,
+    presence.outsidePings
+  ]);
+}
+
+/**
+ * Forget a device's geofence state and suggestions
+ */
+async function clearDeviceState(deviceId) {
+  await pool.query('DELETE FROM geofence_presence WHERE device_id = $1', [deviceId]);
+  await pool.query('DELETE FROM geofence_suggestions WHERE device_id = $1', [deviceId]);
+}
+
+/**
+ * Check the device in at a place in each opted-in group of the place's resort
+ * (groups where it is already checked in there are left alone)
+ *
+ * @returns {Promise<Array>} [{ groupCode, checkinId }]
+ */
+async function checkInGroups(groups, place, deviceId, now) {
+  const checkedIn = [];
+
+  for (const group of groups.filter(g => g.resort_id === place.resort_id)) {
+    const code = group.group_code;
+    const existing = await checkinService.findActiveCheckin(code, deviceId, place.external_id);
+    if (existing) continue;
+
+    await checkinService.checkOut(code, { deviceId, reason: 'replaced', checkedOutAt: now });
+    const created = await checkinService.createCheckin(code, {
+      deviceId,
+      userName: group.user_name,
+      placeId: place.external_id,
+      placeName: place.name,
+      checkedInAt: now,
+      source: 'geofence'
+    });
+
+    console.log(`📍 Auto check-in: ${group.user_name} at ${place.name} in group ${code}`);
+
+    await groupEvents.publishGroupEvent(code, 'checkin.created', {
+      deviceId,
+      payload: {
+        id: created.id,
+        userName: group.user_name,
+        placeId: place.external_id,
+        placeName: created.current_place_name,
+        checkedInAt: now,
+        scheduledFor: null,
+        note: null,
+        auto: true
+      }
+    });
+    checkedIn.push({ groupCode: code, checkinId: created.id });
+  }
+
+  return checkedIn;
+}
+
+/**
+ * End the device's automatic check-ins at a place (manual ones stay)
+ *
+ * @returns {Promise<Array>} [{ groupCode, ids }]
+ */
+async function checkOutGroups(groups, place, deviceId, now) {
+  const checkedOut = [];
+
+  for (const group of groups.filter(g => g.resort_id === place.resort_id)) {
+    const code = group.group_code;
+    const rows = await checkinService.checkOut(code, {
+      deviceId,
+      placeId: place.external_id,
+      source: 'geofence',
+      reason: 'left_geofence',
+      checkedOutAt: now
+    });
+    if (rows.length === 0) continue;
+
+    console.log(`📍 Auto check-out: ${deviceId} left ${place.name} in group ${code}`);
+
+    await groupEvents.publishGroupEvent(code, 'checkin.checked_out', {
+      deviceId,
+      payload: {
+        placeId: place.external_id,
+        checkedOutAt: now,
+        ids: rows.map(row => row.id),
+        auto: true
+      }
+    });
+    checkedOut.push({ groupCode: code, ids: rows.map(row => row.id) });
+  }
+
+  return checkedOut;
+}
+
+/**
+ * Format a suggestion (joined with its place) for clients
+ */
+function formatSuggestion(row) {
+  return {
+    id: row.id,
+    place: {
+      id: row.external_id,
+      name: row.name,
+      category: row.category
+    },
+    distanceMeters: row.distance_m,
+    accuracyMeters: row.accuracy_m,
+    status: row.status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at
+  };
+}
+
+async function getSuggestion(deviceId, suggestionId) {
+  const result = await pool.query(`
+    SELECT s.*, p.external_id, p.name, p.category, p.resort_id
+    FROM geofence_suggestions s
+    JOIN places p ON p.id = s.place_id
+    WHERE s.device_id = $1 AND s.id = $2
+  `, [deviceId, suggestionId]);
+
+  return result.rows[0] || null;
+}
+
+async function createSuggestion(deviceId, match, accuracy, now) {
+  const result = await pool.query(`
+    INSERT INTO geofence_suggestions (device_id, place_id, distance_m, accuracy_m, created_at, expires_at)
+    VALUES ($1, $2, $3, $4, to_timestamp($5::bigint / 1000.0), to_timestamp($5::bigint / 1000.0) + make_interval(mins => $6))
+    RETURNING id
+  `, [deviceId, match.place.id, Math.round(match.distance), accuracy === null ? null : Math.round(accuracy), now, SUGGESTION_TTL_MINUTES]);
+
+  console.log(`📍 Suggested check-in: ${deviceId} may be at ${match.place.name} (${Math.round(match.distance)}m, ±${accuracy === null ? '?' : Math.round(accuracy)}m)`);
+  return getSuggestion(deviceId, result.rows[0].id);
+}
+
+/**
+ * Pending suggestions for a device
+ */
+async function getSuggestions(deviceId) {
+  const result = await pool.query(`
+    SELECT s.*, p.external_id, p.name, p.category
+    FROM geofence_suggestions s
+    JOIN places p ON p.id = s.place_id
+    WHERE s.device_id = $1 AND s.status = 'pending' AND s.expires_at > NOW()
+    ORDER BY s.created_at DESC
+  `, [deviceId]);
+
+  return result.rows.map(formatSuggestion);
+}
+
+/**
+ * Confirm (check in) or dismiss a suggestion
+ *
+ * @returns {Promise<Object|null>} { suggestion, checkedIn } or null if not found / no longer pending
+ */
+async function respondToSuggestion(deviceId, suggestionId, confirm) {
+  const suggestion = await getSuggestion(deviceId, suggestionId);
+  if (!suggestion || suggestion.status !== 'pending' || new Date(suggestion.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const status = confirm ? 'confirmed' : 'dismissed';
+  await pool.query(
+    'UPDATE geofence_suggestions SET status = $2, responded_at = NOW() WHERE id = $1',
+    [suggestion.id, status]
+  );
+
+  let checkedIn = [];
+  if (confirm) {
+    const now = Date.now();
+    const groups = await getAutoCheckinGroups(deviceId);
+    checkedIn = await checkInGroups(groups, {
+      id: suggestion.place_id,
+      resort_id: suggestion.resort_id,
+      external_id: suggestion.external_id,
+      name: suggestion.name
+    }, deviceId, now);
+
+    // Confirmed check-ins end automatically like any other geofence check-in
+    const presence = await getPresence(deviceId);
+    if (presence && presence.placeId === suggestion.place_id) {
+      await savePresence(deviceId, { ...presence, status: 'checked_in' });
+    }
+  }
+
+  return { suggestion: formatSuggestion({ ...suggestion, status }), checkedIn };
+}
+
+/**
+ * Handle a location ping (POST /api/devices/:deviceId/location)
+ *
+ * @param {string} deviceId - Device id
+ * @param {Object} ping - { lat, lng, accuracy (meters), timestamp (ms) }
+ * @returns {Promise<Object>} What happened - see the route for the response shape
+ */
+async function recordPing(deviceId, ping) {
+  // A ping means the device is active - counts as "seen" for safety checks
+  await pool.query('UPDATE group_members SET last_seen_at = NOW() WHERE device_id = $1', [deviceId]);
+
+  const groups = await getAutoCheckinGroups(deviceId);
+  if (groups.length === 0) {
+    return { autoCheckin: false };
+  }
+
+  const accuracy = ping.accuracy === undefined ? null : ping.accuracy;
+  if (accuracy !== null && accuracy > MAX_ACCURACY_METERS) {
+    return { autoCheckin: true, ignored: 'low_accuracy' };
+  }
+
+  const settings = getGeofenceSettings();
+  const now = Math.min(ping.timestamp || Date.now(), Date.now());
+  const maxRadius = Math.max(...Object.values(settings.radii));
+  const resortIds = [...new Set(groups.map(group => group.resort_id))];
+
+  const places = await findNearbyPlaces(resortIds, ping.lat, ping.lng, maxRadius + (accuracy || 0));
+  const match = matchPlaces({ lat: ping.lat, lng: ping.lng, accuracy }, places, settings.radii);
+
+  const presence = await getPresence(deviceId);
+  let current = null;
+  if (presence) {
+    current = places.find(place => place.id === presence.placeId) || await getPlace(presence.placeId);
+  }
+
+  const { presence: next, action, previous } = advancePresence(presence, {
+    match,
+    distanceToCurrent: current
+      ? calculateDistance(ping.lat, ping.lng, parseFloat(current.latitude), parseFloat(current.longitude))
+      : null,
+    currentRadius: current ? radiusFor(current, settings.radii) : 0
+  }, now, settings);
+
+  let checkedIn = [];
+  let checkedOut = [];
+  let suggestion = null;
+
+  if (action === 'checkout' && current) {
+    checkedOut = await checkOutGroups(groups, current, deviceId, now);
+  }
+  if (previous && (!next || next.placeId !== previous.placeId)) {
+    // Left the place - its suggestions no longer apply
+    await pool.query(
+      "UPDATE geofence_suggestions SET status = 'expired' WHERE device_id = $1 AND place_id = $2 AND status = 'pending'",
+      [deviceId, previous.placeId]
+    );
+  }
+  if (action === 'checkin') {
+    checkedIn = await checkInGroups(groups, match.place, deviceId, now);
+  }
+  if (action === 'suggest') {
+    suggestion = formatSuggestion(await createSuggestion(deviceId, match, accuracy, now));
+  }
+
+  await savePresence(deviceId, next);
+
+  return {
+    autoCheckin: true,
+    status: next ? next.status : 'away',
+    place: match ? {
+      id: match.place.external_id,
+      name: match.place.name,
+      category: match.place.category,
+      distanceMeters: Math.round(match.distance),
+      confidence: match.confident ? 'high' : 'low'
+    } : null,
+    checkedIn,
+    checkedOut,
+    suggestion
+  };
+}
+
+module.exports = {
+  DEFAULT_RADIUS_METERS,
+  MAX_ACCURACY_METERS,
+  parseRadiusRules,
+  getGeofenceSettings,
+  matchPlaces,
+  advancePresence,
+  getAutoCheckinGroups,
+  setAutoCheckin,
+  clearDeviceState,
+  getSuggestions,
+  respondToSuggestion,
+  recordPing
+};
@@ -0,0 +1,153 @@
+/**
+ * Group Events Service
+ *
+ * Publishes group state changes (check-ins, check-outs, joins, leaves,
+ * accommodation updates) so clients can receive them over Server-Sent
+ * Events instead of polling /members and /checkins.
+ *
+ * Every event is written to the group_events table first, so the
+ * database id is a stable event id that survives restarts. Clients that
+ * reconnect send it back as Last-Event-ID and get the events they missed.
+ *
+ * Live delivery uses an in-process EventEmitter (single Railway instance).
+ */
+
+const { EventEmitter } = require('events');
+const { pool } = require('../db/pool');
+const memberIds = require('./memberIds');
+
+// How long events are kept for replay
+const EVENT_RETENTION_HOURS = 24;
+
+// Max events replayed on reconnect (older clients should just refetch)
+const MAX_REPLAY_EVENTS = 500;
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection - don't warn on busy groups
+emitter.setMaxListeners(0);
+
+/**
+ * Format a group_events row for clients (the acting device as its member id)
+ */
+function formatEvent(row) {
+  return {
+    id: String(row.id),
+    type: row.event_type,
+    groupCode: row.group_code,
+    memberId: memberIds.getMemberId(row.group_code, row.device_id),
+    data: row.payload || {},
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Record a group event and push it to connected clients
+ *
+ * Never throws - a failed event must not fail the mutation that caused it.
+ *
+ * @param {string} groupCode - 6-digit group code
+ * @param {string} eventType - e.g. 'checkin.created', 'member.left'
+ * @param {Object} options - { deviceId, payload }
+ * @returns {Promise<Object|null>} The formatted event, or null on failure
+ */
+async function publishGroupEvent(groupCode, eventType, { deviceId = null, payload = {} } = {}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO group_events (group_code, event_type, device_id, payload)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [groupCode, eventType, deviceId, JSON.stringify(payload)]
+    );
+
+    const event = formatEvent(result.rows[0]);
+    emitter.emit(groupCode, event);
+    return event;
+  } catch (error) {
+    console.error(`[Group Events] Failed to publish ${eventType} for group ${groupCode}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get events after a given event id (for resume after reconnect)
+ *
+ * @param {string} groupCode - 6-digit group code
+ * @param {string|number} lastEventId - Last event id the client saw
+ * @returns {Promise<Object>} { events, truncated }
+ *   truncated = true when the client missed more than we can replay
+ *   (or the id was pruned), so it should refetch full state
+ */
+async function getEventsSince(groupCode, lastEventId) {
+  const afterId = parseInt(lastEventId);
+  if (isNaN(afterId)) {
+    return { events: [], truncated: false };
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM group_events
+     WHERE group_code = $1 AND id > $2
+     ORDER BY id ASC
+     LIMIT $3`,
+    [groupCode, afterId, MAX_REPLAY_EVENTS + 1]
+  );
+
+  // Ids are global, so gaps are normal. If the client's last event is no
+  // longer stored it was pruned and anything after it may be incomplete.
+  const lastSeen = await pool.query(
+    'SELECT 1 FROM group_events WHERE group_code = $1 AND id = $2',
+    [groupCode, afterId]
+  );
+  const pruned = lastSeen.rows.length === 0;
+
+  const truncated = result.rows.length > MAX_REPLAY_EVENTS || pruned;
+
+  return {
+    events: result.rows.slice(0, MAX_REPLAY_EVENTS).map(formatEvent),
+    truncated
+  };
+}
+
+/**
+ * Subscribe to live events for a group
+ *
+ * @param {string} groupCode - 6-digit group code
+ * @param {Function} listener - Called with each formatted event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(groupCode, listener) {
+  emitter.on(groupCode, listener);
+  return () => emitter.off(groupCode, listener);
+}
+
+/**
+ * Number of open subscriptions for a group (for monitoring)
+ */
+function getSubscriberCount(groupCode) {
+  return emitter.listenerCount(groupCode);
+}
+
+/**
+ * Delete events older than the replay window
+ * Called hourly by the scheduler
+ */
+async function pruneGroupEvents() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM group_events WHERE created_at < NOW() - ($1 || ' hours')::interval`,
+      [EVENT_RETENTION_HOURS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`[Group Events] Pruned ${result.rowCount} events older than ${EVENT_RETENTION_HOURS}h`);
+    }
+  } catch (error) {
+    console.error('[Group Events] Failed to prune old events:', error.message);
+  }
+}
+
+module.exports = {
+  publishGroupEvent,
+  getEventsSince,
+  subscribe,
+  getSubscriberCount,
+  pruneGroupEvents
+};
@@ -0,0 +1,109 @@
+/**
+ * Group Notifier
+ *
+ * Sends member-facing notifications (safety alerts etc.) to the other
+ * members of a group through pluggable channels - the group counterpart
+ * of services/notifier.js, which alerts the team.
+ *
+ * Built-in channels:
+ * - events:   group event on the live stream (GET /api/groups/:code/events)
+ * - delivery: each member's own target (group_members.safety_delivery_*)
+ *             through services/alertDelivery.js (Expo push / webhook)
+ *
+ * Other channels can be added with registerChannel(name, sendFn).
+ */
+
+const { pool } = require('../db/pool');
+const groupEvents = require('./groupEvents');
+const alertDelivery = require('./alertDelivery');
+
+const channels = new Map();
+
+/**
+ * Register a notification channel
+ *
+ * @param {string} name - Channel name
+ * @param {Function} send - async (notification) => void
+ */
+function registerChannel(name, send) {
+  channels.set(name, send);
+}
+
+/**
+ * Remove a notification channel
+ */
+function unregisterChannel(name) {
+  channels.delete(name);
+}
+
+/**
+ * Names of active channels (for monitoring)
+ */
+function getChannels() {
+  return [...channels.keys()];
+}
+
+// Events channel - live group stream (connected apps)
+registerChannel('events', async (notification) => {
+  await groupEvents.publishGroupEvent(notification.groupCode, notification.type, {
+    deviceId: notification.deviceId,
+    payload: { title: notification.title, message: notification.message, ...notification.data }
+  });
+});
+
+// Delivery channel - push / webhook to members who set a target
+registerChannel('delivery', async (notification) => {
+  const result = await pool.query(`
+    SELECT device_id, safety_delivery_method, safety_delivery_target
+    FROM group_members
+    WHERE group_code = $1
+      AND device_id IS DISTINCT FROM $2
+      AND safety_delivery_method IS NOT NULL
+      AND safety_delivery_target IS NOT NULL
+  `, [notification.groupCode, notification.deviceId || null]);
+
+  for (const member of result.rows) {
+    try {
+      await alertDelivery.deliver(member.safety_delivery_method, member.safety_delivery_target, {
+        title: notification.title,
+        message: notification.message,
+        data: { type: notification.type, groupCode: notification.groupCode, ...notification.data }
+      });
+    } catch (error) {
+      console.error(`[GroupNotifier] Delivery to ${member.device_id} failed:`, error.message);
+    }
+  }
+});
+
+/**
+ * Notify the other members of a group
+ *
+ * Never throws - a failing channel is logged and skipped.
+ *
+ * @param {Object} notification
+ * @param {string} notification.groupCode - Group code
+ * @param {string} notification.type - Event type, e.g. 'safety.overdue'
+ * @param {string} notification.deviceId - Member the notification is about (not notified)
+ * @param {string} notification.title - Short summary
+ * @param {string} notification.message - Details
+ * @param {Object} notification.data - Extra structured data
+ */
+async function notifyGroup({ groupCode, type, deviceId = null, title, message = '', data = {} }) {
+  const notification = { groupCode, type, deviceId, title, message, data };
+  console.log(`🔔 [GroupNotifier] ${groupCode}: ${title}${message ? ` - ${message}` : ''}`);
+
+  for (const [name, send] of channels) {
+    try {
+      await send(notification);
+    } catch (error) {
+      console.error(`[GroupNotifier] Channel ${name} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  notifyGroup,
+  registerChannel,
+  unregisterChannel,
+  getChannels
+};
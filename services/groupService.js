@@ -0,0 +1,559 @@
+/**
+ * Group Service
+ *
+ * Group ownership, moderation and expiry:
+ * - The creating device owns the group. Owners and admins can rename it,
+ *   lock joining, remove members and rotate the join code.
+ * - Only the owner can promote/demote admins. If the owner leaves,
+ *   ownership passes to the longest-standing admin, then member.
+ * - Groups expire at the end of the resort's ski season (seasonService).
+ *   archiveExpiredGroups() archives them; archived groups are read-only.
+ * - Members can share expiring invite tokens (deep link / QR) instead of
+ *   the guessable 6-digit code. Only owner/admin invites work while
+ *   joining is locked.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const seasonService = require('./seasonService');
+const groupEvents = require('./groupEvents');
+const meetupService = require('./meetupService');
+const checkinService = require('./checkinService');
+const memberIds = require('./memberIds');
+
+const ROLES = ['owner', 'admin', 'member'];
+const MODERATOR_ROLES = ['owner', 'admin'];
+
+// groups columns clients may see (toPublicGroup)
+const PUBLIC_GROUP_FIELDS = ['code', 'name', 'resort_id', 'created_at', 'expires_at', 'join_locked', 'archived_at'];
+
+// Attempts at finding an unused 6-digit code
+const MAX_CODE_ATTEMPTS = 10;
+
+const INVITE_DEFAULT_HOURS = 72;
+
+// Where invite links point (the app handles this as a universal link)
+const INVITE_LINK_BASE = process.env.INVITE_LINK_BASE || 'https://nozawa.app/join';
+
+/**
+ * Generate a 6-digit numeric group code
+ */
+function generateGroupCode() {
+  return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+/**
+ * End of the season a group created at `at` belongs to
+ * (current season, or the next one if created off-season)
+ *
+ * @returns {Object|null} { closesOn, timezone }, or null for year-round / unknown resorts
+ */
+function getSeasonEnd(resortId, at = new Date()) {
+  const info = seasonService.getSeasonInfo(resortId, at);
+  const season = info && (info.current || info.next);
+  if (!season) return null;
+
+  return { closesOn: season.closesOn, timezone: info.timezone };
+}
+
+/**
+ * Create a group owned by the creating device
+ *
+ * @param {Object} options - { deviceId, userName, name, resortId }
+ * @returns {Promise<Object>} groups row
+ * @throws if no unused code could be found
+ */
+async function createGroup({ deviceId, userName, name = null, resortId = 1 }) {
+  const seasonEnd = getSeasonEnd(resortId);
+
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateGroupCode();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Expires at midnight after the last day of the season (resort local time)
+      const result = await client.query(`
+        INSERT INTO groups (resort_id, code, name, owner_device_id, expires_at)
+        VALUES ($1, $2, $3, $4, ($5::date + 1)::timestamp AT TIME ZONE $6)
+        RETURNING *
+      `, [resortId, code, name, deviceId, seasonEnd?.closesOn || null, seasonEnd?.timezone || 'UTC']);
+
+      await client.query(`
+        INSERT INTO group_members (group_code, device_id, user_name, joined_at, last_seen_at, role)
+        VALUES ($1, $2, $3, NOW(), NOW(), 'owner')
+        ON CONFLICT (group_code, device_id) DO UPDATE SET role = 'owner'
+      `, [code, deviceId, userName]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code !== '23505') throw error; // Anything but a duplicate code
+    } finally {
+      client.release();
+    }
+  }
+
+  throw new Error('Could not generate unique code');
+}
+
+/**
+ * A groups row as returned to clients - only these fields. The owner's
+ * device id acts as the owner, and the calendar feed token is for members
+ * only (GET /api/groups/:code/calendar); callers get their own role
+ * separately.
+ */
+function toPublicGroup(group) {
+  return Object.fromEntries(PUBLIC_GROUP_FIELDS.map(field => [field, group[field] ?? null]));
+}
+
+/**
+ * Get a group by its current code
+ */
+async function getGroup(code) {
+  const result = await pool.query('SELECT * FROM groups WHERE code = $1', [code]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a device's membership in a group
+ */
+async function getMember(code, deviceId) {
+  if (!deviceId) return null;
+
+  const result = await pool.query(
+    'SELECT * FROM group_members WHERE group_code = $1 AND device_id = $2',
+    [code, deviceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Find a member by their member id (services/memberIds.js)
+ *
+ * @returns {Promise<Object|null>} group_members row, or null if no member has that id
+ */
+async function findMemberById(code, memberId) {
+  const result = await pool.query('SELECT * FROM group_members WHERE group_code = $1', [code]);
+  return result.rows.find(member => memberIds.getMemberId(code, member.device_id) === memberId) || null;
+}
+
+/**
+ * Add a device to a group, or refresh its details if already a member
+ *
+ * @param {string} code - Group code
+ * @param {string} deviceId - Joining device
+ * @param {Object} details - { userName, accommodationPlaceId, accommodationCoords, accommodationName, displayAccommodationToGroup }
+ * @param {string} via - How they joined ('code' or 'invite'), included in the event
+ * @returns {Promise<Object>} group_members row
+ */
+async function addMember(code, deviceId, details = {}, via = 'code') {
+  const { userName, accommodationPlaceId, accommodationName, displayAccommodationToGroup } = details;
+
+  // Prepare accommodation coords for PostgreSQL array format
+  let coordsArray = null;
+  if (details.accommodationCoords && Array.isArray(details.accommodationCoords) && details.accommodationCoords.length === 2) {
+    coordsArray = details.accommodationCoords;
+  }
+
+  // Upsert into group_members
+  const result = await pool.query(
+    `INSERT INTO group_members (group_code, device_id, user_name, joined_at, last_seen_at,
+      accommodation_place_id, accommodation_name, accommodation_coords, display_accommodation_to_group)
+     VALUES ($1, $2, $3, NOW(), NOW(), $4, $5, $6, $7)
+     ON CONFLICT (group_code, device_id)
+     DO UPDATE SET
+       user_name = COALESCE(EXCLUDED.user_name, group_members.user_name),
+       last_seen_at = NOW(),
+       accommodation_place_id = COALESCE(EXCLUDED.accommodation_place_id, group_members.accommodation_place_id),
+       accommodation_name = COALESCE(EXCLUDED.accommodation_name, group_members.accommodation_name),
+       accommodation_coords = COALESCE(EXCLUDED.accommodation_coords, group_members.accommodation_coords),
+       display_accommodation_to_group = COALESCE(EXCLUDED.display_accommodation_to_group, group_members.display_accommodation_to_group)
+     RETURNING *`,
+    [code, deviceId, userName, accommodationPlaceId, accommodationName, coordsArray, displayAccommodationToGroup || false]
+  );
+
+  console.log(`Group join: ${userName || deviceId} joined group ${code}${via === 'invite' ? ' (invite)' : ''}`);
+
+  const member = result.rows[0];
+  await groupEvents.publishGroupEvent(code, 'member.joined', {
+    deviceId,
+    payload: {
+      userName: member.user_name,
+      joinedAt: member.joined_at,
+      via,
+      accommodationPlaceId: member.display_accommodation_to_group ? member.accommodation_place_id : null,
+      accommodationCoords: member.display_accommodation_to_group ? member.accommodation_coords : null,
+      accommodationName: member.display_accommodation_to_group ? member.accommodation_name : null
+    }
+  });
+
+  return member;
+}
+
+/**
+ * Find the current code of a group whose code was rotated.
+ * Only answered for devices that are still members, so a retired code
+ * doesn't lead anyone else to the new one.
+ *
+ * @returns {Promise<string|null>} Current code
+ */
+async function findRotatedCode(oldCode, deviceId) {
+  if (!deviceId) return null;
+
+  const result = await pool.query(`
+    SELECT g.code
+    FROM group_code_history h
+    JOIN groups g ON g.id = h.group_id
+    JOIN group_members m ON m.group_code = g.code AND m.device_id = $2
+    WHERE h.code = $1
+    ORDER BY h.rotated_at DESC
+    LIMIT 1
+  `, [oldCode, deviceId]);
+
+  return result.rows[0]?.code || null;
+}
+
+/**
+ * Rename a group / lock or unlock joining
+ *
+ * @param {Object} group - groups row
+ * @param {Object} changes - { name, joinLocked } (undefined = unchanged)
+ */
+async function updateGroup(group, { name, joinLocked }) {
+  const result = await pool.query(`
+    UPDATE groups
+    SET name = CASE WHEN $2 THEN $3 ELSE name END,
+        join_locked = COALESCE($4, join_locked),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [group.id, name !== undefined, name || null, joinLocked === undefined ? null : joinLocked]);
+
+  return result.rows[0];
+}
+
+/**
+ * Change a member's role (admin / member)
+ *
+ * @returns {Promise<Object|null>} Updated member, or null if not a member
+ */
+async function setMemberRole(code, deviceId, role) {
+  const result = await pool.query(`
+    UPDATE group_members SET role = $3
+    WHERE group_code = $1 AND device_id = $2 AND role <> 'owner'
+    RETURNING *
+  `, [code, deviceId, role]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove a member and their check-ins (same as them leaving)
+ *
+ * @returns {Promise<number|null>} Deleted check-ins, or null if not a member
+ */
+async function removeMember(code, deviceId) {
+  const memberResult = await pool.query(
+    "DELETE FROM group_members WHERE group_code = $1 AND device_id = $2 AND role <> 'owner' RETURNING id",
+    [code, deviceId]
+  );
+  if (memberResult.rows.length === 0) return null;
+
+  await meetupService.removeDevice(code, deviceId);
+
+  return checkinService.deleteDeviceCheckins(code, deviceId);
+}
+
+/**
+ * Pass ownership on after the owner leaves
+ * (longest-standing admin, otherwise longest-standing member)
+ *
+ * @returns {Promise<string|null>} New owner's device id, or null if the group is empty
+ */
+async function transferOwnership(group) {
+  const next = await pool.query(`
+    SELECT device_id FROM group_members
+    WHERE group_code = $1
+    ORDER BY (role = 'admin') DESC, joined_at ASC, id ASC
+    LIMIT 1
+  `, [group.code]);
+
+  const newOwner = next.rows[0]?.device_id || null;
+
+  await pool.query(
+    'UPDATE groups SET owner_device_id = $2, updated_at = NOW() WHERE id = $1',
+    [group.id, newOwner]
+  );
+  if (newOwner) {
+    await pool.query(
+      "UPDATE group_members SET role = 'owner' WHERE group_code = $1 AND device_id = $2",
+      [group.code, newOwner]
+    );
+  }
+
+  return newOwner;
+}
+
+/**
+ * Give a group a new join code. Members, check-ins, meetups and event history move
+ * to the new code; the old one is kept in group_code_history.
+ *
+ * @param {Object} group - groups row
+ * @param {string} rotatedBy - Device id of the moderator
+ * @returns {Promise<string>} New code
+ */
+async function rotateCode(group, rotatedBy) {
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const newCode = generateGroupCode();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE groups SET code = $2, updated_at = NOW() WHERE id = $1', [group.id, newCode]);
+      await client.query(
+        'INSERT INTO group_code_history (group_id, code, rotated_by) VALUES ($1, $2, $3)',
+        [group.id, group.code, rotatedBy]
+      );
+      await client.query('UPDATE group_members SET group_code = $2 WHERE group_code = $1', [group.code, newCode]);
+      await client.query('UPDATE meetups SET group_code = $2 WHERE group_code = $1', [group.code, newCode]);
+      await client.query('UPDATE group_events SET group_code = $2 WHERE group_code = $1', [group.code, newCode]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') continue; // Code taken - try another
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Tell clients still streaming the old code to look up the new one
+    // (the new code itself isn't broadcast - removed members may be listening)
+    await groupEvents.publishGroupEvent(group.code, 'group.code_rotated', { deviceId: rotatedBy });
+    console.log(`Group code rotated: ${group.code} -> ${newCode} by ${rotatedBy}`);
+
+    return newCode;
+  }
+
+  throw new Error('Could not generate unique code');
+}
+
+/**
+ * Link / QR payload for an invite token
+ */
+function getInviteUrl(token) {
+  return `${INVITE_LINK_BASE}/${token}`;
+}
+
+/**
+ * Create an invite for a group
+ *
+ * @param {Object} group - groups row
+ * @param {Object} member - Inviting member (group_members row)
+ * @param {Object} options - { expiresInHours, maxUses }
+ * @returns {Promise<Object>} group_invites row
+ */
+async function createInvite(group, member, { expiresInHours = INVITE_DEFAULT_HOURS, maxUses = null } = {}) {
+  const token = crypto.randomBytes(18).toString('base64url');
+
+  // Never outlive the group itself
+  const result = await pool.query(`
+    INSERT INTO group_invites (group_id, token, created_by, created_by_moderator, expires_at, max_uses)
+    VALUES ($1, $2, $3, $4, LEAST(NOW() + ($5 || ' hours')::interval, COALESCE($6, 'infinity'::timestamptz)), $7)
+    RETURNING *
+  `, [group.id, token, member.device_id, MODERATOR_ROLES.includes(member.role), expiresInHours, group.expires_at, maxUses]);
+
+  return result.rows[0];
+}
+
+/**
+ * Look up a usable invite (not expired, revoked or used up) with its group
+ *
+ * @returns {Promise<Object|null>} Invite row plus group_code, group_name, join_locked, archived_at
+ */
+async function getInvite(token) {
+  const result = await pool.query(`
+    SELECT i.*, g.code AS group_code, g.name AS group_name, g.join_locked, g.archived_at,
+      (SELECT COUNT(*) FROM group_members m WHERE m.group_code = g.code)::int AS member_count
+    FROM group_invites i
+    JOIN groups g ON g.id = i.group_id
+    WHERE i.token = $1
+      AND i.revoked_at IS NULL
+      AND i.expires_at > NOW()
+      AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+  `, [token]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Use up one use of an invite
+ *
+ * @returns {Promise<boolean>} false if it ran out / expired in the meantime
+ */
+async function consumeInvite(inviteId) {
+  const result = await pool.query(`
+    UPDATE group_invites SET use_count = use_count + 1
+    WHERE id = $1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      AND (max_uses IS NULL OR use_count < max_uses)
+  `, [inviteId]);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * A group's usable invites
+ */
+async function getInvites(group) {
+  const result = await pool.query(`
+    SELECT * FROM group_invites
+    WHERE group_id = $1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      AND (max_uses IS NULL OR use_count < max_uses)
+    ORDER BY created_at DESC
+  `, [group.id]);
+
+  return result.rows;
+}
+
+/**
+ * Revoke an invite. Moderators can revoke any invite, members their own.
+ *
+ * @returns {Promise<boolean>} false if not found (or not theirs)
+ */
+async function revokeInvite(group, inviteId, member) {
+  const result = await pool.query(`
+    UPDATE group_invites SET revoked_at = NOW()
+    WHERE id = $1 AND group_id = $2 AND revoked_at IS NULL
+      AND ($3 OR created_by = $4)
+  `, [inviteId, group.id, MODERATOR_ROLES.includes(member.role), member.device_id]);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Get (or create) the group's calendar feed token
+ *
+ * @param {Object} group - groups row
+ * @returns {Promise<string>} Token for /api/calendar/:token.ics
+ */
+async function getCalendarToken(group) {
+  if (group.calendar_token) return group.calendar_token;
+
+  // Another request may have created one in the meantime - keep theirs
+  const result = await pool.query(`
+    UPDATE groups SET calendar_token = COALESCE(calendar_token, $2)
+    WHERE id = $1
+    RETURNING calendar_token
+  `, [group.id, crypto.randomBytes(24).toString('base64url')]);
+
+  return result.rows[0].calendar_token;
+}
+
+/**
+ * Replace the calendar feed token (old subscription links stop working)
+ *
+ * @returns {Promise<string>} New token
+ */
+async function resetCalendarToken(group) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  await pool.query(
+    'UPDATE groups SET calendar_token = $2, updated_at = NOW() WHERE id = $1',
+    [group.id, token]
+  );
+  return token;
+}
+
+/**
+ * Look up a group by its calendar feed token
+ */
+async function getGroupByCalendarToken(token) {
+  const result = await pool.query('SELECT * FROM groups WHERE calendar_token = $1', [token]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Archive groups past their expiry date (end of season).
+ * Groups without an expiry get one from the season they were created in.
+ * Called daily by the scheduler.
+ *
+ * @returns {Promise<Object>} { expiriesSet, archived }
+ */
+async function archiveExpiredGroups() {
+  const summary = { expiriesSet: 0, archived: 0 };
+
+  try {
+    const legacy = await pool.query(
+      'SELECT id, resort_id, created_at FROM groups WHERE expires_at IS NULL AND archived_at IS NULL'
+    );
+
+    for (const group of legacy.rows) {
+      const seasonEnd = getSeasonEnd(group.resort_id, new Date(group.created_at));
+      if (!seasonEnd) continue;
+
+      await pool.query(
+        'UPDATE groups SET expires_at = ($2::date + 1)::timestamp AT TIME ZONE $3 WHERE id = $1',
+        [group.id, seasonEnd.closesOn, seasonEnd.timezone]
+      );
+      summary.expiriesSet++;
+    }
+
+    const expired = await pool.query(`
+      UPDATE groups
+      SET archived_at = NOW(), updated_at = NOW()
+      WHERE archived_at IS NULL AND expires_at <= NOW()
+      RETURNING code, expires_at
+    `);
+
+    for (const group of expired.rows) {
+      // End any check-ins / meetups still open in the archived group
+      await checkinService.checkOut(group.code, { includeMeetups: true, reason: 'archived' });
+      await groupEvents.publishGroupEvent(group.code, 'group.archived', {
+        payload: { expiresAt: group.expires_at }
+      });
+    }
+    summary.archived = expired.rows.length;
+
+    if (summary.expiriesSet > 0 || summary.archived > 0) {
+      console.log(`[Groups] Set expiry on ${summary.expiriesSet} groups, archived ${summary.archived} expired groups`);
+    }
+  } catch (error) {
+    console.error('[Groups] Failed to archive expired groups:', error.message);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  ROLES,
+  MODERATOR_ROLES,
+  generateGroupCode,
+  getSeasonEnd,
+  toPublicGroup,
+  createGroup,
+  getGroup,
+  getMember,
+  findMemberById,
+  addMember,
+  findRotatedCode,
+  updateGroup,
+  setMemberRole,
+  removeMember,
+  transferOwnership,
+  rotateCode,
+  getInviteUrl,
+  createInvite,
+  getInvite,
+  consumeInvite,
+  getInvites,
+  revokeInvite,
+  getCalendarToken,
+  resetCalendarToken,
+  getGroupByCalendarToken,
+  archiveExpiredGroups
+};
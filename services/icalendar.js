@@ -0,0 +1,157 @@
+/**
+ * iCalendar (RFC 5545) generation
+ *
+ * Builds the .ics feed that calendar apps subscribe to for a group's
+ * meetups (GET /api/calendar/:token.ics). Times are written in JST with
+ * an embedded VTIMEZONE, so "dinner at 19:00" shows as 19:00 Nozawa time
+ * whatever timezone the phone is in.
+ *
+ * Pure formatting - no database access.
+ */
+
+const TIMEZONE = 'Asia/Tokyo';
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000; // Japan has no daylight saving
+const DEFAULT_DURATION = 'PT1H';           // Meetups only have a start time
+const MAX_LINE_OCTETS = 75;
+
+const PRODID = '-//Nozawa Onsen App//Group Meetups//EN';
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0900',
+  'TZOFFSETTO:+0900',
+  'TZNAME:JST',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newlines)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space.
+ * Splits between characters so multi-byte (e.g. Japanese) names stay valid UTF-8.
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      limit = MAX_LINE_OCTETS - 1; // Leading space counts towards the limit
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * UTC date-time (e.g. 20270115T100000Z) - for DTSTAMP / LAST-MODIFIED
+ */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * JST local date-time (e.g. 20270115T190000) - used with TZID=Asia/Tokyo
+ */
+function formatJst(date) {
+  return new Date(new Date(date).getTime() + JST_OFFSET_MS)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}Z$/, '');
+}
+
+/**
+ * Build one VEVENT
+ *
+ * @param {Object} event - { uid, start, summary, location, geo: { lat, lon },
+ *   description, url, cancelled, sequence, updatedAt, duration }
+ * @param {Date} now - DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildEvent(event, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatJst(event.start)}`,
+    `DURATION:${event.duration || DEFAULT_DURATION}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo && event.geo.lat != null && event.geo.lon != null) {
+    lines.push(`GEO:${Number(event.geo.lat)};${Number(event.geo.lon)}`);
+  }
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document
+ *
+ * @param {Object} calendar - { name, description, events }
+ * @param {Date} now - DTSTAMP for every event (defaults to now)
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildCalendar({ name, description = null, events = [] }, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+    'X-PUBLISHED-TTL:PT15M'
+  ];
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+
+  lines.push(...VTIMEZONE);
+  for (const event of events) {
+    lines.push(...buildEvent(event, now));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  TIMEZONE,
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatJst,
+  buildCalendar
+};
@@ -0,0 +1,340 @@
+/**
+ * Legacy Places
+ *
+ * Serves the pre-v2 endpoints (/api/places, /api/restaurants*) from
+ * places_with_merged_data instead of nozawa_places_unified.json, so old
+ * app versions see admin edits. The serializers reproduce the JSON file's
+ * shape per category - test/legacyPlaces.test.js checks them against
+ * responses recorded from the JSON-backed endpoints
+ * (test/fixtures/legacy).
+ *
+ * The restaurant endpoints also return each restaurant's opening status
+ * (hours_status, plus is_open_now for a single restaurant) - part of the
+ * recorded responses since opening hours moved to JST, and built here by
+ * toListedRestaurant / toRestaurantDetail.
+ *
+ * Not reproduced: manual_overrides (admin panel bookkeeping, not stored
+ * in PostgreSQL). Values come from the merged view, so google_data holds
+ * the merged (override > Google) values the app displays.
+ */
+
+const { pool } = require('../db/pool');
+const onsenService = require('./onsenService');
+const openingHours = require('./openingHours');
+
+const DEFAULT_RESORT_ID = 1;
+
+// /api/health and the stats endpoint poll the restaurant summary
+const SUMMARY_CACHE_MS = 60 * 1000;
+let summaryCache = null;
+
+// google_data flags - always booleans in the JSON file
+const GOOGLE_FEATURE_FLAGS = [
+  'takeout',
+  'delivery',
+  'dine_in',
+  'reservable',
+  'serves_beer',
+  'serves_wine',
+  'curbside_pickup',
+  'wheelchair_accessible',
+  'vegetarian_friendly'
+];
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function coordinatesOf(row) {
+  return [toNumber(row.longitude), toNumber(row.latitude)];
+}
+
+function locationOf(row) {
+  return {
+    lat: toNumber(row.latitude),
+    lng: toNumber(row.longitude),
+    address: row.address || null
+  };
+}
+
+/**
+ * Restaurant in the JSON file shape
+ */
+function serializeRestaurant(row) {
+  const features = row.google_features || {};
+  const coordinates = coordinatesOf(row);
+  const rating = toNumber(row.rating);
+
+  return {
+    id: row.external_id || row.google_place_id,
+    google_place_id: row.google_place_id,
+    name: row.name,
+    category: row.category,
+    subcategory: row.subcategory,
+    status: row.status,
+    last_verified: toISOString(row.last_verified),
+    coordinates,
+    location: locationOf(row),
+    google_data: {
+      place_id: row.google_place_id,
+      name: row.name,
+      rating,
+      review_count: row.review_count,
+      price_range: row.price_range,
+      hours: row.opening_hours || null,
+      photos: row.photos || [],
+      coordinates,
+      address: row.address,
+      phone: row.phone,
+      website: row.website,
+      maps_url: row.google_maps_url,
+      editorial_summary: row.editorial_summary,
+      types: row.google_types || [],
+      ...Object.fromEntries(GOOGLE_FEATURE_FLAGS.map(flag => [flag, features[flag] === true]))
+    },
+    enhanced_data: {
+      review_analysis: row.review_analysis,
+      cuisine: row.cuisine,
+      budget: row.budget_range,
+      english_menu: row.english_menu,
+      credit_cards: row.accepts_cards,
+      vegetarian_friendly: null // Not kept in PostgreSQL (see google_data)
+    },
+    local_knowledge: {
+      navigation_tips: row.navigation_tips?.length ? row.navigation_tips.join('\n') : null,
+      warnings: row.warnings || [],
+      notes: row.insider_notes,
+      verified_features: row.features_verified || {}
+    },
+    visible_in_app: row.visible_in_app,
+    address: row.address,
+    rating,
+    review_count: row.review_count
+  };
+}
+
+/**
+ * Onsen in the JSON file shape (row needs onsen_details from
+ * onsenService.attachOnsenDetails)
+ */
+function serializeOnsen(row) {
+  const localTips = row.tips?.length ? row.tips.join('\n') : null;
+  const customFields = row.custom_fields || {};
+
+  return {
+    id: row.external_id,
+    name: row.name,
+    name_jp: row.name_local,
+    category: row.category,
+    subcategory: row.subcategory,
+    status: row.status,
+    coordinates: coordinatesOf(row),
+    address: row.address,
+    rating: toNumber(row.rating),
+    review_count: row.review_count,
+    photos: row.photos || [],
+    description: row.description_override,
+    local_info: row.onsen_details
+      ? onsenService.toLocalInfo(row.onsen_details, localTips)
+      : {
+        entrance_fee: customFields.entrance_fee || null,
+        temperature: customFields.temperature || null,
+        hours: customFields.hours || null,
+        local_tips: localTips
+      },
+    manual_photos: row.manual_photos,
+    visible_in_app: row.visible_in_app,
+    location: locationOf(row),
+    last_verified: toISOString(row.last_verified),
+    external_id: row.external_id
+  };
+}
+
+/**
+ * Lift in the JSON file shape (hours and local_info live in custom_fields)
+ */
+function serializeLift(row) {
+  const { hours = null, ...localInfo } = row.custom_fields || {};
+
+  return {
+    id: row.external_id,
+    name: row.name,
+    category: row.category,
+    coordinates: coordinatesOf(row),
+    hours,
+    local_info: localInfo,
+    visible_in_app: row.visible_in_app,
+    subcategory: row.subcategory,
+    status: row.status,
+    address: row.address,
+    location: locationOf(row),
+    last_verified: toISOString(row.last_verified),
+    external_id: row.external_id
+  };
+}
+
+/**
+ * A places_with_merged_data row in the JSON file shape for its category
+ */
+function serializePlace(row) {
+  if (row.category === 'restaurant') return serializeRestaurant(row);
+  if (row.category === 'lift') return serializeLift(row);
+  return serializeOnsen(row);
+}
+
+/**
+ * A restaurant as the /api/restaurants lists return it
+ *
+ * @param {Object} restaurant - serializeRestaurant() result
+ * @param {Date} now - Time the opening status is for
+ */
+function toListedRestaurant(restaurant, now = new Date()) {
+  return { ...restaurant, hours_status: openingHours.getHoursStatus(restaurant, now) };
+}
+
+/**
+ * A restaurant as /api/restaurants/:id returns it
+ *
+ * @param {Object} restaurant - serializeRestaurant() result
+ * @param {Date} now - Time the opening status is for
+ */
+function toRestaurantDetail(restaurant, now = new Date()) {
+  const hoursStatus = openingHours.getHoursStatus(restaurant, now);
+
+  return {
+    ...restaurant,
+    is_open_now: hoursStatus ? hoursStatus.is_open : null,
+    hours_status: hoursStatus
+  };
+}
+
+/**
+ * /api/restaurants/stats body, computed the way the JSON-backed endpoint did
+ *
+ * @param {Array} restaurants - serializeRestaurant() results
+ * @param {string|null} dataUpdated - ISO time the data last changed
+ */
+function getRestaurantStats(restaurants, dataUpdated) {
+  const stats = {
+    total_count: restaurants.length,
+    by_cuisine: {},
+    by_price: {},
+    with_photos: 0,
+    with_english_mentions: 0,
+    average_rating: 0,
+    data_updated: dataUpdated
+  };
+
+  let totalRating = 0;
+  let ratedCount = 0;
+
+  restaurants.forEach(r => {
+    const cuisine = r.cuisine || r.type || 'Other';
+    stats.by_cuisine[cuisine] = (stats.by_cuisine[cuisine] || 0) + 1;
+
+    const price = r.price_range || 'Unknown';
+    stats.by_price[price] = (stats.by_price[price] || 0) + 1;
+
+    if (r.photos && r.photos.length > 0) stats.with_photos++;
+    if (r.review_analysis?.insights?.mentions_english) stats.with_english_mentions++;
+
+    if (r.rating) {
+      totalRating += r.rating;
+      ratedCount++;
+    }
+  });
+
+  stats.average_rating = ratedCount > 0 ? (totalRating / ratedCount).toFixed(2) : null;
+
+  return stats;
+}
+
+/**
+ * Places in the JSON file shape, ordered by category and name (the
+ * file's own order was Google fetch order, which isn't stored)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.category] - Only this category
+ * @returns {Promise<Array>}
+ */
+async function getPlaces({ category = null } = {}) {
+  const conditions = ['resort_id = $1'];
+  const params = [DEFAULT_RESORT_ID];
+
+  if (category) {
+    conditions.push('category = $2');
+    params.push(category);
+  }
+
+  const result = await pool.query(`
+    SELECT *
+    FROM places_with_merged_data
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY category, name
+  `, params);
+
+  const rows = await onsenService.attachOnsenDetails(result.rows);
+  return rows.map(serializePlace);
+}
+
+/**
+ * One restaurant by its id (external_id) or Google place id
+ *
+ * @returns {Promise<Object|null>}
+ */
+async function getRestaurant(id) {
+  const result = await pool.query(`
+    SELECT *
+    FROM places_with_merged_data
+    WHERE resort_id = $1 AND category = 'restaurant'
+      AND (external_id = $2 OR google_place_id = $2)
+    LIMIT 1
+  `, [DEFAULT_RESORT_ID, id]);
+
+  return result.rows[0] ? serializeRestaurant(result.rows[0]) : null;
+}
+
+/**
+ * Restaurant count and when place data last changed (health / reload)
+ * Cached for a minute unless fresh is set
+ *
+ * @param {Object} options - { fresh }
+ * @returns {Promise<Object>} { count, updatedAt: ISO string | null }
+ */
+async function getRestaurantSummary({ fresh = false } = {}) {
+  if (!fresh && summaryCache && Date.now() - summaryCache.cachedAt < SUMMARY_CACHE_MS) {
+    return summaryCache.summary;
+  }
+
+  const result = await pool.query(`
+    SELECT COUNT(*)::int AS count, GREATEST(MAX(updated_at), MAX(last_manual_edit), MAX(last_google_sync_date)) AS updated_at
+    FROM places_with_merged_data
+    WHERE resort_id = $1 AND category = 'restaurant'
+  `, [DEFAULT_RESORT_ID]);
+
+  const summary = {
+    count: result.rows[0].count,
+    updatedAt: toISOString(result.rows[0].updated_at)
+  };
+  summaryCache = { summary, cachedAt: Date.now() };
+  return summary;
+}
+
+module.exports = {
+  serializeRestaurant,
+  serializeOnsen,
+  serializeLift,
+  serializePlace,
+  toListedRestaurant,
+  toRestaurantDetail,
+  getRestaurantStats,
+  getPlaces,
+  getRestaurant,
+  getRestaurantSummary
+};
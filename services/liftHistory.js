@@ -0,0 +1,337 @@
+/**
+ * Lift History Service
+ *
+ * Keeps an append-only log of lift scrapes (lift_status_history) and the
+ * per-lift status transitions between them (lift_status_events).
+ *
+ * lift_status_cache still holds the latest scrape for fast reads; this
+ * service powers the daily timeline, season stats and the admin scrape log.
+ */
+
+const { pool } = require('../db/pool');
+const seasonService = require('./seasonService');
+
+/**
+ * Record a scrape and any per-lift status transitions
+ *
+ * A transition is written when a lift's status differs from its last
+ * recorded event (or the lift has never been seen before).
+ *
+ * @param {number} resortId - Resort ID
+ * @param {Object} results - Scraper results ({ lifts, isOffSeason, scrapedAt })
+ * @param {Object} meta - { scraperVersion, sourceUrl }
+ * @returns {Promise<Object>} { historyId, transitions }
+ */
+async function recordScrape(resortId, results, { scraperVersion = null, sourceUrl = null } = {}) {
+  const lifts = results.lifts || [];
+  const scrapedAt = results.scrapedAt ? new Date(results.scrapedAt) : new Date();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const history = await client.query(`
+      INSERT INTO lift_status_history (
+        resort_id, lift_data, lift_count, open_count,
+        is_off_season, scraped_at, scraper_version, source_url
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      resortId,
+      JSON.stringify(results),
+      lifts.length,
+      lifts.filter(l => l.status === 'open').length,
+      results.isOffSeason || false,
+      scrapedAt,
+      scraperVersion,
+      sourceUrl
+    ]);
+    const historyId = history.rows[0].id;
+
+    // Last known status per lift
+    const previous = await client.query(`
+      SELECT DISTINCT ON (lift_id) lift_id, new_status
+      FROM lift_status_events
+      WHERE resort_id = $1
+      ORDER BY lift_id, changed_at DESC, id DESC
+    `, [resortId]);
+    const lastStatus = new Map(previous.rows.map(row => [row.lift_id, row.new_status]));
+
+    const transitions = [];
+    for (const lift of lifts) {
+      const previousStatus = lastStatus.get(lift.id) || null;
+      if (previousStatus === lift.status) continue;
+
+      await client.query(`
+        INSERT INTO lift_status_events (
+          resort_id, history_id, lift_id, lift_name,
+          previous_status, new_status, changed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [resortId, historyId, lift.id, lift.name, previousStatus, lift.status, scrapedAt]);
+
+      transitions.push({ liftId: lift.id, name: lift.name, from: previousStatus, to: lift.status });
+    }
+
+    await client.query('COMMIT');
+
+    if (transitions.length > 0) {
+      console.log(`[Lift History] ${transitions.length} status change(s): ` +
+        transitions.map(t => `${t.name} ${t.from || 'new'}→${t.to}`).join(', '));
+    }
+
+    return { historyId, transitions };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a resort's timezone and the local date (defaults to today)
+ */
+async function getResortDay(resortId, date = null) {
+  const result = await pool.query(`
+    SELECT
+      id,
+      timezone,
+      season_start_month,
+      season_start_day,
+      season_end_month,
+      season_end_day,
+      COALESCE($2::date, (NOW() AT TIME ZONE timezone)::date) AS day,
+      (COALESCE($2::date, (NOW() AT TIME ZONE timezone)::date))::timestamp AT TIME ZONE timezone AS day_start,
+      (COALESCE($2::date, (NOW() AT TIME ZONE timezone)::date) + 1)::timestamp AT TIME ZONE timezone AS day_end
+    FROM resorts
+    WHERE id = $1
+  `, [resortId, date]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Format a DATE column as YYYY-MM-DD without timezone shifts
+ */
+function formatDate(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Get the status timeline for each lift on a given local day
+ *
+ * Each lift gets the status it had at the start of the day (if known)
+ * followed by every change during the day, as contiguous segments.
+ *
+ * @param {number} resortId - Resort ID
+ * @param {string|null} date - YYYY-MM-DD in resort time (default: today)
+ * @param {number|null} liftId - Only this lift (optional)
+ * @returns {Promise<Object|null>} { date, timezone, lifts }, or null if resort not found
+ */
+async function getDayTimeline(resortId, date = null, liftId = null) {
+  const day = await getResortDay(resortId, date);
+  if (!day) return null;
+
+  // Status carried in from before the day started
+  const initial = await pool.query(`
+    SELECT DISTINCT ON (lift_id) lift_id, lift_name, new_status, changed_at
+    FROM lift_status_events
+    WHERE resort_id = $1 AND changed_at < $2
+      AND ($3::int IS NULL OR lift_id = $3)
+    ORDER BY lift_id, changed_at DESC, id DESC
+  `, [resortId, day.day_start, liftId]);
+
+  const changes = await pool.query(`
+    SELECT lift_id, lift_name, previous_status, new_status, changed_at
+    FROM lift_status_events
+    WHERE resort_id = $1 AND changed_at >= $2 AND changed_at < $3
+      AND ($4::int IS NULL OR lift_id = $4)
+    ORDER BY changed_at ASC, id ASC
+  `, [resortId, day.day_start, day.day_end, liftId]);
+
+  const dayEnd = new Date(Math.min(new Date(day.day_end).getTime(), Date.now()));
+  const lifts = new Map();
+
+  const getLift = (row) => {
+    if (!lifts.has(row.lift_id)) {
+      lifts.set(row.lift_id, { id: row.lift_id, name: row.lift_name, segments: [], changes: [] });
+    }
+    return lifts.get(row.lift_id);
+  };
+
+  for (const row of initial.rows) {
+    getLift(row).segments.push({ status: row.new_status, from: day.day_start, to: null });
+  }
+
+  for (const row of changes.rows) {
+    const lift = getLift(row);
+    const current = lift.segments[lift.segments.length - 1];
+    if (current) current.to = row.changed_at;
+
+    lift.segments.push({ status: row.new_status, from: row.changed_at, to: null });
+    lift.changes.push({ from: row.previous_status, to: row.new_status, at: row.changed_at });
+  }
+
+  // Close the last segment at end of day (or now, for today)
+  for (const lift of lifts.values()) {
+    const last = lift.segments[lift.segments.length - 1];
+    if (last && new Date(last.from) < dayEnd) {
+      last.to = dayEnd;
+    }
+    lift.currentStatus = last ? last.status : null;
+  }
+
+  return {
+    date: formatDate(day.day),
+    timezone: day.timezone,
+    lifts: [...lifts.values()].sort((a, b) => a.id - b.id)
+  };
+}
+
+/**
+ * Get the opening date of the current (or most recent) season,
+ * including any early opening override
+ */
+function getSeasonStart(day) {
+  const info = seasonService.getSeasonInfo(day);
+  const season = info && (info.current || info.previous);
+
+  return season ? season.opensOn : `${formatDate(day.day).slice(0, 4)}-01-01`;
+}
+
+/**
+ * Get per-lift opening stats for a season
+ *
+ * Days are counted from in-season scrapes in lift_status_history, so a
+ * lift counts as open on a day if any scrape that day showed it open.
+ *
+ * @param {number} resortId - Resort ID
+ * @param {string|null} since - YYYY-MM-DD season start (default: resort season start)
+ * @returns {Promise<Object|null>} { since, summary, lifts }, or null if resort not found
+ */
+async function getSeasonStats(resortId, since = null) {
+  const day = await getResortDay(resortId);
+  if (!day) return null;
+
+  const seasonStart = since || getSeasonStart(day);
+
+  const liftStats = await pool.query(`
+    WITH snapshots AS (
+      SELECT
+        (h.scraped_at AT TIME ZONE $3)::date AS day,
+        h.scraped_at,
+        (lift->>'id')::int AS lift_id,
+        lift->>'name' AS lift_name,
+        lift->>'status' AS status
+      FROM lift_status_history h
+      CROSS JOIN LATERAL jsonb_array_elements(h.lift_data->'lifts') AS lift
+      WHERE h.resort_id = $1
+        AND h.scraped_at >= ($2::date)::timestamp AT TIME ZONE $3
+        AND h.is_off_season = false
+    )
+    SELECT
+      lift_id,
+      MAX(lift_name) AS lift_name,
+      COUNT(DISTINCT day) AS days_tracked,
+      COUNT(DISTINCT day) FILTER (WHERE status = 'open') AS days_open,
+      MIN(scraped_at) FILTER (WHERE status = 'open') AS first_open_at,
+      MAX(scraped_at) FILTER (WHERE status = 'open') AS last_open_at
+    FROM snapshots
+    GROUP BY lift_id
+    ORDER BY lift_id
+  `, [resortId, seasonStart, day.timezone]);
+
+  const transitionStats = await pool.query(`
+    SELECT
+      lift_id,
+      COUNT(*) FILTER (WHERE previous_status IS NOT NULL) AS transitions,
+      COUNT(*) FILTER (WHERE new_status = 'hold') AS holds,
+      COUNT(*) FILTER (WHERE previous_status = 'open' AND new_status = 'closed') AS closures
+    FROM lift_status_events
+    WHERE resort_id = $1
+      AND changed_at >= ($2::date)::timestamp AT TIME ZONE $3
+    GROUP BY lift_id
+  `, [resortId, seasonStart, day.timezone]);
+  const transitionsByLift = new Map(transitionStats.rows.map(row => [row.lift_id, row]));
+
+  const summary = await pool.query(`
+    SELECT
+      COUNT(DISTINCT (scraped_at AT TIME ZONE $3)::date) AS days_tracked,
+      COUNT(DISTINCT (scraped_at AT TIME ZONE $3)::date) FILTER (WHERE open_count > 0) AS days_with_open_lifts,
+      COUNT(*) AS total_scrapes,
+      MIN(scraped_at) FILTER (WHERE open_count > 0) AS first_open_at,
+      MAX(scraped_at) FILTER (WHERE open_count > 0) AS last_open_at
+    FROM lift_status_history
+    WHERE resort_id = $1
+      AND scraped_at >= ($2::date)::timestamp AT TIME ZONE $3
+      AND is_off_season = false
+  `, [resortId, seasonStart, day.timezone]);
+  const totals = summary.rows[0];
+
+  return {
+    since: seasonStart,
+    timezone: day.timezone,
+    summary: {
+      daysTracked: parseInt(totals.days_tracked),
+      daysWithOpenLifts: parseInt(totals.days_with_open_lifts),
+      totalScrapes: parseInt(totals.total_scrapes),
+      firstOpenAt: totals.first_open_at,
+      lastOpenAt: totals.last_open_at
+    },
+    lifts: liftStats.rows.map(row => {
+      const daysTracked = parseInt(row.days_tracked);
+      const daysOpen = parseInt(row.days_open);
+      const transitions = transitionsByLift.get(row.lift_id);
+
+      return {
+        id: row.lift_id,
+        name: row.lift_name,
+        daysTracked,
+        daysOpen,
+        openRate: daysTracked > 0 ? Math.round((daysOpen / daysTracked) * 100) : 0,
+        firstOpenAt: row.first_open_at,
+        lastOpenAt: row.last_open_at,
+        transitions: parseInt(transitions?.transitions || 0),
+        holds: parseInt(transitions?.holds || 0),
+        closures: parseInt(transitions?.closures || 0)
+      };
+    })
+  };
+}
+
+/**
+ * Get recent scrapes from the history log (admin)
+ *
+ * @param {number} resortId - Resort ID
+ * @param {number} limit - Max rows
+ */
+async function getScrapeHistory(resortId, limit = 50) {
+  const result = await pool.query(`
+    SELECT
+      h.id,
+      h.scraped_at,
+      h.is_off_season,
+      h.scraper_version,
+      h.source_url,
+      h.lift_count,
+      h.open_count,
+      COUNT(e.id) FILTER (WHERE e.previous_status IS NOT NULL) AS change_count
+    FROM lift_status_history h
+    LEFT JOIN lift_status_events e ON e.history_id = h.id
+    WHERE h.resort_id = $1
+    GROUP BY h.id
+    ORDER BY h.scraped_at DESC
+    LIMIT $2
+  `, [resortId, limit]);
+
+  return result.rows;
+}
+
+module.exports = {
+  recordScrape,
+  getDayTimeline,
+  getSeasonStats,
+  getScrapeHistory
+};
@@ -0,0 +1,167 @@
+/**
+ * Base Lift Scraper
+ *
+ * Shared plumbing for per-resort lift status scrapers: fetching the
+ * status page, season checks in the resort's timezone, result shape
+ * and test data. Each resort module extends this class and implements
+ * parse($) for its own page layout.
+ *
+ * Resort config comes from the resorts table, lift mappings from
+ * resort_lifts (see services/liftScrapers/index.js).
+ */
+
+const cheerio = require('cheerio');
+const axios = require('axios');
+const seasonService = require('../seasonService');
+
+class LiftScraper {
+  /**
+   * @param {Object} resort - resorts row (id, slug, timezone, season_*, settings)
+   * @param {Array} lifts - resort_lifts rows (lift_id, name, source_key, priority)
+   */
+  constructor(resort, lifts = []) {
+    this.resort = resort;
+    this.lifts = lifts;
+    this.url = resort.settings?.lift_status_url || this.constructor.DEFAULT_URL || null;
+    this.version = this.constructor.VERSION || '1.0';
+  }
+
+  /**
+   * Current date/time in the resort's timezone
+   */
+  getLocalTime(now = new Date()) {
+    return new Date(now.toLocaleString('en-US', { timeZone: this.resort.timezone }));
+  }
+
+  /**
+   * Check if a date falls inside the resort's ski season (resort local time)
+   * Includes early opening / late closing overrides - see seasonService
+   */
+  isInSeason(now = new Date()) {
+    return seasonService.isInSeason(this.resort, now);
+  }
+
+  /**
+   * Human-readable default season dates, e.g. "December 10 - April 30"
+   */
+  getSeasonLabel() {
+    return seasonService.getSeasonLabel(this.resort);
+  }
+
+  /**
+   * Fetch the raw status page HTML
+   */
+  async fetchPage() {
+    if (!this.url) {
+      throw new Error(`No lift status URL configured for resort ${this.resort.slug}`);
+    }
+
+    const { data } = await axios.get(this.url, {
+      headers: {
+        'User-Agent': 'NozawaGuideApp/1.0'
+      },
+      timeout: 10000
+    });
+
+    return data;
+  }
+
+  /**
+   * Scrape and parse lift status
+   *
+   * @param {Object} options - { html } to parse a saved page instead of fetching
+   * @returns {Promise<Object>} { lifts, scrapedAt, isOffSeason, success, parserDrift, unmatchedLifts }
+   */
+  async scrape(options = {}) {
+    const { html = null } = options;
+
+    try {
+      console.log(`Scraping lift status for ${this.resort.slug} at ${new Date().toISOString()}`);
+
+      const page = html !== null ? html : await this.fetchPage();
+      const $ = cheerio.load(page);
+      const { lifts, isOffSeason } = this.parse($);
+      const drift = this.checkParserDrift(lifts, isOffSeason);
+
+      console.log(`Scrape complete (${this.resort.slug}). Found ${lifts.length} lifts. Off-season: ${isOffSeason}`);
+
+      return {
+        lifts: lifts.sort((a, b) => a.priority - b.priority),
+        scrapedAt: new Date().toISOString(),
+        isOffSeason: isOffSeason,
+        success: true,
+        ...drift
+      };
+
+    } catch (error) {
+      console.error(`Scrape failed (${this.resort.slug}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the loaded page - implemented by each resort module
+   *
+   * @param {CheerioAPI} $ - Loaded page
+   * @returns {Object} { lifts: [...], isOffSeason: boolean }
+   */
+  parse($) {
+    throw new Error(`parse() not implemented for resort ${this.resort.slug}`);
+  }
+
+  /**
+   * Detect when the status page no longer matches our lift mappings
+   *
+   * Drift = page parsed but no mapped lift was found while in season,
+   * which usually means the resort changed its page layout or lift names.
+   *
+   * @returns {Object} { parserDrift, unmatchedLifts }
+   */
+  checkParserDrift(lifts, isOffSeason) {
+    const found = new Set(lifts.map(l => l.id));
+    const unmatchedLifts = this.lifts
+      .filter(mapping => !found.has(mapping.lift_id))
+      .map(mapping => mapping.name);
+
+    const parserDrift = this.lifts.length > 0 && lifts.length === 0 && !isOffSeason;
+
+    if (parserDrift) {
+      console.warn(`⚠️  [${this.resort.slug}] Parser drift: no lifts matched ${this.lifts.length} mappings - check page layout`);
+    } else if (unmatchedLifts.length > 0) {
+      console.warn(`⚠️  [${this.resort.slug}] ${unmatchedLifts.length} mapped lift(s) not found on page: ${unmatchedLifts.join(', ')}`);
+    }
+
+    return { parserDrift, unmatchedLifts };
+  }
+
+  /**
+   * Build an API lift object from a resort_lifts mapping
+   */
+  toLift(mapping, status, extra = {}) {
+    return {
+      id: mapping.lift_id,
+      name: mapping.name,
+      priority: mapping.priority,
+      status,
+      ...extra
+    };
+  }
+
+  generateTestData() {
+    // Check if we're actually in off-season
+    const isOffSeason = !this.isInSeason();
+
+    return {
+      lifts: this.lifts.map(lift => this.toLift(
+        lift,
+        isOffSeason ? 'off-season' : (Math.random() > 0.3 ? 'open' : 'closed'),
+        { hours: isOffSeason ? 'Season ended' : '8:30-16:30' }
+      )),
+      scrapedAt: new Date().toISOString(),
+      testData: true,
+      isOffSeason: isOffSeason
+    };
+  }
+}
+
+module.exports = LiftScraper;
@@ -0,0 +1,86 @@
+/**
+ * Lift Scraper Registry
+ *
+ * Maps resorts.slug to the parser module for that resort's status page.
+ * To add a resort: create services/liftScrapers/<slug>.js extending
+ * LiftScraper, register it below, and insert its lifts into resort_lifts.
+ */
+
+const { pool } = require('../../db/pool');
+const LiftScraper = require('./baseScraper');
+
+const registry = {
+  nozawa: require('./nozawa')
+};
+
+/**
+ * Check if a resort has a registered scraper module
+ */
+function hasScraper(slug) {
+  return Object.prototype.hasOwnProperty.call(registry, slug);
+}
+
+/**
+ * Create a scraper instance for a resort
+ *
+ * @param {Object} resort - resorts row
+ * @param {Array} lifts - resort_lifts rows for the resort
+ * @returns {LiftScraper}
+ */
+function createScraper(resort, lifts) {
+  if (!hasScraper(resort.slug)) {
+    throw new Error(`No lift scraper registered for resort: ${resort.slug}`);
+  }
+
+  const ScraperClass = registry[resort.slug];
+  return new ScraperClass(resort, lifts);
+}
+
+/**
+ * Load scrapers for every active resort that has a registered module
+ *
+ * @returns {Promise<Array<LiftScraper>>}
+ */
+async function loadResortScrapers() {
+  const resorts = await pool.query(`
+    SELECT id, slug, name, timezone,
+           season_start_month, season_start_day,
+           season_end_month, season_end_day,
+           settings
+    FROM resorts
+    WHERE status = 'active' AND slug = ANY($1)
+    ORDER BY id
+  `, [Object.keys(registry)]);
+
+  if (resorts.rows.length === 0) return [];
+
+  const lifts = await pool.query(`
+    SELECT resort_id, lift_id, name, source_key, priority
+    FROM resort_lifts
+    WHERE active = true AND resort_id = ANY($1)
+    ORDER BY priority, lift_id
+  `, [resorts.rows.map(r => r.id)]);
+
+  return resorts.rows.map(resort => createScraper(
+    resort,
+    lifts.rows.filter(lift => lift.resort_id === resort.id)
+  ));
+}
+
+/**
+ * Load the scraper for a single resort by slug
+ *
+ * @returns {Promise<LiftScraper|null>} null if the resort is unknown or inactive
+ */
+async function loadResortScraper(slug) {
+  const scrapers = await loadResortScrapers();
+  return scrapers.find(s => s.resort.slug === slug) || null;
+}
+
+module.exports = {
+  LiftScraper,
+  hasScraper,
+  createScraper,
+  loadResortScrapers,
+  loadResortScraper
+};
@@ -0,0 +1,101 @@
+/**
+ * Nozawa Onsen Lift Scraper
+ *
+ * Parses https://en.nozawaski.com/the-mountain/moutain-info/slopes-lifts/
+ *
+ * Page layout:
+ * - Status table: [#, lift name, hours, symbol] with ○ = open, × = closed,
+ *   △ = on hold. Hours show 営業終了 after the season ends.
+ * - Fallback: lift images named <source_key>_on.gif / _off.gif
+ */
+
+const LiftScraper = require('./baseScraper');
+
+class NozawaLiftScraper extends LiftScraper {
+  parse($) {
+    const lifts = [];
+
+    // Check if page contains off-season indicators
+    const pageHTML = $.html();
+    const isOffSeason = pageHTML.includes('営業終了') ||
+                       pageHTML.includes('Season finished');
+
+    // First try to find lift status from table (more reliable)
+    let foundInTable = false;
+    $('table').each((i, table) => {
+      $(table).find('tr').each((j, row) => {
+        const cells = $(row).find('td');
+        if (cells.length >= 4) {
+          const liftNameText = $(cells[1]).text().trim();
+          const hoursText = $(cells[2]).text().trim();
+          const statusSymbol = $(cells[3]).text().trim();
+
+          // Skip spacer/section rows - an empty name would match every lift
+          if (!liftNameText) return;
+
+          // Match lift name to our mappings
+          this.lifts.forEach(liftInfo => {
+            if (liftNameText.includes(liftInfo.name) ||
+                liftInfo.name.includes(liftNameText)) {
+
+              let status = 'unknown';
+              if (hoursText.includes('営業終了')) {
+                status = 'off-season';
+              } else if (statusSymbol === '×') {
+                status = isOffSeason ? 'off-season' : 'closed';
+              } else if (statusSymbol === '○') {
+                status = 'open';
+              } else if (statusSymbol === '△') {
+                status = 'hold';  // Temporarily stopped (wind, etc.)
+              }
+
+              // Check if lift already added (avoid duplicates)
+              if (!lifts.find(l => l.id === liftInfo.lift_id)) {
+                lifts.push(this.toLift(liftInfo, status, { hours: hoursText }));
+                foundInTable = true;
+              }
+            }
+          });
+        }
+      });
+    });
+
+    // If we didn't find lifts in table, try images (fallback)
+    if (!foundInTable) {
+      $('img[src*="/lift/"]').each((i, elem) => {
+        const src = $(elem).attr('src');
+        if (!src) return;
+
+        this.lifts.forEach(lift => {
+          if (lift.source_key && src.includes(lift.source_key)) {
+            let status = 'closed';
+
+            if (src.includes('_on.gif')) {
+              status = 'open';
+            } else if (src.includes('_off.gif') && isOffSeason) {
+              status = 'off-season';
+            }
+
+            // Check if lift already added (avoid duplicates)
+            if (!lifts.find(l => l.id === lift.lift_id)) {
+              lifts.push(this.toLift(lift, status));
+            }
+          }
+        });
+      });
+    }
+
+    // If still no lifts found and it's off-season, return all as off-season
+    if (lifts.length === 0 && isOffSeason) {
+      this.lifts.forEach(lift => {
+        lifts.push(this.toLift(lift, 'off-season', { hours: '今シーズン 営業終了' }));
+      });
+    }
+
+    return { lifts, isOffSeason };
+  }
+}
+
+NozawaLiftScraper.DEFAULT_URL = 'https://en.nozawaski.com/the-mountain/moutain-info/slopes-lifts/';
+
+module.exports = NozawaLiftScraper;
@@ -0,0 +1,222 @@
+/**
+ * Localization
+ *
+ * Local knowledge (tips, warnings, navigation, descriptions) is written in
+ * English and translated per place in place_local_knowledge rows with
+ * another language_code. places_with_merged_data carries the English row;
+ * localizePlaces() merges a translation on top, field by field, so a place
+ * with translated tips but no translated warnings shows English warnings.
+ *
+ * The language comes from ?lang= or the Accept-Language header
+ * (negotiateLanguage).
+ */
+
+const { pool } = require('../db/pool');
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'ja', 'zh', 'ko'];
+
+// place_local_knowledge columns that are translated
+const LOCALIZED_FIELDS = ['tips', 'warnings', 'navigation_tips', 'description_override', 'insider_notes'];
+
+/**
+ * Supported language for a tag ('ja-JP' -> 'ja', 'zh-Hant-TW' -> 'zh')
+ *
+ * @returns {string|null}
+ */
+function matchLanguage(tag) {
+  if (typeof tag !== 'string') return null;
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(primary) ? primary : null;
+}
+
+/**
+ * Parse an Accept-Language header into tags, most preferred first
+ *
+ * @param {string} header - e.g. 'ja-JP,ja;q=0.9,en;q=0.8'
+ * @returns {string[]} e.g. ['ja-JP', 'ja', 'en']
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string' || !header.trim()) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { tag: tag.trim(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+/**
+ * Pick the response language: ?lang= first, then Accept-Language,
+ * then English
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Supported language code
+ */
+function negotiateLanguage(req) {
+  const requested = matchLanguage(req.query?.lang);
+  if (requested) return requested;
+
+  for (const tag of parseAcceptLanguage(req.headers?.['accept-language'])) {
+    const language = matchLanguage(tag);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Whether a translated value should replace the English one
+ */
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return typeof value === 'string' ? value.trim().length > 0 : value !== null && value !== undefined;
+}
+
+/**
+ * Merge a translation over a place (English row from the view)
+ *
+ * @param {Object} place - places_with_merged_data row
+ * @param {Object|null} translation - place_local_knowledge row in the language
+ * @param {string} language - Language of the translation
+ * @returns {Object} Place with localized fields and translated_fields
+ */
+function applyTranslation(place, translation, language) {
+  const localized = { ...place };
+  const translated = [];
+
+  if (translation) {
+    for (const field of LOCALIZED_FIELDS) {
+      if (field in place && hasValue(translation[field])) {
+        localized[field] = translation[field];
+        translated.push(field);
+      }
+    }
+  }
+
+  localized.language = translated.length > 0 ? language : DEFAULT_LANGUAGE;
+  localized.translated_fields = translated;
+  return localized;
+}
+
+/**
+ * Localize places for a language (English rows are returned as they are,
+ * with language / translated_fields)
+ *
+ * @param {Array} places - places_with_merged_data rows (need id)
+ * @param {string} language - Supported language code
+ * @returns {Promise<Array>}
+ */
+async function localizePlaces(places, language) {
+  if (language === DEFAULT_LANGUAGE || places.length === 0) {
+    return places.map(place => applyTranslation(place, null, DEFAULT_LANGUAGE));
+  }
+
+  const result = await pool.query(`
+    SELECT place_id, ${LOCALIZED_FIELDS.join(', ')}
+    FROM place_local_knowledge
+    WHERE place_id = ANY($1::int[]) AND language_code = $2
+  `, [places.map(place => place.id), language]);
+
+  const byPlace = new Map(result.rows.map(row => [row.place_id, row]));
+  return places.map(place => applyTranslation(place, byPlace.get(place.id) || null, language));
+}
+
+/**
+ * Set the response headers for a negotiated language
+ */
+function setLanguageHeaders(res, language) {
+  res.set('Content-Language', language);
+  res.vary('Accept-Language');
+}
+
+// ============================================
+// ADMIN EDITING
+// ============================================
+
+/**
+ * A place's local knowledge in every supported language, side by side
+ *
+ * @returns {Promise<Object>} { en: {...} | null, ja: ..., zh: ..., ko: ... }
+ */
+async function getTranslations(placeId) {
+  const result = await pool.query(`
+    SELECT language_code, ${LOCALIZED_FIELDS.join(', ')}, updated_by, updated_at
+    FROM place_local_knowledge
+    WHERE place_id = $1
+  `, [placeId]);
+
+  const translations = {};
+  for (const language of SUPPORTED_LANGUAGES) {
+    const row = result.rows.find(r => r.language_code.trim() === language);
+    translations[language] = row ? {
+      ...Object.fromEntries(LOCALIZED_FIELDS.map(field => [field, row[field]])),
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    } : null;
+  }
+  return translations;
+}
+
+/**
+ * Save the given fields of a place's local knowledge in one language
+ * (fields left out are unchanged; null or [] clears a field)
+ *
+ * @param {number} placeId - places.id
+ * @param {string} language - Supported language code
+ * @param {Object} fields - Any of LOCALIZED_FIELDS
+ * @param {string} updatedBy - Admin email
+ * @returns {Promise<Object>} Saved row
+ */
+async function saveTranslation(placeId, language, fields, updatedBy) {
+  const columns = LOCALIZED_FIELDS.filter(field => fields[field] !== undefined);
+  const values = columns.map(field => {
+    const value = fields[field];
+    if (Array.isArray(value)) return value.length > 0 ? value : null;
+    return hasValue(value) ? value : null;
+  });
+
+  const result = await pool.query(`
+    INSERT INTO place_local_knowledge (place_id, language_code, ${columns.map(c => `${c}, `).join('')}updated_by, updated_at)
+    VALUES ($1, $2, ${columns.map((c, i) => `$${i + 4}, `).join('')}$3, NOW())
+    ON CONFLICT (place_id, language_code) DO UPDATE SET
+      ${columns.map(c => `${c} = EXCLUDED.${c}, `).join('')}updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    RETURNING *
+  `, [placeId, language, updatedBy, ...values]);
+
+  return result.rows[0];
+}
+
+/**
+ * Remove a translation (English can't be removed this way)
+ *
+ * @returns {Promise<boolean>} false if there was none
+ */
+async function deleteTranslation(placeId, language) {
+  const result = await pool.query(
+    'DELETE FROM place_local_knowledge WHERE place_id = $1 AND language_code = $2',
+    [placeId, language]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  LOCALIZED_FIELDS,
+  matchLanguage,
+  parseAcceptLanguage,
+  negotiateLanguage,
+  applyTranslation,
+  localizePlaces,
+  setLanguageHeaders,
+  getTranslations,
+  saveTranslation,
+  deleteTranslation
+};
@@ -0,0 +1,445 @@
+/**
+ * Meetup Service
+ *
+ * Meetups planned within a group, with RSVPs (going / maybe / declined)
+ * and a history of edits to the time, place or note.
+ *
+ * Legacy clients create and cancel meetups through /checkin (scheduledFor)
+ * and /checkout (cancelMeetup) and read them from /checkins, so every
+ * meetup keeps a mirrored group_checkins row (checkin_id) that is
+ * updated here whenever the meetup changes.
+ */
+
+const { pool } = require('../db/pool');
+const groupEvents = require('./groupEvents');
+const checkinService = require('./checkinService');
+const memberIds = require('./memberIds');
+
+const RSVP_STATUSES = ['going', 'maybe', 'declined'];
+
+// Fields that can be edited, and the group_checkins field each one mirrors to
+const EDITABLE_FIELDS = {
+  scheduledFor: { column: 'scheduled_for', checkinField: 'scheduledFor' },
+  placeId: { column: 'place_id', checkinField: 'placeId' },
+  placeName: { column: 'place_name', checkinField: 'placeName' },
+  note: { column: 'note', checkinField: 'meetupNote' }
+};
+
+/**
+ * Format a meetup row (with attendees) for clients - creator and attendees
+ * by member id
+ */
+function formatMeetup(row) {
+  const attendees = (row.attendees || []).map(({ deviceId, ...attendee }) => ({
+    memberId: memberIds.getMemberId(row.group_code, deviceId),
+    ...attendee
+  }));
+
+  return {
+    id: row.id,
+    memberId: memberIds.getMemberId(row.group_code, row.created_by),
+    username: row.creator_name,
+    place: {
+      id: row.place_id,
+      name: row.place_name
+    },
+    scheduledFor: new Date(row.scheduled_for).toISOString(),
+    note: row.note,
+    status: row.status,
+    cancelledAt: row.cancelled_at,
+    attendees,
+    going: attendees.filter(a => a.status === 'going').length,
+    maybe: attendees.filter(a => a.status === 'maybe').length,
+    declined: attendees.filter(a => a.status === 'declined').length,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: row.updated_at
+  };
+}
+
+const MEETUP_SELECT = `
+  SELECT m.*,
+    COALESCE(
+      (SELECT json_agg(json_build_object(
+          'deviceId', r.device_id,
+          'userName', r.user_name,
+          'status', r.status,
+          'respondedAt', r.responded_at
+        ) ORDER BY r.responded_at)
+       FROM meetup_rsvps r WHERE r.meetup_id = m.id),
+      '[]'::json
+    ) AS attendees
+  FROM meetups m
+`;
+
+/**
+ * Get a group's meetups with attendees
+ *
+ * @param {string} code - Group code
+ * @param {Object} options - { includePast, includeCancelled }
+ * @returns {Promise<Array>} Meetup rows, soonest first
+ */
+async function getMeetups(code, { includePast = false, includeCancelled = false } = {}) {
+  const result = await pool.query(`
+    ${MEETUP_SELECT}
+    WHERE m.group_code = $1
+      AND ($2 OR m.scheduled_for > NOW())
+      AND ($3 OR m.status = 'scheduled')
+    ORDER BY m.scheduled_for ASC
+  `, [code, includePast, includeCancelled]);
+
+  return result.rows;
+}
+
+/**
+ * Get one meetup in a group (with attendees)
+ */
+async function getMeetup(code, meetupId) {
+  const result = await pool.query(`
+    ${MEETUP_SELECT}
+    WHERE m.group_code = $1 AND m.id = $2
+  `, [code, meetupId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a meetup (plus its mirrored group_checkins row) - the creator is going
+ *
+ * @param {string} code - Group code
+ * @param {Object} details - { deviceId, userName, placeId, placeName, scheduledFor, note, checkedInAt }
+ * @returns {Promise<Object>} { meetup, checkin } - checkin is the mirrored row
+ */
+async function createMeetup(code, { deviceId, userName, placeId, placeName, scheduledFor, note = null, checkedInAt = Date.now() }) {
+  const truncatedNote = note ? note.substring(0, 200) : null;
+  const client = await pool.connect();
+  let checkin;
+  let meetupId;
+
+  try {
+    await client.query('BEGIN');
+
+    // IMPORTANT: Send ISO string directly to avoid timezone conversion by PostgreSQL
+    checkin = await checkinService.createCheckin(code, {
+      deviceId,
+      userName,
+      placeId,
+      placeName,
+      checkedInAt,
+      scheduledFor,
+      meetupNote: truncatedNote
+    }, client);
+
+    const meetupResult = await client.query(
+      `INSERT INTO meetups (group_code, created_by, creator_name, place_id, place_name, scheduled_for, note, checkin_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [code, deviceId, userName, placeId, placeName, scheduledFor, truncatedNote, checkin.id]
+    );
+    meetupId = meetupResult.rows[0].id;
+
+    await client.query(
+      `INSERT INTO meetup_rsvps (meetup_id, device_id, user_name, status) VALUES ($1, $2, $3, 'going')`,
+      [meetupId, deviceId, userName]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const meetup = await getMeetup(code, meetupId);
+
+  const timeStr = new Date(scheduledFor).toLocaleString('en-US', { timeZone: 'Asia/Tokyo', dateStyle: 'short', timeStyle: 'short' });
+  console.log(`Meetup created: ${userName} at ${placeName} scheduled for ${timeStr} in group ${code}`);
+
+  await groupEvents.publishGroupEvent(code, 'meetup.created', {
+    deviceId,
+    payload: {
+      id: meetup.id,
+      userName,
+      placeId,
+      placeName,
+      checkedInAt: new Date(checkin.checked_in_at).getTime(),
+      scheduledFor: checkin.scheduled_for,
+      note: truncatedNote
+    }
+  });
+
+  return { meetup, checkin };
+}
+
+/**
+ * Edit a meetup's time, place or note and record what changed
+ *
+ * @param {Object} meetup - meetups row
+ * @param {string} deviceId - Device making the change
+ * @param {Object} changes - Any of { scheduledFor, placeId, placeName, note }
+ * @returns {Promise<Object>} Updated meetup (unchanged if nothing differs)
+ */
+async function updateMeetup(meetup, deviceId, changes) {
+  const diff = {};
+
+  for (const [field, { column }] of Object.entries(EDITABLE_FIELDS)) {
+    if (changes[field] === undefined) continue;
+
+    let from = meetup[column];
+    let to = changes[field];
+    if (field === 'scheduledFor') {
+      from = new Date(from).toISOString();
+      to = new Date(to).toISOString();
+    }
+    if (field === 'note' && to) to = to.substring(0, 200);
+
+    if ((from ?? null) !== (to ?? null)) {
+      diff[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  if (Object.keys(diff).length === 0) return meetup;
+
+  const changeType = diff.scheduledFor ? 'rescheduled' : 'edited';
+  const fields = Object.keys(diff);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const sets = fields.map((field, i) => `${EDITABLE_FIELDS[field].column} = $${i + 2}`);
+    await client.query(
+      `UPDATE meetups SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1`,
+      [meetup.id, ...fields.map(field => diff[field].to)]
+    );
+
+    if (meetup.checkin_id) {
+      const mirrored = {};
+      fields.forEach(field => {
+        mirrored[EDITABLE_FIELDS[field].checkinField] = diff[field].to;
+      });
+      await checkinService.updateCheckin(meetup.checkin_id, mirrored, client);
+    }
+
+    await client.query(
+      'INSERT INTO meetup_changes (meetup_id, changed_by, change_type, changes) VALUES ($1, $2, $3, $4)',
+      [meetup.id, deviceId, changeType, JSON.stringify(diff)]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`Meetup ${changeType}: ${meetup.id} in group ${meetup.group_code} by ${deviceId} (${fields.join(', ')})`);
+
+  await groupEvents.publishGroupEvent(meetup.group_code, `meetup.${changeType}`, {
+    deviceId,
+    payload: { id: meetup.id, changes: diff }
+  });
+
+  return getMeetup(meetup.group_code, meetup.id);
+}
+
+/**
+ * Cancel meetups (and close their mirrored check-ins)
+ *
+ * All of them are cancelled in one transaction, then a 'meetup.cancelled'
+ * event is published for each. Legacy /checkout publishes its own
+ * 'meetup.cancelled' event and passes publish: false.
+ *
+ * @param {Array<Object>} meetups - meetups rows
+ * @param {string} deviceId - Device cancelling
+ * @param {number} cancelledAt - Unix ms (mirrored checked_out_at)
+ * @param {Object} options - { publish }
+ * @returns {Promise<Array>} Mirrored group_checkins rows that were closed
+ */
+async function cancelMeetups(meetups, deviceId, cancelledAt = Date.now(), { publish = true } = {}) {
+  const pending = meetups.filter(meetup => meetup.status === 'scheduled');
+  if (pending.length === 0) return [];
+
+  const cancelled = [];
+  const legacyRows = [];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const meetup of pending) {
+      const updated = await client.query(
+        "UPDATE meetups SET status = 'cancelled', cancelled_at = to_timestamp($2 / 1000.0), updated_at = NOW() WHERE id = $1 AND status = 'scheduled'",
+        [meetup.id, cancelledAt]
+      );
+      // Cancelled or expired since it was loaded
+      if (updated.rowCount === 0) continue;
+
+      await client.query(
+        "INSERT INTO meetup_changes (meetup_id, changed_by, change_type) VALUES ($1, $2, 'cancelled')",
+        [meetup.id, deviceId]
+      );
+
+      if (meetup.checkin_id) {
+        const closed = await checkinService.closeCheckin(meetup.checkin_id, 'cancelled', cancelledAt, client);
+        if (closed) legacyRows.push(closed);
+      }
+      cancelled.push(meetup);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const meetup of cancelled) {
+    console.log(`Meetup cancelled: ${meetup.id} at ${meetup.place_name} in group ${meetup.group_code} by ${deviceId}`);
+
+    if (publish) {
+      await groupEvents.publishGroupEvent(meetup.group_code, 'meetup.cancelled', {
+        deviceId,
+        payload: { id: meetup.id, placeId: meetup.place_id, ids: [meetup.id] }
+      });
+    }
+  }
+
+  return legacyRows;
+}
+
+/**
+ * Cancel a meetup
+ */
+async function cancelMeetup(meetup, deviceId) {
+  await cancelMeetups([meetup], deviceId);
+}
+
+/**
+ * Upcoming meetups a device created, optionally at one place
+ * (legacy /checkout cancels by place, or all of them on a full checkout)
+ */
+async function getCreatedMeetups(code, deviceId, placeId = null) {
+  const result = await pool.query(`
+    SELECT * FROM meetups
+    WHERE group_code = $1 AND created_by = $2 AND status = 'scheduled'
+      AND scheduled_for > NOW() - INTERVAL '2 hours'
+      AND ($3::text IS NULL OR place_id = $3)
+  `, [code, deviceId, placeId]);
+
+  return result.rows;
+}
+
+/**
+ * RSVP to a meetup
+ *
+ * @returns {Promise<Object>} Updated meetup
+ */
+async function setRsvp(meetup, deviceId, userName, status) {
+  await pool.query(`
+    INSERT INTO meetup_rsvps (meetup_id, device_id, user_name, status)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (meetup_id, device_id) DO UPDATE SET
+      status = EXCLUDED.status,
+      user_name = COALESCE(EXCLUDED.user_name, meetup_rsvps.user_name),
+      responded_at = NOW()
+  `, [meetup.id, deviceId, userName || null, status]);
+
+  await groupEvents.publishGroupEvent(meetup.group_code, 'meetup.rsvp', {
+    deviceId,
+    payload: { id: meetup.id, userName: userName || null, status }
+  });
+
+  return getMeetup(meetup.group_code, meetup.id);
+}
+
+/**
+ * Change history for a meetup, oldest first
+ */
+async function getChanges(meetupId) {
+  const result = await pool.query(
+    'SELECT * FROM meetup_changes WHERE meetup_id = $1 ORDER BY created_at ASC, id ASC',
+    [meetupId]
+  );
+  return result.rows;
+}
+
+/**
+ * A group's meetups as calendar events (see services/icalendar.js)
+ *
+ * Includes cancelled meetups, so subscribed calendars mark them CANCELLED
+ * instead of silently dropping them, and meetups from the last day.
+ *
+ * @param {Object} group - groups row
+ * @returns {Promise<Array>} Events for icalendar.buildCalendar
+ */
+async function getCalendarEvents(group) {
+  const result = await pool.query(`
+    SELECT m.*, p.latitude, p.longitude,
+      (SELECT COUNT(*) FROM meetup_changes c WHERE c.meetup_id = m.id)::int AS change_count,
+      (SELECT COUNT(*) FROM meetup_rsvps r WHERE r.meetup_id = m.id AND r.status = 'going')::int AS going
+    FROM meetups m
+    LEFT JOIN LATERAL (
+      SELECT latitude, longitude FROM places
+      WHERE resort_id = $2 AND (external_id = m.place_id OR google_place_id = m.place_id)
+      LIMIT 1
+    ) p ON true
+    WHERE m.group_code = $1
+      AND m.scheduled_for > NOW() - INTERVAL '1 day'
+    ORDER BY m.scheduled_for ASC
+  `, [group.code, group.resort_id]);
+
+  return result.rows.map(row => {
+    const details = [
+      row.note,
+      `Planned by ${row.creator_name || 'a group member'} · ${row.going} going`
+    ].filter(Boolean);
+
+    return {
+      uid: `meetup-${row.id}@nozawa.app`,
+      start: row.scheduled_for,
+      summary: row.place_name ? `Meetup: ${row.place_name}` : 'Meetup',
+      location: row.place_name,
+      geo: row.latitude != null ? { lat: row.latitude, lon: row.longitude } : null,
+      description: details.join('\n'),
+      cancelled: row.status === 'cancelled',
+      sequence: row.change_count,
+      updatedAt: row.updated_at
+    };
+  });
+}
+
+/**
+ * A device left / was removed: cancel the meetups it created (publishing
+ * 'meetup.cancelled' for each) and drop its RSVPs
+ */
+async function removeDevice(code, deviceId) {
+  const created = await pool.query(
+    "SELECT * FROM meetups WHERE group_code = $1 AND created_by = $2 AND status = 'scheduled'",
+    [code, deviceId]
+  );
+  await cancelMeetups(created.rows, deviceId);
+
+  await pool.query(`
+    DELETE FROM meetup_rsvps
+    WHERE device_id = $2
+      AND meetup_id IN (SELECT id FROM meetups WHERE group_code = $1)
+  `, [code, deviceId]);
+}
+
+module.exports = {
+  RSVP_STATUSES,
+  formatMeetup,
+  getMeetups,
+  getMeetup,
+  createMeetup,
+  updateMeetup,
+  cancelMeetups,
+  cancelMeetup,
+  getCreatedMeetups,
+  setRsvp,
+  getChanges,
+  getCalendarEvents,
+  removeDevice
+};
@@ -0,0 +1,40 @@
+/**
+ * Member Ids
+ *
+ * Group endpoints show members by an opaque member id instead of their
+ * device id. Device ids identify a device everywhere (legacy apps act by
+ * deviceId alone during the grace period), so they must not be shown to
+ * other members; a member id only means something inside one group.
+ *
+ * The id is an HMAC of the group code and device id, so it needs no
+ * storage and is the same wherever the member appears (members, check-ins,
+ * meetups, safety alerts, events). It changes when the group code is
+ * rotated - clients refetch on group.code_rotated anyway.
+ *
+ * Moderation routes take a member id and resolve it with
+ * groupService.findMemberById.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * A device's member id in a group
+ *
+ * @param {string} code - Group code
+ * @param {string|null} deviceId - Device id
+ * @returns {string|null} 22-character member id (null without a device)
+ */
+function getMemberId(code, deviceId) {
+  if (!deviceId) return null;
+
+  // JWT_SECRET is required at startup (config/env-validation.js)
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update(`${code}:${deviceId}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+module.exports = {
+  getMemberId
+};
@@ -0,0 +1,128 @@
+/**
+ * Notifier Service
+ *
+ * Sends operational alerts (scraper failures, stale data, etc.) to
+ * pluggable channels. Built-in channels are enabled by environment:
+ *
+ * - webhook: ALERT_WEBHOOK_URL  - POSTs JSON (works with Slack/Discord-style incoming webhooks)
+ * - email:   ALERT_EMAIL_TO     - stub, logs the email that would be sent
+ *
+ * Other channels can be added with registerChannel(name, sendFn).
+ * Repeated alerts with the same key are suppressed for a cooldown period.
+ */
+
+// Don't repeat the same alert more than once per hour
+const ALERT_COOLDOWN_MS = 60 * 60 * 1000;
+
+const channels = new Map();
+const lastSentByKey = new Map();
+
+/**
+ * Register a notification channel
+ *
+ * @param {string} name - Channel name
+ * @param {Function} send - async (alert) => void
+ */
+function registerChannel(name, send) {
+  channels.set(name, send);
+}
+
+/**
+ * Remove a notification channel
+ */
+function unregisterChannel(name) {
+  channels.delete(name);
+}
+
+/**
+ * Names of active channels (for monitoring)
+ */
+function getChannels() {
+  return [...channels.keys()];
+}
+
+// Webhook channel - generic JSON POST
+async function sendWebhook(alert) {
+  const fetch = (await import('node-fetch')).default;
+
+  const response = await fetch(process.env.ALERT_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text: `[${alert.level.toUpperCase()}] ${alert.title}\n${alert.message}`,
+      ...alert
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status}`);
+  }
+}
+
+// Email channel - stub until an email provider is configured
+async function sendEmailStub(alert) {
+  console.log(`📧 [Notifier] Email to ${process.env.ALERT_EMAIL_TO} (stub - not sent)`);
+  console.log(`   Subject: [Nozawa ${alert.level}] ${alert.title}`);
+  console.log(`   Body: ${alert.message}`);
+}
+
+if (process.env.ALERT_WEBHOOK_URL) {
+  registerChannel('webhook', sendWebhook);
+}
+if (process.env.ALERT_EMAIL_TO) {
+  registerChannel('email', sendEmailStub);
+}
+
+/**
+ * Send an alert to every registered channel
+ *
+ * Never throws - a failing channel is logged and skipped.
+ *
+ * @param {Object} alert
+ * @param {string} alert.level - 'info', 'warning' or 'error'
+ * @param {string} alert.title - Short summary
+ * @param {string} alert.message - Details
+ * @param {string} alert.key - Dedup key (same key = suppressed during cooldown)
+ * @param {Object} alert.data - Extra structured data
+ * @param {Object} options - { force: true } to bypass the cooldown
+ * @returns {Promise<boolean>} true if sent, false if suppressed
+ */
+async function notify({ level = 'info', title, message = '', key = null, data = {} }, { force = false } = {}) {
+  const dedupKey = key || title;
+  const lastSent = lastSentByKey.get(dedupKey);
+
+  if (!force && lastSent && Date.now() - lastSent < ALERT_COOLDOWN_MS) {
+    return false;
+  }
+  lastSentByKey.set(dedupKey, Date.now());
+
+  const alert = { level, title, message, key: dedupKey, data, sentAt: new Date().toISOString() };
+  const icon = level === 'error' ? '🚨' : level === 'warning' ? '⚠️ ' : 'ℹ️ ';
+  console.log(`${icon} [Notifier] ${title}${message ? ` - ${message}` : ''}`);
+
+  for (const [name, send] of channels) {
+    try {
+      await send(alert);
+    } catch (error) {
+      console.error(`[Notifier] Channel ${name} failed:`, error.message);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Forget a dedup key so the next alert with it is sent immediately
+ * (e.g. after a recovery, so a new failure alerts again)
+ */
+function resetAlert(key) {
+  lastSentByKey.delete(key);
+}
+
+module.exports = {
+  notify,
+  resetAlert,
+  registerChannel,
+  unregisterChannel,
+  getChannels
+};
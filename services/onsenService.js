@@ -0,0 +1,323 @@
+/**
+ * Onsen Service
+ *
+ * Structured onsen details (onsen_details table): water temperature band,
+ * hours, entrance fee, facilities and gender arrangement. Admins edit
+ * them through /api/admin/places/:placeId/onsen or the admin panel's
+ * local_info fields (services/postgres-write.js).
+ *
+ * The text the admin panel and the old JSON file use ("Hot (40-42°C)",
+ * "5:00 AM - 11:00 PM", "Free (donation box available)") is parsed into
+ * structured fields; the text itself is kept as the *_note shown to
+ * visitors.
+ */
+
+const { pool } = require('../db/pool');
+
+// Bands by the hottest water, in °C (see migrations/037_create_onsen_details.sql)
+const TEMPERATURE_BANDS = ['mild', 'hot', 'very_hot'];
+const MILD_MAX_C = 41;
+const HOT_MAX_C = 44;
+
+const GENDER_ARRANGEMENTS = ['separate', 'alternating', 'mixed'];
+
+const FACILITIES = [
+  'washing_area',
+  'soap',
+  'shampoo',
+  'lockers',
+  'changing_room',
+  'toilet',
+  'towel_rental',
+  'outdoor_bath',
+  'foot_bath',
+  'accessible',
+  'cooking'
+];
+
+// onsen_details columns admins can edit
+const EDITABLE_FIELDS = [
+  'temperature_band',
+  'temperature_min_c',
+  'temperature_max_c',
+  'temperature_note',
+  'opening_hours',
+  'hours_note',
+  'fee_yen',
+  'donation_box',
+  'fee_note',
+  'facilities',
+  'gender_arrangement',
+  'gender_schedule'
+];
+
+const TEMPERATURE_LABELS = { mild: 'Mild', hot: 'Hot', very_hot: 'Very hot' };
+
+/**
+ * Band for a water temperature
+ */
+function bandForTemperature(celsius) {
+  if (celsius <= MILD_MAX_C) return 'mild';
+  if (celsius <= HOT_MAX_C) return 'hot';
+  return 'very_hot';
+}
+
+/**
+ * Parse a temperature description
+ *
+ * @param {string} text - e.g. 'Very hot', 'Hot (40-42°C)', '38°C'
+ * @returns {Object} { temperature_band, temperature_min_c, temperature_max_c, temperature_note }
+ */
+function parseTemperature(text) {
+  const note = typeof text === 'string' && text.trim() ? text.trim() : null;
+  const result = { temperature_band: null, temperature_min_c: null, temperature_max_c: null, temperature_note: note };
+  if (!note) return result;
+
+  const range = note.match(/(\d{2})(?:\s*[-–~]\s*(\d{2}))?\s*°?\s*c\b/i);
+  if (range) {
+    result.temperature_min_c = parseInt(range[1]);
+    result.temperature_max_c = parseInt(range[2] || range[1]);
+  }
+
+  const lower = note.toLowerCase();
+  if (/very\s*hot|extremely hot|scalding/.test(lower)) {
+    result.temperature_band = 'very_hot';
+  } else if (/mild|warm|lukewarm|cool|gentle/.test(lower)) {
+    result.temperature_band = 'mild';
+  } else if (/hot/.test(lower)) {
+    result.temperature_band = 'hot';
+  } else if (result.temperature_max_c !== null) {
+    result.temperature_band = bandForTemperature(result.temperature_max_c);
+  }
+
+  return result;
+}
+
+/**
+ * "5:00 AM" / "17:00" -> "HHMM"
+ */
+function toHHMM(hours, minutes, meridiem) {
+  let hour = parseInt(hours);
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'pm';
+    if (hour === 12) hour = pm ? 12 : 0;
+    else if (pm) hour += 12;
+  }
+  if (hour > 24 || parseInt(minutes || '0') > 59) return null;
+  return `${String(hour % 24).padStart(2, '0')}${minutes || '00'}`;
+}
+
+/**
+ * Parse an hours description into Google periods (same hours every day)
+ *
+ * @param {string} text - e.g. '5:00 AM - 11:00 PM', '6:00-22:00', '24/7 viewing'
+ * @returns {Object} { opening_hours, hours_note } - opening_hours is null
+ *   if the text couldn't be read
+ */
+function parseHours(text) {
+  const note = typeof text === 'string' && text.trim() ? text.trim() : null;
+  const result = { opening_hours: null, hours_note: note };
+  if (!note) return result;
+
+  if (/24\s*\/\s*7|24 hours|always open/i.test(note)) {
+    result.opening_hours = { periods: [{ open: { day: 0, time: '0000' } }] };
+    return result;
+  }
+
+  const match = note.match(/(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*[-–~]\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/i);
+  if (!match) return result;
+
+  const opens = toHHMM(match[1], match[2], match[3]);
+  const closes = toHHMM(match[4], match[5], match[6]);
+  if (!opens || !closes) return result;
+
+  const overnight = closes <= opens;
+  result.opening_hours = {
+    periods: [0, 1, 2, 3, 4, 5, 6].map(day => ({
+      open: { day, time: opens },
+      close: { day: overnight ? (day + 1) % 7 : day, time: closes }
+    }))
+  };
+  return result;
+}
+
+/**
+ * Parse an entrance fee description
+ *
+ * @param {string} text - e.g. 'Free (donation box available)', '¥500', '300 yen'
+ * @returns {Object} { fee_yen, donation_box, fee_note }
+ */
+function parseFee(text) {
+  const note = typeof text === 'string' && text.trim() ? text.trim() : null;
+  const result = { fee_yen: null, donation_box: false, fee_note: note };
+  if (!note) return result;
+
+  result.donation_box = /donation/i.test(note);
+
+  const amount = note.match(/[¥￥]\s*([\d,]+)|([\d,]+)\s*(?:yen|円)/i);
+  if (amount) {
+    result.fee_yen = parseInt((amount[1] || amount[2]).replace(/,/g, ''));
+  } else if (/free/i.test(note)) {
+    result.fee_yen = 0;
+  }
+  return result;
+}
+
+/**
+ * Onsen details from local_info text (JSON file / admin panel)
+ *
+ * @param {Object} localInfo - { temperature, hours, entrance_fee }
+ * @returns {Object} onsen_details fields
+ */
+function fromLocalInfo(localInfo = {}) {
+  return {
+    ...parseTemperature(localInfo.temperature),
+    ...parseHours(localInfo.hours),
+    ...parseFee(localInfo.entrance_fee)
+  };
+}
+
+/**
+ * Fields to save for local_info text edited in the admin panel. Only
+ * groups whose text changed are re-parsed, so structured values set
+ * through the admin API aren't overwritten by an unchanged note.
+ *
+ * @param {Object} localInfo - { temperature, hours, entrance_fee }
+ * @param {Object|null} current - Current onsen_details row
+ * @returns {Object} onsen_details fields (empty if nothing changed)
+ */
+function changesFromLocalInfo(localInfo = {}, current = null) {
+  const parsed = fromLocalInfo(localInfo);
+  const groups = [
+    ['temperature_note', ['temperature_band', 'temperature_min_c', 'temperature_max_c', 'temperature_note']],
+    ['hours_note', ['opening_hours', 'hours_note']],
+    ['fee_note', ['fee_yen', 'donation_box', 'fee_note']]
+  ];
+
+  const changes = {};
+  for (const [note, fields] of groups) {
+    if (parsed[note] !== (current?.[note] ?? null)) {
+      for (const field of fields) changes[field] = parsed[field];
+    }
+  }
+  return changes;
+}
+
+/**
+ * API shape of an onsen_details row
+ */
+function formatDetails(row) {
+  if (!row) return null;
+  return {
+    ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, row[field] ?? null])),
+    facilities: row.facilities || []
+  };
+}
+
+/**
+ * local_info text for the app (the shape nozawa_places_unified.json used)
+ *
+ * @param {Object} details - formatDetails() result
+ * @param {string|null} localTips - First local tip
+ */
+function toLocalInfo(details, localTips = null) {
+  let entranceFee = details.fee_note;
+  if (!entranceFee && details.fee_yen !== null) {
+    entranceFee = details.fee_yen === 0 ? 'Free' : `¥${details.fee_yen}`;
+  }
+
+  return {
+    entrance_fee: entranceFee || null,
+    temperature: details.temperature_note || TEMPERATURE_LABELS[details.temperature_band] || null,
+    hours: details.hours_note || null,
+    local_tips: localTips
+  };
+}
+
+/**
+ * Onsen details for places
+ *
+ * @param {number[]} placeIds
+ * @returns {Promise<Map>} place_id -> onsen_details row
+ */
+async function getDetails(placeIds) {
+  if (placeIds.length === 0) return new Map();
+
+  const result = await pool.query(
+    'SELECT * FROM onsen_details WHERE place_id = ANY($1::int[])',
+    [placeIds]
+  );
+  return new Map(result.rows.map(row => [row.place_id, row]));
+}
+
+/**
+ * Add onsen_details to the onsens in a list of places. Onsens without
+ * their own opening hours get the ones from onsen_details, so open/closed
+ * status and open_now work for them.
+ *
+ * @param {Array} places - places_with_merged_data rows
+ * @returns {Promise<Array>}
+ */
+async function attachOnsenDetails(places) {
+  const onsenIds = places.filter(place => place.category === 'onsen').map(place => place.id);
+  const details = await getDetails(onsenIds);
+
+  return places.map(place => {
+    if (place.category !== 'onsen') return place;
+
+    const row = details.get(place.id);
+    return {
+      ...place,
+      opening_hours: place.opening_hours || row?.opening_hours || null,
+      onsen_details: formatDetails(row)
+    };
+  });
+}
+
+/**
+ * Save the given onsen details fields (fields left out are unchanged)
+ *
+ * @param {number} placeId - places.id (an onsen)
+ * @param {Object} fields - Any of EDITABLE_FIELDS
+ * @param {string} updatedBy - Admin email
+ * @param {Object} [client] - pg client, to save inside a transaction
+ * @returns {Promise<Object>} Saved row
+ */
+async function saveDetails(placeId, fields, updatedBy, client = pool) {
+  const columns = EDITABLE_FIELDS.filter(field => fields[field] !== undefined);
+  const values = columns.map(field => {
+    if (field === 'opening_hours') return fields[field] ? JSON.stringify(fields[field]) : null;
+    if (field === 'facilities') return fields[field] || [];
+    if (field === 'donation_box') return Boolean(fields[field]);
+    return fields[field];
+  });
+
+  const result = await client.query(`
+    INSERT INTO onsen_details (place_id, ${columns.map(c => `${c}, `).join('')}updated_by, updated_at)
+    VALUES ($1, ${columns.map((c, i) => `$${i + 3}, `).join('')}$2, NOW())
+    ON CONFLICT (place_id) DO UPDATE SET
+      ${columns.map(c => `${c} = EXCLUDED.${c}, `).join('')}updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    RETURNING *
+  `, [placeId, updatedBy, ...values]);
+
+  return result.rows[0];
+}
+
+module.exports = {
+  TEMPERATURE_BANDS,
+  GENDER_ARRANGEMENTS,
+  FACILITIES,
+  EDITABLE_FIELDS,
+  bandForTemperature,
+  parseTemperature,
+  parseHours,
+  parseFee,
+  fromLocalInfo,
+  changesFromLocalInfo,
+  formatDetails,
+  toLocalInfo,
+  getDetails,
+  attachOnsenDetails,
+  saveDetails
+};
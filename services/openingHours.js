@@ -0,0 +1,168 @@
+/**
+ * Opening Hours Service
+ *
+ * Evaluates Google-format opening hours ("periods") against the current
+ * time in Japan. Used by the legacy /api/restaurants endpoints and the
+ * v2 /api/v2/places endpoints.
+ *
+ * Period format (Google Places):
+ *   { open: { day: 0-6, time: "HHMM" }, close: { day: 0-6, time: "HHMM" } }
+ *   day 0 = Sunday. A single period with no close = open 24/7.
+ *
+ * Hours source priority: hours_override (manual) > opening_hours > google_data.hours
+ */
+
+// Japan has no DST, so a fixed offset is exact
+const JST_OFFSET_MINUTES = 9 * 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// "Closing soon" / "opening soon" window
+const SOON_THRESHOLD_MINUTES = 30;
+
+/**
+ * Get the hours object that applies to a place
+ * Accepts JSON-file places and places_with_merged_data rows
+ *
+ * @returns {Object|null} Google hours object with periods, or null if unknown
+ */
+function getOpeningHours(place) {
+  if (!place) return null;
+
+  const candidates = [
+    place.hours_override,
+    place.opening_hours,
+    place.google_data?.hours
+  ];
+
+  return candidates.find(hours => hours && Array.isArray(hours.periods)) || null;
+}
+
+/**
+ * Convert "HHMM" + day into minutes since Sunday 00:00
+ */
+function toWeekMinutes(point) {
+  const time = String(point.time || '0000').padStart(4, '0');
+  const hours = parseInt(time.slice(0, 2));
+  const minutes = parseInt(time.slice(2, 4));
+  return point.day * MINUTES_PER_DAY + hours * 60 + minutes;
+}
+
+/**
+ * Build merged open intervals (in week minutes) covering three weeks.
+ * Evaluating against the middle week means overnight and
+ * Saturday -> Sunday periods never need special cases.
+ */
+function buildIntervals(periods) {
+  const intervals = [];
+
+  for (const period of periods) {
+    if (!period.open) continue;
+
+    const start = toWeekMinutes(period.open);
+
+    // Google's 24/7 representation: open Sunday 0000, no close
+    if (!period.close) {
+      return [{ start: 0, end: 3 * MINUTES_PER_WEEK }];
+    }
+
+    let end = toWeekMinutes(period.close);
+    if (end <= start) end += MINUTES_PER_WEEK; // Wraps past Saturday night
+
+    for (let week = 0; week < 3; week++) {
+      const offset = week * MINUTES_PER_WEEK;
+      intervals.push({ start: start + offset, end: end + offset });
+    }
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+
+  // Merge touching periods (e.g. closes 24:00, reopens 00:00)
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Evaluate a place's hours at a given time
+ *
+ * @param {Object} place - Place with hours_override / opening_hours / google_data.hours
+ * @param {Date} now - Time to evaluate (default: now)
+ * @returns {Object|null} Status, or null when the place has no hours data
+ *   {
+ *     is_open: boolean,
+ *     closing_soon: boolean,     // open and closes within 30 minutes
+ *     opening_soon: boolean,     // closed and opens within 30 minutes
+ *     next_change: ISO string | null,
+ *     next_change_type: 'open' | 'close' | null,
+ *     minutes_until_change: number | null,
+ *     source: 'override' | 'google'
+ *   }
+ */
+function getHoursStatus(place, now = new Date()) {
+  const hours = getOpeningHours(place);
+  if (!hours) return null;
+
+  const source = hours === place.hours_override ? 'override' : 'google';
+  const intervals = buildIntervals(hours.periods);
+
+  // Current time as minutes since Sunday 00:00 JST (in the middle week)
+  const jst = new Date(now.getTime() + JST_OFFSET_MINUTES * 60000);
+  const current = MINUTES_PER_WEEK + jst.getUTCDay() * MINUTES_PER_DAY + jst.getUTCHours() * 60 + jst.getUTCMinutes();
+  const minuteStart = now.getTime() - (jst.getUTCSeconds() * 1000 + jst.getUTCMilliseconds());
+
+  const openInterval = intervals.find(i => i.start <= current && current < i.end);
+
+  let nextChangeMinute = null;
+  if (openInterval) {
+    // Open for the whole week = never closes
+    if (openInterval.end - openInterval.start < MINUTES_PER_WEEK) {
+      nextChangeMinute = openInterval.end;
+    }
+  } else {
+    const nextOpen = intervals.find(i => i.start > current);
+    if (nextOpen) nextChangeMinute = nextOpen.start;
+  }
+
+  const minutesUntilChange = nextChangeMinute !== null ? nextChangeMinute - current : null;
+  const isOpen = !!openInterval;
+  const isSoon = minutesUntilChange !== null && minutesUntilChange <= SOON_THRESHOLD_MINUTES;
+
+  return {
+    is_open: isOpen,
+    closing_soon: isOpen && isSoon,
+    opening_soon: !isOpen && isSoon,
+    next_change: minutesUntilChange !== null
+      ? new Date(minuteStart + minutesUntilChange * 60000).toISOString()
+      : null,
+    next_change_type: minutesUntilChange !== null ? (isOpen ? 'close' : 'open') : null,
+    minutes_until_change: minutesUntilChange,
+    source
+  };
+}
+
+/**
+ * Check whether a place is open
+ *
+ * @returns {boolean|null} true/false, or null when hours are unknown
+ */
+function isOpenNow(place, now = new Date()) {
+  const status = getHoursStatus(place, now);
+  return status ? status.is_open : null;
+}
+
+module.exports = {
+  getOpeningHours,
+  getHoursStatus,
+  isOpenNow,
+  SOON_THRESHOLD_MINUTES
+};
@@ -8,9 +8,11 @@
  * - places (core fields: category, subcategory, status, name_local, visible_in_app)
  * - place_overrides (overrides: name, address, phone, rating, cuisine, etc.)
  * - place_local_knowledge (tips, warnings, navigation, etc.)
+ * - onsen_details (onsen local_info: temperature, hours, entrance fee)
  */
 
 const { pool } = require('../db/pool');
+const onsenService = require('./onsenService');
 
 /**
  * Save places data directly to PostgreSQL
@@ -157,19 +159,17 @@ async function savePlacesToPostgreSQL(places, adminId) {
         ]);
 
         // ========================================
-        // 2b. For Onsens: Save local_info fields to custom_fields
+        // 2b. For Onsens: Save local_info text to onsen_details
         // ========================================
         if (place.category === 'onsen' && place.local_info) {
-          const onsenCustomFields = {
-            entrance_fee: place.local_info.entrance_fee || null,
-            temperature: place.local_info.temperature || null,
-            hours: place.local_info.hours || null
-          };
-          await client.query(`
-            UPDATE place_overrides
-            SET custom_fields = $1, updated_at = NOW()
-            WHERE place_id = $2
-          `, [JSON.stringify(onsenCustomFields), placeId]);
+          const current = await client.query(
+            'SELECT temperature_note, hours_note, fee_note FROM onsen_details WHERE place_id = $1',
+            [placeId]
+          );
+          const onsenChanges = onsenService.changesFromLocalInfo(place.local_info, current.rows[0] || null);
+          if (Object.keys(onsenChanges).length > 0) {
+            await onsenService.saveDetails(placeId, onsenChanges, String(adminId), client);
+          }
         }
 
         // ========================================
@@ -343,11 +343,13 @@ async function exportPlacesToJSON() {
         gd.editorial_summary,
         gd.features as google_features,
         gd.synced_at as google_synced_at,
-        po.custom_fields
+        po.custom_fields,
+        to_jsonb(od) - 'place_id' as onsen_details
       FROM places p
       LEFT JOIN place_google_data gd ON p.id = gd.place_id
       LEFT JOIN place_overrides po ON p.id = po.place_id
-      LEFT JOIN place_local_knowledge lk ON p.id = lk.place_id
+      LEFT JOIN place_local_knowledge lk ON p.id = lk.place_id AND lk.language_code = 'en'
+      LEFT JOIN onsen_details od ON p.id = od.place_id
       WHERE p.resort_id = 1
       ORDER BY p.category, p.name
     `);
@@ -386,6 +388,11 @@ async function exportPlacesToJSON() {
         if (row.review_analysis) place.enhanced_data.review_analysis = row.review_analysis;
       }
 
+      // Custom fields (lift info and hours) - saved back as they are
+      if (row.custom_fields && Object.keys(row.custom_fields).length > 0) {
+        place.custom_fields = row.custom_fields;
+      }
+
       // Local knowledge
       if (row.tips || row.warnings || row.navigation_tips || row.description || row.notes || row.features_verified) {
         place.local_knowledge = {};
@@ -402,14 +409,21 @@ async function exportPlacesToJSON() {
         if (row.description) {
           place.description = row.description;
         }
-        // Build local_info structure for onsen-specific fields from custom_fields
-        const customFields = row.custom_fields || {};
-        place.local_info = {
-          entrance_fee: customFields.entrance_fee || null,
-          temperature: customFields.temperature || null,
-          hours: customFields.hours || null,
-          local_tips: row.tips ? row.tips.join('\n') : null
-        };
+        // Build local_info structure for onsen-specific fields from onsen_details
+        // (custom_fields for onsens not migrated yet)
+        const localTips = row.tips ? row.tips.join('\n') : null;
+        if (row.onsen_details) {
+          place.onsen_details = onsenService.formatDetails(row.onsen_details);
+          place.local_info = onsenService.toLocalInfo(place.onsen_details, localTips);
+        } else {
+          const customFields = row.custom_fields || {};
+          place.local_info = {
+            entrance_fee: customFields.entrance_fee || null,
+            temperature: customFields.temperature || null,
+            hours: customFields.hours || null,
+            local_tips: localTips
+          };
+        }
         // Also add name_jp at top level for onsens
         if (row.name_local) {
           place.name_jp = row.name_local;
@@ -0,0 +1,281 @@
+/**
+ * Powder Alerts Service
+ *
+ * Device subscriptions to weather alerts, evaluated every time the unified
+ * weather service fetches fresh data:
+ *
+ * - snowfall_24h:      next-24h snowfall at an elevation >= threshold_cm
+ *                      (same calculation as weather_cache.*_next_24h_snowfall)
+ * - snow_line_village: calculateSnowLine() says snow down to the village
+ *
+ * An alert is sent when a condition becomes true. It isn't sent again while
+ * the condition stays true (subscription.triggered), nor twice for the same
+ * storm (alert_deliveries storm_key), nor within REALERT_AFTER_HOURS.
+ */
+
+const { pool } = require('../db/pool');
+const openMeteoService = require('./weatherService');
+const alertDelivery = require('./alertDelivery');
+const seasonService = require('./seasonService');
+
+const ALERT_TYPES = {
+  snowfall_24h: 'Snowfall forecast at an elevation in the next 24h (threshold_cm)',
+  snow_line_village: 'Snow line down to village level'
+};
+
+const ELEVATIONS = ['Village', 'Mid-Mountain', 'Summit'];
+
+const DEFAULT_THRESHOLD_CM = 20;
+
+// calculateSnowLine() result for snow at village level (both weather services)
+const SNOW_TO_VILLAGE = 'Snow to village level';
+
+// Even for a new storm, don't alert the same subscription more often than this
+const REALERT_AFTER_HOURS = 12;
+
+/**
+ * Work out alert conditions from a weather refresh
+ *
+ * @param {Object} weather - { levels: [{ location, hourly }], snow_line }
+ * @returns {Object} { levels: { [location]: { next24h, stormDate } }, snowLineAtVillage }
+ */
+function getConditions(weather) {
+  const levels = {};
+  const now = new Date();
+
+  (weather.levels || []).forEach(level => {
+    const hourly = level.hourly || {};
+    let stormDate = null;
+
+    // First snowy hour in the next 24h marks the storm (local date from the forecast time)
+    for (let i = 0; hourly.time && i < hourly.time.length; i++) {
+      const time = new Date(hourly.time[i]);
+      if (time >= now && time - now <= 24 * 60 * 60 * 1000 && hourly.snowfall[i] > 0) {
+        stormDate = String(hourly.time[i]).slice(0, 10);
+        break;
+      }
+    }
+
+    levels[level.location] = {
+      next24h: openMeteoService.calculateSnowfallForHours(hourly, 24),
+      stormDate
+    };
+  });
+
+  return {
+    levels,
+    snowLineAtVillage: weather.snow_line === SNOW_TO_VILLAGE
+  };
+}
+
+/**
+ * Check one subscription against the current conditions
+ *
+ * @returns {Object} { met, value, stormKey, title, message }
+ */
+function checkSubscription(subscription, conditions, today) {
+  const level = conditions.levels[subscription.elevation] || { next24h: 0, stormDate: null };
+
+  if (subscription.alert_type === 'snow_line_village') {
+    return {
+      met: conditions.snowLineAtVillage,
+      value: level.next24h,
+      stormKey: `snow_line_village:${level.stormDate || today}`,
+      title: '❄️ Snow down to the village',
+      message: `Snow is falling to village level.${level.next24h > 0 ? ` ${level.next24h}cm forecast at ${subscription.elevation} in the next 24h.` : ''}`
+    };
+  }
+
+  const threshold = parseFloat(subscription.threshold_cm) || DEFAULT_THRESHOLD_CM;
+  return {
+    met: level.next24h >= threshold,
+    value: level.next24h,
+    stormKey: `snowfall_24h:${subscription.elevation}:${level.stormDate || today}`,
+    title: `❄️ ${level.next24h}cm forecast at ${subscription.elevation}`,
+    message: `${level.next24h}cm of snow expected at ${subscription.elevation} in the next 24 hours (your alert: ${threshold}cm+).`
+  };
+}
+
+/**
+ * Send one alert and record the delivery
+ * Returns false if this storm was already alerted for the subscription.
+ */
+async function sendAlert(subscription, result) {
+  const delivery = await pool.query(`
+    INSERT INTO alert_deliveries (subscription_id, storm_key, triggered_value, title, message)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (subscription_id, storm_key) DO NOTHING
+    RETURNING id
+  `, [subscription.id, result.stormKey, result.value, result.title, result.message]);
+
+  if (delivery.rows.length === 0) return false;
+
+  const deliveryId = delivery.rows[0].id;
+  try {
+    await alertDelivery.deliver(subscription.delivery_method, subscription.delivery_target, {
+      title: result.title,
+      message: result.message,
+      data: {
+        type: 'powder_alert',
+        alertType: subscription.alert_type,
+        elevation: subscription.elevation,
+        value: result.value,
+        subscriptionId: subscription.id
+      }
+    });
+
+    await pool.query(
+      "UPDATE alert_deliveries SET status = 'sent', delivered_at = NOW() WHERE id = $1",
+      [deliveryId]
+    );
+  } catch (error) {
+    console.error(`[Powder Alerts] Delivery failed for subscription ${subscription.id}:`, error.message);
+    await pool.query(
+      "UPDATE alert_deliveries SET status = 'failed', error = $2 WHERE id = $1",
+      [deliveryId, error.message]
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate every active subscription against a weather refresh
+ *
+ * @param {Object} weather - Fresh weather data (levels + snow_line)
+ * @param {number} resortId - Resort ID
+ * @returns {Promise<Object>} { evaluated, triggered, sent, cleared }
+ */
+async function evaluateAlerts(weather, resortId = 1) {
+  const subscriptions = await pool.query(`
+    SELECT * FROM alert_subscriptions
+    WHERE resort_id = $1 AND active = true
+  `, [resortId]);
+
+  const summary = { evaluated: subscriptions.rows.length, triggered: 0, sent: 0, cleared: 0 };
+  if (subscriptions.rows.length === 0) return summary;
+
+  const conditions = getConditions(weather);
+  const timezone = seasonService.getSeasonInfo(resortId)?.timezone || 'Asia/Tokyo';
+  const today = seasonService.getLocalDate(timezone);
+
+  for (const subscription of subscriptions.rows) {
+    const result = checkSubscription(subscription, conditions, today);
+
+    // Condition cleared - the next time it's met is a new alert
+    if (!result.met) {
+      if (subscription.triggered) {
+        await pool.query(
+          'UPDATE alert_subscriptions SET triggered = false, last_value = $2, updated_at = NOW() WHERE id = $1',
+          [subscription.id, result.value]
+        );
+        summary.cleared++;
+      }
+      continue;
+    }
+
+    // Still the same spell of snow
+    if (subscription.triggered) continue;
+
+    summary.triggered++;
+
+    const recentlyAlerted = subscription.last_triggered_at &&
+      Date.now() - new Date(subscription.last_triggered_at) < REALERT_AFTER_HOURS * 60 * 60 * 1000;
+
+    if (!recentlyAlerted && await sendAlert(subscription, result)) {
+      summary.sent++;
+    }
+
+    await pool.query(`
+      UPDATE alert_subscriptions
+      SET triggered = true,
+          last_value = $2,
+          last_triggered_at = CASE WHEN $3 THEN last_triggered_at ELSE NOW() END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [subscription.id, result.value, !!recentlyAlerted]);
+  }
+
+  if (summary.triggered > 0 || summary.cleared > 0) {
+    console.log(`[Powder Alerts] ${summary.evaluated} subscriptions: ${summary.triggered} triggered, ${summary.sent} sent, ${summary.cleared} cleared`);
+  }
+
+  return summary;
+}
+
+/**
+ * Create or update a device's subscription (one per alert type + elevation)
+ *
+ * @param {string} deviceId - Device ID
+ * @param {Object} options - { alertType, elevation, thresholdCm, deliveryMethod, deliveryTarget }
+ */
+async function subscribe(deviceId, { alertType, elevation = 'Summit', thresholdCm = null, deliveryMethod, deliveryTarget }, resortId = 1) {
+  const result = await pool.query(`
+    INSERT INTO alert_subscriptions (
+      resort_id, device_id, alert_type, elevation, threshold_cm, delivery_method, delivery_target
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (device_id, alert_type, elevation)
+    DO UPDATE SET
+      threshold_cm = EXCLUDED.threshold_cm,
+      delivery_method = EXCLUDED.delivery_method,
+      delivery_target = EXCLUDED.delivery_target,
+      active = true,
+      updated_at = NOW()
+    RETURNING *
+  `, [
+    resortId,
+    deviceId,
+    alertType,
+    elevation,
+    alertType === 'snowfall_24h' ? (thresholdCm || DEFAULT_THRESHOLD_CM) : null,
+    deliveryMethod,
+    deliveryTarget
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Get a device's subscriptions with their latest delivery
+ */
+async function getSubscriptions(deviceId) {
+  const result = await pool.query(`
+    SELECT s.*, d.title AS last_alert_title, d.status AS last_alert_status, d.created_at AS last_alert_at
+    FROM alert_subscriptions s
+    LEFT JOIN LATERAL (
+      SELECT title, status, created_at FROM alert_deliveries
+      WHERE subscription_id = s.id
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) d ON true
+    WHERE s.device_id = $1 AND s.active = true
+    ORDER BY s.created_at
+  `, [deviceId]);
+
+  return result.rows;
+}
+
+/**
+ * Cancel a subscription (must belong to the device)
+ */
+async function unsubscribe(deviceId, subscriptionId) {
+  const result = await pool.query(`
+    UPDATE alert_subscriptions
+    SET active = false, updated_at = NOW()
+    WHERE id = $1 AND device_id = $2 AND active = true
+  `, [subscriptionId, deviceId]);
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ELEVATIONS,
+  DEFAULT_THRESHOLD_CM,
+  getConditions,
+  checkSubscription,
+  evaluateAlerts,
+  subscribe,
+  getSubscriptions,
+  unsubscribe
+};
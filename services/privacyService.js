@@ -0,0 +1,375 @@
+/**
+ * Privacy Service
+ *
+ * Everything stored about a device (its id is the only identity we have):
+ * export as JSON, full erasure, and the retention job that purges old
+ * check-in history.
+ *
+ * Erasure deletes the device's rows outright, except the devices row:
+ * the id is retired (deviceAuth.revokeDevice) so nobody can use it
+ * afterwards. Meetups other members responded to are cancelled and
+ * anonymized instead, so their RSVPs and calendar feeds stay consistent.
+ * Groups the device owned are passed on as if the owner had left. The
+ * device's group events are deleted too; the member.left events published
+ * afterwards (so reconnecting clients see the member go) are pruned with
+ * the rest of the replay window.
+ *
+ * Retention (CHECKIN_RETENTION_DAYS, default 90) applies to finished
+ * check-ins in group_checkins (and the pre-032 checkin_new / checkins
+ * tables until they are dropped), to meetups and to safety alerts.
+ */
+
+const { pool } = require('../db/pool');
+const groupEvents = require('./groupEvents');
+const groupService = require('./groupService');
+const deviceAuth = require('./deviceAuth');
+
+// Stored as meetups.created_by for meetups whose creator was erased
+const ERASED_DEVICE_ID = 'erased-device';
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+const toMs = value => (value === null || value === undefined ? null : parseInt(value));
+const dateToMs = value => (value ? new Date(value).getTime() : null);
+
+/**
+ * Everything stored for a device
+ *
+ * @param {string} deviceId - Device id
+ * @returns {Promise<Object>} Export document
+ */
+async function exportDeviceData(deviceId) {
+  const [device, memberships, checkins, legacyCheckins, meetups, rsvps, subscriptions, invites, suggestions, safetyAlerts] = await Promise.all([
+    pool.query(
+      'SELECT platform, app_version, registered_at, last_seen_at, revoked_at FROM devices WHERE device_id = $1',
+      [deviceId]
+    ),
+    pool.query(`
+      SELECT m.*, g.name AS group_name, g.archived_at
+      FROM group_members m
+      LEFT JOIN groups g ON g.code = m.group_code
+      WHERE m.device_id = $1
+      ORDER BY m.joined_at
+    `, [deviceId]),
+    pool.query(`
+      SELECT c.*, g.code AS group_code
+      FROM group_checkins c
+      JOIN groups g ON g.id = c.group_id
+      WHERE c.device_id = $1
+      ORDER BY c.checked_in_at
+    `, [deviceId]),
+    pool.query('SELECT * FROM checkins WHERE device_id = $1 ORDER BY checked_in_at', [deviceId]),
+    pool.query('SELECT * FROM meetups WHERE created_by = $1 ORDER BY scheduled_for', [deviceId]),
+    pool.query(`
+      SELECT r.*, m.group_code, m.place_name, m.scheduled_for
+      FROM meetup_rsvps r
+      JOIN meetups m ON m.id = r.meetup_id
+      WHERE r.device_id = $1
+      ORDER BY r.responded_at
+    `, [deviceId]),
+    pool.query('SELECT * FROM alert_subscriptions WHERE device_id = $1 ORDER BY created_at', [deviceId]),
+    pool.query(`
+      SELECT i.*, g.code AS group_code
+      FROM group_invites i
+      JOIN groups g ON g.id = i.group_id
+      WHERE i.created_by = $1
+      ORDER BY i.created_at
+    `, [deviceId]),
+    pool.query(`
+      SELECT s.*, p.external_id, p.name
+      FROM geofence_suggestions s
+      JOIN places p ON p.id = s.place_id
+      WHERE s.device_id = $1
+      ORDER BY s.created_at
+    `, [deviceId]),
+    pool.query(`
+      SELECT a.*, a.alert_date::text AS alert_day, g.code AS group_code
+      FROM group_safety_alerts a
+      JOIN groups g ON g.id = a.group_id
+      WHERE a.device_id = $1
+      ORDER BY a.created_at
+    `, [deviceId])
+  ]);
+
+  const registration = device.rows[0];
+
+  return {
+    deviceId,
+    exportedAt: new Date().toISOString(),
+    device: registration ? {
+      platform: registration.platform,
+      appVersion: registration.app_version,
+      registeredAt: registration.registered_at,
+      lastSeenAt: registration.last_seen_at,
+      revokedAt: registration.revoked_at
+    } : null,
+    groups: memberships.rows.map(member => ({
+      code: member.group_code,
+      name: member.group_name,
+      role: member.role,
+      userName: member.user_name,
+      joinedAt: member.joined_at,
+      lastSeenAt: member.last_seen_at,
+      archivedAt: member.archived_at,
+      autoCheckin: member.auto_checkin,
+      safetyDelivery: member.safety_delivery_method ? {
+        method: member.safety_delivery_method,
+        target: member.safety_delivery_target
+      } : null,
+      accommodation: member.accommodation_place_id || member.accommodation_name ? {
+        placeId: member.accommodation_place_id,
+        name: member.accommodation_name,
+        coords: member.accommodation_coords,
+        sharedWithGroup: member.display_accommodation_to_group
+      } : null
+    })),
+    checkins: checkins.rows.map(row => ({
+      groupCode: row.group_code,
+      userName: row.user_name,
+      placeId: row.place_external_id,
+      placeName: row.place_name,
+      checkedInAt: dateToMs(row.checked_in_at),
+      checkedOutAt: dateToMs(row.checked_out_at),
+      checkoutReason: row.checkout_reason,
+      source: row.source,
+      isActive: row.is_active,
+      scheduledFor: row.scheduled_for,
+      meetupNote: row.meetup_note,
+      accommodation: row.accommodation_place_id || row.accommodation_name ? {
+        placeId: row.accommodation_place_id,
+        name: row.accommodation_name,
+        coords: row.accommodation_coords,
+        sharedWithGroup: row.display_accommodation_to_group
+      } : null
+    })),
+    legacyCheckins: legacyCheckins.rows.map(row => ({
+      groupId: row.group_id,
+      userName: row.user_name,
+      placeId: row.place_external_id,
+      placeName: row.place_name,
+      checkedInAt: toMs(row.checked_in_at),
+      checkedOutAt: toMs(row.checked_out_at),
+      accommodationName: row.accommodation_name,
+      accommodationCoords: row.accommodation_coords
+    })),
+    meetups: meetups.rows.map(row => ({
+      id: row.id,
+      groupCode: row.group_code,
+      placeId: row.place_id,
+      placeName: row.place_name,
+      scheduledFor: row.scheduled_for,
+      note: row.note,
+      status: row.status,
+      createdAt: row.created_at
+    })),
+    rsvps: rsvps.rows.map(row => ({
+      meetupId: row.meetup_id,
+      groupCode: row.group_code,
+      placeName: row.place_name,
+      scheduledFor: row.scheduled_for,
+      status: row.status,
+      respondedAt: row.responded_at
+    })),
+    alertSubscriptions: subscriptions.rows.map(row => ({
+      type: row.alert_type,
+      elevation: row.elevation,
+      thresholdCm: row.threshold_cm !== null ? parseFloat(row.threshold_cm) : null,
+      delivery: { method: row.delivery_method, target: row.delivery_target },
+      active: row.active,
+      createdAt: row.created_at
+    })),
+    invites: invites.rows.map(row => ({
+      groupCode: row.group_code,
+      expiresAt: row.expires_at,
+      useCount: row.use_count,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    })),
+    checkinSuggestions: suggestions.rows.map(row => ({
+      placeId: row.external_id,
+      placeName: row.name,
+      distanceMeters: row.distance_m,
+      accuracyMeters: row.accuracy_m,
+      status: row.status,
+      createdAt: row.created_at
+    })),
+    safetyAlerts: safetyAlerts.rows.map(row => ({
+      groupCode: row.group_code,
+      date: row.alert_day,
+      deadline: row.deadline,
+      lastSeenAt: row.last_seen_at,
+      status: row.status,
+      createdAt: row.created_at,
+      acknowledgedAt: row.acknowledged_at,
+      resolvedAt: row.resolved_at
+    }))
+  };
+}
+
+/**
+ * Erase everything stored for a device
+ *
+ * @param {string} deviceId - Device id
+ * @returns {Promise<Object>} Rows removed / anonymized per table
+ */
+async function eraseDeviceData(deviceId) {
+  const client = await pool.connect();
+  let counts;
+  let cancelled;
+  let groupCodes;
+  let ownedGroups;
+
+  try {
+    await client.query('BEGIN');
+
+    cancelled = await client.query(`
+      UPDATE meetups SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE created_by = $1 AND status = 'scheduled'
+      RETURNING id, group_code, place_id
+    `, [deviceId]);
+    const meetups = await client.query(
+      'UPDATE meetups SET created_by = $2, creator_name = NULL WHERE created_by = $1',
+      [deviceId, ERASED_DEVICE_ID]
+    );
+    const rsvps = await client.query('DELETE FROM meetup_rsvps WHERE device_id = $1', [deviceId]);
+    await client.query('UPDATE meetup_changes SET changed_by = NULL WHERE changed_by = $1', [deviceId]);
+
+    const members = await client.query(
+      'DELETE FROM group_members WHERE device_id = $1 RETURNING group_code',
+      [deviceId]
+    );
+    const checkins = await client.query(`
+      DELETE FROM group_checkins c
+      USING groups g
+      WHERE g.id = c.group_id AND c.device_id = $1
+      RETURNING g.code AS group_code
+    `, [deviceId]);
+    // Pre-032 tables (kept until they are dropped)
+    await client.query('DELETE FROM checkin_new WHERE device_id = $1', [deviceId]);
+    const legacyCheckins = await client.query('DELETE FROM checkins WHERE device_id = $1', [deviceId]);
+
+    const invites = await client.query('DELETE FROM group_invites WHERE created_by = $1', [deviceId]);
+    await client.query('UPDATE group_code_history SET rotated_by = NULL WHERE rotated_by = $1', [deviceId]);
+    const owned = await client.query(
+      'UPDATE groups SET owner_device_id = NULL, updated_at = NOW() WHERE owner_device_id = $1 RETURNING *',
+      [deviceId]
+    );
+
+    const subscriptions = await client.query('DELETE FROM alert_subscriptions WHERE device_id = $1', [deviceId]);
+    await client.query('DELETE FROM geofence_presence WHERE device_id = $1', [deviceId]);
+    const suggestions = await client.query('DELETE FROM geofence_suggestions WHERE device_id = $1', [deviceId]);
+    const safetyAlerts = await client.query('DELETE FROM group_safety_alerts WHERE device_id = $1', [deviceId]);
+    await client.query('UPDATE group_safety_rules SET created_by = NULL WHERE created_by = $1', [deviceId]);
+    // Kept as a retired id, so nobody can act as the device afterwards
+    await deviceAuth.revokeDevice(deviceId, client);
+    // Before the events below are published, so they survive for replay
+    const events = await client.query('DELETE FROM group_events WHERE device_id = $1', [deviceId]);
+
+    await client.query('COMMIT');
+
+    groupCodes = [...new Set([...members.rows, ...checkins.rows].map(row => row.group_code))];
+    ownedGroups = owned.rows;
+    counts = {
+      groups: members.rowCount,
+      checkins: checkins.rowCount,
+      legacyCheckins: legacyCheckins.rowCount,
+      meetupsAnonymized: meetups.rowCount,
+      rsvps: rsvps.rowCount,
+      invites: invites.rowCount,
+      alertSubscriptions: subscriptions.rowCount,
+      checkinSuggestions: suggestions.rowCount,
+      safetyAlerts: safetyAlerts.rowCount,
+      groupEvents: events.rowCount
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Owned groups are passed on as if the owner had left
+  for (const group of ownedGroups) {
+    await groupService.transferOwnership(group);
+  }
+
+  // Tell connected (and reconnecting) group members
+  for (const meetup of cancelled.rows) {
+    await groupEvents.publishGroupEvent(meetup.group_code, 'meetup.cancelled', {
+      payload: { id: meetup.id, placeId: meetup.place_id, ids: [meetup.id] }
+    });
+  }
+  for (const code of groupCodes) {
+    await groupEvents.publishGroupEvent(code, 'member.left', {
+      deviceId,
+      payload: { erased: true }
+    });
+  }
+
+  console.log(`🗑️  Erased data for device ${deviceId}: ${JSON.stringify(counts)}`);
+  return counts;
+}
+
+/**
+ * Retention period for check-in history, in days
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.CHECKIN_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Purge check-in history and meetups older than the retention period
+ * (scheduler entry point) - never throws
+ *
+ * @returns {Promise<Object>} Rows deleted per table
+ */
+async function purgeCheckinHistory() {
+  try {
+    const days = getRetentionDays();
+    const cutoffMs = Date.now() - days * 24 * 60 * 60 * 1000;
+
+    const checkins = await pool.query(
+      'DELETE FROM group_checkins WHERE is_active = false AND checked_in_at < to_timestamp($1::bigint / 1000.0) AND (scheduled_for IS NULL OR scheduled_for < to_timestamp($1::bigint / 1000.0))',
+      [cutoffMs]
+    );
+    await pool.query(
+      'DELETE FROM checkin_new WHERE is_active = false AND checked_in_at < $1 AND (scheduled_for IS NULL OR scheduled_for < to_timestamp($1::bigint / 1000.0))',
+      [cutoffMs]
+    );
+    const legacyCheckins = await pool.query(
+      'DELETE FROM checkins WHERE is_active = false AND checked_in_at < $1',
+      [cutoffMs]
+    );
+    const meetups = await pool.query(
+      'DELETE FROM meetups WHERE scheduled_for < to_timestamp($1::bigint / 1000.0)',
+      [cutoffMs]
+    );
+    const safetyAlerts = await pool.query(
+      'DELETE FROM group_safety_alerts WHERE created_at < to_timestamp($1::bigint / 1000.0)',
+      [cutoffMs]
+    );
+
+    const counts = {
+      checkins: checkins.rowCount,
+      legacyCheckins: legacyCheckins.rowCount,
+      meetups: meetups.rowCount,
+      safetyAlerts: safetyAlerts.rowCount
+    };
+    if (counts.checkins + counts.legacyCheckins + counts.meetups + counts.safetyAlerts > 0) {
+      console.log(`[RETENTION] Purged history older than ${days} days: ${JSON.stringify(counts)}`);
+    }
+    return counts;
+  } catch (error) {
+    console.error('[RETENTION] Check-in history purge failed:', error.message);
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  ERASED_DEVICE_ID,
+  exportDeviceData,
+  eraseDeviceData,
+  getRetentionDays,
+  purgeCheckinHistory
+};
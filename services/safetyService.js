@@ -0,0 +1,423 @@
+/**
+ * Safety Service
+ *
+ * Per-group safety rules, e.g. "alert if a member hasn't been seen within
+ * 60 minutes after the last lift closes". Evaluated by the scheduler every
+ * few minutes (runSafetyChecks).
+ *
+ * A member is overdue when group_members.last_seen_at is today (resort
+ * local date) but before the lifts closed - they were out, and haven't
+ * checked in, pinged or used the group since. Members not seen at all
+ * today are assumed not to be on the mountain.
+ *
+ * The last closing time comes from the scraped lift hours
+ * (lift_status_cache, e.g. '8:30〜16:00'), or DEFAULT_LAST_LIFT_CLOSE
+ * when there are none. Rules are skipped while the resort is off-season.
+ *
+ * Alerts go to the other members through services/groupNotifier.js. The
+ * overdue member can answer "I'm OK"; being seen again also resolves it.
+ */
+
+const { pool } = require('../db/pool');
+const groupNotifier = require('./groupNotifier');
+const memberIds = require('./memberIds');
+
+// Supported rule types (group_safety_rules.rule_type)
+const RULE_TYPES = {
+  overdue_after_last_lift: 'Alert if a member hasn\'t been seen within N minutes after the last lift closes'
+};
+
+const DEFAULT_LAST_LIFT_CLOSE = '16:30';
+
+// e.g. '8:30〜16:00', '8:30~16:00', '08:30 - 16:00'
+const HOURS_PATTERN = /(\d{1,2}):(\d{2})\s*[〜～~\-–]\s*(\d{1,2}):(\d{2})/;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Parse a lift's hours text
+ *
+ * @param {string} text - Scraped hours
+ * @returns {Object|null} { opens: 'HH:MM', closes: 'HH:MM' }
+ */
+function parseLiftHours(text) {
+  const match = typeof text === 'string' && text.match(HOURS_PATTERN);
+  if (!match) return null;
+
+  const [, openHour, openMinute, closeHour, closeMinute] = match.map(Number);
+  if (openHour > 23 || closeHour > 23 || openMinute > 59 || closeMinute > 59) return null;
+
+  return {
+    opens: `${pad(openHour)}:${pad(openMinute)}`,
+    closes: `${pad(closeHour)}:${pad(closeMinute)}`
+  };
+}
+
+/**
+ * Latest closing time across the lifts in a scrape
+ *
+ * @param {Object} liftData - lift_status_cache.lift_data ({ lifts: [{ status, hours }] })
+ * @returns {string|null} 'HH:MM', or null if no lift has hours
+ */
+function getLastLiftClose(liftData) {
+  const closes = (liftData?.lifts || [])
+    .filter(lift => lift.status !== 'off-season')
+    .map(lift => parseLiftHours(lift.hours))
+    .filter(Boolean)
+    .map(hours => hours.closes)
+    .sort();
+
+  return closes.length > 0 ? closes[closes.length - 1] : null;
+}
+
+/**
+ * Last lift closing time for a resort (latest scrape)
+ *
+ * @returns {Promise<Object>} { closesAt: 'HH:MM', source: 'lifts' | 'default', offSeason }
+ */
+async function getResortLiftClose(resortId) {
+  const result = await pool.query(
+    'SELECT lift_data, is_off_season FROM lift_status_cache WHERE resort_id = $1 ORDER BY scraped_at DESC LIMIT 1',
+    [resortId]
+  );
+  const row = result.rows[0];
+  const closesAt = row ? getLastLiftClose(row.lift_data) : null;
+
+  return {
+    closesAt: closesAt || DEFAULT_LAST_LIFT_CLOSE,
+    source: closesAt ? 'lifts' : 'default',
+    offSeason: row ? row.is_off_season === true : false
+  };
+}
+
+// ============================================
+// RULES
+// ============================================
+
+/**
+ * Format a rule for clients (createdBy is a member id)
+ *
+ * @param {Object} row - group_safety_rules row
+ * @param {string} code - Group code
+ */
+function formatRule(row, code) {
+  return {
+    id: row.id,
+    type: row.rule_type,
+    description: RULE_TYPES[row.rule_type] || null,
+    minutes: row.minutes,
+    enabled: row.enabled,
+    createdBy: memberIds.getMemberId(code, row.created_by),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getRules(groupId) {
+  const result = await pool.query(
+    'SELECT * FROM group_safety_rules WHERE group_id = $1 ORDER BY created_at',
+    [groupId]
+  );
+  return result.rows;
+}
+
+async function getRule(groupId, ruleId) {
+  const result = await pool.query(
+    'SELECT * FROM group_safety_rules WHERE group_id = $1 AND id = $2',
+    [groupId, ruleId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Add a rule to a group
+ *
+ * @param {Object} group - groups row
+ * @param {Object} rule - { type, minutes, enabled }
+ * @param {string} deviceId - Device adding it
+ */
+async function createRule(group, { type, minutes, enabled = true }, deviceId) {
+  const result = await pool.query(`
+    INSERT INTO group_safety_rules (group_id, rule_type, minutes, enabled, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [group.id, type, minutes, enabled, deviceId]);
+
+  console.log(`🛟 Safety rule added in group ${group.code}: ${type} +${minutes} min (by ${deviceId})`);
+  return result.rows[0];
+}
+
+/**
+ * Change a rule's minutes / enabled
+ */
+async function updateRule(rule, { minutes, enabled }) {
+  const result = await pool.query(`
+    UPDATE group_safety_rules
+    SET minutes = COALESCE($2, minutes),
+        enabled = COALESCE($3, enabled),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [rule.id, minutes ?? null, enabled ?? null]);
+
+  return result.rows[0];
+}
+
+async function deleteRule(rule) {
+  await pool.query('DELETE FROM group_safety_rules WHERE id = $1', [rule.id]);
+}
+
+// ============================================
+// ALERTS
+// ============================================
+
+// alert_date as 'YYYY-MM-DD' (resort local), not a Date at server midnight
+const ALERT_COLUMNS = `id, rule_id, group_id, device_id, user_name, alert_date::text AS alert_date,
+  deadline, last_seen_at, status, created_at, acknowledged_at, resolved_at`;
+
+/**
+ * Format an alert for clients (the overdue member by member id)
+ *
+ * @param {Object} row - group_safety_alerts row
+ * @param {string} code - Group code
+ */
+function formatAlert(row, code) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    memberId: memberIds.getMemberId(code, row.device_id),
+    userName: row.user_name,
+    date: row.alert_date,
+    deadline: row.deadline,
+    lastSeenAt: row.last_seen_at,
+    status: row.status,
+    createdAt: row.created_at,
+    acknowledgedAt: row.acknowledged_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+/**
+ * A group's alerts, newest first
+ *
+ * @param {number} groupId - groups.id
+ * @param {Object} options - { status: 'open' | 'acknowledged' | 'resolved', limit }
+ */
+async function getAlerts(groupId, { status = null, limit = 50 } = {}) {
+  const result = await pool.query(`
+    SELECT ${ALERT_COLUMNS} FROM group_safety_alerts
+    WHERE group_id = $1 AND ($2::text IS NULL OR status = $2)
+    ORDER BY created_at DESC
+    LIMIT $3
+  `, [groupId, status, limit]);
+
+  return result.rows;
+}
+
+async function getAlert(groupId, alertId) {
+  const result = await pool.query(
+    `SELECT ${ALERT_COLUMNS} FROM group_safety_alerts WHERE group_id = $1 AND id = $2`,
+    [groupId, alertId]
+  );
+  return result.rows[0] || null;
+}
+
+function formatLocalTime(value, timezone) {
+  return new Date(value).toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Raise alerts for a rule's overdue members (once per member per day)
+ *
+ * @param {Object} rule - group_safety_rules row with group_code, timezone
+ * @param {string} closesAt - Last lift close 'HH:MM' (resort local)
+ * @param {number} now - Unix ms
+ * @returns {Promise<Array>} New alerts
+ */
+async function checkRule(rule, closesAt, now = Date.now()) {
+  const result = await pool.query(`
+    WITH day AS (
+      SELECT (to_timestamp($5::bigint / 1000.0) AT TIME ZONE $2)::date AS today
+    ), times AS (
+      SELECT
+        today,
+        today::timestamp AT TIME ZONE $2 AS day_start,
+        (today + $3::time) AT TIME ZONE $2 AS closes_at,
+        ((today + $3::time) AT TIME ZONE $2) + make_interval(mins => $4) AS deadline
+      FROM day
+    )
+    INSERT INTO group_safety_alerts (rule_id, group_id, device_id, user_name, alert_date, deadline, last_seen_at)
+    SELECT $6, $7, m.device_id, m.user_name, t.today, t.deadline, m.last_seen_at
+    FROM group_members m
+    CROSS JOIN times t
+    WHERE m.group_code = $1
+      AND to_timestamp($5::bigint / 1000.0) >= t.deadline
+      AND m.last_seen_at >= t.day_start
+      AND m.last_seen_at < t.closes_at
+    ON CONFLICT (rule_id, device_id, alert_date) DO NOTHING
+    RETURNING ${ALERT_COLUMNS}
+  `, [rule.group_code, rule.timezone, closesAt, rule.minutes, now, rule.id, rule.group_id]);
+
+  for (const alert of result.rows) {
+    const name = alert.user_name || 'A member';
+    await groupNotifier.notifyGroup({
+      groupCode: rule.group_code,
+      type: 'safety.overdue',
+      deviceId: alert.device_id,
+      title: `${name} hasn't been seen since the lifts closed`,
+      message: `Last seen at ${formatLocalTime(alert.last_seen_at, rule.timezone)}. Lifts closed at ${closesAt}.`,
+      data: { alertId: alert.id, userName: alert.user_name, lastSeenAt: alert.last_seen_at, liftsClosedAt: closesAt }
+    });
+  }
+
+  return result.rows;
+}
+
+/**
+ * Resolve open alerts for members who have been seen since
+ *
+ * @returns {Promise<Array>} Resolved alerts
+ */
+async function resolveSeenAlerts() {
+  const result = await pool.query(`
+    UPDATE group_safety_alerts a
+    SET status = 'resolved', resolved_at = NOW()
+    FROM groups g, group_members m, resorts r
+    WHERE a.status = 'open'
+      AND g.id = a.group_id
+      AND r.id = g.resort_id
+      AND m.group_code = g.code
+      AND m.device_id = a.device_id
+      AND m.last_seen_at > a.created_at
+    RETURNING a.*, g.code AS group_code, m.last_seen_at AS seen_at, r.timezone
+  `);
+
+  for (const alert of result.rows) {
+    await groupNotifier.notifyGroup({
+      groupCode: alert.group_code,
+      type: 'safety.resolved',
+      deviceId: alert.device_id,
+      title: `${alert.user_name || 'A member'} is back`,
+      message: `Seen at ${formatLocalTime(alert.seen_at, alert.timezone)}.`,
+      data: { alertId: alert.id, userName: alert.user_name }
+    });
+  }
+
+  return result.rows;
+}
+
+/**
+ * "I'm OK" from the overdue member
+ *
+ * @returns {Promise<Object|null>} Updated alert, or null if it isn't open
+ */
+async function acknowledgeAlert(group, alert) {
+  const result = await pool.query(`
+    UPDATE group_safety_alerts
+    SET status = 'acknowledged', acknowledged_at = NOW()
+    WHERE id = $1 AND status = 'open'
+    RETURNING ${ALERT_COLUMNS}
+  `, [alert.id]);
+  if (result.rows.length === 0) return null;
+
+  await pool.query(
+    'UPDATE group_members SET last_seen_at = NOW() WHERE group_code = $1 AND device_id = $2',
+    [group.code, alert.device_id]
+  );
+
+  const acknowledged = result.rows[0];
+  console.log(`🛟 Safety alert ${alert.id} acknowledged by ${alert.device_id} in group ${group.code}`);
+
+  await groupNotifier.notifyGroup({
+    groupCode: group.code,
+    type: 'safety.ok',
+    deviceId: alert.device_id,
+    title: `${alert.user_name || 'A member'} is OK`,
+    message: 'They answered the safety check.',
+    data: { alertId: alert.id, userName: alert.user_name }
+  });
+
+  return acknowledged;
+}
+
+/**
+ * Set (or clear, with null) where a member gets safety alerts
+ * (validate the target first - alertDelivery.validateTarget)
+ *
+ * @param {Object|null} delivery - { method, target }
+ * @returns {Promise<Object|null>} Updated group_members row, or null if not a member
+ */
+async function setDelivery(code, deviceId, delivery) {
+  const result = await pool.query(`
+    UPDATE group_members
+    SET safety_delivery_method = $3, safety_delivery_target = $4
+    WHERE group_code = $1 AND device_id = $2
+    RETURNING *
+  `, [code, deviceId, delivery ? delivery.method : null, delivery ? delivery.target : null]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Evaluate every enabled rule (scheduler entry point) - never throws
+ *
+ * @returns {Promise<Object>} { alerts, resolved } counts
+ */
+async function runSafetyChecks(now = Date.now()) {
+  try {
+    const rules = await pool.query(`
+      SELECT r.*, g.code AS group_code, g.resort_id, res.timezone
+      FROM group_safety_rules r
+      JOIN groups g ON g.id = r.group_id
+      JOIN resorts res ON res.id = g.resort_id
+      WHERE r.enabled = true AND g.archived_at IS NULL
+    `);
+
+    const closeByResort = new Map();
+    let alerts = 0;
+
+    for (const rule of rules.rows) {
+      if (!RULE_TYPES[rule.rule_type]) continue;
+
+      if (!closeByResort.has(rule.resort_id)) {
+        closeByResort.set(rule.resort_id, await getResortLiftClose(rule.resort_id));
+      }
+      const close = closeByResort.get(rule.resort_id);
+      if (close.offSeason) continue;
+
+      alerts += (await checkRule(rule, close.closesAt, now)).length;
+    }
+
+    const resolved = (await resolveSeenAlerts()).length;
+
+    if (alerts > 0 || resolved > 0) {
+      console.log(`[SAFETY] Raised ${alerts} overdue alert(s), resolved ${resolved}`);
+    }
+    return { alerts, resolved };
+  } catch (error) {
+    console.error('[SAFETY] Safety check failed:', error.message);
+    return { alerts: 0, resolved: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_LAST_LIFT_CLOSE,
+  parseLiftHours,
+  getLastLiftClose,
+  getResortLiftClose,
+  formatRule,
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  formatAlert,
+  getAlerts,
+  getAlert,
+  checkRule,
+  resolveSeenAlerts,
+  acknowledgeAlert,
+  setDelivery,
+  runSafetyChecks
+};
@@ -1,18 +1,80 @@
 const cron = require('node-cron');
-const NozawaLiftScraper = require('./liftScraper');
+const liftScrapers = require('./liftScrapers');
 const { pool } = require('../db/pool');
+const { pruneGroupEvents } = require('./groupEvents');
+const { archiveExpiredGroups } = require('./groupService');
+const checkinExpiry = require('./checkinExpiry');
+const { purgeCheckinHistory } = require('./privacyService');
+const safetyService = require('./safetyService');
+const { rebuildSearchIndex } = require('./searchService');
+const liftHistory = require('./liftHistory');
+const scraperHealth = require('./scraperHealth');
+const seasonService = require('./seasonService');
+const scrapeSchedule = require('./scrapeSchedule');
+const weatherService = require('./unifiedWeatherService');
 
-const scraper = new NozawaLiftScraper();
-let scrapeResults = null;
+// Default resort for single-resort callers (Nozawa Onsen)
+const DEFAULT_RESORT_ID = 1;
+
+// Per-resort state, keyed by resort id
+const resortScrapers = new Map();
+const scrapeResults = new Map();
+
+// Running cron jobs per resort: resortId -> [{ cron, label, task }]
+// Scrape windows come from resort_scrape_windows (see scrapeSchedule)
+const scrapeJobs = new Map();
 
 // Store results for access by routes
-function getLatestScrapeResults() {
-  return scrapeResults;
+function getLatestScrapeResults(resortId = DEFAULT_RESORT_ID) {
+  return scrapeResults.get(resortId) || null;
+}
+
+/**
+ * Get the loaded scraper for a resort (by id)
+ */
+function getScraper(resortId = DEFAULT_RESORT_ID) {
+  return resortScrapers.get(resortId) || null;
+}
+
+/**
+ * Check if the resort is currently inside its daily scrape hours
+ */
+function isWithinScrapeHours(scraper) {
+  const local = scraper.getLocalTime();
+  const minutes = local.getHours() * 60 + local.getMinutes();
+  const { first, last } = scrapeSchedule.getScrapeHours(scrapeSchedule.getWindows(scraper.resort.id).windows);
+  return minutes >= first && minutes <= last;
+}
+
+/**
+ * Get freshness ('live' / 'stale' / 'unknown') and health for a resort's lift data
+ */
+function getLiftDataHealth(resortId = DEFAULT_RESORT_ID) {
+  const scraper = getScraper(resortId);
+  const freshness = scraperHealth.getFreshness(resortId, {
+    hasData: scrapeResults.has(resortId),
+    inSeason: scraper ? scraper.isInSeason() : true,
+    withinScrapeHours: scraper ? isWithinScrapeHours(scraper) : true
+  });
+
+  return {
+    freshness,
+    health: scraperHealth.getHealth(resortId)
+  };
 }
 
-async function setLatestScrapeResults(results) {
+/**
+ * Get the loaded scraper for a resort (by slug)
+ */
+function getScraperBySlug(slug) {
+  return [...resortScrapers.values()].find(s => s.resort.slug === slug) || null;
+}
+
+async function setLatestScrapeResults(resortId, results) {
+  const scraper = getScraper(resortId);
+
   // Store in memory (for fast access)
-  scrapeResults = results;
+  scrapeResults.set(resortId, results);
 
   // ALSO store in PostgreSQL for persistence
   try {
@@ -33,35 +95,50 @@ async function setLatestScrapeResults(results) {
         scraper_version = EXCLUDED.scraper_version,
         source_url = EXCLUDED.source_url
     `, [
-      1,  // Nozawa Onsen resort_id
+      resortId,
       JSON.stringify(results),
       results.isOffSeason || false,
-      '1.0',
-      'https://en.nozawaski.com/the-mountain/moutain-info/slopes-lifts/'
+      scraper?.version || null,
+      scraper?.url || null
     ]);
 
-    console.log('✅ Lift status saved to PostgreSQL');
+    console.log(`✅ Lift status saved to PostgreSQL (resort ${resortId})`);
   } catch (error) {
     console.error('❌ Failed to save lift status to PostgreSQL:', error.message);
     // Don't throw - memory cache still works
   }
+
+  // Append to history + record per-lift transitions (never for test data)
+  if (!results.testData) {
+    try {
+      await liftHistory.recordScrape(resortId, results, {
+        scraperVersion: scraper?.version || null,
+        sourceUrl: scraper?.url || null
+      });
+    } catch (error) {
+      console.error('❌ Failed to record lift status history:', error.message);
+    }
+  }
 }
 
 // Load last known status from PostgreSQL on startup
 async function loadCachedLiftStatus() {
   try {
     const result = await pool.query(`
-      SELECT lift_data, scraped_at, is_off_season
+      SELECT DISTINCT ON (resort_id) resort_id, lift_data, scraped_at, is_off_season
       FROM lift_status_cache
-      WHERE resort_id = $1
-      ORDER BY scraped_at DESC
-      LIMIT 1
-    `, [1]);
+      ORDER BY resort_id, scraped_at DESC
+    `);
 
     if (result.rows.length > 0) {
-      scrapeResults = result.rows[0].lift_data;
-      const ageMinutes = Math.round((Date.now() - new Date(result.rows[0].scraped_at)) / 60000);
-      console.log(`✅ Loaded cached lift data from PostgreSQL (${ageMinutes} minutes old)`);
+      result.rows.forEach(row => {
+        scrapeResults.set(row.resort_id, row.lift_data);
+        if (!row.lift_data.testData) {
+          scraperHealth.restoreLastSuccess(row.resort_id, row.scraped_at);
+        }
+        const ageMinutes = Math.round((Date.now() - new Date(row.scraped_at)) / 60000);
+        console.log(`✅ Loaded cached lift data for resort ${row.resort_id} from PostgreSQL (${ageMinutes} minutes old)`);
+      });
       return true;
     } else {
       console.log('No cached lift data found in PostgreSQL');
@@ -73,66 +150,264 @@ async function loadCachedLiftStatus() {
   }
 }
 
-// Safety: Prevent scraping more than once per 5 minutes
-let lastScrapeAttempt = null;
+// Safety: Prevent scraping a resort more than once per 5 minutes
+const lastScrapeAttempts = new Map();
 const MIN_SCRAPE_INTERVAL = 5 * 60 * 1000; // 5 minutes minimum
 
-// Scraping function
-async function performScheduledScrape() {
+/**
+ * Scrape a single resort
+ *
+ * Scheduled scrapes are skipped outside the ski season; manual scrapes
+ * ("scrape now") run regardless. Both respect MIN_SCRAPE_INTERVAL.
+ *
+ * @param {number} resortId - Resort ID
+ * @param {Object} options - { manual: true } for admin-triggered scrapes
+ * @returns {Promise<Object>} { status: 'success' | 'failed' | 'drift' | 'skipped', ... }
+ */
+async function scrapeResort(resortId, { manual = false } = {}) {
+  const scraper = getScraper(resortId);
+  if (!scraper) {
+    console.log(`[SCHEDULER] No scraper loaded for resort ${resortId}, skipping`);
+    return { status: 'skipped', reason: 'no_scraper' };
+  }
+
+  const { slug, timezone } = scraper.resort;
+
   // Safety check: Don't scrape more than once per 5 minutes
+  const lastScrapeAttempt = lastScrapeAttempts.get(resortId);
   if (lastScrapeAttempt && (Date.now() - lastScrapeAttempt < MIN_SCRAPE_INTERVAL)) {
-    console.log('[SCHEDULER] Skipping scrape - too soon since last attempt (< 5 min)');
-    return;
+    console.log(`[SCHEDULER] Skipping ${slug} scrape - too soon since last attempt (< 5 min)`);
+    return {
+      status: 'skipped',
+      reason: 'too_soon',
+      lastAttemptAt: new Date(lastScrapeAttempt).toISOString(),
+      retryAfterSeconds: Math.ceil((lastScrapeAttempt + MIN_SCRAPE_INTERVAL - Date.now()) / 1000)
+    };
   }
 
-  lastScrapeAttempt = Date.now();
+  if (!manual && !scraper.isInSeason()) {
+    console.log(`[SCHEDULER] ${slug} outside ski season (${scraper.getSeasonLabel()}), skipping scheduled scrape`);
+    return { status: 'skipped', reason: 'off_season' };
+  }
+
+  lastScrapeAttempts.set(resortId, Date.now());
 
-  if (!scraper.checkIfSkiSeason()) {
-    console.log('Outside ski season (Dec 10 - Apr 30), skipping scheduled scrape');
-    return;
+  let outcome;
+  try {
+    console.log(`[SCHEDULER] Running ${manual ? 'manual' : 'scheduled'} scrape for ${slug} at ${new Date().toLocaleString("en-US", {timeZone: timezone})} (${timezone})`);
+    const results = await scraper.scrape();
+
+    if (results.parserDrift) {
+      // Keep serving the last good data rather than an empty lift list
+      console.error(`[SCHEDULER] Scrape for ${slug} matched no lifts - keeping previous data`);
+      await scraperHealth.recordAnomaly(resortId, slug, 'zero_lifts', {
+        mappedLifts: scraper.lifts.length
+      });
+      outcome = { status: 'drift', liftCount: 0 };
+    } else {
+      await setLatestScrapeResults(resortId, results);
+      await scraperHealth.recordSuccess(resortId, slug, results);
+      console.log(`[SCHEDULER] Scrape successful for ${slug}, found ${results.lifts.length} lifts`);
+      outcome = {
+        status: 'success',
+        liftCount: results.lifts.length,
+        isOffSeason: results.isOffSeason || false,
+        scrapedAt: results.scrapedAt
+      };
+    }
+  } catch (error) {
+    console.error(`[SCHEDULER] Scrape failed for ${slug}:`, error.message);
+    await scraperHealth.recordFailure(resortId, slug, error);
+    outcome = { status: 'failed', error: error.message };
   }
 
+  await scraperHealth.checkStaleness(resortId, slug, {
+    hasData: scrapeResults.has(resortId),
+    inSeason: scraper.isInSeason(),
+    withinScrapeHours: isWithinScrapeHours(scraper)
+  });
+
+  return outcome;
+}
+
+/**
+ * One-off scrape for a resort, triggered by an admin or API key
+ * Respects MIN_SCRAPE_INTERVAL like scheduled scrapes.
+ */
+async function scrapeNow(resortId = DEFAULT_RESORT_ID) {
+  return scrapeResort(resortId, { manual: true });
+}
+
+// Scraping function - one resort, or every loaded resort when no id is given
+async function performScheduledScrape(resortId = null) {
+  if (resortId !== null) {
+    return scrapeResort(resortId);
+  }
+
+  for (const id of resortScrapers.keys()) {
+    await scrapeResort(id);
+  }
+}
+
+// Load scrapers for all active resorts (lift mappings from resort_lifts)
+async function loadResortScrapers() {
   try {
-    console.log(`[SCHEDULER] Running scheduled scrape at ${new Date().toLocaleString("en-US", {timeZone: "Asia/Tokyo"})} JST`);
-    const results = await scraper.scrape({ forceRun: true });
-    await setLatestScrapeResults(results);  // Now async with PostgreSQL write
-    console.log(`[SCHEDULER] Scrape successful, found ${results.lifts.length} lifts`);
+    const scrapers = await liftScrapers.loadResortScrapers();
+    resortScrapers.clear();
+    scrapers.forEach(scraper => resortScrapers.set(scraper.resort.id, scraper));
+    console.log(`[SCHEDULER] Loaded lift scrapers: ${scrapers.map(s => `${s.resort.slug} (${s.lifts.length} lifts)`).join(', ') || 'none'}`);
   } catch (error) {
-    console.error('[SCHEDULER] Scrape failed:', error.message);
+    console.error('[SCHEDULER] Failed to load resort scrapers:', error.message);
   }
 }
 
-// Schedule scraping times (ALL IN JST)
+/**
+ * Refresh the weather cache so the hourly snowfall history has no gaps
+ * (weather is otherwise only fetched when someone asks for it)
+ */
+async function refreshWeather() {
+  try {
+    const weather = await weatherService.getCurrentWeather();
+    console.log(`[SCHEDULER] Weather refresh (${weather.source})`);
+  } catch (error) {
+    console.error('[SCHEDULER] Weather refresh failed:', error.message);
+  }
+}
+
+/**
+ * (Re)create the cron jobs for one resort from its scrape windows
+ * Stops any jobs already running for the resort.
+ */
+function scheduleResort(scraper) {
+  const { id, slug, timezone } = scraper.resort;
+
+  (scrapeJobs.get(id) || []).forEach(job => job.task.stop());
+
+  const { windows, source } = scrapeSchedule.getWindows(id);
+  const jobs = [];
+
+  windows.forEach(window => {
+    scrapeSchedule.toCronExpressions(window).forEach(expression => {
+      jobs.push({
+        cron: expression,
+        label: window.label,
+        task: cron.schedule(expression, () => performScheduledScrape(id), { timezone })
+      });
+    });
+  });
+
+  scrapeJobs.set(id, jobs);
+  console.log(`[SCHEDULER] ${slug}: ${windows.length} scrape windows (${source}) as ${jobs.length} cron jobs in ${timezone}, season ${scraper.getSeasonLabel()}`);
+}
+
+/**
+ * Reload scrape windows from the database and reschedule (no restart needed)
+ *
+ * @param {number|null} resortId - Only this resort (default: all loaded resorts)
+ */
+async function reloadSchedule(resortId = null) {
+  await scrapeSchedule.loadWindows();
+
+  for (const scraper of resortScrapers.values()) {
+    if (resortId === null || scraper.resort.id === resortId) {
+      scheduleResort(scraper);
+    }
+  }
+}
+
+/**
+ * Current schedule and scrape state per resort (admin)
+ */
+function getScheduleStatus() {
+  return [...resortScrapers.values()].map(scraper => {
+    const { id, slug, timezone } = scraper.resort;
+    const { windows, source } = scrapeSchedule.getWindows(id);
+    const lastAttempt = lastScrapeAttempts.get(id);
+
+    return {
+      resortId: id,
+      slug,
+      timezone,
+      inSeason: scraper.isInSeason(),
+      withinScrapeHours: isWithinScrapeHours(scraper),
+      source,
+      windows,
+      cronJobs: (scrapeJobs.get(id) || []).map(job => ({ cron: job.cron, label: job.label })),
+      lastAttemptAt: lastAttempt ? new Date(lastAttempt).toISOString() : null,
+      nextManualScrapeAt: lastAttempt ? new Date(lastAttempt + MIN_SCRAPE_INTERVAL).toISOString() : null
+    };
+  });
+}
+
+// Schedule scraping times (each resort in its own timezone)
 async function initializeScheduler() {
-  console.log('Initializing lift status scheduler for Dec 10 - Apr 30');
+  console.log('Initializing lift status scheduler');
+
+  // Season dates + overrides (used by every resort's scraper)
+  try {
+    await seasonService.loadSeasonConfig();
+  } catch (error) {
+    console.error('[SCHEDULER] Failed to load season config - using resort defaults:', error.message);
+  }
+
+  await loadResortScrapers();
 
   // Try to load last known status from PostgreSQL first
   await loadCachedLiftStatus();
 
-  // Morning updates: Every 15 minutes from 6:00 - 9:30 JST
-  cron.schedule('*/15 6-9 * * *', performScheduledScrape, { timezone: "Asia/Tokyo" });
+  try {
+    await scrapeSchedule.loadWindows();
+  } catch (error) {
+    console.error('[SCHEDULER] Failed to load scrape windows - using default schedule:', error.message);
+  }
+
+  for (const scraper of resortScrapers.values()) {
+    scheduleResort(scraper);
+  }
+
+  // Housekeeping: prune group events past the SSE replay window (hourly)
+  cron.schedule('5 * * * *', pruneGroupEvents, { timezone: "Asia/Tokyo" });
 
-  // Midday updates: Every 30 minutes from 10:00 - 14:30 JST
-  cron.schedule('0,30 10-14 * * *', performScheduledScrape, { timezone: "Asia/Tokyo" });
+  // Weather history: fetch at least hourly (served from cache if still fresh)
+  cron.schedule('2 * * * *', refreshWeather, { timezone: "Asia/Tokyo" });
 
-  // Afternoon updates: Every 15 minutes from 15:00 - 16:30 JST
-  cron.schedule('*/15 15-16 * * *', performScheduledScrape, { timezone: "Asia/Tokyo" });
+  // Check-ins / meetups: expire forgotten check-ins and past meetups (every minute)
+  cron.schedule('* * * * *', checkinExpiry.runExpiry, { timezone: "Asia/Tokyo" });
 
-  // Evening final update: Once at 17:00 JST
-  cron.schedule('0 17 * * *', performScheduledScrape, { timezone: "Asia/Tokyo" });
+  // Safety checks: alert groups about members overdue after the last lift closes (every 5 minutes)
+  cron.schedule('*/5 * * * *', () => safetyService.runSafetyChecks(), { timezone: "Asia/Tokyo" });
 
-  console.log('Scheduler initialized with JST timezone');
+  // Retention: purge check-in history and meetups older than CHECKIN_RETENTION_DAYS (daily)
+  cron.schedule('30 3 * * *', purgeCheckinHistory, { timezone: "Asia/Tokyo" });
 
-  // Run once on startup if in season (and no cached data)
-  if (scraper.checkIfSkiSeason() && !scrapeResults) {
-    console.log('No cached data and in season - running initial scrape');
-    performScheduledScrape();
+  // Groups: archive groups past season end (daily, and once now in case we were down)
+  cron.schedule('15 0 * * *', archiveExpiredGroups, { timezone: "Asia/Tokyo" });
+  archiveExpiredGroups();
+
+  // Search: rebuild the place search index so synced data shows up (daily, and once now)
+  cron.schedule('45 3 * * *', rebuildSearchIndex, { timezone: "Asia/Tokyo" });
+  rebuildSearchIndex();
+
+  console.log('Scheduler initialized');
+
+  // Run once on startup for resorts in season with no cached data
+  for (const [id, scraper] of resortScrapers) {
+    if (scraper.isInSeason() && !scrapeResults.has(id)) {
+      console.log(`No cached data and in season - running initial scrape for ${scraper.resort.slug}`);
+      performScheduledScrape(id);
+    }
   }
 }
 
 module.exports = {
   initializeScheduler,
   getLatestScrapeResults,
+  getLiftDataHealth,
+  getScraper,
+  getScraperBySlug,
   performScheduledScrape,
+  scrapeNow,
+  reloadSchedule,
+  getScheduleStatus,
   loadCachedLiftStatus
 };
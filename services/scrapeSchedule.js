@@ -0,0 +1,201 @@
+/**
+ * Scrape Schedule Service
+ *
+ * Per-resort lift scrape windows, stored in resort_scrape_windows and
+ * edited through /api/admin/scheduler. Windows are in resort local time
+ * and are turned into cron expressions by the scheduler.
+ *
+ * Resorts with no windows in the database use DEFAULT_WINDOWS.
+ */
+
+const { pool } = require('../db/pool');
+
+// Matches the scheduler's MIN_SCRAPE_INTERVAL - anything faster would be skipped anyway
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 12 * 60;
+
+// Built-in schedule (resort local time)
+const DEFAULT_WINDOWS = [
+  { label: 'Morning', startTime: '06:00', endTime: '09:45', intervalMinutes: 15 },
+  { label: 'Midday', startTime: '10:00', endTime: '14:30', intervalMinutes: 30 },
+  { label: 'Afternoon', startTime: '15:00', endTime: '16:45', intervalMinutes: 15 },
+  { label: 'Evening', startTime: '17:00', endTime: '17:00', intervalMinutes: 15 }
+];
+
+// resortId -> windows
+const windowsByResort = new Map();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the windows for a resort (database, or defaults)
+ *
+ * @returns {Object} { windows, source: 'database' | 'default' }
+ */
+function getWindows(resortId) {
+  const windows = windowsByResort.get(resortId);
+  return windows && windows.length > 0
+    ? { windows, source: 'database' }
+    : { windows: DEFAULT_WINDOWS, source: 'default' };
+}
+
+/**
+ * Turn a window into cron expressions (minute + hour fields)
+ *
+ * Times are listed from startTime to endTime, then hours that share the
+ * same minutes are merged, e.g. 06:00-09:45 every 15 min -> '0,15,30,45 6-9 * * *'
+ *
+ * @param {Object} window - { startTime, endTime, intervalMinutes }
+ * @returns {Array<string>} Cron expressions
+ */
+function toCronExpressions(window) {
+  const start = toMinutes(window.startTime);
+  const end = toMinutes(window.endTime);
+  const minutesByHour = new Map();
+
+  for (let t = start; t <= end; t += window.intervalMinutes) {
+    const hour = Math.floor(t / 60);
+    if (!minutesByHour.has(hour)) minutesByHour.set(hour, []);
+    minutesByHour.get(hour).push(t % 60);
+  }
+
+  // Group hours with identical minute lists
+  const hoursByMinutes = new Map();
+  for (const [hour, minutes] of minutesByHour) {
+    const key = minutes.join(',');
+    if (!hoursByMinutes.has(key)) hoursByMinutes.set(key, []);
+    hoursByMinutes.get(key).push(hour);
+  }
+
+  return [...hoursByMinutes].map(([minutes, hours]) => {
+    const isRange = hours.length > 2 && hours[hours.length - 1] - hours[0] === hours.length - 1;
+    const hourField = isRange ? `${hours[0]}-${hours[hours.length - 1]}` : hours.join(',');
+    return `${minutes} ${hourField} * * *`;
+  });
+}
+
+/**
+ * First and last scrape time of the day, as minutes since midnight
+ */
+function getScrapeHours(windows) {
+  return {
+    first: Math.min(...windows.map(w => toMinutes(w.startTime))),
+    last: Math.max(...windows.map(w => toMinutes(w.endTime)))
+  };
+}
+
+/**
+ * Check windows submitted by an admin
+ *
+ * @param {Array} windows - [{ label, startTime, endTime, intervalMinutes }]
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWindows(windows) {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return 'At least one scrape window is required';
+  }
+
+  for (const [i, w] of windows.entries()) {
+    const name = w.label || `Window ${i + 1}`;
+
+    if (!TIME_PATTERN.test(w.startTime || '') || !TIME_PATTERN.test(w.endTime || '')) {
+      return `${name}: startTime and endTime must be HH:MM`;
+    }
+    if (toMinutes(w.startTime) > toMinutes(w.endTime)) {
+      return `${name}: startTime must not be after endTime`;
+    }
+    if (!Number.isInteger(w.intervalMinutes) ||
+        w.intervalMinutes < MIN_INTERVAL_MINUTES || w.intervalMinutes > MAX_INTERVAL_MINUTES) {
+      return `${name}: intervalMinutes must be a whole number between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`;
+    }
+  }
+
+  const sorted = [...windows].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+  for (let i = 1; i < sorted.length; i++) {
+    if (toMinutes(sorted[i].startTime) <= toMinutes(sorted[i - 1].endTime)) {
+      return `Windows overlap: ${sorted[i - 1].startTime}-${sorted[i - 1].endTime} and ${sorted[i].startTime}-${sorted[i].endTime}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load all active windows from the database into the cache
+ */
+async function loadWindows() {
+  const result = await pool.query(`
+    SELECT id, resort_id, label,
+           to_char(start_time, 'HH24:MI') AS start_time,
+           to_char(end_time, 'HH24:MI') AS end_time,
+           interval_minutes, updated_by, updated_at
+    FROM resort_scrape_windows
+    WHERE active = true
+    ORDER BY resort_id, start_time
+  `);
+
+  windowsByResort.clear();
+  result.rows.forEach(row => {
+    if (!windowsByResort.has(row.resort_id)) windowsByResort.set(row.resort_id, []);
+    windowsByResort.get(row.resort_id).push({
+      id: row.id,
+      label: row.label,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      intervalMinutes: row.interval_minutes,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    });
+  });
+
+  console.log(`[SCHEDULER] Loaded ${result.rows.length} scrape window(s) for ${windowsByResort.size} resort(s)`);
+}
+
+/**
+ * Replace a resort's scrape windows (call validateWindows first)
+ * Takes effect once the scheduler reloads (scheduler.reloadSchedule).
+ *
+ * @param {number} resortId - Resort ID
+ * @param {Array} windows - [{ label, startTime, endTime, intervalMinutes }]
+ * @param {string} updatedBy - Admin email
+ */
+async function replaceWindows(resortId, windows, updatedBy) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM resort_scrape_windows WHERE resort_id = $1', [resortId]);
+
+    const sorted = [...windows].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    for (const [i, w] of sorted.entries()) {
+      await client.query(`
+        INSERT INTO resort_scrape_windows (
+          resort_id, label, start_time, end_time, interval_minutes, sort_order, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [resortId, w.label || null, w.startTime, w.endTime, w.intervalMinutes, i + 1, updatedBy]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  DEFAULT_WINDOWS,
+  MIN_INTERVAL_MINUTES,
+  getWindows,
+  toCronExpressions,
+  getScrapeHours,
+  validateWindows,
+  loadWindows,
+  replaceWindows
+};
@@ -0,0 +1,230 @@
+/**
+ * Scraper Health Service
+ *
+ * Tracks lift scraper health per resort so the API can say how much to
+ * trust the lift status it serves, and so we get alerted when scraping
+ * breaks instead of silently serving old data.
+ *
+ * Tracked per resort:
+ * - consecutive failures (network/parse errors)
+ * - time of the last good scrape
+ * - parse anomalies (e.g. 0 lifts matched in season = parser drift)
+ *
+ * Freshness states returned to clients:
+ * - live:    data is recent, or it's outside scrape hours and the last attempt succeeded
+ * - stale:   data is older than expected or repeated attempts have failed
+ * - unknown: no successful scrape on record
+ */
+
+const { notify, resetAlert } = require('./notifier');
+
+// Data older than this during scrape hours is stale (max scheduled gap is 30 min)
+const STALE_AFTER_MINUTES = parseInt(process.env.LIFT_STALE_AFTER_MINUTES) || 60;
+
+// Alert after this many failed scrapes in a row
+const FAILURE_ALERT_THRESHOLD = parseInt(process.env.SCRAPER_FAILURE_ALERT_THRESHOLD) || 3;
+
+// Outside scrape hours, the last session's data stays valid for this long
+const OVERNIGHT_MAX_AGE_MINUTES = 18 * 60;
+
+const healthByResort = new Map();
+
+function getState(resortId) {
+  if (!healthByResort.has(resortId)) {
+    healthByResort.set(resortId, {
+      consecutiveFailures: 0,
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      anomaly: null
+    });
+  }
+  return healthByResort.get(resortId);
+}
+
+function getAgeMinutes(timestamp) {
+  return timestamp ? Math.round((Date.now() - new Date(timestamp)) / 60000) : null;
+}
+
+/**
+ * Seed the last good scrape time from persisted data (on startup)
+ */
+function restoreLastSuccess(resortId, scrapedAt) {
+  const state = getState(resortId);
+  if (scrapedAt && !state.lastSuccessAt) {
+    state.lastSuccessAt = new Date(scrapedAt).toISOString();
+  }
+}
+
+/**
+ * Record a successful scrape
+ *
+ * @param {number} resortId - Resort ID
+ * @param {string} slug - Resort slug (for alerts)
+ * @param {Object} results - Scraper results
+ */
+async function recordSuccess(resortId, slug, results) {
+  const state = getState(resortId);
+  const wasFailing = state.consecutiveFailures >= FAILURE_ALERT_THRESHOLD || state.anomaly?.type === 'zero_lifts';
+
+  state.lastAttemptAt = new Date().toISOString();
+  state.lastSuccessAt = state.lastAttemptAt;
+  state.consecutiveFailures = 0;
+  state.lastError = null;
+  state.anomaly = null;
+
+  // Some mapped lifts missing from the page - data is usable, but flag it
+  if (results.unmatchedLifts && results.unmatchedLifts.length > 0) {
+    state.anomaly = {
+      type: 'missing_lifts',
+      detectedAt: state.lastAttemptAt,
+      details: { unmatchedLifts: results.unmatchedLifts }
+    };
+
+    await notify({
+      level: 'warning',
+      title: `Lift scraper (${slug}): ${results.unmatchedLifts.length} lift(s) not found on status page`,
+      message: results.unmatchedLifts.join(', '),
+      key: `scraper-missing-lifts:${slug}`,
+      data: { resortId, unmatchedLifts: results.unmatchedLifts }
+    });
+  }
+
+  if (wasFailing) {
+    resetAlert(`scraper-failing:${slug}`);
+    resetAlert(`scraper-drift:${slug}`);
+    resetAlert(`scraper-stale:${slug}`);
+
+    await notify({
+      level: 'info',
+      title: `Lift scraper (${slug}) recovered`,
+      message: `Scraped ${results.lifts.length} lifts successfully`,
+      key: `scraper-recovered:${slug}`,
+      data: { resortId }
+    }, { force: true });
+  }
+}
+
+/**
+ * Record a failed scrape (network error, HTTP error, parse exception)
+ */
+async function recordFailure(resortId, slug, error) {
+  const state = getState(resortId);
+
+  state.lastAttemptAt = new Date().toISOString();
+  state.lastFailureAt = state.lastAttemptAt;
+  state.lastError = error.message;
+  state.consecutiveFailures++;
+
+  if (state.consecutiveFailures >= FAILURE_ALERT_THRESHOLD) {
+    await notify({
+      level: 'error',
+      title: `Lift scraper (${slug}) failing`,
+      message: `${state.consecutiveFailures} consecutive failures. Last error: ${error.message}. ` +
+        `Last good scrape: ${state.lastSuccessAt || 'never'}`,
+      key: `scraper-failing:${slug}`,
+      data: { resortId, consecutiveFailures: state.consecutiveFailures }
+    });
+  }
+}
+
+/**
+ * Record a parse anomaly that makes the scrape unusable
+ * Counts as a failure - the previous good data is kept.
+ *
+ * @param {string} type - e.g. 'zero_lifts'
+ * @param {Object} details - Extra info for the alert
+ */
+async function recordAnomaly(resortId, slug, type, details = {}) {
+  const state = getState(resortId);
+
+  state.lastAttemptAt = new Date().toISOString();
+  state.lastFailureAt = state.lastAttemptAt;
+  state.lastError = `Parse anomaly: ${type}`;
+  state.consecutiveFailures++;
+  state.anomaly = { type, detectedAt: state.lastAttemptAt, details };
+
+  await notify({
+    level: 'error',
+    title: `Lift scraper (${slug}) parser drift`,
+    message: type === 'zero_lifts'
+      ? 'No lifts matched on the status page while in season - page layout or lift names may have changed'
+      : `Parse anomaly: ${type}`,
+    key: `scraper-drift:${slug}`,
+    data: { resortId, type, ...details }
+  });
+}
+
+/**
+ * Work out how fresh a resort's lift data is
+ *
+ * @param {number} resortId - Resort ID
+ * @param {Object} context - { hasData, inSeason, withinScrapeHours }
+ * @returns {string} 'live' | 'stale' | 'unknown'
+ */
+function getFreshness(resortId, { hasData = true, inSeason = true, withinScrapeHours = true } = {}) {
+  const state = getState(resortId);
+
+  if (!hasData || !state.lastSuccessAt) return 'unknown';
+
+  const ageMinutes = getAgeMinutes(state.lastSuccessAt);
+  const lastAttemptFailed = state.consecutiveFailures > 0;
+
+  // Not scraping right now (overnight / off-season): last result stands
+  if (!inSeason) {
+    return lastAttemptFailed ? 'stale' : 'live';
+  }
+  if (!withinScrapeHours) {
+    return !lastAttemptFailed && ageMinutes <= OVERNIGHT_MAX_AGE_MINUTES ? 'live' : 'stale';
+  }
+
+  // Repeated failures mean the lifts may have changed since the last good scrape
+  if (state.consecutiveFailures >= FAILURE_ALERT_THRESHOLD) return 'stale';
+
+  return ageMinutes <= STALE_AFTER_MINUTES ? 'live' : 'stale';
+}
+
+/**
+ * Alert if data has gone stale during scrape hours
+ * Called after each scheduled scrape attempt.
+ */
+async function checkStaleness(resortId, slug, context) {
+  if (getFreshness(resortId, context) !== 'stale') return;
+
+  const state = getState(resortId);
+  await notify({
+    level: 'warning',
+    title: `Lift data (${slug}) is stale`,
+    message: `Last good scrape ${getAgeMinutes(state.lastSuccessAt)} minutes ago (${state.lastSuccessAt})`,
+    key: `scraper-stale:${slug}`,
+    data: { resortId, lastSuccessAt: state.lastSuccessAt }
+  });
+}
+
+/**
+ * Get the health summary for a resort
+ */
+function getHealth(resortId) {
+  const state = getState(resortId);
+
+  return {
+    ...state,
+    lastSuccessAgeMinutes: getAgeMinutes(state.lastSuccessAt),
+    healthy: state.consecutiveFailures === 0 && state.anomaly?.type !== 'zero_lifts',
+    thresholds: {
+      staleAfterMinutes: STALE_AFTER_MINUTES,
+      failureAlertThreshold: FAILURE_ALERT_THRESHOLD
+    }
+  };
+}
+
+module.exports = {
+  restoreLastSuccess,
+  recordSuccess,
+  recordFailure,
+  recordAnomaly,
+  getFreshness,
+  checkStaleness,
+  getHealth
+};
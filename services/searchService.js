@@ -0,0 +1,409 @@
+/**
+ * Search Service
+ *
+ * Place search across names (with romaji / kana variants and aliases),
+ * cuisine, editorial summaries and local knowledge tips.
+ *
+ * Each place has a row in place_search_documents with its text folded
+ * by services/transliteration.js. A query is folded the same way and
+ * matched by substring, trigram word similarity (typos, partial words)
+ * and full-text search. Results are ranked with name matches first and
+ * come with a highlighted snippet of the text that matched.
+ *
+ * Documents are rebuilt after admin edits, when aliases change and
+ * nightly (rebuildSearchIndex). Queries that find nothing are counted in
+ * search_misses for the content team.
+ */
+
+const { pool } = require('../db/pool');
+const transliteration = require('./transliteration');
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_VARIANTS = 8;
+const SNIPPET_CHARS = 60;
+
+// Highlight markers (swapped for <mark> after HTML-escaping the snippet)
+const START_SEL = '\u0001';
+const STOP_SEL = '\u0002';
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+/**
+ * Build a place's search document
+ *
+ * @param {Object} place - places_with_merged_data row
+ * @param {string[]} aliases - place_aliases.alias values
+ * @returns {Object} { names, content, content_folded }
+ */
+function buildDocument(place, aliases = []) {
+  const names = new Set();
+  for (const name of [place.name, place.name_local, ...aliases]) {
+    if (name) transliteration.variants(name).forEach(form => names.add(form));
+  }
+
+  // Prose first so snippets read well, labels last
+  const tips = Array.isArray(place.tips) ? place.tips : [];
+  const content = [
+    place.editorial_summary,
+    place.description_override,
+    ...tips,
+    place.cuisine,
+    place.subcategory ? place.subcategory.replace(/_/g, ' ') : null,
+    place.category
+  ]
+    .filter(text => typeof text === 'string' && text.trim())
+    .join(' · ');
+
+  const contentFolded = transliteration.fold(content);
+
+  return {
+    names: [...names].join(' '),
+    content,
+    content_folded: /[ぁ-ゖ]/.test(contentFolded)
+      ? `${contentFolded} ${transliteration.kanaToRomaji(contentFolded)}`
+      : contentFolded
+  };
+}
+
+/**
+ * Rebuild search documents
+ *
+ * @param {number[]|null} placeIds - Only these places (null = all)
+ * @returns {Promise<number>} Documents written
+ */
+async function refreshSearchIndex(placeIds = null) {
+  const filter = placeIds ? 'WHERE id = ANY($1::int[])' : '';
+  const params = placeIds ? [placeIds] : [];
+
+  const [places, aliases] = await Promise.all([
+    pool.query(`
+      SELECT id, resort_id, name, name_local, category, subcategory, cuisine,
+             editorial_summary, description_override, tips
+      FROM places_with_merged_data
+      ${filter}
+    `, params),
+    pool.query(
+      `SELECT place_id, alias FROM place_aliases ${placeIds ? 'WHERE place_id = ANY($1::int[])' : ''}`,
+      params
+    )
+  ]);
+
+  const aliasesByPlace = new Map();
+  for (const row of aliases.rows) {
+    if (!aliasesByPlace.has(row.place_id)) aliasesByPlace.set(row.place_id, []);
+    aliasesByPlace.get(row.place_id).push(row.alias);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const place of places.rows) {
+      const document = buildDocument(place, aliasesByPlace.get(place.id));
+      await client.query(`
+        INSERT INTO place_search_documents (place_id, resort_id, names, content, content_folded, updated_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (place_id) DO UPDATE SET
+          resort_id = EXCLUDED.resort_id,
+          names = EXCLUDED.names,
+          content = EXCLUDED.content,
+          content_folded = EXCLUDED.content_folded,
+          updated_at = NOW()
+      `, [place.id, place.resort_id, document.names, document.content, document.content_folded]);
+    }
+
+    if (!placeIds) {
+      await client.query(
+        'DELETE FROM place_search_documents WHERE NOT (place_id = ANY($1::int[]))',
+        [places.rows.map(place => place.id)]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return places.rows.length;
+}
+
+/**
+ * Rebuild every search document (scheduler / after admin saves) - never throws
+ */
+async function rebuildSearchIndex() {
+  try {
+    const count = await refreshSearchIndex();
+    console.log(`🔎 [SEARCH] Search index rebuilt (${count} places)`);
+    return { places: count };
+  } catch (error) {
+    console.error('[SEARCH] Search index rebuild failed:', error.message);
+    return { places: 0, error: error.message };
+  }
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a marked snippet into safe HTML with <mark> highlights
+ */
+function formatSnippet(text) {
+  return escapeHtml(text)
+    .split(START_SEL).join('<mark>')
+    .split(STOP_SEL).join('</mark>');
+}
+
+/**
+ * Snippet around the first case-insensitive occurrence of the query
+ * (full-text search can't find words inside Japanese text, which has no spaces)
+ *
+ * @returns {string|null} Marked snippet, or null if the query isn't in the text
+ */
+function substringSnippet(content, query) {
+  const index = content.toLowerCase().indexOf(query.toLowerCase());
+  if (index === -1) return null;
+
+  const start = Math.max(0, index - SNIPPET_CHARS);
+  const end = Math.min(content.length, index + query.length + SNIPPET_CHARS);
+
+  return (start > 0 ? '… ' : '') +
+    content.slice(start, index) + START_SEL +
+    content.slice(index, index + query.length) + STOP_SEL +
+    content.slice(index + query.length, end) +
+    (end < content.length ? ' …' : '');
+}
+
+/**
+ * Search places
+ *
+ * @param {string} query - What the user typed
+ * @param {Object} options - { resortId, category, limit }
+ * @returns {Promise<Array>} places_with_merged_data rows with search_score,
+ *   matched_on ('name' / 'content') and snippet (HTML with <mark>, or null)
+ */
+async function searchPlaces(query, { resortId = 1, category = null, limit = 20 } = {}) {
+  const variants = transliteration.variants(query.slice(0, MAX_QUERY_LENGTH)).slice(0, MAX_VARIANTS);
+  if (variants.length === 0) return [];
+
+  const params = [resortId, variants, `StartSel=${START_SEL}, StopSel=${STOP_SEL}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`];
+  let categoryFilter = '';
+  if (category) {
+    params.push(category);
+    categoryFilter = `AND p.category = $${params.length}`;
+  }
+  params.push(limit);
+
+  const result = await pool.query(`
+    WITH q AS (
+      -- Any variant, all of its words
+      SELECT COALESCE(string_agg('(' || plainto_tsquery('simple', v)::text || ')', ' | '), '')::tsquery AS tsq
+      FROM unnest($2::text[]) v
+      WHERE plainto_tsquery('simple', v)::text <> ''
+    ),
+    scored AS (
+      SELECT
+        d.place_id,
+        d.content,
+        d.search_vector @@ q.tsq AS text_match,
+        to_tsvector('simple', d.content) @@ q.tsq AS content_text_match,
+        ts_rank(d.search_vector, q.tsq) AS text_rank,
+        EXISTS (SELECT 1 FROM unnest($2::text[]) v WHERE strpos(d.names, v) > 0) AS name_match,
+        EXISTS (SELECT 1 FROM unnest($2::text[]) v WHERE strpos(d.content_folded, v) > 0) AS content_match,
+        (SELECT max(word_similarity(v, d.names)) FROM unnest($2::text[]) v) AS name_similarity,
+        (SELECT max(word_similarity(v, d.content_folded)) FROM unnest($2::text[]) v) AS content_similarity,
+        q.tsq
+      FROM place_search_documents d
+      CROSS JOIN q
+      WHERE d.resort_id = $1
+    )
+    SELECT
+      p.*,
+      s.name_match,
+      s.content_match OR s.content_text_match OR s.content_similarity >= 0.6 AS content_hit,
+      (CASE WHEN s.name_match THEN 1 ELSE 0 END)
+        + s.name_similarity
+        + (CASE WHEN s.content_match THEN 0.3 ELSE 0 END)
+        + 0.2 * s.content_similarity
+        + s.text_rank AS search_score,
+      CASE WHEN s.content_text_match THEN ts_headline('simple', s.content, s.tsq, $3) END AS text_snippet,
+      s.content
+    FROM scored s
+    JOIN places_with_merged_data p ON p.id = s.place_id
+    WHERE p.visible_in_app = true
+      ${categoryFilter}
+      AND (s.name_match OR s.content_match OR s.text_match
+           OR s.name_similarity >= 0.5 OR s.content_similarity >= 0.6)
+    ORDER BY search_score DESC, p.rating DESC NULLS LAST, p.name ASC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(row => {
+    const { name_match, content_hit, text_snippet, content, search_score, ...place } = row;
+
+    let snippet = null;
+    if (text_snippet && text_snippet.includes(START_SEL)) {
+      snippet = text_snippet;
+    } else if (content_hit && content) {
+      snippet = substringSnippet(content, query.trim());
+    }
+
+    const matchedOn = [];
+    if (name_match || !content_hit) matchedOn.push('name');
+    if (content_hit) matchedOn.push('content');
+
+    return {
+      ...place,
+      search_score: Math.round(search_score * 1000) / 1000,
+      matched_on: matchedOn,
+      snippet: snippet ? formatSnippet(snippet) : null
+    };
+  });
+}
+
+// ============================================
+// MISSES (zero-result queries)
+// ============================================
+
+/**
+ * Grouping key for a missed query, so spellings that only differ in case,
+ * width, spacing or punctuation ("Kawahara-yu", "kawahara yu") are
+ * counted together
+ *
+ * @returns {string} Empty if nothing is left to count
+ */
+function missKey(query) {
+  return transliteration.compact(transliteration.fold(query)).slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Count a query that found nothing (one row per resort and missKey) - never throws
+ */
+async function logMiss(resortId, query, category = null) {
+  const key = missKey(query);
+  if (!key) return;
+
+  try {
+    await pool.query(`
+      INSERT INTO search_misses (resort_id, query_folded, query, category)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (resort_id, query_folded) DO UPDATE SET
+        query = EXCLUDED.query,
+        category = EXCLUDED.category,
+        miss_count = search_misses.miss_count + 1,
+        last_seen_at = NOW()
+    `, [
+      resortId,
+      key,
+      query.trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH),
+      category ? category.slice(0, 50) : null
+    ]);
+  } catch (error) {
+    console.error('[SEARCH] Failed to log search miss:', error.message);
+  }
+}
+
+/**
+ * Zero-result queries, most frequent first
+ *
+ * @param {Object} options - { resortId, days, limit }
+ */
+async function getMisses({ resortId = null, days = 30, limit = 100 } = {}) {
+  const result = await pool.query(`
+    SELECT * FROM search_misses
+    WHERE ($1::int IS NULL OR resort_id = $1)
+      AND last_seen_at > NOW() - make_interval(days => $2)
+    ORDER BY miss_count DESC, last_seen_at DESC
+    LIMIT $3
+  `, [resortId, days, limit]);
+
+  return result.rows;
+}
+
+/**
+ * Remove a miss (e.g. once an alias covers it)
+ *
+ * @returns {Promise<boolean>} false if the resort has no such miss
+ */
+async function deleteMiss(resortId, missId) {
+  const result = await pool.query('DELETE FROM search_misses WHERE resort_id = $1 AND id = $2', [resortId, missId]);
+  return result.rowCount > 0;
+}
+
+// ============================================
+// ALIASES
+// ============================================
+
+async function getAliases(placeId) {
+  const result = await pool.query(
+    'SELECT * FROM place_aliases WHERE place_id = $1 ORDER BY alias',
+    [placeId]
+  );
+  return result.rows;
+}
+
+/**
+ * Add an alias and reindex the place
+ *
+ * @returns {Promise<Object|null>} New alias, or null if the place already has it
+ */
+async function addAlias(placeId, alias, createdBy) {
+  const result = await pool.query(`
+    INSERT INTO place_aliases (place_id, alias, created_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (place_id, alias) DO NOTHING
+    RETURNING *
+  `, [placeId, alias, createdBy]);
+
+  if (result.rows.length > 0) {
+    await refreshSearchIndex([placeId]);
+  }
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove an alias and reindex the place
+ *
+ * @returns {Promise<boolean>} false if the place has no such alias
+ */
+async function deleteAlias(placeId, aliasId) {
+  const result = await pool.query(
+    'DELETE FROM place_aliases WHERE place_id = $1 AND id = $2',
+    [placeId, aliasId]
+  );
+
+  if (result.rowCount > 0) {
+    await refreshSearchIndex([placeId]);
+  }
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  buildDocument,
+  refreshSearchIndex,
+  rebuildSearchIndex,
+  searchPlaces,
+  formatSnippet,
+  substringSnippet,
+  missKey,
+  logMiss,
+  getMisses,
+  deleteMiss,
+  getAliases,
+  addAlias,
+  deleteAlias
+};
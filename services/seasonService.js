@@ -0,0 +1,272 @@
+/**
+ * Season Service
+ *
+ * Single source of truth for "is it ski season?". Defaults come from the
+ * resorts row (season_start_month/day, season_end_month/day), evaluated
+ * in the resort's timezone. Early opening / late closing for a specific
+ * season are stored in resort_season_overrides.
+ *
+ * Season config is cached in memory (loaded at startup, reloaded on admin
+ * edits) so the scraper and scheduler can check the season synchronously.
+ * Resorts that aren't cached fall back to the row passed in, without overrides.
+ */
+
+const { pool } = require('../db/pool');
+
+// resortId -> { resort, overrides: Map(seasonYear -> override) }
+const configs = new Map();
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Build YYYY-MM-DD, clamping the day to the month length (e.g. Feb 30 -> Feb 28)
+ */
+function toDateString(year, month, day) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return `${year}-${pad(month)}-${pad(Math.min(day, daysInMonth))}`;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ */
+function getLocalDate(timezone, now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+function hasSeasonDates(resort) {
+  return !!(resort && resort.season_start_month && resort.season_end_month);
+}
+
+/**
+ * Get the resort row and overrides to use (cached config wins)
+ */
+function resolveConfig(resortOrId) {
+  const id = typeof resortOrId === 'object' ? resortOrId?.id : resortOrId;
+  const cached = configs.get(id);
+
+  if (cached) return cached;
+  if (typeof resortOrId === 'object' && resortOrId) {
+    return { resort: resortOrId, overrides: new Map() };
+  }
+  return null;
+}
+
+/**
+ * Opening/closing dates for one season
+ *
+ * @param {Object} resort - resorts row
+ * @param {Map} overrides - seasonYear -> override row
+ * @param {number} seasonYear - Year the season starts in
+ * @returns {Object} { seasonYear, label, opensOn, closesOn, defaultOpensOn, defaultClosesOn, source, note }
+ */
+function getSeasonDates(resort, overrides, seasonYear) {
+  const startDay = resort.season_start_day || 1;
+  const endDay = resort.season_end_day || 31;
+
+  // Seasons that cross new year (Dec -> Apr) close the following year
+  const wraps = resort.season_start_month * 100 + startDay > resort.season_end_month * 100 + endDay;
+
+  const defaultOpensOn = toDateString(seasonYear, resort.season_start_month, startDay);
+  const defaultClosesOn = toDateString(wraps ? seasonYear + 1 : seasonYear, resort.season_end_month, endDay);
+  const override = overrides.get(seasonYear);
+
+  return {
+    seasonYear,
+    label: wraps ? `${seasonYear}-${String(seasonYear + 1).slice(2)}` : String(seasonYear),
+    opensOn: override?.opens_on || defaultOpensOn,
+    closesOn: override?.closes_on || defaultClosesOn,
+    defaultOpensOn,
+    defaultClosesOn,
+    source: override && (override.opens_on || override.closes_on) ? 'override' : 'default',
+    note: override?.note || null
+  };
+}
+
+/**
+ * Work out the current / next / previous season for a resort
+ *
+ * @param {Object|number} resortOrId - resorts row or resort id (must be cached)
+ * @param {Date} now - Time to evaluate (default: now)
+ * @returns {Object|null} Season info, or null if the resort is unknown
+ */
+function getSeasonInfo(resortOrId, now = new Date()) {
+  const config = resolveConfig(resortOrId);
+  if (!config) return null;
+
+  const { resort, overrides } = config;
+  const timezone = resort.timezone || 'Asia/Tokyo';
+  const today = getLocalDate(timezone, now);
+
+  // No season configured = open year-round
+  if (!hasSeasonDates(resort)) {
+    return { inSeason: true, yearRound: true, timezone, today, current: null, next: null, previous: null };
+  }
+
+  const year = parseInt(today.slice(0, 4));
+  const seasons = [year - 1, year, year + 1].map(y => getSeasonDates(resort, overrides, y));
+
+  const current = seasons.find(s => s.opensOn <= today && today <= s.closesOn) || null;
+  const next = seasons.find(s => s.opensOn > today) || null;
+  const previous = [...seasons].reverse().find(s => s.closesOn < today) || null;
+
+  return {
+    inSeason: !!current,
+    yearRound: false,
+    timezone,
+    today,
+    current,
+    next,
+    previous,
+    daysUntilOpen: !current && next ? daysBetween(today, next.opensOn) : null,
+    daysUntilClose: current ? daysBetween(today, current.closesOn) : null
+  };
+}
+
+/**
+ * Check whether a resort is in ski season (resort local time)
+ */
+function isInSeason(resortOrId, now = new Date()) {
+  const info = getSeasonInfo(resortOrId, now);
+  return info ? info.inSeason : false;
+}
+
+/**
+ * Human-readable default season dates, e.g. "December 10 - April 30"
+ */
+function getSeasonLabel(resortOrId) {
+  const config = resolveConfig(resortOrId);
+  if (!config || !hasSeasonDates(config.resort)) return 'Year-round';
+
+  const { resort } = config;
+  const monthName = month => new Date(2000, month - 1, 1).toLocaleString('en-US', { month: 'long' });
+  return `${monthName(resort.season_start_month)} ${resort.season_start_day || 1} - ` +
+    `${monthName(resort.season_end_month)} ${resort.season_end_day || 31}`;
+}
+
+/**
+ * Load season config for all resorts into the cache
+ */
+async function loadSeasonConfig() {
+  const resorts = await pool.query(`
+    SELECT id, slug, name, timezone,
+           season_start_month, season_start_day,
+           season_end_month, season_end_day
+    FROM resorts
+  `);
+
+  const overrides = await pool.query(`
+    SELECT resort_id, season_year, opens_on::text AS opens_on, closes_on::text AS closes_on,
+           note, updated_by, updated_at
+    FROM resort_season_overrides
+  `);
+
+  configs.clear();
+  resorts.rows.forEach(resort => {
+    configs.set(resort.id, { resort, overrides: new Map() });
+  });
+  overrides.rows.forEach(row => {
+    configs.get(row.resort_id)?.overrides.set(row.season_year, row);
+  });
+
+  console.log(`[Season] Loaded season config for ${resorts.rows.length} resort(s), ${overrides.rows.length} override(s)`);
+}
+
+/**
+ * Get the cached config for admin views
+ *
+ * @returns {Object|null} { resort, overrides: [] }
+ */
+function getSeasonConfig(resortId) {
+  const config = configs.get(resortId);
+  if (!config) return null;
+
+  return {
+    resort: config.resort,
+    overrides: [...config.overrides.values()].sort((a, b) => b.season_year - a.season_year)
+  };
+}
+
+/**
+ * Update a resort's default season dates
+ */
+async function updateDefaultSeason(resortId, { startMonth, startDay, endMonth, endDay }) {
+  const result = await pool.query(`
+    UPDATE resorts
+    SET season_start_month = $2,
+        season_start_day = $3,
+        season_end_month = $4,
+        season_end_day = $5,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING id
+  `, [resortId, startMonth, startDay, endMonth, endDay]);
+
+  if (result.rows.length === 0) return false;
+
+  await loadSeasonConfig();
+  return true;
+}
+
+/**
+ * Set early opening / late closing dates for one season
+ *
+ * @param {number} resortId - Resort ID
+ * @param {number} seasonYear - Year the season starts in
+ * @param {Object} dates - { opensOn, closesOn, note } (YYYY-MM-DD, null = default)
+ * @param {string} updatedBy - Admin email
+ */
+async function setSeasonOverride(resortId, seasonYear, { opensOn = null, closesOn = null, note = null }, updatedBy) {
+  const result = await pool.query(`
+    INSERT INTO resort_season_overrides (resort_id, season_year, opens_on, closes_on, note, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (resort_id, season_year)
+    DO UPDATE SET
+      opens_on = EXCLUDED.opens_on,
+      closes_on = EXCLUDED.closes_on,
+      note = EXCLUDED.note,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    RETURNING resort_id, season_year, opens_on::text AS opens_on, closes_on::text AS closes_on,
+              note, updated_by, updated_at
+  `, [resortId, seasonYear, opensOn, closesOn, note, updatedBy]);
+
+  await loadSeasonConfig();
+  return result.rows[0];
+}
+
+/**
+ * Remove a season override (back to default dates)
+ */
+async function deleteSeasonOverride(resortId, seasonYear) {
+  const result = await pool.query(
+    'DELETE FROM resort_season_overrides WHERE resort_id = $1 AND season_year = $2',
+    [resortId, seasonYear]
+  );
+
+  await loadSeasonConfig();
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  getSeasonInfo,
+  getSeasonDates,
+  isInSeason,
+  getSeasonLabel,
+  getLocalDate,
+  loadSeasonConfig,
+  getSeasonConfig,
+  updateDefaultSeason,
+  setSeasonOverride,
+  deleteSeasonOverride
+};
@@ -0,0 +1,254 @@
+/**
+ * Transliteration
+ *
+ * Kana <-> romaji (Hepburn) and the folding used by place search, so
+ * "kawahara", "Kawahara-yu", "かわはらゆ" and "カワハラユ" all meet in the
+ * same form. Kanji can't be read without a dictionary - those readings
+ * come from place aliases (see services/searchService.js).
+ *
+ * Folding: NFKC, lowercase, accents/macrons removed, katakana as
+ * hiragana, and the long vowel mark dropped ("ラーメン" -> "らめん").
+ * Romaji long vowels are folded too ("juudou" -> "judo"), so it doesn't
+ * matter how a name was romanized.
+ */
+
+const KANA_ROMAJI = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n', 'ゔ': 'vu',
+  'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゎ': 'wa'
+};
+
+const SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+const SMALL_VOWELS = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o' };
+
+// Romaji -> hiragana, longest spelling first (Hepburn plus common
+// Kunrei / IME spellings)
+const ROMAJI_KANA = buildRomajiTable();
+const ROMAJI_LENGTHS = [3, 2, 1];
+
+function buildRomajiTable() {
+  const table = {};
+  for (const [kana, romaji] of Object.entries(KANA_ROMAJI)) {
+    if (!SMALL_VOWELS[kana] && kana !== 'ゎ' && kana !== 'ゐ' && kana !== 'ゑ' && kana !== 'を' && kana !== 'ぢ' && kana !== 'づ' && kana !== 'ん') {
+      table[romaji] = kana;
+    }
+  }
+
+  // Youon: kya, sha, cha, ja...
+  for (const [kana, romaji] of Object.entries(KANA_ROMAJI)) {
+    if (!romaji.endsWith('i') || romaji.length < 2 || kana === 'ゐ') continue;
+    const stem = romaji.slice(0, -1);
+    for (const [small, vowel] of Object.entries(SMALL_Y)) {
+      const spelled = /(sh|ch|j)$/.test(stem) ? stem + vowel : stem + 'y' + vowel;
+      if (!table[spelled]) table[spelled] = kana + small;
+    }
+  }
+
+  Object.assign(table, {
+    si: 'し', ti: 'ち', tu: 'つ', hu: 'ふ', zi: 'じ', di: 'ぢ', du: 'づ', wo: 'を',
+    sya: 'しゃ', syu: 'しゅ', syo: 'しょ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+    zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ', jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+    fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ', je: 'じぇ', she: 'しぇ', che: 'ちぇ'
+  });
+  return table;
+}
+
+const KATAKANA = /[ァ-ヶ]/g;
+const HAS_KANA = /[ぁ-ゖァ-ヺ]/;
+const HAS_LATIN = /[a-z]/;
+
+/**
+ * Katakana to hiragana (other characters unchanged)
+ */
+function toHiragana(text) {
+  return text.replace(KATAKANA, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+/**
+ * Hiragana to katakana (other characters unchanged)
+ */
+function toKatakana(text) {
+  return text.replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60));
+}
+
+/**
+ * Kana to Hepburn romaji - other characters are kept as they are
+ *
+ * @param {string} text - Hiragana and/or katakana
+ * @returns {string} e.g. 'かわはらゆ' -> 'kawaharayu', 'ラーメン' -> 'ramen'
+ */
+function kanaToRomaji(text) {
+  const chars = [...toHiragana(text)];
+  let result = '';
+  let doubleNext = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const next = chars[i + 1];
+
+    if (char === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+    if (char === 'ー') {
+      continue;
+    }
+
+    let romaji = KANA_ROMAJI[char];
+    if (romaji === undefined) {
+      result += char;
+      doubleNext = false;
+      continue;
+    }
+
+    if (SMALL_Y[next] && romaji.length > 1 && romaji.endsWith('i')) {
+      const stem = romaji.slice(0, -1);
+      romaji = /(sh|ch|j)$/.test(stem) ? stem + SMALL_Y[next] : stem + 'y' + SMALL_Y[next];
+      i++;
+    } else if (SMALL_VOWELS[next] && romaji.length > 1) {
+      romaji = romaji.slice(0, -1) + SMALL_VOWELS[next];
+      i++;
+    }
+
+    if (doubleNext) {
+      romaji = (romaji.startsWith('ch') ? 't' : romaji[0]) + romaji;
+      doubleNext = false;
+    }
+    result += romaji;
+  }
+
+  return result;
+}
+
+/**
+ * Romaji word to hiragana
+ *
+ * @param {string} word - Lowercase letters only
+ * @returns {string|null} Hiragana, or null if the word isn't romaji (e.g. 'cafe')
+ */
+function romajiToKana(word) {
+  let result = '';
+  let i = 0;
+
+  while (i < word.length) {
+    const char = word[i];
+    const next = word[i + 1];
+
+    if (char === 'n' && (next === undefined || next === "'" || !/[aiueoy]/.test(next))) {
+      result += 'ん';
+      i += next === "'" ? 2 : 1;
+      continue;
+    }
+
+    // Doubled consonant (tch as in 'matcha')
+    if (next && ((char === next && !/[aiueon]/.test(char)) || (char === 't' && next === 'c' && word[i + 2] === 'h'))) {
+      result += 'っ';
+      i++;
+      continue;
+    }
+
+    let matched = false;
+    for (const length of ROMAJI_LENGTHS) {
+      const kana = ROMAJI_KANA[word.slice(i, i + length)];
+      if (kana) {
+        result += kana;
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) return null;
+  }
+
+  return result;
+}
+
+/**
+ * Fold long vowels in romaji ('ou', 'oo' -> 'o', 'uu' -> 'u')
+ */
+function foldLongVowels(text) {
+  return text.replace(/o[ou]/g, 'o').replace(/uu/g, 'u');
+}
+
+/**
+ * Fold text for matching (see the module comment)
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return toHiragana(
+    String(text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+  )
+    .replace(/ー/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Drop spaces and word punctuation ('kawahara-yu' -> 'kawaharayu')
+ */
+function compact(text) {
+  return text.replace(/[\s\-_'’.・･·/()（）]+/g, '');
+}
+
+/**
+ * Every form a name or query can be matched in
+ *
+ * @param {string} text - Name, alias or search query
+ * @returns {string[]} Folded forms: as written, compacted, romaji of the
+ *   kana, kana of the romaji words (no duplicates, no empty strings)
+ */
+function variants(text) {
+  const base = fold(text);
+  if (!base) return [];
+
+  const forms = [base, compact(base)];
+
+  if (HAS_KANA.test(base)) {
+    const romaji = kanaToRomaji(base);
+    forms.push(romaji, compact(romaji), foldLongVowels(compact(romaji)));
+  }
+
+  if (HAS_LATIN.test(base)) {
+    const kana = base
+      .split(/[^a-z']+/)
+      .filter(Boolean)
+      .map(word => romajiToKana(word));
+    if (kana.some(Boolean)) {
+      forms.push(kana.filter(Boolean).join(' '), kana.filter(Boolean).join(''));
+    }
+    forms.push(foldLongVowels(compact(base)));
+  }
+
+  return [...new Set(forms.filter(form => form.length > 0))];
+}
+
+module.exports = {
+  toHiragana,
+  toKatakana,
+  kanaToRomaji,
+  romajiToKana,
+  foldLongVowels,
+  fold,
+  compact,
+  variants
+};
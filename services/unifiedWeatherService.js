@@ -8,10 +8,13 @@
  * The service automatically falls back to Open-Meteo if:
  * - WWO API key is not configured
  * - WWO API fails or times out
+ *
+ * Each fresh fetch (not served from cache) triggers powder alert evaluation.
  */
 
 const wwoService = require('./wwoWeatherService');
 const openMeteoService = require('./weatherService');
+const powderAlerts = require('./powderAlerts');
 
 class UnifiedWeatherService {
   constructor() {
@@ -28,17 +31,21 @@ class UnifiedWeatherService {
    * Get current weather - tries WWO first, falls back to Open-Meteo
    */
   async getCurrentWeather() {
+    let data;
+
     if (this.useWWO) {
       try {
-        const data = await wwoService.getCurrentWeather();
-        return data;
+        data = await wwoService.getCurrentWeather();
       } catch (error) {
         console.warn('[Weather] WWO failed, falling back to Open-Meteo:', error.message);
-        return this.getOpenMeteoWithFallbackFlag();
+        data = await this.getOpenMeteoWithFallbackFlag();
       }
+    } else {
+      data = await openMeteoService.getCurrentWeather();
     }
 
-    return openMeteoService.getCurrentWeather();
+    if (!data.cached) this.handleRefresh(data);
+    return data;
   }
 
   /**
@@ -48,14 +55,29 @@ class UnifiedWeatherService {
     if (this.useWWO) {
       try {
         const data = await wwoService.getForecast();
+        if (!data.cached) this.handleRefresh(await wwoService.getCurrentWeather());
         return data;
       } catch (error) {
         console.warn('[Weather] WWO forecast failed, falling back to Open-Meteo:', error.message);
-        return this.getOpenMeteoForecastWithFallbackFlag();
+        const data = await this.getOpenMeteoForecastWithFallbackFlag();
+        if (!data.cached) this.handleRefresh(await openMeteoService.getCurrentWeather());
+        return data;
       }
     }
 
-    return openMeteoService.getForecast();
+    const data = await openMeteoService.getForecast();
+    if (!data.cached) this.handleRefresh(await openMeteoService.getCurrentWeather());
+    return data;
+  }
+
+  /**
+   * Run refresh hooks after a fresh fetch (not served from cache)
+   * Doesn't block the request - alert delivery happens in the background.
+   */
+  handleRefresh(data) {
+    powderAlerts.evaluateAlerts(data).catch(error => {
+      console.error('[Weather] Powder alert evaluation failed:', error.message);
+    });
   }
 
   /**
@@ -0,0 +1,388 @@
+/**
+ * Weather History Service
+ *
+ * Records every fresh weather fetch (weather_runs) and keeps an hourly
+ * history per elevation (weather_hourly), so we can answer "how much fell
+ * overnight / this week / this season" and check how good the forecasts
+ * were. weather_cache still holds the latest forecast for fast reads.
+ *
+ * Snowfall values are in cm. Days are resort-local calendar days.
+ */
+
+const { pool } = require('../db/pool');
+const seasonService = require('./seasonService');
+
+// Hours kept around the fetch time (past hours = observed, future = forecast)
+const HISTORY_WINDOW_HOURS = 48;
+
+// A forecast must be at least this far ahead to count as the day-ahead forecast
+const DAY_AHEAD_LEAD_HOURS = 24;
+
+// "Overnight" = after the lifts close until first lifts (resort local time)
+const OVERNIGHT_START = '16:00';
+const OVERNIGHT_END = '08:00';
+
+// New forecast is at least as close to 24h ahead as the stored one
+const closerForecast = `EXCLUDED.forecast_lead_hours IS NOT NULL AND (
+            weather_hourly.forecast_lead_hours IS NULL
+            OR EXCLUDED.forecast_lead_hours <= weather_hourly.forecast_lead_hours)`;
+
+const round = value => Math.round((parseFloat(value) || 0) * 10) / 10;
+
+/**
+ * Get the resort row used for timezone and season lookups
+ */
+async function getResort(resortId) {
+  const result = await pool.query(`
+    SELECT id, timezone, season_start_month, season_start_day, season_end_month, season_end_day
+    FROM resorts
+    WHERE id = $1
+  `, [resortId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a fresh weather fetch and merge its hourly data into the history
+ *
+ * Hourly times without a UTC offset (Open-Meteo) are read as resort local time.
+ *
+ * @param {number} resortId - Resort ID
+ * @param {string} source - 'wwo' or 'open-meteo'
+ * @param {Object} weatherData - { levels: [{ location, elevation, hourly }], snow_line }
+ * @returns {Promise<Object>} { runId, hoursRecorded }
+ */
+async function recordRun(resortId, source, weatherData) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const run = await client.query(`
+      INSERT INTO weather_runs (resort_id, source, snow_line)
+      VALUES ($1, $2, $3)
+      RETURNING id, fetched_at
+    `, [resortId, source, weatherData.snow_line || null]);
+    const { id: runId, fetched_at: fetchedAt } = run.rows[0];
+
+    let hoursRecorded = 0;
+    for (const level of weatherData.levels || []) {
+      const hourly = level.hourly || {};
+      if (!hourly.time || !hourly.snowfall) continue;
+
+      const result = await client.query(`
+        WITH hours AS (
+          SELECT
+            CASE WHEN u.time ~ '(Z|[+-]\\d{2}:?\\d{2})$'
+              THEN u.time::timestamptz
+              ELSE u.time::timestamp AT TIME ZONE r.timezone
+            END AS valid_at,
+            u.snowfall, u.precipitation, u.temperature, u.weather_code
+          FROM unnest($4::text[], $5::numeric[], $6::numeric[], $7::numeric[], $8::int[])
+            AS u(time, snowfall, precipitation, temperature, weather_code)
+          CROSS JOIN resorts r
+          WHERE r.id = $1
+        ),
+        windowed AS (
+          SELECT *, FLOOR(EXTRACT(EPOCH FROM (valid_at - $9::timestamptz)) / 3600)::int AS lead_hours
+          FROM hours
+          WHERE valid_at BETWEEN $9::timestamptz - make_interval(hours => $11)
+                             AND $9::timestamptz + make_interval(hours => $11)
+        )
+        INSERT INTO weather_hourly (
+          resort_id, elevation_name, elevation_m, valid_at,
+          snowfall_cm, precipitation_mm, temperature_c, weather_code,
+          observed, source, run_id,
+          forecast_snowfall_cm, forecast_lead_hours, forecast_run_id
+        )
+        SELECT
+          $1, $2, $3, valid_at,
+          snowfall, precipitation, temperature, weather_code,
+          valid_at <= $9::timestamptz, $10, $12,
+          CASE WHEN lead_hours >= $13 THEN snowfall END,
+          CASE WHEN lead_hours >= $13 THEN lead_hours END,
+          CASE WHEN lead_hours >= $13 THEN $12::int END
+        FROM windowed
+        ON CONFLICT (resort_id, elevation_name, valid_at)
+        DO UPDATE SET
+          elevation_m = EXCLUDED.elevation_m,
+          snowfall_cm = EXCLUDED.snowfall_cm,
+          precipitation_mm = EXCLUDED.precipitation_mm,
+          temperature_c = EXCLUDED.temperature_c,
+          weather_code = EXCLUDED.weather_code,
+          observed = EXCLUDED.observed,
+          source = EXCLUDED.source,
+          run_id = EXCLUDED.run_id,
+          updated_at = NOW(),
+          -- Keep the forecast made closest to 24h ahead
+          forecast_snowfall_cm = CASE WHEN ${closerForecast} THEN EXCLUDED.forecast_snowfall_cm ELSE weather_hourly.forecast_snowfall_cm END,
+          forecast_run_id = CASE WHEN ${closerForecast} THEN EXCLUDED.forecast_run_id ELSE weather_hourly.forecast_run_id END,
+          forecast_lead_hours = CASE WHEN ${closerForecast} THEN EXCLUDED.forecast_lead_hours ELSE weather_hourly.forecast_lead_hours END
+      `, [
+        resortId,
+        level.location,
+        level.elevation || null,
+        hourly.time,
+        hourly.snowfall,
+        hourly.precipitation || hourly.time.map(() => null),
+        hourly.temperature_2m || hourly.time.map(() => null),
+        hourly.weather_code || hourly.time.map(() => null),
+        fetchedAt,
+        source,
+        HISTORY_WINDOW_HOURS,
+        runId,
+        DAY_AHEAD_LEAD_HOURS
+      ]);
+
+      hoursRecorded += result.rowCount;
+    }
+
+    // Forecast totals for the run, from what was just recorded
+    await client.query(`
+      UPDATE weather_runs w
+      SET hours_recorded = $3,
+          village_next_24h_snowfall = t.village,
+          mid_mountain_next_24h_snowfall = t.mid_mountain,
+          summit_next_24h_snowfall = t.summit
+      FROM (
+        SELECT
+          SUM(snowfall_cm) FILTER (WHERE elevation_name = 'Village') AS village,
+          SUM(snowfall_cm) FILTER (WHERE elevation_name = 'Mid-Mountain') AS mid_mountain,
+          SUM(snowfall_cm) FILTER (WHERE elevation_name = 'Summit') AS summit
+        FROM weather_hourly
+        WHERE resort_id = $1 AND run_id = $2
+          AND valid_at > $4::timestamptz AND valid_at <= $4::timestamptz + interval '24 hours'
+      ) t
+      WHERE w.id = $2
+    `, [resortId, runId, hoursRecorded, fetchedAt]);
+
+    await client.query('COMMIT');
+
+    console.log(`[Weather History] Recorded ${source} run ${runId} (${hoursRecorded} hourly values)`);
+    return { runId, hoursRecorded };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Observed snowfall per elevation and local day since a date
+ */
+async function getDailySnowfall(resortId, timezone, since) {
+  const result = await pool.query(`
+    SELECT
+      elevation_name,
+      MAX(elevation_m) AS elevation_m,
+      to_char((valid_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') AS day,
+      SUM(snowfall_cm) AS snowfall,
+      COUNT(*) AS hours
+    FROM weather_hourly
+    WHERE resort_id = $1
+      AND observed = true
+      AND valid_at >= ($2::date)::timestamp AT TIME ZONE $3
+    GROUP BY elevation_name, day
+    ORDER BY day
+  `, [resortId, since, timezone]);
+
+  return result.rows;
+}
+
+/**
+ * Group daily rows by elevation (lowest first)
+ */
+function groupByElevation(rows) {
+  const levels = new Map();
+
+  rows.forEach(row => {
+    if (!levels.has(row.elevation_name)) {
+      levels.set(row.elevation_name, { location: row.elevation_name, elevation: row.elevation_m, days: [] });
+    }
+    levels.get(row.elevation_name).days.push(row);
+  });
+
+  return [...levels.values()].sort((a, b) => (a.elevation || 0) - (b.elevation || 0));
+}
+
+/**
+ * YYYY-MM-DD n days before a date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Season-to-date snowfall per elevation
+ *
+ * @param {number} resortId - Resort ID
+ * @param {string|null} since - YYYY-MM-DD (default: opening day of the current or last season)
+ * @returns {Promise<Object|null>} null if the resort is unknown
+ */
+async function getSeasonSnowfall(resortId, since = null) {
+  const resort = await getResort(resortId);
+  if (!resort) return null;
+
+  const seasonInfo = seasonService.getSeasonInfo(resort);
+  const season = seasonInfo && (seasonInfo.current || seasonInfo.previous);
+  const from = since || (season ? season.opensOn : `${seasonInfo.today.slice(0, 4)}-01-01`);
+
+  const rows = await getDailySnowfall(resortId, resort.timezone, from);
+
+  return {
+    since: from,
+    season: !since && season ? season.label : null,
+    inSeason: seasonInfo ? seasonInfo.inSeason : null,
+    timezone: resort.timezone,
+    levels: groupByElevation(rows).map(level => {
+      const biggest = level.days.reduce((max, d) => (!max || parseFloat(d.snowfall) > parseFloat(max.snowfall) ? d : max), null);
+
+      return {
+        location: level.location,
+        elevation: level.elevation,
+        total_snowfall: round(level.days.reduce((sum, d) => sum + parseFloat(d.snowfall || 0), 0)),
+        snow_days: level.days.filter(d => parseFloat(d.snowfall) > 0).length,
+        days_tracked: level.days.length,
+        biggest_day: biggest && parseFloat(biggest.snowfall) > 0
+          ? { date: biggest.day, snowfall: round(biggest.snowfall) }
+          : null
+      };
+    })
+  };
+}
+
+/**
+ * Daily snowfall for the last N days (including today), plus the last
+ * 24 hours and overnight totals per elevation
+ *
+ * @param {number} resortId - Resort ID
+ * @param {number} days - Number of days (default 7)
+ * @returns {Promise<Object|null>} null if the resort is unknown
+ */
+async function getRecentSnowfall(resortId, days = 7) {
+  const resort = await getResort(resortId);
+  if (!resort) return null;
+
+  const today = seasonService.getLocalDate(resort.timezone);
+  const from = addDays(today, -(days - 1));
+  const dates = Array.from({ length: days }, (_, i) => addDays(from, i));
+
+  const rows = await getDailySnowfall(resortId, resort.timezone, from);
+
+  const recent = await pool.query(`
+    SELECT
+      elevation_name,
+      SUM(snowfall_cm) FILTER (WHERE valid_at > NOW() - interval '24 hours') AS last_24h,
+      SUM(snowfall_cm) FILTER (
+        WHERE valid_at > ((NOW() AT TIME ZONE $2)::date - 1 + $3::time) AT TIME ZONE $2
+          AND valid_at <= ((NOW() AT TIME ZONE $2)::date + $4::time) AT TIME ZONE $2
+      ) AS overnight
+    FROM weather_hourly
+    WHERE resort_id = $1
+      AND observed = true
+      AND valid_at > NOW() - interval '48 hours'
+    GROUP BY elevation_name
+  `, [resortId, resort.timezone, OVERNIGHT_START, OVERNIGHT_END]);
+  const recentByLevel = new Map(recent.rows.map(row => [row.elevation_name, row]));
+
+  return {
+    from,
+    to: today,
+    timezone: resort.timezone,
+    overnight_window: `${OVERNIGHT_START}-${OVERNIGHT_END}`,
+    levels: groupByElevation(rows).map(level => {
+      const byDay = new Map(level.days.map(d => [d.day, d]));
+      const daily = dates.map(date => ({
+        date,
+        snowfall: round(byDay.get(date)?.snowfall),
+        hours_tracked: parseInt(byDay.get(date)?.hours || 0)
+      }));
+
+      return {
+        location: level.location,
+        elevation: level.elevation,
+        total_snowfall: round(daily.reduce((sum, d) => sum + d.snowfall, 0)),
+        last_24h_snowfall: round(recentByLevel.get(level.location)?.last_24h),
+        overnight_snowfall: round(recentByLevel.get(level.location)?.overnight),
+        daily
+      };
+    })
+  };
+}
+
+/**
+ * Day-ahead forecast vs. observed snowfall per elevation and day
+ *
+ * Only hours that have both a day-ahead forecast and an observation count.
+ *
+ * @param {number} resortId - Resort ID
+ * @param {number} days - Number of days back (default 7)
+ * @returns {Promise<Object|null>} null if the resort is unknown
+ */
+async function getForecastAccuracy(resortId, days = 7) {
+  const resort = await getResort(resortId);
+  if (!resort) return null;
+
+  const today = seasonService.getLocalDate(resort.timezone);
+  const from = addDays(today, -(days - 1));
+
+  const result = await pool.query(`
+    SELECT
+      elevation_name,
+      MAX(elevation_m) AS elevation_m,
+      to_char((valid_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') AS day,
+      SUM(forecast_snowfall_cm) AS forecast,
+      SUM(snowfall_cm) AS actual,
+      COUNT(*) AS hours,
+      ROUND(AVG(forecast_lead_hours)) AS avg_lead_hours
+    FROM weather_hourly
+    WHERE resort_id = $1
+      AND observed = true
+      AND forecast_snowfall_cm IS NOT NULL
+      AND valid_at >= ($2::date)::timestamp AT TIME ZONE $3
+    GROUP BY elevation_name, day
+    ORDER BY day
+  `, [resortId, from, resort.timezone]);
+
+  return {
+    from,
+    to: today,
+    timezone: resort.timezone,
+    forecast_type: `day-ahead (made at least ${DAY_AHEAD_LEAD_HOURS}h before)`,
+    levels: groupByElevation(result.rows).map(level => {
+      const daily = level.days.map(d => ({
+        date: d.day,
+        forecast_snowfall: round(d.forecast),
+        actual_snowfall: round(d.actual),
+        difference: round(d.forecast - d.actual),
+        hours_compared: parseInt(d.hours),
+        avg_lead_hours: parseInt(d.avg_lead_hours)
+      }));
+      const totalForecast = daily.reduce((sum, d) => sum + d.forecast_snowfall, 0);
+      const totalActual = daily.reduce((sum, d) => sum + d.actual_snowfall, 0);
+
+      return {
+        location: level.location,
+        elevation: level.elevation,
+        total_forecast: round(totalForecast),
+        total_actual: round(totalActual),
+        // Positive = forecast too high
+        bias: round(totalForecast - totalActual),
+        mean_absolute_error: daily.length > 0
+          ? round(daily.reduce((sum, d) => sum + Math.abs(d.difference), 0) / daily.length)
+          : null,
+        daily
+      };
+    })
+  };
+}
+
+module.exports = {
+  recordRun,
+  getSeasonSnowfall,
+  getRecentSnowfall,
+  getForecastAccuracy
+};
@@ -11,6 +11,7 @@
  */
 
 const { pool } = require('../db/pool');
+const weatherHistory = require('./weatherHistory');
 
 class WeatherService {
   constructor() {
@@ -225,6 +226,13 @@ class WeatherService {
       console.error('❌ Failed to save weather to PostgreSQL:', error.message);
       // Don't throw - cache save failure shouldn't break the request
     }
+
+    // Append to the hourly snowfall history
+    try {
+      await weatherHistory.recordRun(1, 'open-meteo', weatherData);
+    } catch (error) {
+      console.error('❌ Failed to record weather history:', error.message);
+    }
   }
 
   /**
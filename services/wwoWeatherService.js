@@ -11,6 +11,7 @@
  */
 
 const { pool } = require('../db/pool');
+const weatherHistory = require('./weatherHistory');
 
 class WWOWeatherService {
   constructor() {
@@ -413,21 +414,25 @@ class WWOWeatherService {
       // Calculate snowfall totals
       const summitLevel = weatherData.levels[2];
       const villageLevel = weatherData.levels[0];
+      const villageSnow24h = this.calculateSnowfallForHours(villageLevel.hourly, 24);
+      const midMountainSnow24h = this.calculateSnowfallForHours(weatherData.levels[1].hourly, 24);
       const summitSnow24h = this.calculateSnowfallForHours(summitLevel.hourly, 24);
 
       await this.pool.query(`
         INSERT INTO weather_cache (
           resort_id, weather_data, snow_line,
           village_temp_c, summit_temp_c,
-          summit_next_24h_snowfall,
+          village_next_24h_snowfall, mid_mountain_next_24h_snowfall, summit_next_24h_snowfall,
           fetched_at, expires_at, source_url
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $8)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9, $10)
         ON CONFLICT (resort_id)
         DO UPDATE SET
           weather_data = EXCLUDED.weather_data,
           snow_line = EXCLUDED.snow_line,
           village_temp_c = EXCLUDED.village_temp_c,
           summit_temp_c = EXCLUDED.summit_temp_c,
+          village_next_24h_snowfall = EXCLUDED.village_next_24h_snowfall,
+          mid_mountain_next_24h_snowfall = EXCLUDED.mid_mountain_next_24h_snowfall,
           summit_next_24h_snowfall = EXCLUDED.summit_next_24h_snowfall,
           fetched_at = NOW(),
           expires_at = EXCLUDED.expires_at,
@@ -438,6 +443,8 @@ class WWOWeatherService {
         weatherData.snow_line,
         villageLevel.current.temperature_2m,
         summitLevel.current.temperature_2m,
+        villageSnow24h,
+        midMountainSnow24h,
         summitSnow24h,
         expiresAt,
         'https://api.worldweatheronline.com'
@@ -447,6 +454,13 @@ class WWOWeatherService {
     } catch (error) {
       console.error('[WWO Weather] Failed to save to PostgreSQL:', error.message);
     }
+
+    // Append to the hourly snowfall history
+    try {
+      await weatherHistory.recordRun(1, 'wwo', weatherData);
+    } catch (error) {
+      console.error('[WWO Weather] Failed to record weather history:', error.message);
+    }
   }
 
   /**
@@ -0,0 +1,85 @@
+/**
+ * Alert delivery tests
+ *
+ * Webhook targets must stay publicly reachable: checked on save, and
+ * against the resolved address on send. DNS is stubbed with node:test
+ * mocks - no network needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const alertDelivery = require('../services/alertDelivery');
+
+const webhookError = target => alertDelivery.validateTarget('webhook', target);
+
+function lookup(hostname, options = {}) {
+  return new Promise((resolve, reject) => {
+    alertDelivery.publicLookup(hostname, options, (error, address, family) => {
+      if (error) reject(error);
+      else resolve(options.all ? address : { address, family });
+    });
+  });
+}
+
+describe('Webhook targets', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('public https URLs are accepted', () => {
+    assert.equal(webhookError('https://hooks.example.com/powder'), null);
+    assert.equal(webhookError('https://8.8.8.8/hook'), null);
+    assert.equal(webhookError('https://[2001:4860:4860::8888]/hook'), null);
+    assert.equal(webhookError('http://hooks.example.com/powder'), 'Webhook URL must use https');
+  });
+
+  test('private, loopback and reserved addresses are refused in any notation', () => {
+    for (const target of [
+      'https://localhost/hook',
+      'https://api.localhost/hook',
+      'https://127.0.0.1/hook',
+      'https://2130706433/hook',     // decimal 127.0.0.1
+      'https://0177.0.0.1/hook',     // octal
+      'https://0x7f.1/hook',         // hex, short form
+      'https://0.0.0.0/hook',
+      'https://10.1.2.3/hook',
+      'https://100.64.0.1/hook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://172.20.0.1/hook',
+      'https://192.168.1.1/hook',
+      'https://[::1]/hook',
+      'https://[::]/hook',
+      'https://[fc00::1]/hook',
+      'https://[fd12:3456::1]/hook',
+      'https://[fe80::1]/hook',
+      'https://[::ffff:127.0.0.1]/hook',
+      'https://[::ffff:a9fe:a9fe]/hook'
+    ]) {
+      assert.equal(webhookError(target), 'Webhook URL must be publicly reachable', target);
+    }
+  });
+
+  test('hosts resolving to a private address are refused at connect time', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+      const addresses = {
+        'hooks.example.com': [{ address: '93.184.216.34', family: 4 }],
+        'rebind.example.com': [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }],
+        'mapped.example.com': [{ address: '::ffff:169.254.169.254', family: 6 }]
+      }[hostname];
+      callback(null, addresses);
+    });
+
+    assert.deepEqual(await lookup('hooks.example.com'), { address: '93.184.216.34', family: 4 });
+    assert.deepEqual(await lookup('hooks.example.com', { all: true }), [{ address: '93.184.216.34', family: 4 }]);
+    await assert.rejects(lookup('rebind.example.com'), /non-public address/);
+    await assert.rejects(lookup('mapped.example.com', { all: true }), /non-public address/);
+  });
+
+  test('stored private targets are refused on send without a request', async () => {
+    await assert.rejects(
+      alertDelivery.deliver('webhook', 'https://169.254.169.254/hook', { title: 'Powder', message: '30cm' }),
+      /publicly reachable/
+    );
+  });
+});
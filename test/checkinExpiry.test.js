@@ -0,0 +1,51 @@
+/**
+ * Check-in expiry rule tests
+ *
+ * Per-category expiry durations come from CHECKIN_EXPIRY_MINUTES over
+ * built-in defaults - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const checkinExpiry = require('../services/checkinExpiry');
+
+describe('Check-in expiry rules', () => {
+  afterEach(() => {
+    delete process.env.CHECKIN_EXPIRY_MINUTES;
+    delete process.env.MEETUP_EXPIRY_GRACE_MINUTES;
+  });
+
+  test('defaults when nothing is configured', () => {
+    assert.deepEqual(checkinExpiry.parseExpiryRules(''), checkinExpiry.DEFAULT_EXPIRY_MINUTES);
+    assert.equal(checkinExpiry.parseExpiryRules(undefined).default, 60);
+  });
+
+  test('configured categories override the defaults', () => {
+    const rules = checkinExpiry.parseExpiryRules('onsen:45, Lift:20,bar:120');
+
+    assert.equal(rules.onsen, 45);
+    assert.equal(rules.lift, 20);
+    assert.equal(rules.bar, 120);
+    assert.equal(rules.restaurant, checkinExpiry.DEFAULT_EXPIRY_MINUTES.restaurant);
+  });
+
+  test('invalid entries are ignored', () => {
+    const rules = checkinExpiry.parseExpiryRules('onsen:abc,lift:-5,:30,restaurant');
+
+    assert.deepEqual(rules, checkinExpiry.DEFAULT_EXPIRY_MINUTES);
+  });
+
+  test('reads rules and meetup grace from the environment', () => {
+    process.env.CHECKIN_EXPIRY_MINUTES = 'default:40';
+    process.env.MEETUP_EXPIRY_GRACE_MINUTES = '30';
+
+    const rules = checkinExpiry.getExpiryRules();
+    assert.equal(rules.checkinMinutes.default, 40);
+    assert.equal(rules.meetupGraceMinutes, 30);
+
+    process.env.MEETUP_EXPIRY_GRACE_MINUTES = 'soon';
+    assert.equal(checkinExpiry.getExpiryRules().meetupGraceMinutes, 120);
+  });
+});
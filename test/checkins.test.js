@@ -0,0 +1,103 @@
+/**
+ * Legacy check-in shape tests
+ *
+ * Group endpoints return group_checkins rows in the old checkin_new shape;
+ * formatLegacyCheckin is pure - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const checkinService = require('../services/checkinService');
+
+// A group_checkins row as read with details (Date objects, JSONB coords)
+const row = {
+  id: 31,
+  group_id: 4,
+  group_code: '123456',
+  user_name: 'Aki',
+  device_id: 'device-a',
+  place_id: 12,
+  place_external_id: 'ChIJ-oyu',
+  place_name: 'Oyu',
+  current_place_name: 'Oyu Onsen',
+  place_category: 'onsen',
+  checked_in_at: new Date('2027-01-10T10:00:00.000Z'),
+  checked_out_at: null,
+  is_active: true,
+  accommodation_place_id: null,
+  accommodation_coords: null,
+  accommodation_name: null,
+  display_accommodation_to_group: false,
+  scheduled_for: null,
+  meetup_note: null,
+  checkout_reason: null,
+  source: 'manual'
+};
+
+describe('Legacy check-in shape', () => {
+  test('has exactly the checkin_new columns (member_id in place of device_id)', () => {
+    assert.deepEqual(Object.keys(checkinService.formatLegacyCheckin(row)), [
+      'id', 'group_code', 'user_name', 'member_id', 'place_id', 'place_name',
+      'checked_in_at', 'checked_out_at', 'is_active',
+      'accommodation_place_id', 'accommodation_coords', 'accommodation_name', 'display_accommodation_to_group',
+      'scheduled_for', 'meetup_note'
+    ]);
+  });
+
+  test('the device is shown by its member id, which differs per group', () => {
+    const formatted = checkinService.formatLegacyCheckin(row);
+    assert.match(formatted.member_id, /^[\w-]{22}$/);
+    assert.doesNotMatch(formatted.member_id, /device-a/);
+    assert.equal(checkinService.formatLegacyCheckin({ ...row, id: 32 }).member_id, formatted.member_id);
+    assert.notEqual(checkinService.formatLegacyCheckin({ ...row, group_code: '654321' }).member_id, formatted.member_id);
+  });
+
+  test('timestamps are Unix-ms strings, and an open check-in has no checkout time', () => {
+    const open = checkinService.formatLegacyCheckin(row);
+    assert.equal(open.checked_in_at, '1799575200000');
+    assert.equal(open.checked_out_at, null);
+
+    const closed = checkinService.formatLegacyCheckin({
+      ...row,
+      checked_out_at: new Date('2027-01-10T11:30:00.000Z'),
+      is_active: false,
+      checkout_reason: 'checked_out'
+    });
+    assert.equal(closed.checked_out_at, '1799580600000');
+  });
+
+  test("place_id is the app's place id and the current place name wins", () => {
+    const formatted = checkinService.formatLegacyCheckin(row);
+    assert.equal(formatted.place_id, 'ChIJ-oyu');
+    assert.equal(formatted.place_name, 'Oyu Onsen');
+
+    // Not linked to a known place
+    const unlinked = checkinService.formatLegacyCheckin({ ...row, place_id: null, current_place_name: null });
+    assert.equal(unlinked.place_name, 'Oyu');
+  });
+
+  test('accommodation coords are a JSON string, as checkin_new stored them', () => {
+    const formatted = checkinService.formatLegacyCheckin({
+      ...row,
+      accommodation_place_id: 'hotel-1',
+      accommodation_coords: { lat: 36.92, lng: 138.44 },
+      accommodation_name: 'Lodge',
+      display_accommodation_to_group: true
+    });
+
+    assert.equal(formatted.accommodation_coords, '{"lat":36.92,"lng":138.44}');
+    assert.equal(formatted.accommodation_name, 'Lodge');
+    assert.equal(checkinService.formatLegacyCheckin(row).accommodation_coords, null);
+  });
+
+  test('meetup mirror rows keep their schedule and note', () => {
+    const scheduledFor = new Date('2027-01-11T01:00:00.000Z');
+    const formatted = checkinService.formatLegacyCheckin({ ...row, scheduled_for: scheduledFor, meetup_note: 'Bring a towel' });
+
+    assert.equal(formatted.scheduled_for, scheduledFor);
+    assert.equal(formatted.meetup_note, 'Bring a towel');
+    assert.equal(formatted.group_code, '123456');
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Device auth tests
+ *
+ * Token signing and the grace period are pure. Registration and
+ * resolveDevice's database lookups (touchDevice / isRegistered) run
+ * against a stubbed pool / service (node:test mocks).
+ *
+ * Run: npm test
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-0123456789abcdefghijklmnopqrstuvwxyz';
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db/pool');
+const deviceAuth = require('../services/deviceAuth');
+const { resolveDevice, authenticateDevice, requireDeviceToken } = require('../middleware/auth');
+
+function request({ token = null, deviceId = null } = {}) {
+  return {
+    method: 'POST',
+    path: '/api/groups/ABC123/checkin',
+    params: {},
+    query: {},
+    body: deviceId ? { deviceId } : {},
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// A grace period that ended long ago
+const CLOSED = '2000-01-01';
+
+function withGrace(until) {
+  if (until) process.env.DEVICE_AUTH_GRACE_UNTIL = until;
+  else delete process.env.DEVICE_AUTH_GRACE_UNTIL;
+}
+
+describe('Device tokens and grace period', () => {
+  afterEach(() => withGrace(null));
+
+  test('tokens round-trip and admin tokens are not device tokens', () => {
+    const token = deviceAuth.signDeviceToken({ device_id: 'device-a', token_version: 3 });
+    const decoded = deviceAuth.verifyDeviceToken(token);
+    assert.equal(decoded.deviceId, 'device-a');
+    assert.equal(decoded.ver, 3);
+
+    const adminToken = jwt.sign({ id: 1, email: 'admin@example.com' }, process.env.JWT_SECRET);
+    assert.throws(() => deviceAuth.verifyDeviceToken(adminToken));
+  });
+
+  test('grace period runs to the end of the 2026/27 season when unset', () => {
+    withGrace(null);
+    assert.equal(deviceAuth.isGracePeriod(new Date('2027-05-31T12:00:00Z')), true);
+    assert.equal(deviceAuth.isGracePeriod(new Date('2027-06-01T00:00:00Z')), false);
+
+    process.env.DEVICE_AUTH_GRACE_UNTIL = '';
+    assert.equal(deviceAuth.isGracePeriod(new Date('2027-01-10T00:00:00Z')), true);
+  });
+
+  test('grace period is open until the date it is set to', () => {
+    const now = new Date('2026-12-01T00:00:00Z');
+
+    withGrace('2026-12-31');
+    assert.equal(deviceAuth.isGracePeriod(now), true);
+
+    withGrace('2026-11-30');
+    assert.equal(deviceAuth.isGracePeriod(now), false);
+
+    withGrace('next winter');
+    assert.equal(deviceAuth.isGracePeriod(now), false);
+  });
+});
+
+describe('Device registration', () => {
+  let statements;
+
+  beforeEach(() => {
+    statements = [];
+    mock.method(pool, 'query', async (sql, params) => {
+      statements.push({ sql: sql.trim().replace(/\s+/g, ' '), params });
+      if (sql.includes('INSERT INTO devices')) {
+        return { rows: [{ device_id: params[0], token_version: 1, platform: params[1] }] };
+      }
+      return { rows: params[0] === 'device-a' && params[1] === 1 ? [{ device_id: 'device-a', token_version: 2 }] : [] };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('new registrations get a device id generated by the server', async () => {
+    const first = await deviceAuth.registerDevice({ platform: 'ios', deviceId: 'victim-device' });
+    const second = await deviceAuth.registerDevice({ platform: 'ios' });
+
+    assert.match(first.device.device_id, /^dev_[0-9a-f]{32}$/);
+    assert.notEqual(first.device.device_id, second.device.device_id);
+    assert.ok(!statements.some(({ params }) => params.includes('victim-device')));
+    assert.equal(deviceAuth.verifyDeviceToken(first.token).deviceId, first.device.device_id);
+  });
+
+  test('the current token keeps the id and rotates the token', async () => {
+    const result = await deviceAuth.registerDevice({}, { deviceId: 'device-a', ver: 1 });
+    assert.equal(result.device.device_id, 'device-a');
+    assert.equal(deviceAuth.verifyDeviceToken(result.token).ver, 2);
+    assert.match(statements[0].sql, /revoked_at IS NULL/);
+  });
+
+  test('a revoked or superseded token gets nothing back', async () => {
+    assert.equal(await deviceAuth.registerDevice({}, { deviceId: 'device-a', ver: 0 }), null);
+    assert.equal(statements.filter(({ sql }) => sql.startsWith('INSERT')).length, 0);
+  });
+
+  test('revoked and erased ids stay registered, so deviceId alone never works for them', async () => {
+    await deviceAuth.revokeDevice('device-b');
+    assert.match(statements[0].sql, /^INSERT INTO devices .* ON CONFLICT \(device_id\) DO UPDATE SET .*revoked_at = NOW\(\)/);
+
+    await deviceAuth.isRegistered('device-b');
+    assert.doesNotMatch(statements[1].sql, /revoked_at/);
+  });
+});
+
+describe('resolveDevice', () => {
+  const token = deviceAuth.signDeviceToken({ device_id: 'device-a', token_version: 1 });
+
+  beforeEach(() => {
+    mock.method(deviceAuth, 'touchDevice', async () => true);
+    mock.method(deviceAuth, 'isRegistered', async () => false);
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    withGrace(null);
+  });
+
+  test('a current token identifies the device without a deviceId', async () => {
+    assert.deepEqual(await resolveDevice(request({ token })), { device: { id: 'device-a', legacy: false } });
+  });
+
+  test('a token for another device is rejected', async () => {
+    const result = await resolveDevice(request({ token, deviceId: 'device-b' }));
+    assert.equal(result.status, 403);
+  });
+
+  test('a revoked or superseded token is rejected', async () => {
+    deviceAuth.touchDevice.mock.mockImplementation(async () => false);
+    const result = await resolveDevice(request({ token }));
+    assert.equal(result.status, 401);
+    assert.equal(result.error, 'Device token revoked');
+  });
+
+  test('a malformed header or bad signature is rejected', async () => {
+    const malformed = request();
+    malformed.headers.authorization = token;
+    assert.equal((await resolveDevice(malformed)).status, 401);
+    assert.equal((await resolveDevice(request({ token: `${token}x` }))).error, 'Invalid device token');
+  });
+
+  test('a registered device always needs its token', async () => {
+    withGrace('2999-12-31');
+    deviceAuth.isRegistered.mock.mockImplementation(async () => true);
+    const result = await resolveDevice(request({ deviceId: 'device-a' }));
+    assert.equal(result.status, 401);
+    assert.equal(result.error, 'Device token required');
+  });
+
+  test('unregistered devices act by deviceId only during the grace period', async () => {
+    withGrace('2999-12-31');
+    assert.deepEqual(
+      await resolveDevice(request({ deviceId: 'device-b' })),
+      { device: { id: 'device-b', legacy: true } }
+    );
+
+    withGrace(CLOSED);
+    assert.equal((await resolveDevice(request({ deviceId: 'device-b' }))).status, 401);
+  });
+
+  test('authenticateDevice needs a device either way', async () => {
+    const next = mock.fn();
+
+    withGrace(CLOSED);
+    const closed = response();
+    await authenticateDevice(request(), closed, next);
+    assert.equal(closed.statusCode, 401);
+
+    withGrace('2999-12-31');
+    const open = response();
+    await authenticateDevice(request(), open, next);
+    assert.equal(open.statusCode, 400);
+
+    const req = request({ token });
+    await authenticateDevice(req, response(), next);
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.device.id, 'device-a');
+  });
+
+  test('own-data routes never accept deviceId alone, even during the grace period', async () => {
+    withGrace('2999-12-31');
+    const next = mock.fn();
+
+    const legacy = request();
+    legacy.params.deviceId = 'device-b';
+    const legacyRes = response();
+    await requireDeviceToken(legacy, legacyRes, next);
+    assert.equal(legacyRes.statusCode, 401);
+
+    const other = request({ token });
+    other.params.deviceId = 'device-b';
+    const otherRes = response();
+    await requireDeviceToken(other, otherRes, next);
+    assert.equal(otherRes.statusCode, 403);
+    assert.equal(next.mock.callCount(), 0);
+
+    const own = request({ token });
+    own.params.deviceId = 'device-a';
+    await requireDeviceToken(own, response(), next);
+    assert.equal(next.mock.callCount(), 1);
+    assert.deepEqual(own.device, { id: 'device-a', legacy: false });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Geo helper tests
+ *
+ * The helpers are pure. GET /places/nearby goes through the real router
+ * on a local port with the pool stubbed (node:test mocks).
+ *
+ * Run: npm test
+ */
+
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { pool } = require('../db/pool');
+const geo = require('../services/geo');
+const placesRoutes = require('../routes/places');
+
+describe('Geo helpers', () => {
+  test('the bounding box contains every point within the radius', () => {
+    const box = geo.boundingBox(36.923, 138.446, 500);
+
+    // 500m north and east of the point
+    const east = geo.calculateDistance(36.923, 138.446, 36.923, box.maxLng);
+    assert.ok(36.923 + 500 / 111195 <= box.maxLat);
+    assert.ok(Math.abs(east - 500) < 1);
+  });
+
+  test('walking time allows for the detour and is at least a minute', () => {
+    assert.equal(geo.walkingMinutes(0), 1);
+    assert.equal(geo.walkingMinutes(30), 1);
+    assert.equal(geo.walkingMinutes(750), 13);
+  });
+
+  test('the SQL distance uses the given columns and placeholders', () => {
+    const sql = geo.distanceSql('p.latitude', 'p.longitude', '$2', '$3');
+
+    assert.match(sql, /radians\(p\.latitude - \$2::float8\)/);
+    assert.match(sql, /radians\(p\.longitude - \$3::float8\)/);
+    assert.match(sql, new RegExp(String(geo.EARTH_RADIUS_METERS)));
+  });
+});
+
+describe('Nearby places route', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.ENABLE_POSTGRES_READ = 'true';
+    const app = express();
+    app.use('/api/v2', placesRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    delete process.env.ENABLE_POSTGRES_READ;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('limit is clamped to 1-100', async () => {
+    mock.method(pool, 'query', async () => ({ rows: [] }));
+    const nearby = limit => fetch(`${baseUrl}/api/v2/places/nearby?lat=36.923&lng=138.446&limit=${limit}`);
+
+    for (const limit of ['-5', '0', '500', 'abc']) {
+      assert.equal((await nearby(limit)).status, 200, limit);
+    }
+    const limits = pool.query.mock.calls.map(call => call.arguments[1].at(-1));
+    assert.deepEqual(limits, [1, 20, 100, 20]);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Geofence matching and hysteresis tests
+ *
+ * Place matching and the presence state machine are pure functions -
+ * no database needed. The location routes go through the real device
+ * router on a local port with the service stubbed (node:test mocks).
+ *
+ * Run: npm test
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-0123456789abcdefghijklmnopqrstuvwxyz';
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const deviceAuth = require('../services/deviceAuth');
+const geofenceService = require('../services/geofenceService');
+const deviceRoutes = require('../routes/devices');
+const { calculateDistance } = require('../services/geo');
+
+// Ogama onsen and a restaurant ~60m east of it
+const onsen = { id: 1, external_id: 'ogama', name: 'Ogama', category: 'onsen', latitude: '36.9230000', longitude: '138.4460000' };
+const restaurant = { id: 2, external_id: 'ramen', name: 'Ramen', category: 'restaurant', latitude: '36.9230000', longitude: '138.4466700' };
+const radii = geofenceService.DEFAULT_RADIUS_METERS;
+
+// A point `meters` north of the onsen
+const north = meters => ({ lat: 36.923 + meters / 111195, lng: 138.446 });
+
+const settings = { dwellMs: 3 * 60000, exitFactor: 1.5, exitPings: 2, staleMs: 30 * 60000 };
+const minute = 60000;
+
+describe('Geofencing', () => {
+  test('distance is in meters', () => {
+    const distance = calculateDistance(36.923, 138.446, 36.924, 138.446);
+    assert.ok(Math.abs(distance - 111.2) < 1);
+  });
+
+  test('configured radii override the defaults', () => {
+    const rules = geofenceService.parseRadiusRules('onsen:55, Lift:90,bad:-1');
+
+    assert.equal(rules.onsen, 55);
+    assert.equal(rules.lift, 90);
+    assert.equal(rules.bad, undefined);
+    assert.equal(rules.restaurant, radii.restaurant);
+  });
+
+  test('a precise ping inside the radius is a confident match', () => {
+    const match = geofenceService.matchPlaces({ ...north(10), accuracy: 8 }, [onsen, restaurant], radii);
+
+    assert.equal(match.place.id, onsen.id);
+    assert.equal(match.confident, true);
+  });
+
+  test('poor accuracy, unknown accuracy or a ping at the edge is low confidence', () => {
+    assert.equal(geofenceService.matchPlaces({ ...north(10), accuracy: 60 }, [onsen], radii).confident, false);
+    assert.equal(geofenceService.matchPlaces({ ...north(10) }, [onsen], radii).confident, false);
+
+    // 50m out, only inside the 40m radius given 15m accuracy
+    const edge = geofenceService.matchPlaces({ ...north(50), accuracy: 15 }, [onsen], radii);
+    assert.equal(edge.place.id, onsen.id);
+    assert.equal(edge.confident, false);
+  });
+
+  test('two places about as close is low confidence', () => {
+    // Halfway between the onsen and the restaurant
+    const match = geofenceService.matchPlaces({ lat: 36.923, lng: 138.44633, accuracy: 10 }, [onsen, restaurant], radii);
+
+    assert.ok(match);
+    assert.equal(match.confident, false);
+    assert.equal(match.alternatives.length, 1);
+  });
+
+  test('no match outside every radius', () => {
+    assert.equal(geofenceService.matchPlaces({ ...north(200), accuracy: 10 }, [onsen, restaurant], radii), null);
+  });
+
+  test('checks in only after the dwell time', () => {
+    const match = geofenceService.matchPlaces({ ...north(5), accuracy: 5 }, [onsen], radii);
+    const observation = { match, distanceToCurrent: match.distance, currentRadius: radii.onsen };
+
+    let step = geofenceService.advancePresence(null, observation, 0, settings);
+    assert.equal(step.presence.status, 'pending');
+    assert.equal(step.action, null);
+
+    step = geofenceService.advancePresence(step.presence, observation, 1 * minute, settings);
+    assert.equal(step.action, null);
+
+    step = geofenceService.advancePresence(step.presence, observation, 3 * minute, settings);
+    assert.equal(step.action, 'checkin');
+    assert.equal(step.presence.status, 'checked_in');
+
+    step = geofenceService.advancePresence(step.presence, observation, 4 * minute, settings);
+    assert.equal(step.action, null);
+  });
+
+  test('a low-confidence ping during the visit suggests instead of checking in', () => {
+    const confident = geofenceService.matchPlaces({ ...north(5), accuracy: 5 }, [onsen], radii);
+    const fuzzy = geofenceService.matchPlaces({ ...north(5), accuracy: 70 }, [onsen], radii);
+
+    let step = geofenceService.advancePresence(null, { match: confident }, 0, settings);
+    step = geofenceService.advancePresence(step.presence, { match: fuzzy }, 2 * minute, settings);
+    step = geofenceService.advancePresence(step.presence, { match: confident }, 4 * minute, settings);
+
+    assert.equal(step.action, 'suggest');
+    assert.equal(step.presence.status, 'suggested');
+  });
+
+  test('jitter just outside the radius does not check out', () => {
+    const presence = { placeId: onsen.id, status: 'checked_in', enteredAt: 0, lastPingAt: 5 * minute, lowConfidence: false, outsidePings: 0 };
+
+    // 50m out: outside the 40m radius but inside the 60m exit radius
+    const step = geofenceService.advancePresence(presence, { match: null, distanceToCurrent: 50, currentRadius: radii.onsen }, 6 * minute, settings);
+    assert.equal(step.action, null);
+    assert.equal(step.presence.status, 'checked_in');
+    assert.equal(step.presence.outsidePings, 0);
+  });
+
+  test('checks out after consecutive pings beyond the exit radius', () => {
+    const presence = { placeId: onsen.id, status: 'checked_in', enteredAt: 0, lastPingAt: 5 * minute, lowConfidence: false, outsidePings: 0 };
+    const away = { match: null, distanceToCurrent: 150, currentRadius: radii.onsen };
+
+    let step = geofenceService.advancePresence(presence, away, 6 * minute, settings);
+    assert.equal(step.action, null);
+    assert.equal(step.presence.outsidePings, 1);
+
+    step = geofenceService.advancePresence(step.presence, away, 7 * minute, settings);
+    assert.equal(step.action, 'checkout');
+    assert.equal(step.presence, null);
+    assert.equal(step.previous.placeId, onsen.id);
+  });
+
+  test('stale state starts over without checking out', () => {
+    const presence = { placeId: onsen.id, status: 'checked_in', enteredAt: 0, lastPingAt: 0, lowConfidence: false, outsidePings: 0 };
+    const step = geofenceService.advancePresence(presence, { match: null, distanceToCurrent: 500, currentRadius: radii.onsen }, 60 * minute, settings);
+
+    assert.equal(step.action, null);
+    assert.equal(step.presence, null);
+  });
+});
+
+describe('Location routes', () => {
+  let server;
+  let baseUrl;
+
+  const token = deviceAuth.signDeviceToken({ device_id: 'dev_a', token_version: 1 });
+  const ping = { lat: 36.923, lng: 138.446, accuracy: 10, timestamp: Date.now() };
+
+  function call(method, path, { auth = token, body } = {}) {
+    return fetch(`${baseUrl}/api/devices${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(auth ? { Authorization: `Bearer ${auth}` } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/devices', deviceRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    // Grace period open: legacy deviceId-only calls still work elsewhere
+    process.env.DEVICE_AUTH_GRACE_UNTIL = '2999-12-31';
+    mock.method(deviceAuth, 'touchDevice', async () => true);
+    mock.method(deviceAuth, 'isRegistered', async () => false);
+    mock.method(geofenceService, 'recordPing', async () => ({ checkedIn: [], checkedOut: [], suggestions: [] }));
+    mock.method(geofenceService, 'getSuggestions', async () => []);
+  });
+
+  afterEach(() => {
+    delete process.env.DEVICE_AUTH_GRACE_UNTIL;
+    mock.restoreAll();
+  });
+
+  test('pings and suggestions need the device token, even during the grace period', async () => {
+    assert.equal((await call('POST', '/dev_a/location', { auth: null, body: { ...ping, deviceId: 'dev_a' } })).status, 401);
+    assert.equal((await call('GET', '/dev_a/location/suggestions?deviceId=dev_a', { auth: null })).status, 401);
+    assert.equal(geofenceService.recordPing.mock.callCount(), 0);
+  });
+
+  test("a token can't act for another device, and revoked tokens stop working", async () => {
+    assert.equal((await call('POST', '/dev_b/location', { body: ping })).status, 403);
+    assert.equal((await call('GET', '/dev_b/location/suggestions')).status, 403);
+
+    deviceAuth.touchDevice.mock.mockImplementation(async () => false);
+    assert.equal((await call('POST', '/dev_a/location', { body: ping })).status, 401);
+    assert.equal(geofenceService.recordPing.mock.callCount(), 0);
+  });
+
+  test('pings act as the device the token was issued to', async () => {
+    assert.equal((await call('POST', '/dev_a/location', { body: ping })).status, 200);
+    assert.equal(geofenceService.recordPing.mock.calls[0].arguments[0], 'dev_a');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Group event replay tests
+ *
+ * Publishing, Last-Event-ID replay and live subscriptions run against a
+ * stubbed pool (node:test mocks) - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db/pool');
+const groupEvents = require('../services/groupEvents');
+const memberIds = require('../services/memberIds');
+
+const eventRow = id => ({
+  id,
+  group_code: '123456',
+  event_type: 'checkin.created',
+  device_id: 'device-a',
+  payload: { placeId: 'ChIJ-oyu' },
+  created_at: '2027-01-10T10:00:00.000Z'
+});
+
+/**
+ * Answer the replay query with `rows` and the last-seen lookup with
+ * whether the client's last event is still stored
+ */
+function stubReplay(rows, { lastSeenStored = true } = {}) {
+  mock.method(pool, 'query', async sql => {
+    if (sql.includes('id > $2')) return { rows };
+    return { rows: lastSeenStored ? [{ '?column?': 1 }] : [] };
+  });
+}
+
+describe('Group events', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('replays the events after Last-Event-ID with string ids', async () => {
+    stubReplay([eventRow(12), eventRow(15)]);
+
+    const { events, truncated } = await groupEvents.getEventsSince('123456', '11');
+    assert.equal(truncated, false);
+    assert.deepEqual(events.map(event => event.id), ['12', '15']);
+    assert.deepEqual(events[0], {
+      id: '12',
+      type: 'checkin.created',
+      groupCode: '123456',
+      memberId: memberIds.getMemberId('123456', 'device-a'),
+      data: { placeId: 'ChIJ-oyu' },
+      createdAt: '2027-01-10T10:00:00.000Z'
+    });
+    assert.deepEqual(pool.query.mock.calls[0].arguments[1].slice(0, 2), ['123456', 11]);
+  });
+
+  test('a missing or non-numeric Last-Event-ID replays nothing', async () => {
+    mock.method(pool, 'query', async () => ({ rows: [] }));
+
+    assert.deepEqual(await groupEvents.getEventsSince('123456', undefined), { events: [], truncated: false });
+    assert.deepEqual(await groupEvents.getEventsSince('123456', 'abc'), { events: [], truncated: false });
+    assert.equal(pool.query.mock.callCount(), 0);
+  });
+
+  test('a pruned Last-Event-ID is truncated, so the client refetches', async () => {
+    stubReplay([eventRow(40)], { lastSeenStored: false });
+
+    const { events, truncated } = await groupEvents.getEventsSince('123456', '3');
+    assert.equal(truncated, true);
+    assert.equal(events.length, 1);
+  });
+
+  test('more than 500 missed events are truncated to the first 500', async () => {
+    stubReplay(Array.from({ length: 501 }, (_, i) => eventRow(i + 2)));
+
+    const { events, truncated } = await groupEvents.getEventsSince('123456', '1');
+    assert.equal(truncated, true);
+    assert.equal(events.length, 500);
+    assert.equal(events[499].id, '501');
+  });
+
+  test('published events reach subscribers of that group only', async () => {
+    mock.method(pool, 'query', async () => ({ rows: [eventRow(99)] }));
+    const received = [];
+    const unsubscribe = groupEvents.subscribe('123456', event => received.push(event.id));
+    const other = mock.fn();
+    const unsubscribeOther = groupEvents.subscribe('654321', other);
+
+    assert.equal(groupEvents.getSubscriberCount('123456'), 1);
+    const event = await groupEvents.publishGroupEvent('123456', 'checkin.created', { deviceId: 'device-a' });
+    assert.equal(event.id, '99');
+    assert.deepEqual(received, ['99']);
+    assert.equal(other.mock.callCount(), 0);
+
+    unsubscribe();
+    unsubscribeOther();
+    assert.equal(groupEvents.getSubscriberCount('123456'), 0);
+  });
+
+  test('a failed publish is logged, not thrown', async () => {
+    mock.method(pool, 'query', async () => { throw new Error('connection lost'); });
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await groupEvents.publishGroupEvent('123456', 'member.left'), null);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
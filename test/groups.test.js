@@ -0,0 +1,152 @@
+/**
+ * Group moderation tests
+ *
+ * Public group fields, season-end expiry, member ids and the role
+ * middleware. Membership lookups (groupService.getMember) and the pool are
+ * stubbed with node:test mocks - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db/pool');
+const groupService = require('../services/groupService');
+const memberIds = require('../services/memberIds');
+const {
+  requireActiveGroup,
+  requireGroupRole,
+  requireGroupModerator,
+  requireGroupOwner
+} = require('../middleware/groups');
+
+const resort = {
+  id: 999,
+  slug: 'test-resort',
+  timezone: 'Asia/Tokyo',
+  season_start_month: 12,
+  season_start_day: 10,
+  season_end_month: 4,
+  season_end_day: 30
+};
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Run a middleware for a device with the given role (null = not a member)
+ */
+async function runAs(middleware, role, { group = { code: '123456' }, deviceId = 'device-a' } = {}) {
+  mock.method(groupService, 'getMember', async () => (role ? { device_id: deviceId, role } : null));
+
+  const req = { group, device: deviceId ? { id: deviceId } : null };
+  const res = response();
+  const next = mock.fn();
+  await middleware(req, res, next);
+
+  return { req, res, passed: next.mock.callCount() === 1 };
+}
+
+describe('Group fields and expiry', () => {
+  test('public groups leave out the owner, internal ids and the calendar token', () => {
+    const group = {
+      id: 12,
+      resort_id: 1,
+      code: '123456',
+      name: 'Ski trip',
+      owner_device_id: 'device-a',
+      join_locked: true,
+      archived_at: null,
+      created_at: '2026-12-20T00:00:00.000Z',
+      expires_at: '2027-04-30T15:00:00.000Z',
+      updated_at: '2026-12-21T00:00:00.000Z',
+      calendar_token: 'secret'
+    };
+
+    assert.deepEqual(groupService.toPublicGroup(group), {
+      code: '123456',
+      name: 'Ski trip',
+      resort_id: 1,
+      created_at: '2026-12-20T00:00:00.000Z',
+      expires_at: '2027-04-30T15:00:00.000Z',
+      join_locked: true,
+      archived_at: null
+    });
+  });
+
+  test('groups expire at the end of the current or next season', () => {
+    assert.equal(groupService.getSeasonEnd(resort, new Date('2027-01-15T00:00:00Z')).closesOn, '2027-04-30');
+    assert.equal(groupService.getSeasonEnd(resort, new Date('2027-07-01T00:00:00Z')).closesOn, '2028-04-30');
+    assert.equal(groupService.getSeasonEnd(resort, new Date('2027-01-15T00:00:00Z')).timezone, 'Asia/Tokyo');
+  });
+
+  test('archived groups are read-only', () => {
+    const next = mock.fn();
+    const res = response();
+    requireActiveGroup({ group: { archived_at: '2027-05-01T00:00:00Z' } }, res, next);
+    assert.equal(res.statusCode, 410);
+
+    requireActiveGroup({ group: { archived_at: null } }, response(), next);
+    assert.equal(next.mock.callCount(), 1);
+  });
+});
+
+describe('Group roles', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('owners and admins moderate, members do not', async () => {
+    assert.equal((await runAs(requireGroupModerator, 'owner')).passed, true);
+    assert.equal((await runAs(requireGroupModerator, 'admin')).passed, true);
+
+    const member = await runAs(requireGroupModerator, 'member');
+    assert.equal(member.passed, false);
+    assert.equal(member.res.statusCode, 403);
+  });
+
+  test('only the owner manages roles', async () => {
+    assert.equal((await runAs(requireGroupOwner, 'owner')).passed, true);
+    assert.equal((await runAs(requireGroupOwner, 'admin')).res.statusCode, 403);
+  });
+
+  test('non-members are rejected and members are attached to the request', async () => {
+    const outsider = await runAs(requireGroupRole(...groupService.ROLES), null);
+    assert.equal(outsider.res.statusCode, 403);
+    assert.equal(outsider.res.body.message, 'Not a member of this group');
+
+    const member = await runAs(requireGroupRole(...groupService.ROLES), 'member');
+    assert.equal(member.passed, true);
+    assert.equal(member.req.member.role, 'member');
+  });
+});
+
+describe('Member ids', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('member ids are per group and never contain the device id', () => {
+    const id = memberIds.getMemberId('123456', 'device-a');
+    assert.match(id, /^[\w-]{22}$/);
+    assert.doesNotMatch(id, /device-a/);
+    assert.equal(memberIds.getMemberId('123456', 'device-a'), id);
+    assert.notEqual(memberIds.getMemberId('654321', 'device-a'), id);
+    assert.equal(memberIds.getMemberId('123456', null), null);
+  });
+
+  test('moderation finds the member a member id belongs to', async () => {
+    mock.method(pool, 'query', async () => ({
+      rows: [{ device_id: 'device-a', role: 'owner' }, { device_id: 'device-b', role: 'member' }]
+    }));
+
+    const member = await groupService.findMemberById('123456', memberIds.getMemberId('123456', 'device-b'));
+    assert.equal(member.device_id, 'device-b');
+
+    // A device id, or a member id from another group, finds nobody
+    assert.equal(await groupService.findMemberById('123456', 'device-b'), null);
+    assert.equal(await groupService.findMemberById('123456', memberIds.getMemberId('654321', 'device-b')), null);
+  });
+});
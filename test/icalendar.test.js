@@ -0,0 +1,77 @@
+/**
+ * iCalendar feed tests
+ *
+ * The .ics text is built from plain event objects - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const icalendar = require('../services/icalendar');
+
+const now = new Date('2027-01-10T00:00:00Z');
+
+const meetup = {
+  uid: 'meetup-1@nozawa.app',
+  start: new Date('2027-01-15T10:00:00Z'),
+  summary: 'Meetup: Ramen, Soba; Udon',
+  location: 'Ramen, Soba; Udon',
+  geo: { lat: '36.9230000', lon: '138.4460000' },
+  description: 'Bring cash\nPlanned by Sam · 2 going',
+  sequence: 2,
+  updatedAt: new Date('2027-01-09T12:30:00Z')
+};
+
+describe('iCalendar', () => {
+  test('meetup times are written in JST', () => {
+    assert.equal(icalendar.formatJst(new Date('2027-01-15T10:00:00Z')), '20270115T190000');
+    assert.equal(icalendar.formatJst('2027-01-15T20:30:00Z'), '20270116T053000');
+    assert.equal(icalendar.formatUtc(new Date('2027-01-09T12:30:45.123Z')), '20270109T123045Z');
+  });
+
+  test('text values are escaped', () => {
+    assert.equal(icalendar.escapeText('a, b; c\\d\nnext'), 'a\\, b\\; c\\\\d\\nnext');
+  });
+
+  test('long lines are folded without splitting multi-byte characters', () => {
+    const line = 'SUMMARY:' + '野沢温泉'.repeat(20);
+    const folded = icalendar.foldLine(line);
+    const parts = folded.split('\r\n');
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+      assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.equal(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+    assert.equal(icalendar.foldLine('SUMMARY:short'), 'SUMMARY:short');
+  });
+
+  test('builds a feed with one VEVENT per meetup', () => {
+    const ics = icalendar.buildCalendar({ name: 'Ski crew meetups', events: [meetup] }, now);
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('TZID:Asia/Tokyo'));
+    assert.ok(lines.includes('UID:meetup-1@nozawa.app'));
+    assert.ok(lines.includes('DTSTAMP:20270110T000000Z'));
+    assert.ok(lines.includes('DTSTART;TZID=Asia/Tokyo:20270115T190000'));
+    assert.ok(lines.includes('LOCATION:Ramen\\, Soba\\; Udon'));
+    assert.ok(lines.includes('GEO:36.923;138.446'));
+    assert.ok(lines.includes('DESCRIPTION:Bring cash\\nPlanned by Sam · 2 going'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes('SEQUENCE:2'));
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+  });
+
+  test('cancelled meetups become CANCELLED events', () => {
+    const ics = icalendar.buildCalendar({
+      name: 'Ski crew meetups',
+      events: [{ ...meetup, cancelled: true, geo: null }]
+    }, now);
+
+    assert.ok(ics.includes('STATUS:CANCELLED\r\n'));
+    assert.ok(!ics.includes('GEO:'));
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Legacy places contract tests
+ *
+ * test/fixtures/legacy holds responses recorded from the JSON-backed
+ * /api/places and /api/restaurants endpoints, and the
+ * places_with_merged_data rows (with onsen_details attached) for the same
+ * places. The serializers must produce the recorded shape: the same keys,
+ * the same value types, and the same content where PostgreSQL holds it.
+ * Restaurant responses include the opening status (hours_status,
+ * is_open_now), which is checked against the recorded one at the time of
+ * recording.
+ * The restaurant summary query is stubbed with node:test mocks.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db/pool');
+const legacyPlaces = require('../services/legacyPlaces');
+const openingHours = require('../services/openingHours');
+
+const fixtures = name => require(`./fixtures/legacy/${name}.json`);
+
+const rows = fixtures('merged-rows');
+const rowsById = new Map(rows.map(row => [row.external_id, row]));
+
+// Admin panel bookkeeping, not stored in PostgreSQL
+const NOT_REPRODUCED = ['manual_overrides'];
+
+// When the restaurant responses were recorded (for their hours_status)
+const RECORDED_AT = new Date('2026-10-19T05:25:00Z');
+
+// Objects keyed by data (feature name -> verified), not a fixed shape
+const DATA_MAPS = ['verified_features'];
+
+function serialize(recorded) {
+  const row = rowsById.get(recorded.id);
+  assert.ok(row, `no merged row for ${recorded.id}`);
+  return legacyPlaces.serializePlace(row);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Every key of the recorded value exists in the actual value with the
+ * same type, element by element in arrays. A recorded null matches
+ * anything (data differs per place), but a recorded value must not
+ * serialize as null.
+ */
+function assertSameShape(recorded, actual, path) {
+  if (recorded === null) return;
+  assert.notEqual(actual, null, `${path} is null, recorded as ${typeOf(recorded)}`);
+
+  assert.equal(typeOf(actual), typeOf(recorded), `${path} type`);
+
+  if (Array.isArray(recorded)) {
+    const length = Math.min(recorded.length, actual.length);
+    for (let i = 0; i < length; i++) {
+      assertSameShape(recorded[i], actual[i], `${path}[${i}]`);
+    }
+  } else if (typeof recorded === 'object') {
+    for (const key of Object.keys(recorded)) {
+      if (NOT_REPRODUCED.includes(key)) continue;
+      assert.ok(key in actual, `${path}.${key} missing`);
+      if (DATA_MAPS.includes(key)) continue;
+      assertSameShape(recorded[key], actual[key], `${path}.${key}`);
+    }
+  }
+}
+
+/**
+ * Responses for places of a category use exactly the keys the recorded
+ * places of that category used (some keys were only on edited places)
+ */
+function assertSameKeys(recordedPlaces, respond = serialize) {
+  const recordedKeys = new Set(
+    recordedPlaces.flatMap(place => Object.keys(place))
+      .filter(key => !NOT_REPRODUCED.includes(key))
+  );
+
+  for (const place of recordedPlaces) {
+    assert.deepEqual(new Set(Object.keys(respond(place))), recordedKeys, `${place.id} keys`);
+  }
+}
+
+describe('Legacy /api/places', () => {
+  const lifts = fixtures('places-lift').places;
+  const onsens = fixtures('places-onsen').places;
+
+  test('lifts keep the recorded shape, hours and info', () => {
+    assertSameKeys(lifts);
+
+    for (const recorded of lifts) {
+      const lift = serialize(recorded);
+      assertSameShape(recorded, lift, recorded.id);
+      assert.deepEqual(lift.hours, recorded.hours);
+      assert.deepEqual(lift.local_info, recorded.local_info);
+      assert.equal(lift.name, recorded.name);
+    }
+  });
+
+  test('onsens keep the recorded shape and local_info text', () => {
+    assertSameKeys(onsens);
+
+    for (const recorded of onsens) {
+      const onsen = serialize(recorded);
+      assertSameShape(recorded, onsen, recorded.id);
+      assert.deepEqual(onsen.local_info, recorded.local_info);
+      assert.equal(onsen.description, recorded.description);
+      assert.equal(onsen.name_jp, recorded.name_jp);
+      assert.deepEqual(onsen.coordinates, recorded.coordinates.map(n => Number(n.toFixed(7))));
+    }
+  });
+});
+
+describe('Legacy /api/restaurants', () => {
+  const listed = fixtures('restaurants').restaurants;
+  const single = [fixtures('restaurant'), fixtures('restaurant-edited')];
+
+  const listedResponse = recorded => legacyPlaces.toListedRestaurant(serialize(recorded), RECORDED_AT);
+  const detailResponse = recorded => legacyPlaces.toRestaurantDetail(serialize(recorded), RECORDED_AT);
+
+  test('restaurants keep the recorded shape and Google data', () => {
+    assertSameKeys(listed, listedResponse);
+    assertSameKeys(single, detailResponse);
+
+    for (const recorded of [...listed, ...single]) {
+      const restaurant = (listed.includes(recorded) ? listedResponse : detailResponse)(recorded);
+      assertSameShape(recorded, restaurant, recorded.id);
+
+      assert.equal(restaurant.id, recorded.id);
+      assert.equal(restaurant.google_place_id, recorded.google_place_id);
+      assert.equal(restaurant.last_verified, recorded.last_verified);
+      for (const field of ['rating', 'review_count', 'price_range', 'phone', 'website', 'maps_url', 'types', 'editorial_summary']) {
+        assert.deepEqual(restaurant.google_data[field], recorded.google_data[field], `${recorded.id} google_data.${field}`);
+      }
+      assert.deepEqual(restaurant.enhanced_data.review_analysis, recorded.enhanced_data.review_analysis);
+      assert.deepEqual(restaurant.google_data.hours?.periods, recorded.google_data.hours?.periods);
+      assert.equal(restaurant.google_data.photos.length, recorded.google_data.photos.length);
+    }
+  });
+
+  test('responses carry the recorded opening status', () => {
+    for (const recorded of listed) {
+      assert.deepEqual(listedResponse(recorded).hours_status, recorded.hours_status, recorded.id);
+    }
+    for (const recorded of single) {
+      const restaurant = detailResponse(recorded);
+      assert.deepEqual(restaurant.hours_status, recorded.hours_status, recorded.id);
+      assert.equal(restaurant.is_open_now, recorded.is_open_now, recorded.id);
+    }
+  });
+
+  test('open/closed status reads the serialized hours like the file', () => {
+    const now = new Date('2026-01-14T03:30:00Z'); // Wednesday 12:30 JST
+
+    for (const recorded of [...listed, ...single]) {
+      assert.deepEqual(
+        openingHours.getHoursStatus(serialize(recorded), now),
+        openingHours.getHoursStatus(recorded, now)
+      );
+    }
+  });
+
+  test('stats keep the recorded shape', () => {
+    const restaurants = [...listed, fixtures('restaurant')].map(serialize);
+    const stats = legacyPlaces.getRestaurantStats(restaurants, '2026-01-14T03:30:00.000Z');
+
+    assertSameShape(fixtures('restaurants-stats'), stats, 'stats');
+    assert.deepEqual(Object.keys(stats), Object.keys(fixtures('restaurants-stats')));
+    assert.equal(stats.total_count, 3);
+  });
+});
+
+describe('Restaurant summary', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('is cached for health checks, and read fresh on request', async () => {
+    mock.method(pool, 'query', async () => ({ rows: [{ count: 79, updated_at: new Date('2026-01-14T03:30:00Z') }] }));
+
+    const summary = await legacyPlaces.getRestaurantSummary({ fresh: true });
+    assert.deepEqual(summary, { count: 79, updatedAt: '2026-01-14T03:30:00.000Z' });
+    assert.deepEqual(await legacyPlaces.getRestaurantSummary(), summary);
+    assert.equal(pool.query.mock.callCount(), 1);
+
+    await legacyPlaces.getRestaurantSummary({ fresh: true });
+    assert.equal(pool.query.mock.callCount(), 2);
+  });
+});
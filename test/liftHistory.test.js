@@ -0,0 +1,197 @@
+/**
+ * Lift history tests
+ *
+ * Transition detection and the daily timeline run against a stubbed pool
+ * (node:test mocks) that returns the last known statuses and the day's
+ * events - no database needed. Query validation goes through the real
+ * router on a local port.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { pool } = require('../db/pool');
+const liftHistory = require('../services/liftHistory');
+const liftRoutes = require('../routes/lifts');
+
+describe('Lift status transitions', () => {
+  let log;
+
+  /**
+   * Stub a transaction client that knows these last statuses (lift id -> status)
+   */
+  function stubClient(lastStatuses, { failOn = null } = {}) {
+    log = [];
+    mock.method(pool, 'connect', async () => ({
+      query: async (sql, params) => {
+        const statement = sql.trim().replace(/\s+/g, ' ');
+        log.push({ statement, params });
+        if (failOn && statement.startsWith(failOn)) throw new Error('insert failed');
+
+        if (statement.startsWith('INSERT INTO lift_status_history')) return { rows: [{ id: 77 }] };
+        if (statement.includes('FROM lift_status_events')) {
+          return { rows: Object.entries(lastStatuses).map(([liftId, status]) => ({ lift_id: Number(liftId), new_status: status })) };
+        }
+        return { rows: [] };
+      },
+      release: () => {}
+    }));
+    mock.method(console, 'log', () => {});
+  }
+
+  const events = () => log.filter(entry => entry.statement.startsWith('INSERT INTO lift_status_events'));
+
+  afterEach(() => mock.restoreAll());
+
+  test('records changed and new lifts, skips unchanged ones', async () => {
+    stubClient({ 1: 'open', 2: 'closed', 3: 'hold' });
+
+    const result = await liftHistory.recordScrape(1, {
+      scrapedAt: '2027-01-10T00:15:00.000Z',
+      lifts: [
+        { id: 1, name: 'Nagasaka Gondola', status: 'open' },
+        { id: 2, name: 'Hikage Gondola', status: 'open' },
+        { id: 3, name: 'Yamabiko Quad', status: 'closed' },
+        { id: 4, name: 'Skyline Pair', status: 'hold' }
+      ]
+    });
+
+    assert.equal(result.historyId, 77);
+    assert.deepEqual(result.transitions, [
+      { liftId: 2, name: 'Hikage Gondola', from: 'closed', to: 'open' },
+      { liftId: 3, name: 'Yamabiko Quad', from: 'hold', to: 'closed' },
+      { liftId: 4, name: 'Skyline Pair', from: null, to: 'hold' }
+    ]);
+
+    assert.equal(events().length, 3);
+    const [resortId, historyId, liftId, , from, to, changedAt] = events()[0].params;
+    assert.deepEqual([resortId, historyId, liftId, from, to], [1, 77, 2, 'closed', 'open']);
+    assert.equal(changedAt.toISOString(), '2027-01-10T00:15:00.000Z');
+  });
+
+  test('counts open lifts on the history row, and off-season scrapes have no transitions', async () => {
+    stubClient({});
+
+    const result = await liftHistory.recordScrape(1, { isOffSeason: true, lifts: [] });
+    assert.deepEqual(result.transitions, []);
+
+    const history = log.find(entry => entry.statement.startsWith('INSERT INTO lift_status_history'));
+    assert.deepEqual(history.params.slice(2, 5), [0, 0, true]);
+    assert.equal(log[log.length - 1].statement, 'COMMIT');
+  });
+
+  test('a failed insert rolls the whole scrape back', async () => {
+    stubClient({ 1: 'closed' }, { failOn: 'INSERT INTO lift_status_events' });
+
+    await assert.rejects(
+      liftHistory.recordScrape(1, { lifts: [{ id: 1, name: 'Nagasaka Gondola', status: 'open' }] }),
+      /insert failed/
+    );
+    assert.equal(log[log.length - 1].statement, 'ROLLBACK');
+  });
+});
+
+describe('Lift day timeline', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('segments start from the carried-in status and split at each change', async () => {
+    const dayStart = new Date('2026-01-09T15:00:00.000Z');
+    const dayEnd = new Date('2026-01-10T15:00:00.000Z');
+
+    mock.method(pool, 'query', async sql => {
+      if (sql.includes('FROM resorts')) {
+        return { rows: [{ id: 1, timezone: 'Asia/Tokyo', day: '2026-01-10', day_start: dayStart, day_end: dayEnd }] };
+      }
+      if (sql.includes('changed_at < $2')) {
+        return { rows: [{ lift_id: 1, lift_name: 'Nagasaka Gondola', new_status: 'closed', changed_at: new Date('2026-01-09T08:00:00Z') }] };
+      }
+      return {
+        rows: [
+          { lift_id: 1, lift_name: 'Nagasaka Gondola', previous_status: 'closed', new_status: 'open', changed_at: new Date('2026-01-09T23:30:00Z') },
+          { lift_id: 2, lift_name: 'Hikage Gondola', previous_status: null, new_status: 'open', changed_at: new Date('2026-01-10T00:00:00Z') },
+          { lift_id: 1, lift_name: 'Nagasaka Gondola', previous_status: 'open', new_status: 'closed', changed_at: new Date('2026-01-10T07:30:00Z') }
+        ]
+      };
+    });
+
+    const timeline = await liftHistory.getDayTimeline(1, '2026-01-10');
+    assert.equal(timeline.date, '2026-01-10');
+    assert.deepEqual(timeline.lifts.map(lift => lift.id), [1, 2]);
+
+    const [nagasaka, hikage] = timeline.lifts;
+    assert.deepEqual(nagasaka.segments.map(s => s.status), ['closed', 'open', 'closed']);
+    assert.equal(nagasaka.segments[0].from, dayStart);
+    assert.equal(nagasaka.segments[0].to.toISOString(), '2026-01-09T23:30:00.000Z');
+    assert.equal(nagasaka.segments[2].to.getTime(), dayEnd.getTime());
+    assert.equal(nagasaka.currentStatus, 'closed');
+    assert.deepEqual(nagasaka.changes.map(c => [c.from, c.to]), [['closed', 'open'], ['open', 'closed']]);
+
+    // First seen during the day: no carried-in segment
+    assert.deepEqual(hikage.segments.map(s => s.status), ['open']);
+    assert.equal(hikage.currentStatus, 'open');
+  });
+
+  test('unknown resorts have no timeline', async () => {
+    mock.method(pool, 'query', async () => ({ rows: [] }));
+    assert.equal(await liftHistory.getDayTimeline(99), null);
+  });
+});
+
+describe('Lift history routes', () => {
+  let server;
+  let baseUrl;
+
+  const get = path => fetch(`${baseUrl}/api/lifts${path}`);
+
+  before(async () => {
+    const app = express();
+    app.use('/api/lifts', liftRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => mock.restoreAll());
+
+  test('impossible dates are rejected before reaching the database', async () => {
+    mock.method(liftHistory, 'getDayTimeline', async () => ({ date: '2026-01-10', lifts: [] }));
+    mock.method(liftHistory, 'getSeasonStats', async () => ({ lifts: [] }));
+
+    for (const path of ['/timeline?date=2026-02-31', '/timeline?date=2026-13-01', '/timeline?date=10-01-2026', '/season-stats?since=2026-02-30']) {
+      const response = await get(path);
+      assert.equal(response.status, 400, path);
+    }
+    assert.equal((await get('/timeline?lift_id=abc')).status, 400);
+    assert.equal(liftHistory.getDayTimeline.mock.callCount(), 0);
+    assert.equal(liftHistory.getSeasonStats.mock.callCount(), 0);
+
+    assert.equal((await get('/timeline?date=2028-02-29')).status, 200);
+  });
+
+  test('resort_id selects the resort, defaulting to 1', async () => {
+    mock.method(liftHistory, 'getDayTimeline', async () => ({ date: '2026-01-10', lifts: [] }));
+    mock.method(liftHistory, 'getSeasonStats', async () => ({ lifts: [] }));
+
+    await get('/timeline?resort_id=2&date=2026-01-10&lift_id=5');
+    await get('/timeline');
+    assert.deepEqual(liftHistory.getDayTimeline.mock.calls.map(call => call.arguments), [
+      [2, '2026-01-10', 5],
+      [1, null, null]
+    ]);
+
+    await get('/season-stats?resort_id=3&since=2025-12-10');
+    assert.deepEqual(liftHistory.getSeasonStats.mock.calls[0].arguments, [3, '2025-12-10']);
+  });
+
+  test('unknown resorts are 404', async () => {
+    mock.method(liftHistory, 'getDayTimeline', async () => null);
+    mock.method(liftHistory, 'getSeasonStats', async () => null);
+
+    assert.equal((await get('/timeline?resort_id=99')).status, 404);
+    assert.equal((await get('/season-stats?resort_id=99')).status, 404);
+  });
+});
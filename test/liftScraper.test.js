@@ -0,0 +1,192 @@
+/**
+ * Lift scraper fixture tests
+ *
+ * Feeds saved status pages (test/fixtures/nozawa/*.html) through
+ * scrape({ html }) - no network or database needed. Lift mappings come
+ * from test/fixtures/nozawa/lifts.json, a copy of the resort_lifts seed
+ * in migrations/021_create_resort_lifts.sql. Where each page came from is
+ * listed in test/fixtures/nozawa/README.md (capture real ones with
+ * scripts/captureLiftFixture.js).
+ *
+ * Run: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const NozawaLiftScraper = require('../services/liftScrapers/nozawa');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'nozawa');
+
+const resort = {
+  id: 1,
+  slug: 'nozawa',
+  timezone: 'Asia/Tokyo',
+  season_start_month: 12,
+  season_start_day: 10,
+  season_end_month: 4,
+  season_end_day: 30,
+  settings: {}
+};
+
+const lifts = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'lifts.json'), 'utf8'));
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+async function scrapeFixture(name) {
+  const scraper = new NozawaLiftScraper(resort, lifts);
+  return scraper.scrape({ html: loadFixture(name) });
+}
+
+function statusById(results) {
+  return Object.fromEntries(results.lifts.map(l => [l.id, l.status]));
+}
+
+// Keep scraper logging out of the test output
+const originalLog = console.log;
+const originalWarn = console.warn;
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+after(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+describe('Nozawa lift scraper - table layout', () => {
+  test('in season: every mapped lift is parsed as open', async () => {
+    const results = await scrapeFixture('in-season.html');
+
+    assert.equal(results.success, true);
+    assert.equal(results.isOffSeason, false);
+    assert.equal(results.lifts.length, lifts.length);
+    assert.ok(results.lifts.every(l => l.status === 'open'));
+    assert.equal(results.parserDrift, false);
+    assert.deepEqual(results.unmatchedLifts, []);
+  });
+
+  test('in season: lift fields and hours come from the mapping and table', async () => {
+    const results = await scrapeFixture('in-season.html');
+    const gondola = results.lifts.find(l => l.id === 1);
+
+    assert.deepEqual(gondola, {
+      id: 1,
+      name: 'Nagasaka Gondola',
+      priority: 1,
+      status: 'open',
+      hours: '8:00〜16:30'
+    });
+  });
+
+  test('results are sorted by priority', async () => {
+    const results = await scrapeFixture('in-season.html');
+    const priorities = results.lifts.map(l => l.priority);
+
+    assert.deepEqual(priorities, [...priorities].sort((a, b) => a - b));
+  });
+
+  test('partial closure: open, closed and hold statuses per lift', async () => {
+    const results = await scrapeFixture('partial-closure.html');
+    const status = statusById(results);
+
+    assert.equal(results.isOffSeason, false);
+    assert.equal(results.lifts.length, lifts.length);
+    assert.equal(status[1], 'open');   // Nagasaka Gondola
+    assert.equal(status[5], 'closed'); // Skyline Double
+    assert.equal(status[4], 'hold');   // Yamabiko No 2 Quad
+    assert.equal(status[6], 'hold');   // Uenotaira Quad
+    assert.equal(status[12], 'closed'); // Kandahar Double
+    assert.equal(status[20], 'closed'); // Karasawa Double
+    assert.equal(results.lifts.filter(l => l.status === 'open').length, lifts.length - 5);
+  });
+
+  test('partial closure: empty spacer rows do not match any lift', async () => {
+    const results = await scrapeFixture('partial-closure.html');
+
+    assert.ok(results.lifts.every(l => l.hours !== ''));
+    assert.equal(new Set(results.lifts.map(l => l.id)).size, results.lifts.length);
+  });
+
+  test('off-season: every lift is off-season', async () => {
+    const results = await scrapeFixture('off-season.html');
+
+    assert.equal(results.isOffSeason, true);
+    assert.equal(results.lifts.length, lifts.length);
+    assert.ok(results.lifts.every(l => l.status === 'off-season'));
+    assert.equal(results.parserDrift, false);
+  });
+});
+
+describe('Nozawa lift scraper - image fallback', () => {
+  test('uses _on.gif / _off.gif images when there is no status table', async () => {
+    const results = await scrapeFixture('image-fallback.html');
+    const status = statusById(results);
+
+    assert.equal(results.lifts.length, lifts.length);
+    assert.equal(status[1], 'open');   // new_nagasaka_g_on.gif
+    assert.equal(status[2], 'open');   // 3_hikageG_on.gif
+    assert.equal(status[3], 'open');   // 22_yamabikoF_on.gif
+    assert.equal(status[15], 'open');  // 13_yuroad_on.gif
+    assert.equal(status[5], 'closed'); // 20_skyline_off.gif
+    assert.equal(results.lifts.filter(l => l.status === 'open').length, 4);
+  });
+
+  test('image fallback lifts have no hours', async () => {
+    const results = await scrapeFixture('image-fallback.html');
+
+    assert.ok(results.lifts.every(l => l.hours === undefined));
+  });
+});
+
+describe('Nozawa lift scraper - parser drift', () => {
+  test('layout change: no lifts matched is flagged as parser drift', async () => {
+    const results = await scrapeFixture('layout-change.html');
+
+    assert.equal(results.success, true);
+    assert.equal(results.isOffSeason, false);
+    assert.equal(results.lifts.length, 0);
+    assert.equal(results.parserDrift, true);
+    assert.equal(results.unmatchedLifts.length, lifts.length);
+  });
+
+  test('renamed lift is reported as unmatched without flagging drift', async () => {
+    const html = loadFixture('in-season.html').replace('Karasawa Double', 'Karasawa Pair Lift');
+    const scraper = new NozawaLiftScraper(resort, lifts);
+    const results = await scraper.scrape({ html });
+
+    assert.equal(results.parserDrift, false);
+    assert.deepEqual(results.unmatchedLifts, ['Karasawa Double']);
+    assert.equal(results.lifts.length, lifts.length - 1);
+  });
+
+  test('every fixture page except the layout change matches at least one lift', async () => {
+    const pages = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.html') && f !== 'layout-change.html');
+
+    for (const page of pages) {
+      const results = await scrapeFixture(page);
+      assert.ok(results.lifts.length > 0, `${page} matched no lifts`);
+    }
+  });
+});
+
+describe('Nozawa lift scraper - season', () => {
+  const scraper = new NozawaLiftScraper(resort, lifts);
+
+  test('season boundaries are evaluated in JST', () => {
+    // 2026-12-09 23:00 UTC = 2026-12-10 08:00 JST
+    assert.equal(scraper.isInSeason(new Date('2026-12-09T23:00:00Z')), true);
+    // 2026-12-09 14:00 UTC = 2026-12-09 23:00 JST
+    assert.equal(scraper.isInSeason(new Date('2026-12-09T14:00:00Z')), false);
+    assert.equal(scraper.isInSeason(new Date('2027-02-01T00:00:00Z')), true);
+    // 2027-04-30 15:00 UTC = 2027-05-01 00:00 JST
+    assert.equal(scraper.isInSeason(new Date('2027-04-30T15:00:00Z')), false);
+  });
+
+  test('season label comes from the resort row', () => {
+    assert.equal(scraper.getSeasonLabel(), 'December 10 - April 30');
+  });
+});
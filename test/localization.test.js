@@ -0,0 +1,66 @@
+/**
+ * Localization tests
+ *
+ * Language negotiation and the per-field English fallback are pure
+ * functions - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const localization = require('../services/localization');
+
+describe('Language negotiation', () => {
+  test('Accept-Language tags are ordered by q-value', () => {
+    assert.deepEqual(
+      localization.parseAcceptLanguage('en;q=0.5, ja-JP, zh;q=0.8, *;q=0.1'),
+      ['ja-JP', 'zh', 'en']
+    );
+    assert.deepEqual(localization.parseAcceptLanguage('fr;q=0, ko'), ['ko']);
+    assert.deepEqual(localization.parseAcceptLanguage(undefined), []);
+  });
+
+  test('?lang wins over Accept-Language, unsupported languages fall through', () => {
+    const negotiate = (query, header) =>
+      localization.negotiateLanguage({ query, headers: { 'accept-language': header } });
+
+    assert.equal(negotiate({ lang: 'ko' }, 'ja'), 'ko');
+    assert.equal(negotiate({}, 'fr-FR, ja-JP;q=0.9'), 'ja');
+    assert.equal(negotiate({ lang: 'de' }, 'zh-Hant-TW'), 'zh');
+    assert.equal(negotiate({}, 'fr, de'), 'en');
+    assert.equal(negotiate({}, undefined), 'en');
+  });
+});
+
+describe('Translation fallback', () => {
+  const place = {
+    id: 81,
+    name: 'Kawahara-yu',
+    tips: ['Very hot - add cold water'],
+    warnings: ['Locals bathe early'],
+    description_override: 'Historic public bath'
+  };
+
+  test('translated fields replace English, missing ones stay English', () => {
+    const localized = localization.applyTranslation(place, {
+      tips: ['とても熱いです'],
+      warnings: null,
+      description_override: '   '
+    }, 'ja');
+
+    assert.deepEqual(localized.tips, ['とても熱いです']);
+    assert.deepEqual(localized.warnings, ['Locals bathe early']);
+    assert.equal(localized.description_override, 'Historic public bath');
+    assert.equal(localized.language, 'ja');
+    assert.deepEqual(localized.translated_fields, ['tips']);
+  });
+
+  test('no translation means English', () => {
+    const localized = localization.applyTranslation(place, null, 'ko');
+
+    assert.equal(localized.language, 'en');
+    assert.deepEqual(localized.translated_fields, []);
+    assert.deepEqual(localized.tips, place.tips);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Meetup tests
+ *
+ * RSVPs, the change history and cancellation run against a stubbed pool
+ * (node:test mocks) that records every statement. Permissions go through
+ * the real router on a local port, with the group and meetup lookups
+ * stubbed - no database needed.
+ *
+ * Run: npm test
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-0123456789abcdefghijklmnopqrstuvwxyz';
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { pool } = require('../db/pool');
+const groupEvents = require('../services/groupEvents');
+const groupService = require('../services/groupService');
+const checkinService = require('../services/checkinService');
+const deviceAuth = require('../services/deviceAuth');
+const meetupService = require('../services/meetupService');
+const memberIds = require('../services/memberIds');
+const meetupRoutes = require('../routes/meetups');
+
+const meetup = {
+  id: 7,
+  group_code: '123456',
+  created_by: 'device-a',
+  creator_name: 'Aki',
+  place_id: 'ChIJ-oyu',
+  place_name: 'Oyu',
+  scheduled_for: '2027-01-10T10:00:00.000Z',
+  note: 'Bring a towel',
+  status: 'scheduled',
+  checkin_id: 42,
+  created_at: '2027-01-09T00:00:00.000Z'
+};
+
+describe('Meetup changes and RSVPs', () => {
+  let log;
+
+  function fakeQuery(sql, params = []) {
+    const statement = sql.trim().replace(/\s+/g, ' ');
+    log.push({ statement, params });
+
+    if (statement.startsWith('UPDATE meetups SET status')) return { rows: [], rowCount: 1 };
+    if (statement.includes('FROM meetups m')) return { rows: [meetup], rowCount: 1 };
+    if (statement.startsWith('SELECT * FROM meetups')) return { rows: [meetup], rowCount: 1 };
+    return { rows: [], rowCount: 0 };
+  }
+
+  const statements = () => log.map(entry => entry.statement);
+  const published = () => groupEvents.publishGroupEvent.mock.calls.map(call => call.arguments[1]);
+
+  beforeEach(() => {
+    log = [];
+    mock.method(pool, 'connect', async () => ({ query: async (sql, params) => fakeQuery(sql, params), release: () => {} }));
+    mock.method(pool, 'query', async (sql, params) => fakeQuery(sql, params));
+    mock.method(groupEvents, 'publishGroupEvent', async () => {});
+    mock.method(checkinService, 'updateCheckin', async () => {});
+    mock.method(checkinService, 'closeCheckin', async id => ({ id }));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('rescheduling records the old and new time and mirrors it', async () => {
+    await meetupService.updateMeetup(meetup, 'device-b', { scheduledFor: '2027-01-10T12:00:00.000Z' });
+
+    const change = log.find(entry => entry.statement.startsWith('INSERT INTO meetup_changes'));
+    assert.deepEqual(change.params.slice(0, 3), [7, 'device-b', 'rescheduled']);
+    assert.deepEqual(JSON.parse(change.params[3]), {
+      scheduledFor: { from: '2027-01-10T10:00:00.000Z', to: '2027-01-10T12:00:00.000Z' }
+    });
+    assert.deepEqual(checkinService.updateCheckin.mock.calls[0].arguments.slice(0, 2), [42, { scheduledFor: '2027-01-10T12:00:00.000Z' }]);
+    assert.deepEqual(published(), ['meetup.rescheduled']);
+  });
+
+  test('other edits are recorded as edited, and unchanged values not at all', async () => {
+    await meetupService.updateMeetup(meetup, 'device-a', { note: 'Towels provided', placeName: 'Oyu' });
+
+    const change = log.find(entry => entry.statement.startsWith('INSERT INTO meetup_changes'));
+    assert.equal(change.params[2], 'edited');
+    assert.deepEqual(JSON.parse(change.params[3]), { note: { from: 'Bring a towel', to: 'Towels provided' } });
+    assert.deepEqual(checkinService.updateCheckin.mock.calls[0].arguments[1], { meetupNote: 'Towels provided' });
+
+    log = [];
+    const unchanged = await meetupService.updateMeetup(meetup, 'device-a', { scheduledFor: meetup.scheduled_for, note: meetup.note });
+    assert.equal(unchanged, meetup);
+    assert.equal(log.length, 0);
+    assert.deepEqual(published(), ['meetup.edited']);
+  });
+
+  test('an RSVP replaces the earlier answer and is published', async () => {
+    await meetupService.setRsvp(meetup, 'device-b', null, 'maybe');
+
+    const upsert = log[0];
+    assert.match(upsert.statement, /ON CONFLICT \(meetup_id, device_id\) DO UPDATE/);
+    assert.deepEqual(upsert.params, [7, 'device-b', null, 'maybe']);
+
+    const [, type, { deviceId, payload }] = groupEvents.publishGroupEvent.mock.calls[0].arguments;
+    assert.equal(type, 'meetup.rsvp');
+    assert.equal(deviceId, 'device-b');
+    assert.deepEqual(payload, { id: 7, userName: null, status: 'maybe' });
+  });
+
+  test('cancelling is one transaction, published once it commits', async () => {
+    const other = { ...meetup, id: 8, checkin_id: null };
+    const done = { ...meetup, id: 9, status: 'cancelled' };
+
+    const legacyRows = await meetupService.cancelMeetups([meetup, other, done], 'device-a', 1700000000000);
+
+    const lines = statements();
+    assert.equal(lines[0], 'BEGIN');
+    assert.equal(lines[lines.length - 1], 'COMMIT');
+    assert.equal(lines.filter(line => line.startsWith('UPDATE meetups SET status')).length, 2);
+    assert.equal(pool.query.mock.callCount(), 0);
+
+    assert.deepEqual(legacyRows, [{ id: 42 }]);
+    assert.notEqual(checkinService.closeCheckin.mock.calls[0].arguments[3], pool);
+    assert.deepEqual(
+      groupEvents.publishGroupEvent.mock.calls.map(call => [call.arguments[1], call.arguments[2].payload.id]),
+      [['meetup.cancelled', 7], ['meetup.cancelled', 8]]
+    );
+  });
+
+  test('legacy checkout cancels without its own events, and failures roll back', async () => {
+    await meetupService.cancelMeetups([meetup], 'device-a', Date.now(), { publish: false });
+    assert.equal(groupEvents.publishGroupEvent.mock.callCount(), 0);
+
+    log = [];
+    checkinService.closeCheckin.mock.mockImplementation(async () => { throw new Error('boom'); });
+    await assert.rejects(meetupService.cancelMeetup(meetup, 'device-a'), /boom/);
+    assert.ok(statements().includes('ROLLBACK'));
+    assert.equal(groupEvents.publishGroupEvent.mock.callCount(), 0);
+  });
+
+  test('creating commits before reading the meetup back and publishing it', async () => {
+    const created = { id: 42, checked_in_at: new Date('2027-01-09T00:00:00.000Z'), scheduled_for: meetup.scheduled_for };
+    mock.method(checkinService, 'createCheckin', async () => created);
+    pool.connect.mock.mockImplementation(async () => ({
+      query: async (sql, params) => (sql.includes('INSERT INTO meetups') ? { rows: [{ id: 7 }] } : fakeQuery(sql, params)),
+      release: () => {}
+    }));
+
+    const result = await meetupService.createMeetup('123456', {
+      deviceId: 'device-a', userName: 'Aki', placeId: 'ChIJ-oyu', placeName: 'Oyu', scheduledFor: meetup.scheduled_for
+    });
+    assert.equal(result.meetup.id, 7);
+    assert.equal(result.checkin, created);
+    assert.deepEqual(published(), ['meetup.created']);
+
+    // A failed read-back after COMMIT is not rolled back (or published)
+    log = [];
+    groupEvents.publishGroupEvent.mock.resetCalls();
+    pool.query.mock.mockImplementation(async () => { throw new Error('read failed'); });
+    await assert.rejects(meetupService.createMeetup('123456', {
+      deviceId: 'device-a', userName: 'Aki', placeId: 'ChIJ-oyu', placeName: 'Oyu', scheduledFor: meetup.scheduled_for
+    }), /read failed/);
+    assert.ok(statements().includes('COMMIT'));
+    assert.ok(!statements().includes('ROLLBACK'));
+    assert.equal(groupEvents.publishGroupEvent.mock.callCount(), 0);
+  });
+
+  test('a device leaving cancels its meetups and drops its RSVPs', async () => {
+    await meetupService.removeDevice('123456', 'device-a');
+
+    assert.deepEqual(published(), ['meetup.cancelled']);
+    const lines = statements();
+    assert.ok(lines.indexOf('COMMIT') < lines.findIndex(line => line.startsWith('DELETE FROM meetup_rsvps')));
+  });
+});
+
+describe('Meetup permissions', () => {
+  let server;
+  let baseUrl;
+  let roles;
+  let current;
+
+  const tokens = {
+    'device-a': deviceAuth.signDeviceToken({ device_id: 'device-a', token_version: 1 }),
+    'device-b': deviceAuth.signDeviceToken({ device_id: 'device-b', token_version: 1 }),
+    'device-c': deviceAuth.signDeviceToken({ device_id: 'device-c', token_version: 1 })
+  };
+
+  function call(method, path, deviceId, body = {}) {
+    return fetch(`${baseUrl}/api/groups/123456/meetups${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[deviceId]}` },
+      body: method === 'GET' ? undefined : JSON.stringify(body)
+    });
+  }
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/groups/:code/meetups', meetupRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    roles = { 'device-a': 'member', 'device-b': 'member', 'device-c': 'admin' };
+    current = { ...meetup, attendees: [] };
+
+    mock.method(deviceAuth, 'touchDevice', async () => true);
+    mock.method(groupService, 'getGroup', async code => ({ code, archived_at: null }));
+    mock.method(groupService, 'getMember', async (code, deviceId) => (
+      roles[deviceId] ? { device_id: deviceId, role: roles[deviceId], user_name: deviceId } : null
+    ));
+    mock.method(meetupService, 'getMeetup', async (code, id) => (id === current.id ? current : null));
+    mock.method(meetupService, 'cancelMeetup', async () => {});
+    mock.method(meetupService, 'setRsvp', async () => current);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('members are shown by member id, never by device id', async () => {
+    current.attendees = [{ deviceId: 'device-b', userName: 'Ben', status: 'going', respondedAt: '2027-01-09T01:00:00.000Z' }];
+    mock.method(meetupService, 'getChanges', async () => [
+      { change_type: 'updated', changed_by: 'device-a', changes: { note: { from: null, to: 'Bring a towel' } }, created_at: '2027-01-09T02:00:00.000Z' }
+    ]);
+
+    const res = await call('GET', '/7', 'device-b');
+    assert.equal(res.status, 200);
+    const text = await res.text();
+    assert.doesNotMatch(text, /device-[ab]/);
+
+    const body = JSON.parse(text);
+    assert.equal(body.meetup.memberId, memberIds.getMemberId('123456', 'device-a'));
+    assert.deepEqual(body.meetup.attendees[0], {
+      memberId: memberIds.getMemberId('123456', 'device-b'),
+      userName: 'Ben',
+      status: 'going',
+      respondedAt: '2027-01-09T01:00:00.000Z'
+    });
+    assert.equal(body.changes[0].changedBy, memberIds.getMemberId('123456', 'device-a'));
+  });
+
+  test('meetup ids must be positive integers', async () => {
+    for (const id of ['abc', '0', '7.5', '99999999999']) {
+      const res = await call('GET', `/${id}`, 'device-a');
+      assert.equal(res.status, 400, id);
+    }
+    assert.equal(meetupService.getMeetup.mock.callCount(), 0);
+    assert.equal((await call('DELETE', '/8', 'device-a')).status, 404);
+  });
+
+  test('only the creator or a group admin can cancel', async () => {
+    const member = await call('DELETE', '/7', 'device-b');
+    assert.equal(member.status, 403);
+
+    assert.equal((await call('DELETE', '/7', 'device-c')).status, 200);
+    assert.equal((await call('DELETE', '/7', 'device-a')).status, 200);
+    assert.deepEqual(meetupService.cancelMeetup.mock.calls.map(c => c.arguments[1]), ['device-c', 'device-a']);
+  });
+
+  test('outsiders cannot RSVP, and nobody can answer a meetup that is over', async () => {
+    delete roles['device-b'];
+    assert.equal((await call('PUT', '/7/rsvp', 'device-b', { status: 'going' })).status, 403);
+
+    roles['device-b'] = 'member';
+    assert.equal((await call('PUT', '/7/rsvp', 'device-b', { status: 'going' })).status, 200);
+
+    current.status = 'expired';
+    const expired = await call('PUT', '/7/rsvp', 'device-b', { status: 'going' });
+    assert.equal(expired.status, 409);
+    assert.equal((await expired.json()).error, 'Meetup already expired');
+    assert.equal((await call('DELETE', '/7', 'device-a')).status, 409);
+  });
+});
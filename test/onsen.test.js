@@ -0,0 +1,128 @@
+/**
+ * Onsen details tests
+ *
+ * Parsing local_info text into onsen_details fields and the admin
+ * validation rules are pure - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { validationResult } = require('express-validator');
+const onsenService = require('../services/onsenService');
+const openingHours = require('../services/openingHours');
+const { validateOnsenDetails } = require('../middleware/security');
+
+describe('Onsen local_info parsing', () => {
+  test('temperature bands from labels and degrees', () => {
+    assert.equal(onsenService.parseTemperature('Very Hot').temperature_band, 'very_hot');
+    assert.equal(onsenService.parseTemperature('Mild').temperature_band, 'mild');
+
+    const range = onsenService.parseTemperature('Hot (40-42°C)');
+    assert.equal(range.temperature_band, 'hot');
+    assert.equal(range.temperature_min_c, 40);
+    assert.equal(range.temperature_max_c, 42);
+    assert.equal(range.temperature_note, 'Hot (40-42°C)');
+
+    assert.equal(onsenService.parseTemperature('38°C').temperature_band, 'mild');
+    assert.equal(onsenService.parseTemperature('46 C').temperature_band, 'very_hot');
+    assert.equal(onsenService.parseTemperature('').temperature_band, null);
+  });
+
+  test('hours become daily Google periods that openingHours can evaluate', () => {
+    const { opening_hours, hours_note } = onsenService.parseHours('5:00 AM - 11:00 PM');
+    assert.equal(hours_note, '5:00 AM - 11:00 PM');
+    assert.equal(opening_hours.periods.length, 7);
+    assert.deepEqual(opening_hours.periods[0], { open: { day: 0, time: '0500' }, close: { day: 0, time: '2300' } });
+
+    const place = { opening_hours };
+    // 2026-01-14 22:30 JST / 23:30 JST
+    assert.equal(openingHours.isOpenNow(place, new Date('2026-01-14T13:30:00Z')), true);
+    assert.equal(openingHours.isOpenNow(place, new Date('2026-01-14T14:30:00Z')), false);
+
+    const late = onsenService.parseHours('18:00-02:00').opening_hours;
+    assert.deepEqual(late.periods[6].close, { day: 0, time: '0200' });
+
+    assert.deepEqual(
+      onsenService.parseHours('24/7 viewing, cooking by locals only').opening_hours,
+      { periods: [{ open: { day: 0, time: '0000' } }] }
+    );
+    assert.equal(onsenService.parseHours('Ask at the ryokan').opening_hours, null);
+  });
+
+  test('entrance fees', () => {
+    assert.deepEqual(
+      onsenService.parseFee('Free (donation box available)'),
+      { fee_yen: 0, donation_box: true, fee_note: 'Free (donation box available)' }
+    );
+    assert.equal(onsenService.parseFee('¥1,000').fee_yen, 1000);
+    assert.equal(onsenService.parseFee('500 yen').fee_yen, 500);
+    assert.equal(onsenService.parseFee('Ask staff').fee_yen, null);
+  });
+
+  test('admin panel edits only re-parse the text that changed', () => {
+    const current = { temperature_note: 'Hot', hours_note: '5:00 AM - 11:00 PM', fee_note: null };
+    const changes = onsenService.changesFromLocalInfo({
+      temperature: 'Hot',
+      hours: '6:00 AM - 10:00 PM',
+      entrance_fee: null
+    }, current);
+
+    assert.deepEqual(Object.keys(changes), ['opening_hours', 'hours_note']);
+    assert.equal(changes.opening_hours.periods[0].open.time, '0600');
+  });
+
+  test('local_info text is rebuilt from structured details', () => {
+    const details = onsenService.formatDetails({ temperature_band: 'mild', fee_yen: 300 });
+    assert.deepEqual(onsenService.toLocalInfo(details, 'Bring a towel'), {
+      entrance_fee: '¥300',
+      temperature: 'Mild',
+      hours: null,
+      local_tips: 'Bring a towel'
+    });
+    assert.deepEqual(details.facilities, []);
+  });
+});
+
+describe('Onsen details validation', () => {
+  // Fields that failed validation for a request body
+  async function invalidFields(body) {
+    const req = { body };
+    for (const rule of validateOnsenDetails) await rule.run(req);
+    return validationResult(req).array().map(error => error.path);
+  }
+
+  test('accepts Google periods, with or without a close', async () => {
+    assert.deepEqual(await invalidFields({
+      opening_hours: {
+        periods: [
+          { open: { day: 1, time: '0600' }, close: { day: 1, time: '2200' } },
+          { open: { day: 6, time: '2200' }, close: { day: 0, time: '0200' } }
+        ]
+      }
+    }), []);
+    assert.deepEqual(await invalidFields({ opening_hours: { periods: [{ open: { day: 0, time: '0000' } }] } }), []);
+    assert.deepEqual(await invalidFields({ opening_hours: null }), []);
+  });
+
+  test('rejects periods without a valid day and HHMM time', async () => {
+    for (const period of [
+      null,
+      {},
+      { open: { day: 7, time: '0600' } },
+      { open: { day: '1', time: '0600' } },
+      { open: { day: 1, time: '6:00' } },
+      { open: { day: 1, time: '2460' } },
+      { open: { day: 1, time: '0600' }, close: { day: 1 } },
+      { open: { day: 1, time: '0600' }, close: null }
+    ]) {
+      assert.deepEqual(
+        await invalidFields({ opening_hours: { periods: [period] } }),
+        ['opening_hours.periods[0]'],
+        JSON.stringify(period)
+      );
+    }
+    assert.deepEqual(await invalidFields({ opening_hours: { periods: 'daily' } }), ['opening_hours']);
+  });
+});
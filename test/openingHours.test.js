@@ -0,0 +1,100 @@
+/**
+ * Opening hours tests
+ *
+ * Google-format periods are evaluated in Japan time whatever the server
+ * timezone - pure functions, no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const openingHours = require('../services/openingHours');
+
+// Monday 11:00-14:00 and 17:00-22:00 (day 1 = Monday)
+const lunchAndDinner = {
+  google_data: {
+    hours: {
+      periods: [
+        { open: { day: 1, time: '1100' }, close: { day: 1, time: '1400' } },
+        { open: { day: 1, time: '1700' }, close: { day: 1, time: '2200' } }
+      ]
+    }
+  }
+};
+
+// Saturday 18:00 until Sunday 02:00
+const saturdayNight = {
+  opening_hours: { periods: [{ open: { day: 6, time: '1800' }, close: { day: 0, time: '0200' } }] }
+};
+
+// 2026-01-12 is a Monday; JST is UTC+9
+const at = iso => new Date(iso);
+
+describe('Opening hours', () => {
+  test('open periods are read in JST, not UTC', () => {
+    // Monday 11:30 JST
+    const status = openingHours.getHoursStatus(lunchAndDinner, at('2026-01-12T02:30:00Z'));
+    assert.equal(status.is_open, true);
+    assert.equal(status.next_change_type, 'close');
+    assert.equal(status.minutes_until_change, 150);
+    assert.equal(status.next_change, '2026-01-12T05:00:00.000Z');
+    assert.equal(status.source, 'google');
+
+    // Sunday 23:30 UTC is Monday 08:30 JST - closed until 11:00
+    const early = openingHours.getHoursStatus(lunchAndDinner, at('2026-01-11T23:30:00Z'));
+    assert.equal(early.is_open, false);
+    assert.equal(early.next_change_type, 'open');
+    assert.equal(early.minutes_until_change, 150);
+  });
+
+  test('closing soon and opening soon within 30 minutes', () => {
+    // Monday 13:45 JST
+    const closing = openingHours.getHoursStatus(lunchAndDinner, at('2026-01-12T04:45:00Z'));
+    assert.equal(closing.closing_soon, true);
+    assert.equal(closing.opening_soon, false);
+
+    // Monday 16:40 JST, between lunch and dinner
+    const opening = openingHours.getHoursStatus(lunchAndDinner, at('2026-01-12T07:40:00Z'));
+    assert.equal(opening.is_open, false);
+    assert.equal(opening.opening_soon, true);
+    assert.equal(opening.minutes_until_change, 20);
+  });
+
+  test('periods past midnight on Saturday wrap into Sunday', () => {
+    // Sunday 01:00 JST
+    assert.equal(openingHours.isOpenNow(saturdayNight, at('2026-01-17T16:00:00Z')), true);
+    // Sunday 03:00 JST - next opening is the following Saturday
+    const closed = openingHours.getHoursStatus(saturdayNight, at('2026-01-17T18:00:00Z'));
+    assert.equal(closed.is_open, false);
+    assert.equal(closed.minutes_until_change, 6 * 24 * 60 + 15 * 60);
+  });
+
+  test('a period with no close is open 24/7 and never changes', () => {
+    const status = openingHours.getHoursStatus(
+      { opening_hours: { periods: [{ open: { day: 0, time: '0000' } }] } },
+      at('2026-01-14T03:30:00Z')
+    );
+    assert.equal(status.is_open, true);
+    assert.equal(status.next_change, null);
+    assert.equal(status.closing_soon, false);
+  });
+
+  test('manual overrides win, and places without hours are unknown', () => {
+    const place = {
+      ...lunchAndDinner,
+      hours_override: { periods: [{ open: { day: 1, time: '0900' }, close: { day: 1, time: '1000' } }] }
+    };
+    const status = openingHours.getHoursStatus(place, at('2026-01-12T00:30:00Z'));
+    assert.equal(status.source, 'override');
+    assert.equal(status.is_open, true);
+
+    assert.equal(openingHours.getHoursStatus({ name: 'No hours' }), null);
+    assert.equal(openingHours.isOpenNow({ opening_hours: { weekday_text: [] } }), null);
+  });
+
+  test('next change is rounded down to the minute', () => {
+    const status = openingHours.getHoursStatus(lunchAndDinner, at('2026-01-12T02:30:42.500Z'));
+    assert.equal(status.next_change, '2026-01-12T05:00:00.000Z');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Powder alert tests
+ *
+ * Snowfall thresholds, snow line alerts and re-alert suppression. The pool
+ * and alert delivery are stubbed with node:test mocks - no database or
+ * network needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db/pool');
+const alertDelivery = require('../services/alertDelivery');
+const powderAlerts = require('../services/powderAlerts');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Hourly forecast starting next hour, one snowfall value (cm) per hour
+ */
+function hourly(snowfall) {
+  const start = Math.ceil(Date.now() / HOUR) * HOUR;
+  return {
+    time: snowfall.map((_, i) => new Date(start + i * HOUR).toISOString()),
+    snowfall
+  };
+}
+
+// 5cm/h for 4 hours at the summit, 1cm/h for 4 hours mid-mountain, nothing in the village
+const weather = {
+  levels: [
+    { location: 'Village', hourly: hourly(new Array(30).fill(0)) },
+    { location: 'Mid-Mountain', hourly: hourly([0, 0, 1, 1, 1, 1, ...new Array(24).fill(0)]) },
+    { location: 'Summit', hourly: hourly([0, 0, 5, 5, 5, 5, ...new Array(24).fill(0)]) }
+  ],
+  snow_line: 'Snow to village level'
+};
+
+const subscription = (id, fields = {}) => ({
+  id,
+  alert_type: 'snowfall_24h',
+  elevation: 'Summit',
+  threshold_cm: '20',
+  triggered: false,
+  last_triggered_at: null,
+  delivery_method: 'webhook',
+  delivery_target: 'https://hooks.example.com/powder',
+  ...fields
+});
+
+describe('Powder alert conditions', () => {
+  test('snowfall is summed over the next 24h and the storm dated by its first snowy hour', () => {
+    const conditions = powderAlerts.getConditions(weather);
+
+    assert.equal(conditions.levels.Summit.next24h, 20);
+    assert.equal(conditions.levels['Mid-Mountain'].next24h, 4);
+    assert.equal(conditions.levels.Village.next24h, 0);
+    assert.equal(conditions.levels.Summit.stormDate, weather.levels[2].hourly.time[2].slice(0, 10));
+    assert.equal(conditions.levels.Village.stormDate, null);
+    assert.equal(conditions.snowLineAtVillage, true);
+  });
+
+  test('snowfall alerts fire at the threshold, not below it', () => {
+    const conditions = powderAlerts.getConditions(weather);
+
+    assert.equal(powderAlerts.checkSubscription(subscription(1), conditions, '2027-01-10').met, true);
+    assert.equal(powderAlerts.checkSubscription(subscription(1, { threshold_cm: '20.5' }), conditions, '2027-01-10').met, false);
+    assert.equal(powderAlerts.checkSubscription(subscription(1, { elevation: 'Mid-Mountain', threshold_cm: '5' }), conditions, '2027-01-10').met, false);
+  });
+
+  test('a missing threshold uses the 20cm default', () => {
+    const conditions = powderAlerts.getConditions(weather);
+    const result = powderAlerts.checkSubscription(subscription(1, { threshold_cm: null }), conditions, '2027-01-10');
+
+    assert.equal(powderAlerts.DEFAULT_THRESHOLD_CM, 20);
+    assert.equal(result.met, true);
+    assert.match(result.message, /your alert: 20cm\+/);
+  });
+
+  test('storm keys fall back to today when no snow is forecast', () => {
+    const conditions = powderAlerts.getConditions({ ...weather, snow_line: 'Snow above 1200m' });
+
+    const village = powderAlerts.checkSubscription(
+      subscription(1, { alert_type: 'snow_line_village', elevation: 'Village', threshold_cm: null }),
+      conditions,
+      '2027-01-10'
+    );
+    assert.equal(village.met, false);
+    assert.equal(village.stormKey, 'snow_line_village:2027-01-10');
+  });
+});
+
+describe('Powder alert evaluation', () => {
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Stub the pool with these subscriptions; `alreadyDelivered` lists
+   * subscription ids whose storm was alerted before
+   */
+  function stubPool(subscriptions, { alreadyDelivered = [] } = {}) {
+    mock.method(pool, 'query', async (sql, params) => {
+      if (sql.includes('FROM alert_subscriptions')) return { rows: subscriptions };
+      if (sql.includes('INSERT INTO alert_deliveries')) {
+        return { rows: alreadyDelivered.includes(params[0]) ? [] : [{ id: params[0] * 100 }] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+    mock.method(alertDelivery, 'deliver', async () => {});
+    mock.method(console, 'log', () => {});
+  }
+
+  const updates = () => pool.query.mock.calls
+    .map(call => call.arguments)
+    .filter(([sql]) => sql.includes('UPDATE alert_subscriptions'));
+
+  test('sends once when a condition becomes true and clears when it stops', async () => {
+    stubPool([
+      subscription(1),                                          // newly met - sent
+      subscription(2, { triggered: true }),                     // still met - skipped
+      subscription(3, { threshold_cm: '50', triggered: true }), // no longer met - cleared
+      subscription(4, { threshold_cm: '50' })                   // not met - nothing
+    ]);
+
+    const summary = await powderAlerts.evaluateAlerts(weather);
+    assert.deepEqual(summary, { evaluated: 4, triggered: 1, sent: 1, cleared: 1 });
+
+    assert.equal(alertDelivery.deliver.mock.callCount(), 1);
+    const [method, target, alert] = alertDelivery.deliver.mock.calls[0].arguments;
+    assert.equal(method, 'webhook');
+    assert.equal(target, 'https://hooks.example.com/powder');
+    assert.deepEqual(alert.data, {
+      type: 'powder_alert',
+      alertType: 'snowfall_24h',
+      elevation: 'Summit',
+      value: 20,
+      subscriptionId: 1
+    });
+
+    assert.deepEqual(updates().map(([, params]) => params[0]), [1, 3]);
+  });
+
+  test('the same storm and recent alerts are not sent again', async () => {
+    stubPool([
+      subscription(5),
+      subscription(6, { last_triggered_at: new Date(Date.now() - 2 * HOUR).toISOString() }),
+      subscription(7, { last_triggered_at: new Date(Date.now() - 13 * HOUR).toISOString() })
+    ], { alreadyDelivered: [5] });
+
+    const summary = await powderAlerts.evaluateAlerts(weather);
+    assert.deepEqual(summary, { evaluated: 3, triggered: 3, sent: 1, cleared: 0 });
+    assert.equal(alertDelivery.deliver.mock.calls[0].arguments[2].data.subscriptionId, 7);
+
+    // Suppressed re-alerts keep their original last_triggered_at
+    const keepLastTriggered = Object.fromEntries(updates().map(([, params]) => [params[0], params[2]]));
+    assert.deepEqual(keepLastTriggered, { 5: false, 6: true, 7: false });
+  });
+
+  test('a failed delivery is recorded, not thrown', async () => {
+    stubPool([subscription(8)]);
+    alertDelivery.deliver.mock.mockImplementation(async () => { throw new Error('HTTP 500'); });
+    mock.method(console, 'error', () => {});
+
+    const summary = await powderAlerts.evaluateAlerts(weather);
+    assert.equal(summary.sent, 1);
+
+    const failed = pool.query.mock.calls.find(call => call.arguments[0].includes("status = 'failed'"));
+    assert.deepEqual(failed.arguments[1], [800, 'HTTP 500']);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Privacy service tests
+ *
+ * Erasure runs against a stubbed pool client (node:test mocks) that
+ * records every statement, so the order of deletes and published events
+ * can be checked without a database. The erasure confirmation goes
+ * through the real device router on a local port.
+ *
+ * Run: npm test
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-0123456789abcdefghijklmnopqrstuvwxyz';
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db/pool');
+const deviceAuth = require('../services/deviceAuth');
+const groupEvents = require('../services/groupEvents');
+const groupService = require('../services/groupService');
+const privacyService = require('../services/privacyService');
+const deviceRoutes = require('../routes/devices');
+
+describe('Device data erasure', () => {
+  let log;
+
+  function fakeQuery(sql) {
+    const statement = sql.trim().replace(/\s+/g, ' ');
+    log.push(statement);
+
+    if (statement.startsWith('DELETE FROM group_members')) {
+      return { rows: [{ group_code: '111111' }, { group_code: '222222' }], rowCount: 2 };
+    }
+    if (statement.startsWith('DELETE FROM group_events')) {
+      return { rows: [], rowCount: 7 };
+    }
+    return { rows: [], rowCount: 0 };
+  }
+
+  beforeEach(() => {
+    log = [];
+    mock.method(pool, 'connect', async () => ({ query: async sql => fakeQuery(sql), release: () => {} }));
+    mock.method(pool, 'query', async sql => fakeQuery(sql));
+    mock.method(groupEvents, 'publishGroupEvent', async (code, type, { deviceId }) => {
+      log.push(`publish ${type} ${code} ${deviceId}`);
+    });
+    mock.method(groupService, 'transferOwnership', async () => null);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('deletes the device events before telling the groups it left', async () => {
+    const counts = await privacyService.eraseDeviceData('device-a');
+
+    const deleted = log.findIndex(line => line.startsWith('DELETE FROM group_events'));
+    const commit = log.indexOf('COMMIT');
+    const published = log.filter(line => line.startsWith('publish member.left'));
+
+    assert.ok(deleted !== -1 && deleted < commit, 'events deleted inside the transaction');
+    assert.deepEqual(published, [
+      'publish member.left 111111 device-a',
+      'publish member.left 222222 device-a'
+    ]);
+    assert.ok(log.indexOf(published[0]) > commit);
+    assert.equal(log.filter(line => line.startsWith('DELETE FROM group_events')).length, 1);
+
+    assert.equal(counts.groups, 2);
+    assert.equal(counts.groupEvents, 7);
+  });
+
+  test('retires the device id instead of freeing it', async () => {
+    await privacyService.eraseDeviceData('device-a');
+
+    assert.ok(!log.some(line => line.startsWith('DELETE FROM devices')));
+    const retired = log.find(line => line.startsWith('INSERT INTO devices'));
+    assert.match(retired, /revoked_at = NOW\(\)/);
+    assert.ok(log.indexOf(retired) < log.indexOf('COMMIT'));
+  });
+
+  test('rolls back and publishes nothing when a delete fails', async () => {
+    pool.connect.mock.mockImplementation(async () => ({
+      query: async sql => {
+        if (sql.includes('DELETE FROM alert_subscriptions')) throw new Error('boom');
+        return fakeQuery(sql);
+      },
+      release: () => {}
+    }));
+
+    await assert.rejects(privacyService.eraseDeviceData('device-a'), /boom/);
+    assert.ok(log.includes('ROLLBACK'));
+    assert.equal(groupEvents.publishGroupEvent.mock.callCount(), 0);
+  });
+});
+
+describe('Erasure confirmation', () => {
+  let server;
+  let baseUrl;
+
+  const token = deviceAuth.signDeviceToken({ device_id: 'device-a', token_version: 1 });
+
+  function call(method, path, body) {
+    return fetch(`${baseUrl}/api/devices/device-a/data${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/devices', deviceRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    mock.method(deviceAuth, 'touchDevice', async () => true);
+    mock.method(privacyService, 'eraseDeviceData', async () => ({ memberships: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('the device token alone does not erase anything', async () => {
+    const response = await call('DELETE', '');
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).error, 'Confirmation required');
+
+    const otherDevice = deviceAuth.signErasureToken('device-b').token;
+    assert.equal((await call('DELETE', '', { confirmationToken: otherDevice })).status, 403);
+
+    const expired = jwt.sign({ deviceId: 'device-a' }, process.env.JWT_SECRET, { audience: 'device-erasure', expiresIn: -1 });
+    assert.equal((await call('DELETE', '', { confirmationToken: expired })).status, 403);
+
+    // A device token is not a confirmation
+    assert.equal((await call('DELETE', '', { confirmationToken: token })).status, 403);
+    assert.equal(privacyService.eraseDeviceData.mock.callCount(), 0);
+  });
+
+  test('a fresh confirmation erases the device', async () => {
+    const confirmation = await (await call('POST', '/erasure-confirmation')).json();
+    assert.equal(confirmation.expiresIn, 600);
+
+    const response = await call('DELETE', '', { confirmationToken: confirmation.confirmationToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(privacyService.eraseDeviceData.mock.calls[0].arguments, ['device-a']);
+  });
+});
+
+describe('Check-in retention', () => {
+  afterEach(() => { delete process.env.CHECKIN_RETENTION_DAYS; });
+
+  test('defaults to 90 days and ignores invalid values', () => {
+    assert.equal(privacyService.getRetentionDays(), 90);
+
+    process.env.CHECKIN_RETENTION_DAYS = '30';
+    assert.equal(privacyService.getRetentionDays(), 30);
+
+    process.env.CHECKIN_RETENTION_DAYS = '0';
+    assert.equal(privacyService.getRetentionDays(), 90);
+
+    process.env.CHECKIN_RETENTION_DAYS = 'forever';
+    assert.equal(privacyService.getRetentionDays(), 90);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Safety check tests
+ *
+ * Parsing scraped lift hours and picking the last closing time are pure
+ * functions. Raising, resolving and acknowledging alerts run against a
+ * stubbed pool (node:test mocks) that records every statement, with
+ * notifications captured; "I'm OK" goes through the real router on a
+ * local port - no database needed.
+ *
+ * Run: npm test
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-0123456789abcdefghijklmnopqrstuvwxyz';
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { pool } = require('../db/pool');
+const deviceAuth = require('../services/deviceAuth');
+const groupService = require('../services/groupService');
+const groupNotifier = require('../services/groupNotifier');
+const safetyService = require('../services/safetyService');
+const safetyRoutes = require('../routes/safety');
+
+const rule = {
+  id: 3,
+  group_id: 12,
+  group_code: '123456',
+  resort_id: 1,
+  rule_type: 'overdue_after_last_lift',
+  minutes: 60,
+  enabled: true,
+  timezone: 'Asia/Tokyo'
+};
+
+const alertRow = (fields = {}) => ({
+  id: 21,
+  rule_id: 3,
+  group_id: 12,
+  device_id: 'device-b',
+  user_name: 'Ben',
+  alert_date: '2027-01-10',
+  deadline: new Date('2027-01-10T08:30:00Z'),
+  last_seen_at: new Date('2027-01-10T06:40:00Z'), // 15:40 JST
+  status: 'open',
+  created_at: new Date('2027-01-10T08:35:00Z'),
+  ...fields
+});
+
+describe('Safety checks', () => {
+  test('parses scraped hours in the usual formats', () => {
+    assert.deepEqual(safetyService.parseLiftHours('8:30〜16:00'), { opens: '08:30', closes: '16:00' });
+    assert.deepEqual(safetyService.parseLiftHours('8:30～16:30'), { opens: '08:30', closes: '16:30' });
+    assert.deepEqual(safetyService.parseLiftHours('08:15 - 15:45'), { opens: '08:15', closes: '15:45' });
+  });
+
+  test('unparseable or impossible hours are ignored', () => {
+    assert.equal(safetyService.parseLiftHours(''), null);
+    assert.equal(safetyService.parseLiftHours(null), null);
+    assert.equal(safetyService.parseLiftHours('Closed'), null);
+    assert.equal(safetyService.parseLiftHours('8:30〜25:00'), null);
+  });
+
+  test('the last lift close is the latest closing time', () => {
+    const liftData = {
+      lifts: [
+        { id: 1, status: 'operating', hours: '8:30〜16:00' },
+        { id: 2, status: 'operating', hours: '8:00〜16:30' },
+        { id: 3, status: 'closed', hours: '9:00〜15:30' },
+        { id: 4, status: 'operating', hours: '' }
+      ]
+    };
+
+    assert.equal(safetyService.getLastLiftClose(liftData), '16:30');
+  });
+
+  test('off-season lifts and missing hours give no closing time', () => {
+    assert.equal(safetyService.getLastLiftClose({ lifts: [{ status: 'off-season', hours: '8:30〜17:00' }] }), null);
+    assert.equal(safetyService.getLastLiftClose({ lifts: [] }), null);
+    assert.equal(safetyService.getLastLiftClose(null), null);
+  });
+});
+
+describe('Safety alerts', () => {
+  let log;
+  let answer;
+
+  function fakeQuery(sql, params = []) {
+    const statement = sql.trim().replace(/\s+/g, ' ');
+    log.push({ statement, params });
+    return answer(statement, params) || { rows: [], rowCount: 0 };
+  }
+
+  const statement = text => log.find(entry => entry.statement.includes(text));
+  const notifications = () => groupNotifier.notifyGroup.mock.calls.map(call => call.arguments[0]);
+
+  beforeEach(() => {
+    log = [];
+    answer = () => null;
+    mock.method(pool, 'query', async (sql, params) => fakeQuery(sql, params));
+    mock.method(groupNotifier, 'notifyGroup', async () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('overdue members are those seen today before the lifts closed, once the deadline passes', async () => {
+    answer = sql => (sql.includes('INSERT INTO group_safety_alerts') ? { rows: [alertRow()] } : null);
+    const now = Date.parse('2027-01-10T08:35:00Z');
+
+    const alerts = await safetyService.checkRule(rule, '16:30', now);
+    assert.equal(alerts.length, 1);
+
+    const insert = statement('WITH day AS');
+    assert.deepEqual(insert.params, ['123456', 'Asia/Tokyo', '16:30', 60, now, 3, 12]);
+
+    // Deadline = last lift close + the rule's minutes, in the resort's timezone
+    assert.match(insert.statement, /\(\(today \+ \$3::time\) AT TIME ZONE \$2\) \+ make_interval\(mins => \$4\) AS deadline/);
+    assert.match(insert.statement, /to_timestamp\(\$5::bigint \/ 1000\.0\) >= t\.deadline/);
+    // Seen since the resort's midnight but not since the lifts closed
+    assert.match(insert.statement, /today::timestamp AT TIME ZONE \$2 AS day_start/);
+    assert.match(insert.statement, /m\.last_seen_at >= t\.day_start AND m\.last_seen_at < t\.closes_at/);
+
+    assert.deepEqual(notifications(), [{
+      groupCode: '123456',
+      type: 'safety.overdue',
+      deviceId: 'device-b',
+      title: "Ben hasn't been seen since the lifts closed",
+      message: 'Last seen at 15:40. Lifts closed at 16:30.',
+      data: { alertId: 21, userName: 'Ben', lastSeenAt: alertRow().last_seen_at, liftsClosedAt: '16:30' }
+    }]);
+  });
+
+  test('members are alerted once per rule and day', async () => {
+    await safetyService.checkRule(rule, '16:30', Date.parse('2027-01-10T09:00:00Z'));
+
+    const insert = statement('WITH day AS');
+    assert.match(insert.statement, /alert_date, deadline, last_seen_at\) SELECT \$6, \$7, m\.device_id, m\.user_name, t\.today/);
+    assert.match(insert.statement, /ON CONFLICT \(rule_id, device_id, alert_date\) DO NOTHING/);
+
+    // Nothing inserted (already alerted today) - nobody is notified again
+    assert.equal(groupNotifier.notifyGroup.mock.callCount(), 0);
+  });
+
+  test('open alerts resolve when the member is seen after the alert', async () => {
+    answer = sql => (sql.startsWith('UPDATE group_safety_alerts a')
+      ? { rows: [{ ...alertRow(), group_code: '123456', seen_at: new Date('2027-01-10T09:05:00Z'), timezone: 'Asia/Tokyo' }] }
+      : null);
+
+    const resolved = await safetyService.resolveSeenAlerts();
+    assert.equal(resolved.length, 1);
+
+    const update = statement('UPDATE group_safety_alerts a');
+    assert.match(update.statement, /SET status = 'resolved', resolved_at = NOW\(\)/);
+    assert.match(update.statement, /a\.status = 'open'/);
+    assert.match(update.statement, /m\.device_id = a\.device_id AND m\.last_seen_at > a\.created_at/);
+
+    assert.deepEqual(notifications(), [{
+      groupCode: '123456',
+      type: 'safety.resolved',
+      deviceId: 'device-b',
+      title: 'Ben is back',
+      message: 'Seen at 18:05.',
+      data: { alertId: 21, userName: 'Ben' }
+    }]);
+  });
+
+  test("\"I'm OK\" closes an open alert and counts as being seen", async () => {
+    answer = sql => (sql.startsWith('UPDATE group_safety_alerts SET status') ? { rows: [alertRow({ status: 'acknowledged' })] } : null);
+
+    const acknowledged = await safetyService.acknowledgeAlert({ id: 12, code: '123456' }, alertRow());
+    assert.equal(acknowledged.status, 'acknowledged');
+
+    assert.match(log[0].statement, /WHERE id = \$1 AND status = 'open'/);
+    assert.deepEqual(log[0].params, [21]);
+    assert.match(log[1].statement, /^UPDATE group_members SET last_seen_at = NOW\(\)/);
+    assert.deepEqual(log[1].params, ['123456', 'device-b']);
+    assert.deepEqual(notifications().map(n => [n.type, n.deviceId, n.title]), [['safety.ok', 'device-b', 'Ben is OK']]);
+  });
+
+  test('an alert that is no longer open is left alone', async () => {
+    assert.equal(await safetyService.acknowledgeAlert({ id: 12, code: '123456' }, alertRow({ status: 'resolved' })), null);
+    assert.equal(log.length, 1);
+    assert.equal(groupNotifier.notifyGroup.mock.callCount(), 0);
+  });
+
+  test('off-season resorts and unknown rule types are skipped, seen members resolved', async () => {
+    const offSeasonRule = { ...rule, id: 4, group_id: 13, group_code: '222222', resort_id: 2 };
+    answer = (sql, params) => {
+      if (sql.includes('FROM group_safety_rules r')) {
+        return { rows: [rule, offSeasonRule, { ...rule, id: 5 }, { ...rule, id: 6, rule_type: 'retired_type' }] };
+      }
+      if (sql.includes('FROM lift_status_cache')) {
+        return { rows: [{ lift_data: { lifts: [] }, is_off_season: params[0] === 2 }] };
+      }
+      if (sql.includes('INSERT INTO group_safety_alerts')) return { rows: [alertRow({ rule_id: params[5] })] };
+      return null;
+    };
+
+    const summary = await safetyService.runSafetyChecks(Date.parse('2027-01-10T09:00:00Z'));
+    assert.deepEqual(summary, { alerts: 2, resolved: 0 });
+
+    // Lift close looked up once per resort; only resort 1's rules checked
+    assert.deepEqual(log.filter(entry => entry.statement.includes('FROM lift_status_cache')).map(entry => entry.params[0]), [1, 2]);
+    const checked = log.filter(entry => entry.statement.includes('INSERT INTO group_safety_alerts'));
+    assert.deepEqual(checked.map(entry => entry.params[5]), [3, 5]);
+    assert.equal(checked[0].params[2], safetyService.DEFAULT_LAST_LIFT_CLOSE);
+    assert.ok(statement('UPDATE group_safety_alerts a'));
+  });
+});
+
+describe('Safety alert routes', () => {
+  let server;
+  let baseUrl;
+
+  const tokens = {
+    'device-a': deviceAuth.signDeviceToken({ device_id: 'device-a', token_version: 1 }),
+    'device-b': deviceAuth.signDeviceToken({ device_id: 'device-b', token_version: 1 })
+  };
+
+  const answer = (deviceId, alertId = 21) => fetch(`${baseUrl}/api/groups/123456/safety/alerts/${alertId}/ok`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[deviceId]}` }
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/groups/:code/safety', safetyRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    mock.method(deviceAuth, 'touchDevice', async () => true);
+    mock.method(groupService, 'getGroup', async code => ({ id: 12, code, archived_at: null }));
+    mock.method(groupService, 'getMember', async (code, deviceId) => ({ device_id: deviceId, role: 'member' }));
+    mock.method(safetyService, 'getAlert', async (groupId, alertId) => (String(alertId) === '21' ? alertRow() : null));
+    mock.method(safetyService, 'acknowledgeAlert', async (group, alert) => ({ ...alert, status: 'acknowledged' }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test("only the overdue member can answer \"I'm OK\"", async () => {
+    const other = await answer('device-a');
+    assert.equal(other.status, 403);
+    assert.equal((await other.json()).message, 'Only the member the alert is about can answer it');
+    assert.equal(safetyService.acknowledgeAlert.mock.callCount(), 0);
+
+    const own = await answer('device-b');
+    assert.equal(own.status, 200);
+    assert.equal((await own.json()).alert.status, 'acknowledged');
+    assert.equal(safetyService.acknowledgeAlert.mock.callCount(), 1);
+  });
+
+  test('unknown and already answered alerts', async () => {
+    assert.equal((await answer('device-b', 99)).status, 404);
+
+    safetyService.acknowledgeAlert.mock.mockImplementation(async () => null);
+    const answered = await answer('device-b');
+    assert.equal(answered.status, 409);
+    assert.equal((await answered.json()).error, 'Safety alert already open');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Scrape schedule tests
+ *
+ * Scrape windows -> cron expressions and window validation.
+ * No database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const scrapeSchedule = require('../services/scrapeSchedule');
+
+describe('Scrape schedule', () => {
+  test('default windows produce the original cron schedule', () => {
+    const expressions = scrapeSchedule.DEFAULT_WINDOWS.flatMap(scrapeSchedule.toCronExpressions);
+
+    assert.deepEqual(expressions, [
+      '0,15,30,45 6-9 * * *',
+      '0,30 10-14 * * *',
+      '0,15,30,45 15,16 * * *',
+      '0 17 * * *'
+    ]);
+  });
+
+  test('intervals that do not divide an hour are listed per hour', () => {
+    const expressions = scrapeSchedule.toCronExpressions({ startTime: '06:10', endTime: '08:00', intervalMinutes: 40 });
+
+    // 06:10, 06:50, 07:30
+    assert.deepEqual(expressions, ['10,50 6 * * *', '30 7 * * *']);
+  });
+
+  test('scrape hours span the first and last window', () => {
+    assert.deepEqual(scrapeSchedule.getScrapeHours(scrapeSchedule.DEFAULT_WINDOWS), { first: 360, last: 1020 });
+  });
+
+  test('invalid windows are rejected', () => {
+    assert.equal(scrapeSchedule.validateWindows(scrapeSchedule.DEFAULT_WINDOWS), null);
+    assert.match(scrapeSchedule.validateWindows([]), /At least one/);
+    assert.match(scrapeSchedule.validateWindows([{ startTime: '6:00', endTime: '09:00', intervalMinutes: 15 }]), /HH:MM/);
+    assert.match(scrapeSchedule.validateWindows([{ startTime: '10:00', endTime: '09:00', intervalMinutes: 15 }]), /after endTime/);
+    assert.match(scrapeSchedule.validateWindows([{ startTime: '06:00', endTime: '09:00', intervalMinutes: 2 }]), /between 5/);
+    assert.match(scrapeSchedule.validateWindows([
+      { startTime: '06:00', endTime: '09:00', intervalMinutes: 15 },
+      { startTime: '08:30', endTime: '12:00', intervalMinutes: 30 }
+    ]), /overlap/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Scraper health tests
+ *
+ * Freshness thresholds and failure alerts - in-memory state, alerts are
+ * captured with a test notifier channel. Each test uses its own resort id
+ * because health state lives for the whole process.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const notifier = require('../services/notifier');
+const scraperHealth = require('../services/scraperHealth');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+const lifts = { lifts: [{ id: 1 }, { id: 2 }] };
+
+describe('Scraper health', () => {
+  let alerts;
+
+  beforeEach(() => {
+    alerts = [];
+    notifier.registerChannel('test', async alert => { alerts.push(alert); });
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    notifier.unregisterChannel('test');
+    mock.restoreAll();
+  });
+
+  test('no successful scrape on record is unknown', () => {
+    assert.equal(scraperHealth.getFreshness(101), 'unknown');
+    scraperHealth.restoreLastSuccess(101, minutesAgo(5));
+    assert.equal(scraperHealth.getFreshness(101, { hasData: false }), 'unknown');
+  });
+
+  test('during scrape hours data is live for 60 minutes', () => {
+    scraperHealth.restoreLastSuccess(102, minutesAgo(59));
+    assert.equal(scraperHealth.getFreshness(102), 'live');
+
+    scraperHealth.restoreLastSuccess(103, minutesAgo(61));
+    assert.equal(scraperHealth.getFreshness(103), 'stale');
+  });
+
+  test('overnight the last session stays live for 18 hours unless it failed', async () => {
+    const overnight = { withinScrapeHours: false };
+
+    scraperHealth.restoreLastSuccess(104, minutesAgo(17 * 60));
+    assert.equal(scraperHealth.getFreshness(104, overnight), 'live');
+
+    scraperHealth.restoreLastSuccess(105, minutesAgo(19 * 60));
+    assert.equal(scraperHealth.getFreshness(105, overnight), 'stale');
+
+    scraperHealth.restoreLastSuccess(106, minutesAgo(30));
+    await scraperHealth.recordFailure(106, 'test-106', new Error('timeout'));
+    assert.equal(scraperHealth.getFreshness(106, overnight), 'stale');
+  });
+
+  test('off-season data is live at any age until an attempt fails', async () => {
+    scraperHealth.restoreLastSuccess(107, minutesAgo(90 * 24 * 60));
+    assert.equal(scraperHealth.getFreshness(107, { inSeason: false }), 'live');
+
+    await scraperHealth.recordFailure(107, 'test-107', new Error('HTTP 503'));
+    assert.equal(scraperHealth.getFreshness(107, { inSeason: false }), 'stale');
+  });
+
+  test('three failures in a row go stale and alert, then recovery resets', async () => {
+    await scraperHealth.recordSuccess(108, 'test-108', lifts);
+
+    await scraperHealth.recordFailure(108, 'test-108', new Error('timeout'));
+    await scraperHealth.recordFailure(108, 'test-108', new Error('timeout'));
+    assert.equal(scraperHealth.getFreshness(108), 'live');
+    assert.equal(alerts.length, 0);
+
+    await scraperHealth.recordFailure(108, 'test-108', new Error('timeout'));
+    assert.equal(scraperHealth.getFreshness(108), 'stale');
+    assert.deepEqual(alerts.map(alert => alert.key), ['scraper-failing:test-108']);
+    assert.equal(scraperHealth.getHealth(108).healthy, false);
+
+    await scraperHealth.recordSuccess(108, 'test-108', lifts);
+    assert.equal(scraperHealth.getFreshness(108), 'live');
+    assert.equal(alerts[1].key, 'scraper-recovered:test-108');
+    assert.equal(scraperHealth.getHealth(108).consecutiveFailures, 0);
+  });
+
+  test('stale data alerts once per cooldown', async () => {
+    scraperHealth.restoreLastSuccess(109, minutesAgo(120));
+
+    await scraperHealth.checkStaleness(109, 'test-109', {});
+    await scraperHealth.checkStaleness(109, 'test-109', {});
+    assert.deepEqual(alerts.map(alert => alert.key), ['scraper-stale:test-109']);
+
+    await scraperHealth.recordSuccess(110, 'test-110', lifts);
+    await scraperHealth.checkStaleness(110, 'test-110', {});
+    assert.equal(alerts.length, 1);
+  });
+
+  test('missing lifts are flagged but the data stays healthy', async () => {
+    await scraperHealth.recordSuccess(111, 'test-111', { ...lifts, unmatchedLifts: ['Skyline Pair'] });
+
+    const health = scraperHealth.getHealth(111);
+    assert.equal(health.healthy, true);
+    assert.equal(health.anomaly.type, 'missing_lifts');
+    assert.equal(scraperHealth.getFreshness(111), 'live');
+    assert.equal(alerts[0].level, 'warning');
+  });
+});
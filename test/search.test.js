@@ -0,0 +1,132 @@
+/**
+ * Place search tests
+ *
+ * Transliteration, search documents and snippets are pure functions -
+ * no database needed. Miss logging stubs the pool with node:test mocks,
+ * and GET /places/search goes through the real router on a local port.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { pool } = require('../db/pool');
+const transliteration = require('../services/transliteration');
+const searchService = require('../services/searchService');
+const placesRoutes = require('../routes/places');
+
+describe('Transliteration', () => {
+  test('kana to Hepburn romaji', () => {
+    assert.equal(transliteration.kanaToRomaji('かわはらゆ'), 'kawaharayu');
+    assert.equal(transliteration.kanaToRomaji('ラーメン'), 'ramen');
+    assert.equal(transliteration.kanaToRomaji('しゃぶしゃぶ'), 'shabushabu');
+    assert.equal(transliteration.kanaToRomaji('まっちゃ'), 'matcha');
+    assert.equal(transliteration.kanaToRomaji('がっこう'), 'gakkou');
+  });
+
+  test('romaji to kana, or null for words that are not romaji', () => {
+    assert.equal(transliteration.romajiToKana('kawahara'), 'かわはら');
+    assert.equal(transliteration.romajiToKana('onsen'), 'おんせん');
+    assert.equal(transliteration.romajiToKana('matcha'), 'まっちゃ');
+    assert.equal(transliteration.romajiToKana('tonkatsu'), 'とんかつ');
+    assert.equal(transliteration.romajiToKana('cafe'), null);
+  });
+
+  test('folding ignores case, width, accents, katakana and long vowel marks', () => {
+    assert.equal(transliteration.fold('ＲＡＭＥＮ'), 'ramen');
+    assert.equal(transliteration.fold('Café'), 'cafe');
+    assert.equal(transliteration.fold('ラーメン'), transliteration.fold('らめん'));
+  });
+
+  test('romaji, hiragana and katakana spellings share a variant', () => {
+    const shared = (a, b) => transliteration.variants(a).some(form => transliteration.variants(b).includes(form));
+
+    assert.ok(shared('Kawahara-yu', 'かわはらゆ'));
+    assert.ok(shared('Kawahara-yu', 'カワハラユ'));
+    assert.ok(shared('ramen', 'ラーメン'));
+    assert.ok(shared('Jūōdō', 'juoudou'));
+  });
+});
+
+describe('Search documents and snippets', () => {
+  test('names include aliases and their kana / romaji forms', () => {
+    const document = searchService.buildDocument(
+      { name: 'Kawahara-yu', name_local: '河原湯', category: 'onsen', tips: ['Slightly cooler than Oyu'] },
+      ['かわらゆ']
+    );
+
+    assert.ok(document.names.includes('kawaharayu'));
+    assert.ok(document.names.includes('かわはらゆ'));
+    assert.ok(document.names.includes('河原湯'));
+    assert.ok(document.names.includes('kawarayu'));
+    assert.ok(document.content.startsWith('Slightly cooler than Oyu'));
+  });
+
+  test('snippets are HTML-escaped with <mark> highlights', () => {
+    const snippet = searchService.substringSnippet('Try the <b>miso</b> ramen', 'Ramen');
+
+    assert.equal(
+      searchService.formatSnippet(snippet),
+      'Try the &lt;b&gt;miso&lt;/b&gt; <mark>ramen</mark>'
+    );
+    assert.equal(searchService.substringSnippet('Soba only', 'ramen'), null);
+  });
+});
+
+describe('Search misses', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('spellings that only differ in case, spacing or punctuation share a key', () => {
+    const key = searchService.missKey('Kawahara-yu');
+    assert.equal(searchService.missKey('kawahara yu'), key);
+    assert.equal(searchService.missKey('  ＫＡＷＡＨＡＲＡＹＵ '), key);
+    assert.equal(searchService.missKey(' - '), '');
+    assert.equal(searchService.missKey('x'.repeat(500)).length, searchService.MAX_QUERY_LENGTH);
+  });
+
+  test('a miss is counted on its key, with the query and category capped', async () => {
+    mock.method(pool, 'query', async () => ({ rows: [], rowCount: 1 }));
+
+    await searchService.logMiss(1, '  kawahara   yu ', 'c'.repeat(80));
+    await searchService.logMiss(1, '...', null);
+
+    assert.equal(pool.query.mock.callCount(), 1);
+    const [sql, params] = pool.query.mock.calls[0].arguments;
+    assert.match(sql, /ON CONFLICT \(resort_id, query_folded\) DO UPDATE/);
+    assert.match(sql, /miss_count = search_misses\.miss_count \+ 1/);
+    assert.deepEqual(params, [1, 'kawaharayu', 'kawahara yu', 'c'.repeat(50)]);
+  });
+});
+
+describe('Search route', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.ENABLE_POSTGRES_READ = 'true';
+    const app = express();
+    app.use('/api/v2', placesRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    delete process.env.ENABLE_POSTGRES_READ;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('limit is clamped to 1-50', async () => {
+    mock.method(searchService, 'searchPlaces', async () => [{ id: 1 }]);
+
+    for (const limit of ['-5', '0', '500', 'abc']) {
+      const response = await fetch(`${baseUrl}/api/v2/places/search?q=oyu&limit=${limit}`);
+      assert.equal(response.status, 200, limit);
+    }
+    const limits = searchService.searchPlaces.mock.calls.map(call => call.arguments[1].limit);
+    assert.deepEqual(limits, [1, 20, 50, 20]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Season service tests
+ *
+ * Season dates are worked out from a resorts row plus per-season
+ * overrides - no database needed.
+ *
+ * Run: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const seasonService = require('../services/seasonService');
+
+const resort = {
+  id: 999,
+  slug: 'test-resort',
+  timezone: 'Asia/Tokyo',
+  season_start_month: 12,
+  season_start_day: 10,
+  season_end_month: 4,
+  season_end_day: 30
+};
+
+describe('Season service', () => {
+  test('default season crosses new year', () => {
+    const season = seasonService.getSeasonDates(resort, new Map(), 2026);
+
+    assert.equal(season.label, '2026-27');
+    assert.equal(season.opensOn, '2026-12-10');
+    assert.equal(season.closesOn, '2027-04-30');
+    assert.equal(season.source, 'default');
+  });
+
+  test('override replaces only the dates it sets', () => {
+    const overrides = new Map([[2026, { opens_on: '2026-11-28', closes_on: null, note: 'Early snow' }]]);
+    const season = seasonService.getSeasonDates(resort, overrides, 2026);
+
+    assert.equal(season.opensOn, '2026-11-28');
+    assert.equal(season.closesOn, '2027-04-30');
+    assert.equal(season.defaultOpensOn, '2026-12-10');
+    assert.equal(season.source, 'override');
+    assert.equal(season.note, 'Early snow');
+  });
+
+  test('current, next and days until open are in resort time', () => {
+    const offSeason = seasonService.getSeasonInfo(resort, new Date('2026-10-19T03:00:00Z'));
+    assert.equal(offSeason.inSeason, false);
+    assert.equal(offSeason.next.label, '2026-27');
+    assert.equal(offSeason.previous.label, '2025-26');
+    assert.equal(offSeason.daysUntilOpen, 52);
+
+    // 2027-04-30 23:30 JST - last day of the season
+    const lastDay = seasonService.getSeasonInfo(resort, new Date('2027-04-30T14:30:00Z'));
+    assert.equal(lastDay.inSeason, true);
+    assert.equal(lastDay.current.label, '2026-27');
+    assert.equal(lastDay.daysUntilClose, 0);
+  });
+
+  test('resort without season dates is open year-round', () => {
+    const info = seasonService.getSeasonInfo({ id: 998, timezone: 'Asia/Tokyo' });
+
+    assert.equal(info.inSeason, true);
+    assert.equal(info.yearRound, true);
+    assert.equal(seasonService.getSeasonLabel({ id: 998 }), 'Year-round');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Weather history tests
+ *
+ * Snowfall summaries and forecast accuracy are worked out from grouped
+ * weather_hourly rows; the queries are stubbed with node:test mocks so
+ * the arithmetic can be checked without a database.
+ *
+ * Run: npm test
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db/pool');
+const weatherHistory = require('../services/weatherHistory');
+
+const resort = {
+  id: 1,
+  timezone: 'Asia/Tokyo',
+  season_start_month: 12,
+  season_start_day: 10,
+  season_end_month: 4,
+  season_end_day: 30
+};
+
+/**
+ * Answer the resort lookup with `resortRow` and everything else with `rows`
+ */
+function stubQueries(resortRow, rows) {
+  mock.method(pool, 'query', async sql => (
+    sql.includes('FROM resorts') ? { rows: resortRow ? [resortRow] : [] } : { rows }
+  ));
+}
+
+describe('Weather history', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('unknown resorts have no history', async () => {
+    stubQueries(null, []);
+    assert.equal(await weatherHistory.getSeasonSnowfall(99), null);
+    assert.equal(await weatherHistory.getRecentSnowfall(99), null);
+    assert.equal(await weatherHistory.getForecastAccuracy(99), null);
+  });
+
+  test('forecast accuracy: bias is signed, error is absolute, lowest elevation first', async () => {
+    stubQueries(resort, [
+      { elevation_name: 'Summit', elevation_m: 1650, day: '2027-01-10', forecast: '20', actual: '12.5', hours: '24', avg_lead_hours: '30' },
+      { elevation_name: 'Summit', elevation_m: 1650, day: '2027-01-11', forecast: '5', actual: '9', hours: '24', avg_lead_hours: '28' },
+      { elevation_name: 'Village', elevation_m: 565, day: '2027-01-10', forecast: '4', actual: '4', hours: '12', avg_lead_hours: '26' }
+    ]);
+
+    const accuracy = await weatherHistory.getForecastAccuracy(1, 7);
+    assert.deepEqual(accuracy.levels.map(level => level.location), ['Village', 'Summit']);
+
+    const summit = accuracy.levels[1];
+    assert.equal(summit.total_forecast, 25);
+    assert.equal(summit.total_actual, 21.5);
+    assert.equal(summit.bias, 3.5);
+    // (|20 - 12.5| + |5 - 9|) / 2
+    assert.equal(summit.mean_absolute_error, 5.8);
+    assert.deepEqual(summit.daily[1], {
+      date: '2027-01-11',
+      forecast_snowfall: 5,
+      actual_snowfall: 9,
+      difference: -4,
+      hours_compared: 24,
+      avg_lead_hours: 28
+    });
+
+    assert.equal(accuracy.levels[0].bias, 0);
+    assert.equal(accuracy.levels[0].mean_absolute_error, 0);
+  });
+
+  test('season snowfall: totals, snow days and the biggest day', async () => {
+    stubQueries(resort, [
+      { elevation_name: 'Summit', elevation_m: 1650, day: '2026-12-20', snowfall: '0', hours: '24' },
+      { elevation_name: 'Summit', elevation_m: 1650, day: '2026-12-21', snowfall: '32.44', hours: '24' },
+      { elevation_name: 'Summit', elevation_m: 1650, day: '2026-12-22', snowfall: '11', hours: '24' }
+    ]);
+
+    const snowfall = await weatherHistory.getSeasonSnowfall(1, '2026-12-10');
+    assert.equal(snowfall.since, '2026-12-10');
+    assert.equal(snowfall.season, null);
+
+    const [summit] = snowfall.levels;
+    assert.equal(summit.total_snowfall, 43.4);
+    assert.equal(summit.snow_days, 2);
+    assert.equal(summit.days_tracked, 3);
+    assert.deepEqual(summit.biggest_day, { date: '2026-12-21', snowfall: 32.4 });
+  });
+
+  test('season snowfall without any snow has no biggest day', async () => {
+    stubQueries(resort, [
+      { elevation_name: 'Village', elevation_m: 565, day: '2026-12-20', snowfall: '0', hours: '24' }
+    ]);
+
+    const [village] = (await weatherHistory.getSeasonSnowfall(1, '2026-12-10')).levels;
+    assert.equal(village.total_snowfall, 0);
+    assert.equal(village.biggest_day, null);
+  });
+});